@@ -6,13 +6,38 @@
  */
 
 import {
+  AliasUpdateResult,
+  AutoCreatedRelation,
+  BranchDiff,
+  ContentView,
+  ContextExpansion,
+  CrossContext,
   Entity,
+  EntityMergeResult,
   EntityStatus,
+  EntityVersion,
+  GraphPage,
   KnowledgeGraph,
   MemoryBranchInfo,
+  MergeResult,
+  MergeStrategy,
+  MoveResult,
+  ObservationDeletionResult,
+  PackedContext,
+  PageOptions,
+  ProposedRelation,
   Relation,
+  RelationDeletionResult,
+  RelationSuggestion,
+  SearchResult,
+  SimilarityCalibration,
+  SimilarityModel,
+  SuggestionFilter,
 } from "./memory-types.js";
+import { ContextRequest } from "./modules/context-packer.js";
 import { HybridMemoryManager } from "./modules/hybrid-memory-manager.js";
+import { GraphExpansionOptions } from "./modules/sqlite/sqlite-graph-operations.js";
+import { SearchOptions } from "./modules/sqlite/sqlite-search-operations.js";
 
 /**
  * Enhanced Memory Manager - Now just a thin wrapper around the hybrid manager
@@ -64,7 +89,7 @@ export class EnhancedMemoryManager {
   async deleteRelations(
     relations: Relation[],
     branchName?: string
-  ): Promise<void> {
+  ): Promise<RelationDeletionResult> {
     return await this.hybridManager.deleteRelations(relations, branchName);
   }
 
@@ -72,12 +97,14 @@ export class EnhancedMemoryManager {
   async searchEntities(
     query: string,
     branchName?: string,
-    includeStatuses?: EntityStatus[]
-  ): Promise<KnowledgeGraph> {
+    includeStatuses?: EntityStatus[],
+    options?: SearchOptions
+  ): Promise<SearchResult> {
     return await this.hybridManager.searchEntities(
       query,
       branchName,
-      includeStatuses
+      includeStatuses,
+      options
     );
   }
 
@@ -88,6 +115,31 @@ export class EnhancedMemoryManager {
     return await this.hybridManager.findEntityByName(name, branchName);
   }
 
+  async listEntityNames(
+    prefix: string,
+    branchName?: string,
+    limit?: number
+  ): Promise<string[]> {
+    return await this.hybridManager.listEntityNames(prefix, branchName, limit);
+  }
+
+  // Graph operations
+  async expandContext(
+    entityNames: string[],
+    branchName: string | undefined,
+    options: GraphExpansionOptions
+  ): Promise<ContextExpansion> {
+    return await this.hybridManager.expandContext(
+      entityNames,
+      branchName,
+      options
+    );
+  }
+
+  async getContext(request: ContextRequest): Promise<PackedContext> {
+    return await this.hybridManager.getContext(request);
+  }
+
   // Branch operations
   async createBranch(
     branchName: string,
@@ -118,16 +170,233 @@ export class EnhancedMemoryManager {
     return await this.hybridManager.suggestBranch(entityType, content);
   }
 
+  // Rename/move operations
+  async renameEntity(
+    oldName: string,
+    newName: string,
+    branchName?: string
+  ): Promise<Entity> {
+    return await this.hybridManager.renameEntity(oldName, newName, branchName);
+  }
+
+  async moveEntities(
+    entityNames: string[],
+    sourceBranch: string,
+    targetBranch: string
+  ): Promise<MoveResult> {
+    return await this.hybridManager.moveEntities(
+      entityNames,
+      sourceBranch,
+      targetBranch
+    );
+  }
+
+  async updateEntityAliases(
+    entityName: string,
+    add: string[],
+    remove: string[],
+    branchName?: string
+  ): Promise<AliasUpdateResult> {
+    return await this.hybridManager.updateEntityAliases(
+      entityName,
+      add,
+      remove,
+      branchName
+    );
+  }
+
+  async mergeEntities(
+    keepName: string,
+    mergeNames: string[],
+    branchName?: string
+  ): Promise<EntityMergeResult> {
+    return await this.hybridManager.mergeEntities(
+      keepName,
+      mergeNames,
+      branchName
+    );
+  }
+
+  // Fork/diff/merge operations
+  async forkBranch(
+    sourceBranch: string,
+    newBranch: string,
+    purpose?: string
+  ): Promise<MemoryBranchInfo> {
+    return await this.hybridManager.forkBranch(
+      sourceBranch,
+      newBranch,
+      purpose
+    );
+  }
+
+  async diffBranches(base: string, compare: string): Promise<BranchDiff> {
+    return await this.hybridManager.diffBranches(base, compare);
+  }
+
+  async mergeBranch(
+    source: string,
+    target: string,
+    strategy: MergeStrategy
+  ): Promise<MergeResult> {
+    return await this.hybridManager.mergeBranch(source, target, strategy);
+  }
+
+  // Relation suggestions (review queue of the relationship indexer)
+  recordRelationSuggestions(
+    entityName: string,
+    branchName: string | undefined,
+    proposed: ProposedRelation[]
+  ): number {
+    return this.hybridManager.recordRelationSuggestions(
+      entityName,
+      branchName,
+      proposed
+    );
+  }
+
+  recordAutoCreatedRelations(
+    branchName: string | undefined,
+    relations: AutoCreatedRelation[]
+  ): number {
+    return this.hybridManager.recordAutoCreatedRelations(branchName, relations);
+  }
+
+  rejectedRelationPartners(entityName: string, branchName?: string): string[] {
+    return this.hybridManager.rejectedRelationPartners(entityName, branchName);
+  }
+
+  entitiesToIndex(
+    branchName?: string,
+    statuses?: EntityStatus[],
+    limit?: number
+  ): string[] {
+    return this.hybridManager.entitiesToIndex(branchName, statuses, limit);
+  }
+
+  findRelationCandidates(
+    entityName: string,
+    branchName: string | undefined,
+    statuses: EntityStatus[] | undefined,
+    limit: number
+  ): string[] {
+    return this.hybridManager.findRelationCandidates(
+      entityName,
+      branchName,
+      statuses,
+      limit
+    );
+  }
+
+  findEntitiesMentioning(
+    name: string,
+    branchName: string | undefined,
+    statuses: EntityStatus[] | undefined,
+    limit: number
+  ): string[] {
+    return this.hybridManager.findEntitiesMentioning(
+      name,
+      branchName,
+      statuses,
+      limit
+    );
+  }
+
+  listRelationSuggestions(filter?: SuggestionFilter): {
+    suggestions: RelationSuggestion[];
+    total: number;
+  } {
+    return this.hybridManager.listRelationSuggestions(filter);
+  }
+
+  async acceptRelationSuggestion(
+    id: number,
+    relationType?: string
+  ): Promise<RelationSuggestion> {
+    return await this.hybridManager.acceptRelationSuggestion(id, relationType);
+  }
+
+  rejectRelationSuggestion(id: number): RelationSuggestion {
+    return this.hybridManager.rejectRelationSuggestion(id);
+  }
+
+  getSimilarityWorkers(): number {
+    return this.hybridManager.getSimilarityWorkers();
+  }
+
+  getSimilarityModel(): SimilarityModel {
+    return this.hybridManager.getSimilarityModel();
+  }
+
+  getSimilarityCalibration(): SimilarityCalibration {
+    return this.hybridManager.getSimilarityCalibration();
+  }
+
+  // History operations
+  async getEntityHistory(
+    entityName: string,
+    branchName?: string,
+    limit?: number
+  ): Promise<EntityVersion[]> {
+    return await this.hybridManager.getEntityHistory(
+      entityName,
+      branchName,
+      limit
+    );
+  }
+
+  async revertEntity(
+    entityName: string,
+    version: number,
+    branchName?: string
+  ): Promise<Entity> {
+    return await this.hybridManager.revertEntity(
+      entityName,
+      version,
+      branchName
+    );
+  }
+
+  // Synonyms used to expand search terms
+  getSynonyms(): string[][] {
+    return this.hybridManager.getSynonyms();
+  }
+
+  updateSynonyms(add?: string[][], remove?: string[]): string[][] {
+    return this.hybridManager.updateSynonyms(add, remove);
+  }
+
+  // Content view (verbatim or compressed observations)
+  getContentView(branchName?: string, requested?: ContentView): ContentView {
+    return this.hybridManager.getContentView(branchName, requested);
+  }
+
+  async applyContentView<T extends KnowledgeGraph>(
+    graph: T,
+    branchName?: string,
+    requested?: ContentView
+  ): Promise<T> {
+    return await this.hybridManager.applyContentView(
+      graph,
+      branchName,
+      requested
+    );
+  }
+
   // Legacy compatibility methods (maintain exact API)
   async readGraph(
     branchName?: string,
     includeStatuses?: EntityStatus[],
-    autoCrossContext: boolean = true
-  ): Promise<KnowledgeGraph> {
+    autoCrossContext: boolean = true,
+    asOf?: string,
+    page?: PageOptions
+  ): Promise<KnowledgeGraph | GraphPage> {
     return await this.hybridManager.readGraph(
       branchName,
       includeStatuses,
-      autoCrossContext
+      autoCrossContext,
+      asOf,
+      page
     );
   }
 
@@ -135,13 +404,15 @@ export class EnhancedMemoryManager {
     query: string,
     branchName?: string,
     includeStatuses?: EntityStatus[],
-    autoCrossContext: boolean = true
-  ): Promise<KnowledgeGraph> {
+    autoCrossContext: boolean = true,
+    options?: SearchOptions
+  ): Promise<SearchResult> {
     return await this.hybridManager.searchNodes(
       query,
       branchName,
       includeStatuses,
-      autoCrossContext
+      autoCrossContext,
+      options
     );
   }
 
@@ -183,7 +454,7 @@ export class EnhancedMemoryManager {
   async deleteObservations(
     deletions: { entityName: string; observations: string[] }[],
     branchName?: string
-  ): Promise<void> {
+  ): Promise<ObservationDeletionResult[]> {
     return await this.hybridManager.deleteObservations(deletions, branchName);
   }
 
@@ -203,8 +474,13 @@ export class EnhancedMemoryManager {
 
   async getCrossContext(
     entityNames: string[],
-    sourceBranch?: string
-  ): Promise<KnowledgeGraph> {
-    return await this.hybridManager.getCrossContext(entityNames, sourceBranch);
+    sourceBranch?: string,
+    includeStatuses?: EntityStatus[]
+  ): Promise<CrossContext> {
+    return await this.hybridManager.getCrossContext(
+      entityNames,
+      sourceBranch,
+      includeStatuses
+    );
   }
 }
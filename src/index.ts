@@ -4,18 +4,29 @@ import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   CallToolRequestSchema,
+  CompleteRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 
 import { EnhancedMemoryManager } from "./enhanced-memory-manager-modular.js";
 import {
   BranchHandlers,
+  CompletionHandlers,
+  CrossReferenceHandlers,
   EntityHandlers,
+  GuideHandlers,
+  HistoryHandlers,
+  RelationHandlers,
+  ResourceHandlers,
   SearchHandlers,
 } from "./modules/handlers/index.js";
 import { logger } from "./modules/logger.js";
 import { RelationshipIndexer } from "./modules/relationship-indexer.js";
 import { ModernSimilarityEngine } from "./modules/similarity/similarity-engine.js";
+import { SimilarityWorkerPool } from "./modules/similarity/similarity-worker-pool.js";
 import { SMART_MEMORY_TOOLS } from "./modules/smart-memory-tools.js";
 
 // Initialize modular system
@@ -23,6 +34,12 @@ const memoryManager = new EnhancedMemoryManager();
 
 // Initialize modern similarity engine (sentence-similarity + natural)
 const modernSimilarity = new ModernSimilarityEngine();
+modernSimilarity.useModel(() => memoryManager.getSimilarityModel());
+// Scoring runs in worker threads so it never blocks the stdio transport
+const similarityWorkers = memoryManager.getSimilarityWorkers();
+const similarityPool =
+  similarityWorkers > 0 ? new SimilarityWorkerPool(similarityWorkers) : null;
+if (similarityPool) modernSimilarity.useWorkerPool(similarityPool);
 const relationshipIndexer = new RelationshipIndexer(
   memoryManager,
   modernSimilarity
@@ -36,6 +53,12 @@ const entityHandlers = new EntityHandlers(
   relationshipIndexer
 );
 const searchHandlers = new SearchHandlers(memoryManager, modernSimilarity);
+const relationHandlers = new RelationHandlers(memoryManager);
+const crossReferenceHandlers = new CrossReferenceHandlers(memoryManager);
+const historyHandlers = new HistoryHandlers(memoryManager);
+const guideHandlers = new GuideHandlers();
+const completionHandlers = new CompletionHandlers(memoryManager);
+const resourceHandlers = new ResourceHandlers(memoryManager);
 
 // Initialize modern similarity engine
 modernSimilarity.initialize().catch((error) => {
@@ -53,6 +76,8 @@ const server = new Server(
   {
     capabilities: {
       tools: {},
+      resources: {},
+      completions: {},
     },
   }
 );
@@ -63,12 +88,38 @@ memoryManager.initialize().catch((error) => {
   process.exit(1);
 });
 
+const NO_ARGUMENT_TOOLS = new Set(
+  SMART_MEMORY_TOOLS.filter(
+    (tool) => !(tool.inputSchema.required || []).length
+  ).map((tool) => tool.name)
+);
+
 server.setRequestHandler(ListToolsRequestSchema, async () => {
   return { tools: SMART_MEMORY_TOOLS };
 });
 
+server.setRequestHandler(ListResourcesRequestSchema, async () => {
+  return await resourceHandlers.handleListResources();
+});
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+  return await resourceHandlers.handleListResourceTemplates();
+});
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  return await resourceHandlers.handleReadResource(request.params);
+});
+
+// Completes the branch and entity names of the resource templates
+server.setRequestHandler(CompleteRequestSchema, async (request) => {
+  return await completionHandlers.handleComplete(request.params);
+});
+
 server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+  const { name } = request.params;
+  // Tools without required arguments may be called with none at all
+  const args =
+    request.params.arguments ?? (NO_ARGUMENT_TOOLS.has(name) ? {} : undefined);
 
   if (!args) {
     return {
@@ -93,9 +144,24 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       case "delete_memory_branch":
         return await branchHandlers.handleDeleteMemoryBranch(args);
 
+      case "fork_memory_branch":
+        return await branchHandlers.handleForkMemoryBranch(args);
+
+      case "diff_memory_branches":
+        return await branchHandlers.handleDiffMemoryBranches(args);
+
+      case "merge_memory_branch":
+        return await branchHandlers.handleMergeMemoryBranch(args);
+
+      case "suggest_memory_branch":
+        return await branchHandlers.handleSuggestMemoryBranch(args);
+
       case "create_entities":
         return await entityHandlers.handleCreateEntities(args);
 
+      case "get_relationship_job":
+        return await entityHandlers.handleGetRelationshipJob(args);
+
       case "smart_search":
         return await searchHandlers.handleSmartSearch(args);
 
@@ -111,6 +177,66 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       case "delete_entities":
         return await entityHandlers.handleDeleteEntities(args);
 
+      case "rename_entity":
+        return await entityHandlers.handleRenameEntity(args);
+
+      case "move_entities":
+        return await entityHandlers.handleMoveEntities(args);
+
+      case "update_entity_aliases":
+        return await entityHandlers.handleUpdateEntityAliases(args);
+
+      case "find_duplicate_entities":
+        return await entityHandlers.handleFindDuplicateEntities(args);
+
+      case "merge_entities":
+        return await entityHandlers.handleMergeEntities(args);
+
+      case "delete_observations":
+        return await entityHandlers.handleDeleteObservations(args);
+
+      case "open_entities":
+        return await entityHandlers.handleOpenEntities(args);
+
+      case "create_relations":
+        return await relationHandlers.handleCreateRelations(args);
+
+      case "delete_relations":
+        return await relationHandlers.handleDeleteRelations(args);
+
+      case "list_relation_suggestions":
+        return await relationHandlers.handleListRelationSuggestions(args);
+
+      case "accept_relation_suggestion":
+        return await relationHandlers.handleAcceptRelationSuggestion(args);
+
+      case "reject_relation_suggestion":
+        return await relationHandlers.handleRejectRelationSuggestion(args);
+
+      case "get_similarity_calibration":
+        return await relationHandlers.handleGetSimilarityCalibration(args);
+
+      case "create_cross_reference":
+        return await crossReferenceHandlers.handleCreateCrossReference(args);
+
+      case "get_cross_context":
+        return await crossReferenceHandlers.handleGetCrossContext(args);
+
+      case "get_entity_history":
+        return await historyHandlers.handleGetEntityHistory(args);
+
+      case "revert_entity":
+        return await historyHandlers.handleRevertEntity(args);
+
+      case "get_context":
+        return await searchHandlers.handleGetContext(args);
+
+      case "update_synonyms":
+        return await searchHandlers.handleUpdateSynonyms(args);
+
+      case "memory_usage_guide":
+        return await guideHandlers.handleMemoryUsageGuide(args);
+
       default:
         logger.warn(`Unknown tool called: ${name}`);
         return {
@@ -149,6 +275,7 @@ async function main() {
 process.on("SIGINT", async () => {
   logger.info("Shutting down Enhanced Memory MCP Server...");
   relationshipIndexer.shutdown();
+  await similarityPool?.shutdown();
   await memoryManager.close();
   process.exit(0);
 });
@@ -156,6 +283,7 @@ process.on("SIGINT", async () => {
 process.on("SIGTERM", async () => {
   logger.info("Shutting down Enhanced Memory MCP Server...");
   relationshipIndexer.shutdown();
+  await similarityPool?.shutdown();
   await memoryManager.close();
   process.exit(0);
 });
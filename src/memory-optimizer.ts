@@ -5,7 +5,7 @@ import { encoding_for_model } from "tiktoken";
  * Reduces storage size while maintaining semantic meaning for fast retrieval
  */
 
-export type CompressionLevel = "minimal" | "balanced" | "aggressive";
+export type CompressionLevel = "none" | "minimal" | "balanced" | "aggressive";
 
 export interface OptimizedMemoryContent {
   original: string;
@@ -149,6 +149,8 @@ export class MemoryOptimizer {
 
     // Apply compression based on level
     switch (this.config.compressionLevel) {
+      case "none":
+        break;
       case "minimal":
         optimized = this.minimalCompression(text);
         break;
@@ -175,7 +177,11 @@ export class MemoryOptimizer {
     };
   }
 
-  private countTokens(text: string): number {
+  /**
+   * Tokens in text as a GPT-4 tokenizer counts them, or an estimate when
+   * tiktoken is unavailable
+   */
+  countTokens(text: string): number {
     if (!this.tokenizer) {
       // Fallback: rough estimation
       return Math.ceil(text.length / 4);
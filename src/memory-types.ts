@@ -15,18 +15,119 @@ export interface Entity {
   crossReferences?: any[]; // Additional cross-references for JSON storage
   status?: EntityStatus; // Status flag - defaults to "active" if not specified
   statusReason?: string; // Optional reason for status (e.g., "replaced by Entity_v2")
+  aliases?: string[]; // Other names that resolve to this entity in its branch
   lastUpdated?: string; // ISO timestamp of last update
 }
 
+// Which stored form of observations to return: the verbatim text or the
+// compressed form kept alongside it
+export type ContentView = "original" | "optimized";
+
 export interface Relation {
   from: string;
   to: string;
   relationType: string;
 }
 
+// What delete_relations removed; notFound lists the requested relations
+// that did not exist, or whose endpoints did not
+export interface RelationDeletionResult {
+  deleted: Relation[];
+  notFound: Relation[];
+}
+
+// What one delete_observations entry removed. deleted counts the rows
+// removed (an observation stored twice counts twice); a missing entity
+// has found: false and all of its observations under notFound.
+export interface ObservationDeletionResult {
+  entityName: string;
+  found: boolean;
+  deleted: number;
+  deletedObservations: string[];
+  notFound: string[];
+}
+
 export interface KnowledgeGraph {
   entities: Entity[];
   relations: Relation[];
+  crossContext?: CrossContext; // Cross-referenced entities from other branches
+}
+
+// outbound: a requested entity references it; inbound: it references one
+export type CrossLinkDirection = "outbound" | "inbound" | "both";
+
+// An entity in another branch reached through a cross-reference
+export interface CrossContextEntity extends Entity {
+  branch: string; // Branch the linked entity lives in
+  direction: CrossLinkDirection;
+  linkedWith: string[]; // Requested entities on the other end of the link
+  relations: Relation[]; // Its relations inside its own branch
+}
+
+export interface CrossContext {
+  entities: CrossContextEntity[];
+  relations: Relation[]; // Relations touching the linked entities in their own branch
+}
+
+export type EntityVersionOperation =
+  | "create"
+  | "update"
+  | "status_change"
+  | "add_observations"
+  | "delete_observations"
+  | "delete"
+  | "revert"
+  | "rename"
+  | "move"
+  | "merge";
+
+// Snapshot of an entity right after a change (for "delete": right before it)
+export interface EntityVersion {
+  version: number;
+  operation: EntityVersionOperation;
+  entityType: string;
+  observations: string[];
+  status: EntityStatus;
+  statusReason?: string;
+  note?: string; // e.g. where a rename or move came from or went to
+  recordedAt: string; // ISO timestamp
+}
+
+export interface MoveResult {
+  sourceBranch: string;
+  targetBranch: string;
+  moved: string[];
+  skipped: Array<{ name: string; reason: string }>;
+  // Includes relations restored from cross-references an earlier move made
+  movedRelations: Relation[];
+  // Relations whose other endpoint is not in the target branch; they are
+  // kept as cross-references between the two branches instead
+  unmovedRelations: Array<Relation & { reason: string }>;
+}
+
+// Entities that probably describe the same thing
+export interface DuplicateCluster {
+  entities: string[];
+  suggestedKeep: string; // Entity with the most observations
+  score: number; // Highest pairwise score in the cluster
+  pairs: Array<{ a: string; b: string; score: number; reasons: string[] }>;
+}
+
+export interface EntityMergeResult {
+  kept: Entity;
+  merged: string[]; // Entities folded into the kept one (now aliases)
+  skipped: Array<{ name: string; reason: string }>;
+  addedObservations: string[];
+  repointedRelations: number;
+  repointedCrossReferences: number;
+  aliases: string[]; // All aliases of the kept entity after the merge
+}
+
+export interface AliasUpdateResult {
+  entity: Entity;
+  added: string[];
+  removed: string[];
+  skipped: Array<{ alias: string; reason: string }>;
 }
 
 export interface MemoryBranchInfo {
@@ -36,4 +137,280 @@ export interface MemoryBranchInfo {
   entityCount: number;
   relationCount: number;
   lastUpdated: string;
+  parentBranch?: string; // Branch this one was forked from
+  forkedAt?: string; // ISO timestamp of the fork
+}
+
+// Observation-level changes of an entity present in both branches
+export interface EntityChange {
+  name: string;
+  entityType?: { from: string; to: string };
+  status?: { from: EntityStatus; to: EntityStatus };
+  statusReason?: { from?: string; to?: string };
+  addedObservations: string[];
+  removedObservations: string[];
+}
+
+export interface BranchDiff {
+  base: string;
+  compare: string;
+  entities: {
+    added: Entity[]; // Only in the compared branch
+    removed: Entity[]; // Only in the base branch
+    changed: EntityChange[];
+  };
+  relations: {
+    added: Relation[];
+    removed: Relation[];
+  };
+}
+
+// How to resolve entities changed on both sides of a merge (for a fork,
+// since it was forked): ours: keep the target; theirs: take the source's
+// changes; union: add the source's observations, remove none
+export type MergeStrategy = "ours" | "theirs" | "union";
+
+export interface MergeResult {
+  source: string;
+  target: string;
+  strategy: MergeStrategy;
+  added: string[]; // Entities created in the target
+  updated: string[]; // Target entities changed by the merge
+  conflicts: Array<{ name: string; resolution: MergeStrategy }>;
+  relationsAdded: Relation[];
+  notRemoved: string[]; // Only in the target; merges never delete
+}
+
+// A neighbor reached while expanding context around search hits
+export interface ContextNode {
+  name: string;
+  branch: string;
+  hop: number; // Distance from the nearest search hit (1 = direct neighbor)
+  score: number; // Relation-type weight decayed by hop distance
+  via: {
+    entity: string; // Entity this node was reached from
+    relationType: string; // Relation type, or "cross_reference"
+    direction: "outgoing" | "incoming";
+  };
+}
+
+export interface ContextExpansion extends KnowledgeGraph {
+  nodes: ContextNode[];
+}
+
+// How one search hit's score was put together:
+//   score = (bm25 + nameMatch) * recency * status
+export interface SearchScore {
+  entity: string;
+  branch: string;
+  score: number;
+  bm25: number; // Column-weighted bm25 over name, type, observations, aliases
+  columns: {
+    // bm25 with only that column weighted; they do not add up to bm25
+    name: number;
+    entityType: number;
+    observations: number;
+    aliases: number;
+  };
+  matchedTerms: number; // Query words and phrases matched; ranks first
+  nameMatch: number; // Query terms found inside the name or an alias
+  synonyms: number; // bm25 of synonym expansions, already weighted down
+  recency: number; // Multiplier for recently updated entities
+  status: number; // Multiplier for the entity's status
+  // Semantic and hybrid modes only
+  similarity?: number; // Cosine similarity of the query and entity vectors
+  ranks?: { keyword: number | null; semantic: number | null }; // Fused by RRF
+}
+
+// keyword: BM25 over the words; semantic: vector similarity; hybrid: both,
+// fused by reciprocal rank
+export type SearchMode = "keyword" | "semantic" | "hybrid";
+
+export type MatchField = "name" | "entityType" | "observations" | "aliases";
+
+// Why a search hit matched; query terms are wrapped in ** markers
+export interface SearchMatch {
+  entity: string;
+  branch: string;
+  matchFields: MatchField[]; // Fields holding at least one query term
+  snippet: string | null; // Best short fragment across the fields
+  observations: string[]; // Observations that mention a query term
+}
+
+export interface FacetCount {
+  value: string;
+  count: number;
+}
+
+// How the whole match set (not just the returned page) is distributed.
+// relationType counts hits with at least one relation of that type;
+// updated buckets are fixed and always listed, newest first.
+export interface SearchFacets {
+  entityType: FacetCount[];
+  status: FacetCount[];
+  branch: FacetCount[];
+  relationType: FacetCount[];
+  updated: FacetCount[];
+}
+
+// Synonyms a query term was expanded with
+export interface QueryExpansion {
+  term: string;
+  synonyms: string[];
+}
+
+export interface SearchResult extends KnowledgeGraph {
+  total: number; // Hits before limit/offset
+  expansions?: QueryExpansion[]; // Only when synonyms were applied
+  scores?: SearchScore[]; // Only with explain, in result order
+  matches?: SearchMatch[]; // Only when requested, in result order
+  facets?: SearchFacets; // Only when requested
+  // Set when nothing matched the query as typed: corrected queries that do
+  // match. The results are those of the first one.
+  didYouMean?: string[];
+}
+
+// relevance: best match first (search only); updated and created: newest
+// first; name: A-Z
+export type SortBy = "relevance" | "updated" | "name" | "created";
+
+export interface PageOptions {
+  limit?: number;
+  offset?: number;
+  sortBy?: SortBy;
+}
+
+export interface GraphPage extends KnowledgeGraph {
+  total: number; // Entities before limit/offset
+}
+
+export type ContextFormat = "markdown" | "json";
+
+// Entities, observations and relations packed into a token budget
+export interface PackedContext {
+  format: ContextFormat;
+  content: string; // The bundle as Markdown or compact JSON
+  tokensUsed: number; // Tokens in content, never more than maxTokens
+  maxTokens: number;
+  entities: string[]; // Included entities, most relevant first
+  omittedEntities: string[]; // Candidates that did not fit at all
+  omittedObservations: number; // Observations of included entities left out
+  omittedRelations: number;
+}
+
+export type SuggestionStatus = "pending" | "accepted" | "rejected";
+
+// A relation the relationship indexer proposed, kept for review. Each pair
+// of entities is proposed at most once, whichever way round.
+export interface RelationSuggestion {
+  id: number;
+  from: string;
+  to: string;
+  relationType: string;
+  confidence: number;
+  branch: string;
+  status: SuggestionStatus;
+  createdAt: string;
+  reviewedAt?: string;
+  evidence?: string;
+}
+
+// A relation to propose from an entity, as found by similarity detection
+// or stated in its observations
+export interface ProposedRelation {
+  to: string;
+  relationType: string;
+  confidence: number;
+  features?: SimilarityFeatures; // Kept to learn from the review
+  evidence?: string; // The observation text stating the relation
+}
+
+// A relation create_entities made without review, kept as an accepted
+// suggestion so it trains the similarity model like a reviewed one
+export interface AutoCreatedRelation extends ProposedRelation {
+  from: string;
+}
+
+export interface SuggestionFilter extends PageOptions {
+  branchName?: string; // Every branch when omitted
+  entityName?: string; // Suggestions with this entity on either end
+  status?: SuggestionStatus; // Defaults to pending
+}
+
+// The per-pair similarities the relationship detector combines, each 0-1
+export interface SimilarityFeatures {
+  name: number;
+  type: number;
+  content: number;
+  pattern: number;
+  structural: number;
+}
+
+// Scores at or above `similarity` are reported as low confidence, above
+// `medium` and `high` as medium and high confidence
+export interface SimilarityThresholds {
+  similarity: number;
+  medium: number;
+  high: number;
+}
+
+// How the detector turns SimilarityFeatures into a score. "weighted" is
+// the built-in weighted sum; "logistic" is fitted on review feedback and
+// scores the estimated chance that a suggestion is accepted.
+export interface SimilarityModel {
+  kind: "weighted" | "logistic";
+  weights: SimilarityFeatures;
+  bias: number;
+  thresholds: SimilarityThresholds;
+}
+
+// A reviewed relation suggestion
+export interface SimilarityFeedback {
+  features: SimilarityFeatures;
+  accepted: boolean;
+}
+
+export interface SimilarityCalibration {
+  model: SimilarityModel;
+  fittedAt?: string;
+  feedback: {
+    accepted: number;
+    rejected: number;
+    training: number; // Used to fit the model
+    heldOut: number; // Kept back to measure it
+  };
+  // The fitted model on the held-out feedback, at the medium threshold;
+  // null where undefined (nothing predicted or nothing accepted)
+  heldOut?: {
+    precision: number | null;
+    recall: number | null;
+    accuracy: number;
+  };
+}
+
+export type JobStatus = "running" | "completed" | "failed";
+
+// Relationship detection that create_entities runs in the background,
+// polled by id
+export interface RelationshipJob {
+  id: string;
+  status: JobStatus;
+  branch: string;
+  entities: string[];
+  startedAt: string;
+  finishedAt?: string;
+  results?: any[];
+  error?: string;
+}
+
+export type StatedRelationType =
+  "depends_on" | "calls" | "implements" | "stores_in" | "replaces";
+
+// A relation an observation spells out, e.g. "calls PaymentGateway", with
+// the text that says so
+export interface StatedRelation {
+  from: string;
+  to: string;
+  relationType: StatedRelationType;
+  evidence: string;
 }
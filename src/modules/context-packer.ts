@@ -0,0 +1,241 @@
+import {
+  ContentView,
+  ContextFormat,
+  Entity,
+  EntityStatus,
+  PackedContext,
+  Relation,
+} from "../memory-types.js";
+
+export interface ContextRequest {
+  // Either a search query or the names of the entities to start from
+  query?: string;
+  entityNames?: string[];
+  branchName?: string; // With a query, "*" searches every branch
+  includeStatuses?: EntityStatus[];
+  maxTokens: number;
+  format?: ContextFormat;
+  contentView?: ContentView;
+}
+
+export interface PackOptions {
+  maxTokens: number;
+  format: ContextFormat;
+  // Query words; observations mentioning more of them are kept longer
+  terms: string[];
+  countTokens: (text: string) => number;
+}
+
+type PackItem =
+  | { kind: "entity"; entity: number }
+  | { kind: "observation"; entity: number; observation: string }
+  | { kind: "relation"; relation: Relation };
+
+/**
+ * Fill a token budget with the most relevant knowledge. Candidates come in
+ * rank order. Every candidate first gets its name, type and best
+ * observation, then relations between included entities, then the
+ * remaining observations - so the lowest-ranked observations are the first
+ * to be left out.
+ */
+export function packContext(
+  candidates: Entity[],
+  relations: Relation[],
+  options: PackOptions
+): PackedContext {
+  const { maxTokens, format, countTokens } = options;
+  const ranked = candidates.map((entity) =>
+    rankObservations(entity.observations || [], options.terms)
+  );
+
+  const items: PackItem[] = [];
+  candidates.forEach((_, i) => {
+    items.push({ kind: "entity", entity: i });
+    if (ranked[i].length > 0) {
+      items.push({ kind: "observation", entity: i, observation: ranked[i][0] });
+    }
+  });
+  items.push(
+    ...relations.map((relation) => ({ kind: "relation" as const, relation }))
+  );
+  const firstExtra = items.length;
+  candidates.forEach((_, i) => {
+    for (const observation of ranked[i].slice(1)) {
+      items.push({ kind: "observation", entity: i, observation });
+    }
+  });
+
+  // Greedy pass on estimated sizes, then trim until the exact count fits
+  const index = new Map(candidates.map((entity, i) => [entity.name, i]));
+  const included = new Set<number>();
+  const chosen: PackItem[] = [];
+  let estimate = countTokens(render(candidates, [], format));
+  let hasRelations = false;
+  for (const [position, item] of items.entries()) {
+    if (item.kind === "relation") {
+      const from = index.get(item.relation.from);
+      const to = index.get(item.relation.to);
+      if (from === undefined || to === undefined) continue;
+      if (!included.has(from) || !included.has(to)) continue;
+    } else if (item.kind === "observation" && !included.has(item.entity)) {
+      continue;
+    }
+
+    const cost =
+      countTokens(itemText(item, candidates, format)) +
+      (item.kind === "relation" && !hasRelations && format === "markdown"
+        ? countTokens("\n## Relations\n")
+        : 1);
+    if (estimate + cost > maxTokens) {
+      // Extra observations are strictly by rank: once one does not fit,
+      // nothing ranked below it is squeezed in instead
+      if (position >= firstExtra) break;
+      continue;
+    }
+
+    estimate += cost;
+    chosen.push(item);
+    if (item.kind === "entity") included.add(item.entity);
+    if (item.kind === "relation") hasRelations = true;
+  }
+
+  let content = render(candidates, chosen, format);
+  let tokensUsed = countTokens(content);
+  while (tokensUsed > maxTokens && chosen.length > 0) {
+    chosen.pop();
+    content = render(candidates, chosen, format);
+    tokensUsed = countTokens(content);
+  }
+  if (tokensUsed > maxTokens) {
+    throw new Error(
+      `max_tokens ${maxTokens} is too small for an empty ${format} bundle (${tokensUsed} tokens)`
+    );
+  }
+
+  const entities = chosen.filter((item) => item.kind === "entity");
+  const observations = chosen.filter((item) => item.kind === "observation");
+  const keptRelations = chosen.filter((item) => item.kind === "relation");
+  const includedNames = new Set(
+    entities.map((item) => candidates[item.entity].name)
+  );
+  return {
+    format,
+    content,
+    tokensUsed,
+    maxTokens,
+    entities: candidates
+      .map((entity) => entity.name)
+      .filter((name) => includedNames.has(name)),
+    omittedEntities: candidates
+      .map((entity) => entity.name)
+      .filter((name) => !includedNames.has(name)),
+    omittedObservations:
+      candidates
+        .filter((entity) => includedNames.has(entity.name))
+        .reduce((sum, entity) => sum + (entity.observations || []).length, 0) -
+      observations.length,
+    omittedRelations: relations.length - keptRelations.length,
+  };
+}
+
+/**
+ * Observations that mention more query terms first; ties keep their
+ * stored order
+ */
+function rankObservations(observations: string[], terms: string[]): string[] {
+  if (terms.length === 0) return [...observations];
+  const hits = (text: string) => {
+    const lower = text.toLowerCase();
+    return terms.filter((term) => lower.includes(term)).length;
+  };
+  return observations
+    .map((text, i) => ({ text, i, hits: hits(text) }))
+    .sort((a, b) => b.hits - a.hits || a.i - b.i)
+    .map(({ text }) => text);
+}
+
+function entityHeading(entity: Entity): string {
+  const status =
+    entity.status && entity.status !== "active" ? `, ${entity.status}` : "";
+  return `## ${entity.name} (${entity.entityType}${status})`;
+}
+
+function relationLine(relation: Relation): string {
+  return `- ${relation.from} --${relation.relationType}--> ${relation.to}`;
+}
+
+// The text one item adds to the bundle, used to estimate its cost
+function itemText(
+  item: PackItem,
+  candidates: Entity[],
+  format: ContextFormat
+): string {
+  if (format === "json") {
+    if (item.kind === "entity") {
+      const entity = candidates[item.entity];
+      return JSON.stringify({
+        name: entity.name,
+        type: entity.entityType,
+        observations: [],
+      });
+    }
+    if (item.kind === "observation") return JSON.stringify(item.observation);
+    return JSON.stringify(jsonRelation(item.relation));
+  }
+  if (item.kind === "entity")
+    return `\n${entityHeading(candidates[item.entity])}`;
+  if (item.kind === "observation") return `- ${item.observation}`;
+  return relationLine(item.relation);
+}
+
+/**
+ * Render the chosen items, keeping entities in rank order and their
+ * observations in ranked order
+ */
+function render(
+  candidates: Entity[],
+  chosen: PackItem[],
+  format: ContextFormat
+): string {
+  const observations = new Map<number, string[]>();
+  const relations: Relation[] = [];
+  for (const item of chosen) {
+    if (item.kind === "entity") observations.set(item.entity, []);
+    if (item.kind === "observation") {
+      observations.get(item.entity)!.push(item.observation);
+    }
+    if (item.kind === "relation") relations.push(item.relation);
+  }
+  const entities = Array.from(observations.keys()).sort((a, b) => a - b);
+
+  if (format === "json") {
+    return JSON.stringify({
+      entities: entities.map((i) => {
+        const entity = candidates[i];
+        return {
+          name: entity.name,
+          type: entity.entityType,
+          ...(entity.status &&
+            entity.status !== "active" && { status: entity.status }),
+          observations: observations.get(i),
+        };
+      }),
+      relations: relations.map(jsonRelation),
+    });
+  }
+
+  const sections = entities.map((i) =>
+    [
+      entityHeading(candidates[i]),
+      ...observations.get(i)!.map((text) => `- ${text}`),
+    ].join("\n")
+  );
+  if (relations.length > 0) {
+    sections.push(["## Relations", ...relations.map(relationLine)].join("\n"));
+  }
+  return sections.join("\n\n");
+}
+
+function jsonRelation(relation: Relation) {
+  return { from: relation.from, to: relation.to, type: relation.relationType };
+}
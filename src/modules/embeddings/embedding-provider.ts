@@ -0,0 +1,57 @@
+import { logger } from "../logger.js";
+import { EmbeddingConfig } from "../memory-config.js";
+import { HashedNgramProvider } from "./hashed-ngram-provider.js";
+
+/**
+ * Turns text into fixed-length vectors whose cosine similarity says how
+ * related two texts are
+ */
+export interface EmbeddingProvider {
+  // Stored with every vector; vectors made by another provider are rebuilt
+  readonly id: string;
+  readonly dimensions: number;
+  embed(texts: string[]): Promise<Float32Array[]>;
+}
+
+type ProviderFactory = (config: EmbeddingConfig) => EmbeddingProvider;
+
+const PROVIDERS = new Map<string, ProviderFactory>([
+  ["hashed-ngram", (config) => new HashedNgramProvider(config.dimensions)],
+]);
+
+/**
+ * Make a provider available to the embeddings.provider setting
+ */
+export function registerEmbeddingProvider(
+  name: string,
+  factory: ProviderFactory
+): void {
+  PROVIDERS.set(name, factory);
+}
+
+export function createEmbeddingProvider(
+  config: EmbeddingConfig
+): EmbeddingProvider {
+  let factory = PROVIDERS.get(config.provider);
+  if (!factory) {
+    logger.warn(
+      `Unknown embedding provider "${config.provider}" (available: ${Array.from(
+        PROVIDERS.keys()
+      ).join(", ")}); using hashed-ngram`
+    );
+    factory = PROVIDERS.get("hashed-ngram")!;
+  }
+  return factory(config);
+}
+
+export function cosineSimilarity(a: Float32Array, b: Float32Array): number {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length && i < b.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
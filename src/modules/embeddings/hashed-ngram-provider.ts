@@ -0,0 +1,69 @@
+import { TextProcessor } from "../similarity/text-processor.js";
+import { EmbeddingProvider } from "./embedding-provider.js";
+
+/**
+ * Hashed N-gram Embeddings
+ * Offline vectors from stemmed words and their character trigrams, hashed
+ * into a fixed number of dimensions. Trigrams let related word forms
+ * ("authenticate", "authenticator", "auth") land close together
+ * without a model or a fitted vocabulary, so vectors never go stale as
+ * the corpus grows.
+ */
+export class HashedNgramProvider implements EmbeddingProvider {
+  readonly id: string;
+  private textProcessor = new TextProcessor();
+
+  constructor(readonly dimensions: number = 256) {
+    this.id = `hashed-ngram-${dimensions}`;
+  }
+
+  async embed(texts: string[]): Promise<Float32Array[]> {
+    return texts.map((text) => this.vector(text));
+  }
+
+  private vector(text: string): Float32Array {
+    const features = new Map<string, number>();
+    const add = (feature: string, weight: number) =>
+      features.set(feature, (features.get(feature) || 0) + weight);
+
+    // Split camelCase and snake_case names into their words first
+    const words = this.textProcessor.extractMeaningfulWords(
+      text.replace(/([a-z0-9])([A-Z])/g, "$1 $2").replace(/_/g, " ")
+    );
+    for (const word of words) {
+      add(`w:${word}`, 1);
+      const padded = `<${word}>`;
+      const grams = padded.length - 2;
+      for (let i = 0; i < grams; i++) {
+        // A word's trigrams together carry as much weight as the word
+        add(`t:${padded.slice(i, i + 3)}`, 1 / grams);
+      }
+    }
+
+    const vector = new Float32Array(this.dimensions);
+    for (const [feature, count] of features) {
+      const hash = fnv1a(feature);
+      // The sign bit keeps colliding features from only ever adding up
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector[hash % this.dimensions] += sign * Math.sqrt(count);
+    }
+
+    let norm = 0;
+    for (const value of vector) norm += value * value;
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+      for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+    }
+    return vector;
+  }
+}
+
+// 32-bit FNV-1a hash
+function fnv1a(text: string): number {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
@@ -1,4 +1,11 @@
-import { Entity, MemoryBranchInfo } from "../../memory-types.js";
+import {
+  BranchDiff,
+  Entity,
+  MemoryBranchInfo,
+  MergeResult,
+  MergeStrategy,
+} from "../../memory-types.js";
+import { pageInfo, parsePageArgs, projectEntities } from "./pagination.js";
 
 /**
  * Branch Management Handlers
@@ -80,12 +87,168 @@ export class BranchHandlers {
     };
   }
 
+  async handleSuggestMemoryBranch(args: any): Promise<any> {
+    const suggestion = await this.memoryManager.suggestBranch(
+      args.entity_type as string,
+      args.content_sample as string
+    );
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              suggested_branch: suggestion,
+              entity_type: args.entity_type,
+              message: `Suggested branch "${suggestion}"`,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  async handleForkMemoryBranch(args: any): Promise<any> {
+    if (!args.branch_name) {
+      throw new Error("branch_name is required");
+    }
+    const source = args.source_branch || "main";
+    const branch: MemoryBranchInfo = await this.memoryManager.forkBranch(
+      source,
+      args.branch_name as string,
+      args.purpose as string
+    );
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              branch,
+              message: `Forked "${source}" into "${args.branch_name}" with ${branch.entityCount} entities and ${branch.relationCount} relations`,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  async handleDiffMemoryBranches(args: any): Promise<any> {
+    if (!args.branch_name) {
+      throw new Error("branch_name is required");
+    }
+    const base =
+      args.base_branch || (await this.getParentBranch(args.branch_name));
+    const diff: BranchDiff = await this.memoryManager.diffBranches(
+      base,
+      args.branch_name as string
+    );
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              diff,
+              summary: `"${args.branch_name}" vs "${base}": ${
+                diff.entities.added.length
+              } entities added, ${diff.entities.removed.length} removed, ${
+                diff.entities.changed.length
+              } changed; ${diff.relations.added.length} relations added, ${
+                diff.relations.removed.length
+              } removed`,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  async handleMergeMemoryBranch(args: any): Promise<any> {
+    if (!args.source_branch) {
+      throw new Error("source_branch is required");
+    }
+    const strategy: MergeStrategy = args.strategy || "union";
+    if (!["ours", "theirs", "union"].includes(strategy)) {
+      throw new Error("strategy must be one of: ours, theirs, union");
+    }
+    const target =
+      args.target_branch || (await this.getParentBranch(args.source_branch));
+    if (target === args.source_branch) {
+      throw new Error("source_branch and target_branch must differ");
+    }
+
+    const result: MergeResult = await this.memoryManager.mergeBranch(
+      args.source_branch as string,
+      target,
+      strategy
+    );
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              result,
+              message: `Merged "${args.source_branch}" into "${target}" (${strategy}): ${result.added.length} entities added, ${result.updated.length} updated, ${result.conflicts.length} conflicts, ${result.relationsAdded.length} relations added`,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  /**
+   * The branch a fork came from, or main for branches that were not forked
+   */
+  private async getParentBranch(branchName: string): Promise<string> {
+    const branches: MemoryBranchInfo[] =
+      await this.memoryManager.listBranches();
+    return branches.find((b) => b.name === branchName)?.parentBranch || "main";
+  }
+
   async handleReadMemoryBranch(args: any): Promise<any> {
-    const branchGraph = await this.memoryManager.readGraph(
+    let asOf: string | undefined;
+    if (args.as_of !== undefined) {
+      const time = Date.parse(args.as_of);
+      if (isNaN(time)) {
+        throw new Error("as_of must be an ISO 8601 timestamp");
+      }
+      asOf = new Date(time).toISOString();
+    }
+
+    const page = parsePageArgs(args, {
+      limit: 100,
+      sortBy: "name",
+      sortOrders: ["name", "updated", "created"],
+    });
+
+    const contentView = this.memoryManager.getContentView(
+      args.branch_name,
+      args.content_view
+    );
+    const { total, ...graph } = await this.memoryManager.readGraph(
       args.branch_name as string,
       args.include_statuses,
-      args.include_auto_context !== false
+      args.include_auto_context !== false,
+      asOf,
+      { limit: page.limit, offset: page.offset, sortBy: page.sortBy }
+    );
+    const branchGraph = await this.memoryManager.applyContentView(
+      graph,
+      args.branch_name,
+      contentView
     );
+    const pageDetails = pageInfo(page, total, branchGraph.entities.length);
+    branchGraph.entities = projectEntities(branchGraph.entities, page.fields);
     return {
       content: [
         {
@@ -94,9 +257,20 @@ export class BranchHandlers {
             {
               graph: branchGraph,
               branch: args.branch_name || "main",
+              as_of: asOf,
+              content_view: contentView,
+              page: pageDetails,
               summary: `Branch "${args.branch_name || "main"}" contains ${
-                branchGraph.entities.length
-              } entities and ${branchGraph.relations.length} relations`,
+                pageDetails.total
+              } entities; this page has ${
+                pageDetails.returned
+              } from offset ${pageDetails.offset} and ${
+                branchGraph.relations.length
+              } relations${
+                branchGraph.crossContext
+                  ? `, linked to ${branchGraph.crossContext.entities.length} entities in other branches`
+                  : ""
+              }`,
             },
             null,
             2
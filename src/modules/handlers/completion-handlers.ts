@@ -0,0 +1,59 @@
+import { getTemplateCompletions } from "../smart-memory-tools.js";
+
+// MCP caps completion responses at 100 values
+const MAX_COMPLETION_VALUES = 100;
+
+/**
+ * Argument Completion Handlers
+ * Completes the branch and entity names in the memory resource templates
+ * (memory://branches/{branch_name}/entities/{entity_name})
+ */
+export class CompletionHandlers {
+  private memoryManager: any;
+
+  constructor(memoryManager: any) {
+    this.memoryManager = memoryManager;
+  }
+
+  async handleComplete(params: any): Promise<any> {
+    const argumentName: string = params?.argument?.name || "";
+    const value: string = params?.argument?.value || "";
+    const context: Record<string, string> = params?.context?.arguments || {};
+
+    // Only the memory resource templates are completable: this server
+    // declares no prompts, and tool arguments cannot be referenced
+    const completions =
+      params?.ref?.type === "ref/resource"
+        ? getTemplateCompletions(params.ref.uri)
+        : new Map();
+
+    let values: string[] = [];
+    switch (completions.get(argumentName)) {
+      case "entity":
+        values = await this.memoryManager.listEntityNames(
+          value,
+          context.branch_name,
+          MAX_COMPLETION_VALUES + 1
+        );
+        break;
+      case "branch": {
+        const branches = await this.memoryManager.listBranches();
+        values = branches
+          .map((b: any) => b.name as string)
+          .filter((name: string) =>
+            name.toLowerCase().startsWith(value.toLowerCase())
+          );
+        break;
+      }
+    }
+
+    const hasMore = values.length > MAX_COMPLETION_VALUES;
+    return {
+      completion: {
+        values: values.slice(0, MAX_COMPLETION_VALUES),
+        total: hasMore ? undefined : values.length,
+        hasMore,
+      },
+    };
+  }
+}
@@ -0,0 +1,106 @@
+import { CrossContext, EntityStatus } from "../../memory-types.js";
+
+/**
+ * Cross-Reference Handlers
+ * Handles links between entities that live in different memory branches
+ */
+export class CrossReferenceHandlers {
+  private memoryManager: any;
+
+  constructor(memoryManager: any) {
+    this.memoryManager = memoryManager;
+  }
+
+  async handleCreateCrossReference(args: any): Promise<any> {
+    if (!args.entity_name || !args.target_branch) {
+      throw new Error("entity_name and target_branch are required");
+    }
+    if (
+      !Array.isArray(args.target_entity_names) ||
+      args.target_entity_names.length === 0
+    ) {
+      throw new Error("target_entity_names must be a non-empty array");
+    }
+
+    await this.memoryManager.createCrossReference(
+      args.entity_name as string,
+      args.target_branch as string,
+      args.target_entity_names as string[],
+      args.source_branch as string
+    );
+
+    // Report what was actually linked - unknown targets are skipped
+    const entity = await this.memoryManager.findEntityByName(
+      args.entity_name as string,
+      args.source_branch || "main"
+    );
+    const linked: string[] =
+      entity?.crossRefs?.find(
+        (ref: any) => ref.memoryBranch === args.target_branch
+      )?.entityNames || [];
+    const skipped = (args.target_entity_names as string[]).filter(
+      (name) => !linked.includes(name)
+    );
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              entity_name: args.entity_name,
+              source_branch: args.source_branch || "main",
+              target_branch: args.target_branch,
+              linked_entities: linked,
+              skipped_entities: skipped,
+              cross_references: entity?.crossRefs || [],
+              message: `Linked "${args.entity_name}" to ${
+                linked.length
+              } entities in branch "${args.target_branch}"${
+                skipped.length > 0
+                  ? ` (${skipped.length} not found and skipped)`
+                  : ""
+              }`,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  async handleGetCrossContext(args: any): Promise<any> {
+    if (args.entity_names !== undefined && !Array.isArray(args.entity_names)) {
+      throw new Error("entity_names must be an array");
+    }
+
+    const context: CrossContext = await this.memoryManager.getCrossContext(
+      (args.entity_names as string[]) || [],
+      args.source_branch as string,
+      args.include_statuses as EntityStatus[]
+    );
+    const branches = new Set(context.entities.map((e) => e.branch));
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              context,
+              source_branch: args.source_branch || "main",
+              summary: `Cross context links ${
+                context.entities.length
+              } entities across ${branches.size} branches with ${
+                context.relations.length
+              } relations`,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+}
@@ -1,7 +1,27 @@
-import { Entity, EntityStatus, Relation } from "../../memory-types.js";
+import {
+  AliasUpdateResult,
+  AutoCreatedRelation,
+  Entity,
+  EntityMergeResult,
+  EntityStatus,
+  MoveResult,
+  ObservationDeletionResult,
+  Relation,
+  RelationshipJob,
+  StatedRelation,
+} from "../../memory-types.js";
 import { logger } from "../logger.js";
+import { STATED_CONFIDENCE } from "../relationship-indexer.js";
+import { RelationshipJobs } from "../relationship-jobs.js";
 import { ModernSimilarityEngine } from "../similarity/similarity-engine.js";
 
+// Keyword neighbours each entity is compared with when looking for duplicates
+const DUPLICATE_CANDIDATES = 50;
+
+// Entities mentioning a new or renamed entity checked for the relations
+// their observations state about it
+const MENTIONING_CANDIDATES = 50;
+
 /**
  * Entity Management Handlers
  * Handles entity creation, updates, and deletion with automatic similarity detection
@@ -10,6 +30,8 @@ export class EntityHandlers {
   private memoryManager: any;
   private modernSimilarity: ModernSimilarityEngine;
   private relationshipIndexer?: any;
+  // Relationship detection started by create_entities
+  private relationshipJobs = new RelationshipJobs();
 
   constructor(
     memoryManager: any,
@@ -37,135 +59,24 @@ export class EntityHandlers {
       createBranch
     );
 
-    let autoRelationsResults: any[] = [];
+    const autoRelations = args.auto_create_relations !== false;
+    let job: RelationshipJob | undefined;
 
-    // Handle auto_create_relations if enabled (defaults to true in SMART_MEMORY_TOOLS)
-    if (args.auto_create_relations !== false) {
+    // Similarity scoring runs in worker threads; the job is polled with
+    // get_relationship_job so bulk creates return straight away
+    if (autoRelations && createdEntities.length > 0) {
       logger.info("Starting automatic relationship detection...");
+      job = this.relationshipJobs.start(
+        createBranch || "main",
+        createdEntities.map((entity: Entity) => entity.name),
+        () => this.detectAutoRelations(createdEntities, createBranch)
+      );
 
-      try {
-        // Get existing entities from the branch to compare against
-        const branchGraph = await this.memoryManager.readGraph(
-          createBranch,
-          ["active", "draft"], // Include both active and draft entities for comparison
-          false // Don't include cross-context for similarity detection
-        );
-
-        const existingEntities = branchGraph.entities;
-        let totalRelationsCreated = 0;
-
-        // Process each created entity for similarity detection
-        for (const newEntity of createdEntities) {
-          logger.debug(`Analyzing "${newEntity.name}" for similar entities...`);
-
-          // Use statistical similarity engine to detect similar entities
-          const similarEntities =
-            await this.modernSimilarity.detectSimilarEntities(
-              newEntity,
-              existingEntities.filter((e: Entity) => e.name !== newEntity.name) // Exclude self
-            );
-
-          if (similarEntities.length > 0) {
-            logger.info(
-              `Found ${similarEntities.length} similar entities for "${newEntity.name}"`
-            );
-
-            // Create relationships with high-confidence matches
-            const relationsToCreate: Relation[] = [];
-
-            for (const match of similarEntities) {
-              // Only auto-create relationships for high confidence matches
-              logger.debug(
-                `Match: "${
-                  match.entity.name
-                }" similarity=${match.similarity.toFixed(3)} confidence=${
-                  match.confidence
-                } type=${match.suggestedRelationType}`
-              );
-              if (match.confidence === "high" || match.similarity > 0.5) {
-                relationsToCreate.push({
-                  from: newEntity.name,
-                  to: match.entity.name,
-                  relationType: match.suggestedRelationType,
-                });
-
-                autoRelationsResults.push({
-                  from: newEntity.name,
-                  to: match.entity.name,
-                  relationType: match.suggestedRelationType,
-                  similarity_score: match.similarity,
-                  confidence: match.confidence,
-                  reasoning: match.reasoning,
-                  auto_created: true,
-                });
-              } else {
-                // Log medium/low confidence matches for reference
-                autoRelationsResults.push({
-                  from: newEntity.name,
-                  to: match.entity.name,
-                  relationType: match.suggestedRelationType,
-                  similarity_score: match.similarity,
-                  confidence: match.confidence,
-                  reasoning: match.reasoning,
-                  auto_created: false,
-                  note: "Low confidence - relation suggested but not auto-created",
-                });
-              }
-            }
-
-            // Create the high-confidence relations
-            if (relationsToCreate.length > 0) {
-              const createdRelations = await this.memoryManager.createRelations(
-                relationsToCreate,
-                createBranch
-              );
-              totalRelationsCreated += createdRelations.length;
-              logger.info(
-                `Auto-created ${createdRelations.length} high-confidence relations for "${newEntity.name}"`
-              );
-            }
-          } else {
-            logger.info(`No similar entities found for "${newEntity.name}"`);
-            logger.debug(
-              `Similarity analysis for "${newEntity.name}": found ${similarEntities.length} candidates, threshold: 0.78`
-            );
-            autoRelationsResults.push({
-              entity: newEntity.name,
-              message: "No similar entities found above similarity threshold",
-              similarity_threshold: 0.5,
-              candidates_analyzed: existingEntities.length,
-              similarity_results: similarEntities.length,
-            });
-          }
-        }
-
-        logger.info(
-          `Auto-relationship detection complete: ${totalRelationsCreated} relations created`
-        );
-
-        // Add summary to results
-        autoRelationsResults.unshift({
-          summary: `Auto-relationship detection complete`,
-          total_relations_created: totalRelationsCreated,
-          entities_processed: createdEntities.length,
-          similarity_engine: "ModernSimilarityEngine",
-          similarity_threshold: 0.65,
-          high_confidence_threshold: 0.85,
-        });
-
-        // Notify background indexer about new entities
-        if (this.relationshipIndexer) {
-          for (const entity of createdEntities) {
-            this.relationshipIndexer.onEntityCreated(entity.name, createBranch);
-          }
+      // Notify background indexer about new entities
+      if (this.relationshipIndexer) {
+        for (const entity of createdEntities) {
+          this.relationshipIndexer.onEntityCreated(entity.name, createBranch);
         }
-      } catch (error) {
-        logger.error("Error during automatic relationship detection:", error);
-        autoRelationsResults.push({
-          error: "Auto-relationship detection failed",
-          message: error instanceof Error ? error.message : String(error),
-          fallback: "Relations can still be created manually",
-        });
       }
     }
 
@@ -177,13 +88,15 @@ export class EntityHandlers {
             {
               created_entities: createdEntities,
               branch: createBranch || "main",
-              auto_relations_enabled: args.auto_create_relations !== false,
-              auto_relations_results: autoRelationsResults,
+              auto_relations_enabled: autoRelations,
+              ...(job && {
+                auto_relations_job: { job_id: job.id, status: job.status },
+              }),
               message: `Created ${createdEntities.length} entities in branch "${
                 createBranch || "main"
               }"${
-                args.auto_create_relations !== false
-                  ? " with auto-relationship detection enabled"
+                job
+                  ? `; relationship detection is running as job ${job.id}, poll it with get_relationship_job`
                   : ""
               }`,
             },
@@ -195,6 +108,367 @@ export class EntityHandlers {
     };
   }
 
+  async handleGetRelationshipJob(args: any): Promise<any> {
+    if (typeof args.job_id !== "string" || !args.job_id) {
+      throw new Error("job_id is required");
+    }
+    const job = this.relationshipJobs.get(args.job_id);
+    if (!job) {
+      throw new Error(
+        `Relationship job "${args.job_id}" not found; finished jobs are kept until the server restarts or 100 newer ones finish`
+      );
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              job_id: job.id,
+              status: job.status,
+              branch: job.branch,
+              entities: job.entities,
+              started_at: job.startedAt,
+              ...(job.finishedAt && { finished_at: job.finishedAt }),
+              ...(job.results && { auto_relations_results: job.results }),
+              ...(job.error && { error: job.error }),
+              message:
+                job.status === "running"
+                  ? "Relationship detection is still running; poll again shortly"
+                  : `Relationship detection ${job.status}`,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Compare each created entity with the rest of its branch, create the
+   * relations to confident matches and report every match. Pairs rejected
+   * in review are not related again; the relations created are recorded
+   * as accepted suggestions, so deleting one later counts as a rejection.
+   */
+  private async detectAutoRelations(
+    createdEntities: Entity[],
+    createBranch: string | undefined
+  ): Promise<any[]> {
+    const autoRelationsResults: any[] = [];
+
+    // Get existing entities from the branch to compare against
+    const branchGraph = await this.memoryManager.readGraph(
+      createBranch,
+      ["active", "draft"], // Include both active and draft entities for comparison
+      false // Don't include cross-context for similarity detection
+    );
+
+    const existingEntities = branchGraph.entities;
+    let totalRelationsCreated = 0;
+
+    // Process each created entity for similarity detection
+    for (const newEntity of createdEntities) {
+      logger.debug(`Analyzing "${newEntity.name}" for similar entities...`);
+      const rejected = new Set<string>(
+        this.memoryManager.rejectedRelationPartners(
+          newEntity.name,
+          createBranch
+        )
+      );
+      const autoCreated: AutoCreatedRelation[] = [];
+
+      // Use statistical similarity engine to detect similar entities
+      const similarEntities = await this.modernSimilarity.detectSimilarEntities(
+        newEntity,
+        existingEntities.filter((e: Entity) => e.name !== newEntity.name) // Exclude self
+      );
+
+      if (similarEntities.length > 0) {
+        logger.info(
+          `Found ${similarEntities.length} similar entities for "${newEntity.name}"`
+        );
+
+        // Create relationships with high-confidence matches
+        const relationsToCreate: AutoCreatedRelation[] = [];
+
+        for (const match of similarEntities) {
+          // Only auto-create relationships for high confidence matches
+          logger.debug(
+            `Match: "${
+              match.entity.name
+            }" similarity=${match.similarity.toFixed(3)} confidence=${
+              match.confidence
+            } type=${match.suggestedRelationType}`
+          );
+          if (rejected.has(match.entity.name)) {
+            autoRelationsResults.push({
+              from: newEntity.name,
+              to: match.entity.name,
+              relationType: match.suggestedRelationType,
+              similarity_score: match.similarity,
+              confidence: match.confidence,
+              reasoning: match.reasoning,
+              ...(match.evidence && { evidence: match.evidence }),
+              auto_created: false,
+              note: "Rejected in review before - not created",
+            });
+          } else if (match.confidence === "high" || match.similarity > 0.5) {
+            relationsToCreate.push({
+              from: newEntity.name,
+              to: match.entity.name,
+              relationType: match.suggestedRelationType,
+              confidence: match.similarity,
+              features: match.features,
+              ...(match.evidence && { evidence: match.evidence }),
+            });
+
+            autoRelationsResults.push({
+              from: newEntity.name,
+              to: match.entity.name,
+              relationType: match.suggestedRelationType,
+              similarity_score: match.similarity,
+              confidence: match.confidence,
+              reasoning: match.reasoning,
+              ...(match.evidence && { evidence: match.evidence }),
+              auto_created: true,
+            });
+          } else {
+            // Log medium/low confidence matches for reference
+            autoRelationsResults.push({
+              from: newEntity.name,
+              to: match.entity.name,
+              relationType: match.suggestedRelationType,
+              similarity_score: match.similarity,
+              confidence: match.confidence,
+              reasoning: match.reasoning,
+              ...(match.evidence && { evidence: match.evidence }),
+              auto_created: false,
+              note: "Low confidence - relation suggested but not auto-created",
+            });
+          }
+        }
+
+        // Create the high-confidence relations
+        if (relationsToCreate.length > 0) {
+          const createdRelations: Relation[] =
+            await this.memoryManager.createRelations(
+              relationsToCreate.map(({ from, to, relationType }) => ({
+                from,
+                to,
+                relationType,
+              })),
+              createBranch
+            );
+          autoCreated.push(
+            ...relationsToCreate.filter((relation) =>
+              createdRelations.some(
+                (created) =>
+                  created.from === relation.from && created.to === relation.to
+              )
+            )
+          );
+          totalRelationsCreated += createdRelations.length;
+          logger.info(
+            `Auto-created ${createdRelations.length} high-confidence relations for "${newEntity.name}"`
+          );
+        }
+      } else {
+        logger.info(`No similar entities found for "${newEntity.name}"`);
+        logger.debug(
+          `Similarity analysis for "${newEntity.name}": found ${similarEntities.length} candidates, threshold: 0.78`
+        );
+        autoRelationsResults.push({
+          entity: newEntity.name,
+          message: "No similar entities found above similarity threshold",
+          similarity_threshold: 0.5,
+          candidates_analyzed: existingEntities.length,
+          similarity_results: similarEntities.length,
+        });
+      }
+
+      // Relations stated in words ("calls PaymentGateway") are created
+      // whatever the similarity: those in its own observations, and those
+      // in the observations of existing entities that mention it, written
+      // before it existed
+      const createdNames = new Set(createdEntities.map((e) => e.name));
+      const mentioning = new Set<string>(
+        this.memoryManager.findEntitiesMentioning(
+          newEntity.name,
+          createBranch,
+          ["active", "draft"],
+          MENTIONING_CANDIDATES
+        )
+      );
+      const statedRelations = [
+        ...this.modernSimilarity.extractStatedRelations(
+          newEntity,
+          existingEntities
+        ),
+        ...existingEntities
+          .filter(
+            (e: Entity) => mentioning.has(e.name) && !createdNames.has(e.name)
+          )
+          .flatMap((e: Entity) =>
+            this.modernSimilarity.extractStatedRelations(e, [newEntity])
+          ),
+      ].filter(
+        (relation) =>
+          !autoRelationsResults.some(
+            (result) =>
+              result.auto_created &&
+              result.from === relation.from &&
+              result.to === relation.to
+          )
+      );
+      const stated = await this.createStatedRelations(
+        newEntity.name,
+        statedRelations,
+        branchGraph.relations,
+        rejected,
+        createBranch
+      );
+      totalRelationsCreated += stated.created.length;
+      autoRelationsResults.push(...stated.results);
+      autoCreated.push(...stated.autoCreated);
+      branchGraph.relations.push(...stated.created);
+      this.memoryManager.recordAutoCreatedRelations(createBranch, autoCreated);
+    }
+
+    logger.info(
+      `Auto-relationship detection complete: ${totalRelationsCreated} relations created`
+    );
+
+    // Add summary to results
+    autoRelationsResults.unshift({
+      summary: `Auto-relationship detection complete`,
+      total_relations_created: totalRelationsCreated,
+      entities_processed: createdEntities.length,
+      similarity_engine: "ModernSimilarityEngine",
+      similarity_threshold: 0.65,
+      high_confidence_threshold: 0.85,
+    });
+
+    return autoRelationsResults;
+  }
+
+  /**
+   * Create the stated relations involving an entity, unless they already
+   * exist or the pair was rejected in review, and report every one; the
+   * rest are stated about other entities and only reported
+   */
+  private async createStatedRelations(
+    entityName: string,
+    statedRelations: StatedRelation[],
+    existingRelations: Relation[],
+    rejected: Set<string>,
+    branch: string | undefined
+  ): Promise<{
+    created: Relation[];
+    autoCreated: AutoCreatedRelation[];
+    results: any[];
+  }> {
+    const sameAs = (a: Relation) => (b: Relation) =>
+      a.from === b.from && a.to === b.to && a.relationType === b.relationType;
+    const exists = (relation: Relation) =>
+      existingRelations.some(sameAs(relation));
+    const involved = (relation: Relation) =>
+      relation.from === entityName || relation.to === entityName;
+    const partner = (relation: Relation) =>
+      relation.from === entityName ? relation.to : relation.from;
+
+    // The same relation can be stated at both ends
+    const unique = statedRelations.filter(
+      (relation, i) => statedRelations.findIndex(sameAs(relation)) === i
+    );
+    const toCreate = unique
+      .filter(
+        (relation) =>
+          involved(relation) &&
+          !rejected.has(partner(relation)) &&
+          !exists(relation)
+      )
+      .map(({ from, to, relationType }) => ({ from, to, relationType }));
+    const created: Relation[] =
+      toCreate.length > 0
+        ? await this.memoryManager.createRelations(toCreate, branch)
+        : [];
+
+    const autoCreated: AutoCreatedRelation[] = [];
+    const results = unique.map((relation) => {
+      const isCreated = created.some(sameAs(relation));
+      let note: string | undefined;
+      if (isCreated) {
+        autoCreated.push({
+          from: relation.from,
+          to: relation.to,
+          relationType: relation.relationType,
+          confidence: STATED_CONFIDENCE,
+          evidence: relation.evidence,
+        });
+      } else {
+        note = toCreate.some(sameAs(relation))
+          ? "Not created - an endpoint was not found"
+          : exists(relation)
+            ? "Relation already exists"
+            : !involved(relation)
+              ? `Stated about entities other than "${entityName}" - suggested but not auto-created`
+              : "Rejected in review before - not created";
+      }
+      return {
+        from: relation.from,
+        to: relation.to,
+        relationType: relation.relationType,
+        confidence: "high",
+        reasoning: `Stated in an observation: "${relation.evidence}"`,
+        evidence: relation.evidence,
+        auto_created: isCreated,
+        ...(note && { note }),
+      };
+    });
+    return { created, autoCreated, results };
+  }
+
+  /**
+   * Create the relations other entities' observations state about an
+   * entity under its current name, as create_entities does
+   */
+  private async relateMentioningEntities(
+    entityName: string,
+    branch: string | undefined
+  ): Promise<any[]> {
+    const mentioning: string[] = this.memoryManager.findEntitiesMentioning(
+      entityName,
+      branch,
+      ["active", "draft"],
+      MENTIONING_CANDIDATES
+    );
+    if (mentioning.length === 0) return [];
+
+    const graph = await this.memoryManager.openNodes(
+      [entityName, ...mentioning],
+      branch,
+      ["active", "draft"],
+      false
+    );
+    const entity = graph.entities.find((e: Entity) => e.name === entityName);
+    if (!entity) return [];
+    const stated = await this.createStatedRelations(
+      entityName,
+      graph.entities
+        .filter((e: Entity) => e.name !== entityName)
+        .flatMap((e: Entity) =>
+          this.modernSimilarity.extractStatedRelations(e, [entity])
+        ),
+      graph.relations,
+      new Set(this.memoryManager.rejectedRelationPartners(entityName, branch)),
+      branch
+    );
+    this.memoryManager.recordAutoCreatedRelations(branch, stated.autoCreated);
+    return stated.results;
+  }
+
   async handleAddObservations(args: any): Promise<any> {
     if (!args.observations) {
       throw new Error("observations array is required");
@@ -282,4 +556,338 @@ export class EntityHandlers {
       ],
     };
   }
+
+  async handleRenameEntity(args: any): Promise<any> {
+    const newName = (args.new_name || "").toString().trim();
+    if (!args.entity_name || !newName) {
+      throw new Error("entity_name and new_name are required");
+    }
+    if (newName === args.entity_name) {
+      throw new Error("new_name must differ from entity_name");
+    }
+
+    const entity = await this.memoryManager.renameEntity(
+      args.entity_name as string,
+      newName,
+      args.branch_name as string
+    );
+    this.relationshipIndexer?.onEntityCreated(newName, args.branch_name);
+    const statedRelations = await this.relateMentioningEntities(
+      newName,
+      args.branch_name
+    );
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              entity,
+              previous_name: args.entity_name,
+              branch: args.branch_name || "main",
+              ...(statedRelations.length > 0 && {
+                stated_relations: statedRelations,
+              }),
+              message: `Renamed "${args.entity_name}" to "${newName}"`,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  async handleMoveEntities(args: any): Promise<any> {
+    if (!Array.isArray(args.entity_names) || args.entity_names.length === 0) {
+      throw new Error("entity_names must be a non-empty array");
+    }
+    if (!args.target_branch) {
+      throw new Error("target_branch is required");
+    }
+
+    const result: MoveResult = await this.memoryManager.moveEntities(
+      args.entity_names as string[],
+      args.source_branch || "main",
+      args.target_branch as string
+    );
+    for (const name of result.moved) {
+      this.relationshipIndexer?.onEntityCreated(name, args.target_branch);
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              ...result,
+              message: `Moved ${result.moved.length} of ${
+                (args.entity_names as string[]).length
+              } entities to "${args.target_branch}"${
+                result.unmovedRelations.length > 0
+                  ? `; ${result.unmovedRelations.length} relations kept as cross-references`
+                  : ""
+              }`,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  async handleUpdateEntityAliases(args: any): Promise<any> {
+    if (!args.entity_name) {
+      throw new Error("entity_name is required");
+    }
+    const add = (args.add_aliases || []) as string[];
+    const remove = (args.remove_aliases || []) as string[];
+    if (!Array.isArray(add) || !Array.isArray(remove)) {
+      throw new Error("add_aliases and remove_aliases must be arrays");
+    }
+    if (add.length === 0 && remove.length === 0) {
+      throw new Error("Provide add_aliases or remove_aliases");
+    }
+
+    const result: AliasUpdateResult =
+      await this.memoryManager.updateEntityAliases(
+        args.entity_name as string,
+        add,
+        remove,
+        args.branch_name as string
+      );
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              ...result,
+              branch: args.branch_name || "main",
+              message: `Added ${result.added.length} and removed ${
+                result.removed.length
+              } aliases of "${result.entity.name}"${
+                result.skipped.length > 0
+                  ? `; skipped ${result.skipped.length}`
+                  : ""
+              }`,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  async handleFindDuplicateEntities(args: any): Promise<any> {
+    const threshold =
+      args.threshold === undefined ? 0.8 : Number(args.threshold);
+    if (!(threshold > 0 && threshold <= 1)) {
+      throw new Error("threshold must be a number between 0 and 1");
+    }
+
+    const graph = await this.memoryManager.readGraph(
+      args.branch_name as string,
+      args.include_statuses as EntityStatus[],
+      false
+    );
+    const entities = args.entity_type
+      ? graph.entities.filter(
+          (e: Entity) => e.entityType === (args.entity_type as string)
+        )
+      : graph.entities;
+    const clusters = await this.modernSimilarity.findDuplicateClusters(
+      entities,
+      threshold,
+      (entity) =>
+        this.memoryManager.findRelationCandidates(
+          entity.name,
+          args.branch_name as string,
+          args.include_statuses as EntityStatus[],
+          DUPLICATE_CANDIDATES
+        )
+    );
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              clusters,
+              branch: args.branch_name || "main",
+              threshold,
+              entities_compared: entities.length,
+              message:
+                clusters.length > 0
+                  ? `Found ${clusters.length} clusters of likely duplicates; merge them with merge_entities`
+                  : "No likely duplicates found",
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  async handleMergeEntities(args: any): Promise<any> {
+    if (!args.keep) {
+      throw new Error("keep is required");
+    }
+    if (!Array.isArray(args.merge) || args.merge.length === 0) {
+      throw new Error("merge must be a non-empty array");
+    }
+
+    const result: EntityMergeResult = await this.memoryManager.mergeEntities(
+      args.keep as string,
+      args.merge as string[],
+      args.branch_name as string
+    );
+    if (result.merged.length > 0) {
+      this.relationshipIndexer?.onEntityCreated(
+        result.kept.name,
+        args.branch_name
+      );
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              ...result,
+              branch: args.branch_name || "main",
+              message: `Merged ${result.merged.length} of ${
+                (args.merge as string[]).length
+              } entities into "${result.kept.name}" (${
+                result.addedObservations.length
+              } new observations, ${result.repointedRelations} relations re-pointed)`,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  async handleOpenEntities(args: any): Promise<any> {
+    if (!Array.isArray(args.entity_names) || args.entity_names.length === 0) {
+      throw new Error("entity_names must be a non-empty array");
+    }
+    const contentView = this.memoryManager.getContentView(
+      args.branch_name,
+      args.content_view
+    );
+    const graph = await this.memoryManager.applyContentView(
+      await this.memoryManager.openNodes(
+        args.entity_names as string[],
+        args.branch_name as string,
+        args.include_statuses as EntityStatus[],
+        args.include_auto_context !== false
+      ),
+      args.branch_name,
+      contentView
+    );
+    // Names may also be aliases of the returned entities
+    const notFound = (args.entity_names as string[]).filter(
+      (name) =>
+        !graph.entities.some(
+          (e: Entity) =>
+            e.name === name ||
+            e.aliases?.some((a) => a.toLowerCase() === name.toLowerCase())
+        )
+    );
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              graph,
+              branch: args.branch_name || "main",
+              content_view: contentView,
+              not_found: notFound,
+              summary: `Opened ${graph.entities.length} of ${
+                (args.entity_names as string[]).length
+              } entities with ${graph.relations.length} relations${
+                graph.crossContext
+                  ? ` and ${graph.crossContext.entities.length} cross-referenced entities`
+                  : ""
+              }`,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  async handleDeleteObservations(args: any): Promise<any> {
+    if (!Array.isArray(args.deletions) || args.deletions.length === 0) {
+      throw new Error("deletions must be a non-empty array");
+    }
+    for (const deletion of args.deletions) {
+      if (!deletion?.entityName || !Array.isArray(deletion.observations)) {
+        throw new Error(
+          "each deletion requires entityName and an observations array"
+        );
+      }
+    }
+    const results: ObservationDeletionResult[] =
+      await this.memoryManager.deleteObservations(
+        args.deletions,
+        args.branch_name as string
+      );
+    const total = results.reduce((sum, result) => sum + result.deleted, 0);
+    const missingEntities = results
+      .filter((result) => !result.found)
+      .map((result) => result.entityName);
+    const missingObservations = results
+      .filter((result) => result.found && result.notFound.length > 0)
+      .map((result) => ({
+        entityName: result.entityName,
+        observations: result.notFound,
+      }));
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              deletions: results
+                .filter((result) => result.deleted > 0)
+                .map((result) => ({
+                  entityName: result.entityName,
+                  deleted: result.deleted,
+                  observations: result.deletedObservations,
+                })),
+              not_found: {
+                entities: missingEntities,
+                observations: missingObservations,
+              },
+              branch: args.branch_name || "main",
+              message: `Deleted ${total} observations from ${
+                results.filter((result) => result.deleted > 0).length
+              } entities in branch "${args.branch_name || "main"}"${
+                missingEntities.length + missingObservations.length > 0
+                  ? "; some entities or observations were not found"
+                  : ""
+              }`,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
 }
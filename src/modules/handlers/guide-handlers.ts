@@ -0,0 +1,95 @@
+/**
+ * Usage Guide Handlers
+ * Serves the memory_usage_guide tool with topic-focused guidance
+ */
+
+const USAGE_GUIDE: Record<string, string[]> = {
+  overview: [
+    "Memory is a knowledge graph of entities (name, type, observations, status) and typed relations between them.",
+    "Entities live in branches. 'main' always exists; create more with create_memory_branch.",
+    "Start a session with list_memory_branches, then smart_search or read_memory_branch to load context.",
+    "Record new knowledge with create_entities and add_observations; fix mistakes with delete_observations.",
+    "create_entities returns before relationship detection finishes; poll get_relationship_job with its auto_relations_job.job_id to see the relations it created.",
+    "Branches and entities are also resources: memory://branches/{branch_name} and memory://branches/{branch_name}/entities/{entity_name}, with branch and entity names completable.",
+  ],
+  branching: [
+    "Use one branch per domain (e.g. 'frontend', 'backend', 'security') to keep searches focused.",
+    "suggest_memory_branch picks an existing branch for new content when you are unsure.",
+    "Leave branch_name empty on create_entities to let the server suggest one.",
+    "delete_memory_branch removes a branch and everything in it; 'main' cannot be deleted.",
+    "Experiment safely: fork_memory_branch copies a branch, diff_memory_branches shows what changed, merge_memory_branch brings it back (strategy ours, theirs or union).",
+  ],
+  "cross-references": [
+    "Relations (create_relations) connect entities inside one branch.",
+    "Cross-references (create_cross_reference) connect an entity to entities in another branch.",
+    "get_cross_context follows cross-references in both directions and returns the linked entities with their branch, link direction and relations.",
+    "open_entities and read_memory_branch include cross-referenced entities unless include_auto_context is false.",
+    "The background indexer proposes relations between similar entities: review them with list_relation_suggestions, then accept_relation_suggestion (optionally with another relation_type) or reject_relation_suggestion. Rejected pairs are never proposed or auto-created again.",
+    "Observations that name another entity after a verb are read as typed relations: 'calls PaymentGateway' (calls), 'depends on AuthService' (depends_on), 'implements PaymentProvider' (implements), 'uses Redis for caching' (stores_in), 'replaces LegacyBilling' (replaces). Negated verbs ('does not use', 'no longer calls') are skipped. create_entities creates the ones involving the new entity, including those stated earlier by entities that mention it, and rename_entity does the same for the new name; suggestions carry the sentence as evidence.",
+    "Reviews teach the similarity scoring, and so do the relations create_entities makes on its own: each counts as accepted until delete_relations removes it, which counts as rejected. After 10 or more, weights and thresholds are refitted to them per project; get_similarity_calibration shows the current ones and their held-out precision and recall.",
+  ],
+  search: [
+    "smart_search matches entity names, types and observations; pass branch_name '*' to search every branch.",
+    'Query syntax: any of the words may match (as prefixes), entities matching more of them first; "quoted phrases" match exactly; AND requires terms, OR / NOT / -word / (groups) combine them, and type:, status:, branch:, name:, updated: and created: filter, e.g. type:Service "rate limit" -legacy updated:>2026-01-01.',
+    "Only 'active' entities are returned unless include_statuses says otherwise.",
+    "Hits are ranked by BM25 over names, types, observations and aliases, boosted for recent updates and damped for deprecated or archived status; explain: true shows the score components.",
+    "Results come in pages: limit (default 50 for smart_search, 100 for read_memory_branch), offset or the returned page.next_cursor, sort_by (relevance, updated, name, created) and fields to trim each entity; page.total counts every match.",
+    "mode: 'semantic' ranks by offline vector similarity instead of exact words; mode: 'hybrid' fuses it with the keyword ranking and is the best default when wording varies.",
+    "Every smart_search response has a 'matches' section: per hit the match_fields, a snippet and the observations that mention a query term, with terms wrapped in **; snippets_only: true returns just that.",
+    "Typos are tolerated: when nothing matches, misspelled words are corrected (kubernets -> kubernetes), the results of the corrected query come back and 'did_you_mean' lists the corrections; fuzzy: false turns this off.",
+    "facets: true counts all matches by entity_type, status, branch, relation_type and updated bucket; use it on broad queries, then narrow with the matching filter.",
+    "Query words are expanded with the project synonyms (update_synonyms, e.g. k8s = kubernetes); synonym matches rank below the typed word and the response lists the applied expansions.",
+    "context_depth (1-3) sets how many relation hops are walked from the hits; neighbors come back in a separate 'context' section.",
+    "get_context packs the best matches for a query (or named entities) and their neighbors into max_tokens, as Markdown or JSON, trimming the least relevant observations first.",
+    "open_entities is the fastest way to fetch entities whose exact names you know.",
+    "Aliases (update_entity_aliases, or 'aliases' on create_entities) let abbreviations and alternative names resolve to the same entity in lookups, relations and search.",
+  ],
+  examples: [
+    'create_entities: {"entities": [{"name": "AuthService", "entityType": "Service", "observations": ["Issues JWT tokens"]}], "branch_name": "backend"}',
+    'create_relations: {"relations": [{"from": "LoginForm", "to": "AuthService", "relationType": "calls"}], "branch_name": "frontend"}',
+    'create_cross_reference: {"entity_name": "LoginForm", "source_branch": "frontend", "target_branch": "backend", "target_entity_names": ["AuthService"]}',
+    'smart_search: {"query": "token refresh", "branch_name": "*"}',
+    'get_context: {"query": "auth token", "branch_name": "backend", "max_tokens": 800}',
+    'smart_search: {"query": "type:Service status:deprecated \\"rate limit\\" -legacy", "branch_name": "*"}',
+  ],
+  "best-practices": [
+    "Give entities stable, specific names - relations and cross-references refer to them by name. Use rename_entity and move_entities instead of delete-and-recreate.",
+    "Keep observations atomic: one fact per observation makes them easy to delete or update.",
+    "Use update_entity_status to deprecate or archive knowledge instead of deleting it.",
+    "Run find_duplicate_entities now and then; merge_entities folds duplicates together and keeps the old names as aliases.",
+    "Every change is versioned: get_entity_history shows past versions, revert_entity restores one, and read_memory_branch with as_of reads the past.",
+    "Prefer active-voice relation types such as 'depends_on', 'implements' or 'calls'.",
+  ],
+};
+
+export class GuideHandlers {
+  async handleMemoryUsageGuide(args: any): Promise<any> {
+    const topic = args?.topic as string | undefined;
+    if (topic && !USAGE_GUIDE[topic]) {
+      throw new Error(
+        `Unknown topic "${topic}". Available topics: ${Object.keys(
+          USAGE_GUIDE
+        ).join(", ")}`
+      );
+    }
+
+    const guide = topic ? { [topic]: USAGE_GUIDE[topic] } : USAGE_GUIDE;
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              topic: topic || "all",
+              guide,
+              available_topics: Object.keys(USAGE_GUIDE),
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+}
@@ -0,0 +1,84 @@
+import { EntityVersion } from "../../memory-types.js";
+
+/**
+ * Entity History Handlers
+ * Handles version history lookups and reverts
+ */
+export class HistoryHandlers {
+  private memoryManager: any;
+
+  constructor(memoryManager: any) {
+    this.memoryManager = memoryManager;
+  }
+
+  async handleGetEntityHistory(args: any): Promise<any> {
+    if (!args.entity_name) {
+      throw new Error("entity_name is required");
+    }
+
+    const branch = args.branch_name || "main";
+    const versions: EntityVersion[] = await this.memoryManager.getEntityHistory(
+      args.entity_name as string,
+      args.branch_name as string,
+      args.limit as number
+    );
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              entity_name: args.entity_name,
+              branch,
+              versions,
+              summary:
+                versions.length > 0
+                  ? `"${args.entity_name}" has ${
+                      versions.length
+                    } recorded versions, latest is ${versions[0].version} (${
+                      versions[0].operation
+                    })`
+                  : `No history for "${args.entity_name}" in branch "${branch}"`,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  async handleRevertEntity(args: any): Promise<any> {
+    if (!args.entity_name) {
+      throw new Error("entity_name is required");
+    }
+    if (!Number.isInteger(args.version) || args.version < 1) {
+      throw new Error("version must be a positive integer");
+    }
+
+    const entity = await this.memoryManager.revertEntity(
+      args.entity_name as string,
+      args.version as number,
+      args.branch_name as string
+    );
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              entity,
+              branch: args.branch_name || "main",
+              reverted_to_version: args.version,
+              message: `Reverted "${args.entity_name}" to version ${args.version}`,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+}
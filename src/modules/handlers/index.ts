@@ -1,3 +1,9 @@
 export * from "./branch-handlers.js";
+export * from "./completion-handlers.js";
+export * from "./cross-reference-handlers.js";
 export * from "./entity-handlers.js";
+export * from "./guide-handlers.js";
+export * from "./history-handlers.js";
+export * from "./relation-handlers.js";
+export * from "./resource-handlers.js";
 export * from "./search-handlers.js";
@@ -0,0 +1,157 @@
+import { Entity, PageOptions, SortBy } from "../../memory-types.js";
+
+/**
+ * Paging Arguments
+ * Shared limit/offset/cursor/sort_by/fields handling for tools that list
+ * entities
+ */
+
+const MAX_LIMIT = 500;
+const SORT_ORDERS: SortBy[] = ["relevance", "updated", "name", "created"];
+
+// Fields that can be picked with `fields`; the name is always returned
+const ENTITY_FIELDS = [
+  "entityType",
+  "observations",
+  "status",
+  "statusReason",
+  "lastUpdated",
+  "crossRefs",
+  "aliases",
+];
+
+export interface PageRequest extends Required<PageOptions> {
+  fields?: string[];
+}
+
+export interface PageInfo {
+  total: number;
+  offset: number;
+  limit: number;
+  returned: number;
+  sort_by: SortBy;
+  next_cursor: string | null; // Pass back as `cursor` for the next page
+}
+
+/**
+ * Read the paging arguments of a request. Cursors are opaque to callers;
+ * they carry the offset and the sort order they were issued for.
+ */
+export function parsePageArgs(
+  args: any,
+  defaults: { limit: number; sortBy: SortBy; sortOrders?: SortBy[] }
+): PageRequest {
+  const sortOrders = defaults.sortOrders || SORT_ORDERS;
+  const sortBy = (args.sort_by ?? defaults.sortBy) as SortBy;
+  if (!sortOrders.includes(sortBy)) {
+    throw new Error(
+      `sort_by must be one of: ${sortOrders.join(", ")} (got "${args.sort_by}")`
+    );
+  }
+
+  let limit = defaults.limit;
+  if (args.limit !== undefined) {
+    limit = Number(args.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new Error(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+  }
+
+  if (args.offset !== undefined && args.cursor !== undefined) {
+    throw new Error("Pass either offset or cursor, not both");
+  }
+  let offset = 0;
+  if (args.offset !== undefined) {
+    offset = Number(args.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error("offset must be a non-negative integer");
+    }
+  } else if (args.cursor !== undefined) {
+    const cursor = decodeCursor(args.cursor);
+    if (cursor.s !== sortBy) {
+      throw new Error(
+        `cursor was issued for sort_by "${cursor.s}"; pass the same sort_by to continue`
+      );
+    }
+    offset = cursor.o;
+  }
+
+  let fields: string[] | undefined;
+  if (args.fields !== undefined) {
+    if (
+      !Array.isArray(args.fields) ||
+      args.fields.some((f: unknown) => typeof f !== "string")
+    ) {
+      throw new Error("fields must be an array of field names");
+    }
+    const unknown = args.fields.filter(
+      (f: string) => f !== "name" && !ENTITY_FIELDS.includes(f)
+    );
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown fields: ${unknown.join(", ")}. Available fields: name, ${ENTITY_FIELDS.join(", ")}`
+      );
+    }
+    fields = args.fields;
+  }
+
+  return { limit, offset, sortBy, fields };
+}
+
+export function pageInfo(
+  page: PageRequest,
+  total: number,
+  returned: number
+): PageInfo {
+  const next = page.offset + returned;
+  return {
+    total,
+    offset: page.offset,
+    limit: page.limit,
+    returned,
+    sort_by: page.sortBy,
+    next_cursor:
+      returned > 0 && next < total
+        ? encodeCursor({ o: next, s: page.sortBy })
+        : null,
+  };
+}
+
+/**
+ * Keep only the requested fields of each entity (plus its name)
+ */
+export function projectEntities(
+  entities: Entity[],
+  fields?: string[]
+): Partial<Entity>[] {
+  if (!fields) return entities;
+  return entities.map((entity: any) => {
+    const projected: any = { name: entity.name };
+    for (const field of fields) {
+      if (entity[field] !== undefined) projected[field] = entity[field];
+    }
+    return projected;
+  });
+}
+
+function encodeCursor(cursor: { o: number; s: SortBy }): string {
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+function decodeCursor(value: unknown): { o: number; s: SortBy } {
+  try {
+    const cursor = JSON.parse(
+      Buffer.from(String(value), "base64url").toString("utf-8")
+    );
+    if (
+      Number.isInteger(cursor.o) &&
+      cursor.o >= 0 &&
+      SORT_ORDERS.includes(cursor.s)
+    ) {
+      return cursor;
+    }
+  } catch {
+    // Fall through to the error below
+  }
+  throw new Error("Invalid cursor; pass the next_cursor of a previous page");
+}
@@ -0,0 +1,324 @@
+import {
+  Relation,
+  RelationDeletionResult,
+  RelationSuggestion,
+  SimilarityCalibration,
+  SuggestionStatus,
+} from "../../memory-types.js";
+import { logger } from "../logger.js";
+import { MIN_FEEDBACK } from "../similarity/similarity-calibration.js";
+import { pageInfo, parsePageArgs } from "./pagination.js";
+
+const SUGGESTION_STATUSES: SuggestionStatus[] = [
+  "pending",
+  "accepted",
+  "rejected",
+];
+
+/**
+ * Relation Management Handlers
+ * Handles explicit creation and deletion of relationships between entities
+ */
+export class RelationHandlers {
+  private memoryManager: any;
+
+  constructor(memoryManager: any) {
+    this.memoryManager = memoryManager;
+  }
+
+  async handleCreateRelations(args: any): Promise<any> {
+    const { valid, invalid } = this.validateRelations(args.relations);
+    const branch = args.branch_name || "main";
+
+    // One at a time: created relations come back under canonical names, so
+    // only a missing result tells which input was skipped (missing endpoint)
+    const created: Relation[] = [];
+    const skipped: Relation[] = [];
+    for (const relation of valid) {
+      const [result]: Relation[] = await this.memoryManager.createRelations(
+        [relation],
+        args.branch_name as string
+      );
+      if (result) {
+        created.push(result);
+      } else {
+        skipped.push(relation);
+      }
+    }
+    if (skipped.length > 0) {
+      logger.warn(
+        `Skipped ${skipped.length} relations in branch "${branch}" - entities not found`
+      );
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              created_relations: created,
+              skipped_relations: skipped.map((relation) => ({
+                ...relation,
+                reason: `Entity "${relation.from}" or "${relation.to}" not found in branch "${branch}"`,
+              })),
+              invalid_relations: invalid,
+              branch,
+              message: `Created ${created.length} of ${
+                valid.length + invalid.length
+              } relations in branch "${branch}"`,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  async handleDeleteRelations(args: any): Promise<any> {
+    const { valid, invalid } = this.validateRelations(args.relations);
+    const branch = args.branch_name || "main";
+
+    const { deleted, notFound }: RelationDeletionResult =
+      await this.memoryManager.deleteRelations(
+        valid,
+        args.branch_name as string
+      );
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              deleted_relations: deleted,
+              not_found_relations: notFound,
+              invalid_relations: invalid,
+              branch,
+              message: `Deleted ${deleted.length} of ${
+                valid.length
+              } relations from branch "${branch}"${
+                notFound.length > 0 ? `; ${notFound.length} not found` : ""
+              }`,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  async handleListRelationSuggestions(args: any): Promise<any> {
+    const status = (args.status ?? "pending") as SuggestionStatus;
+    if (!SUGGESTION_STATUSES.includes(status)) {
+      throw new Error(
+        `status must be one of: ${SUGGESTION_STATUSES.join(", ")}`
+      );
+    }
+    const page = parsePageArgs(args, {
+      limit: 50,
+      sortBy: "relevance",
+      sortOrders: ["relevance", "created"],
+    });
+    const branchName =
+      args.branch_name === "*" ? undefined : (args.branch_name ?? "main");
+
+    const { suggestions, total } = this.memoryManager.listRelationSuggestions({
+      branchName,
+      entityName: args.entity_name,
+      status,
+      limit: page.limit,
+      offset: page.offset,
+      sortBy: page.sortBy,
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              suggestions: suggestions.map(suggestionView),
+              page: pageInfo(page, total, suggestions.length),
+              branch: args.branch_name === "*" ? "*" : branchName,
+              status,
+              message: `${total} ${status} relation suggestions${
+                args.entity_name ? ` involving "${args.entity_name}"` : ""
+              }`,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  async handleAcceptRelationSuggestion(args: any): Promise<any> {
+    const id = this.suggestionId(args);
+    if (
+      args.relation_type !== undefined &&
+      (typeof args.relation_type !== "string" || !args.relation_type.trim())
+    ) {
+      throw new Error("relation_type must be a non-empty string");
+    }
+
+    const suggestion: RelationSuggestion =
+      await this.memoryManager.acceptRelationSuggestion(
+        id,
+        args.relation_type?.trim()
+      );
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              suggestion: suggestionView(suggestion),
+              created_relation: {
+                from: suggestion.from,
+                to: suggestion.to,
+                relationType: suggestion.relationType,
+              },
+              message: `Created "${suggestion.from}" --${suggestion.relationType}--> "${suggestion.to}" in branch "${suggestion.branch}"`,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  async handleRejectRelationSuggestion(args: any): Promise<any> {
+    const suggestion: RelationSuggestion =
+      this.memoryManager.rejectRelationSuggestion(this.suggestionId(args));
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              suggestion: suggestionView(suggestion),
+              message: `Rejected linking "${suggestion.from}" and "${suggestion.to}"; this pair will not be suggested again`,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  async handleGetSimilarityCalibration(_args: any): Promise<any> {
+    const calibration: SimilarityCalibration =
+      this.memoryManager.getSimilarityCalibration();
+    const { model, feedback, heldOut } = calibration;
+    const reviewed = feedback.accepted + feedback.rejected;
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              source: model.kind === "logistic" ? "fitted" : "default",
+              ...(calibration.fittedAt && {
+                fitted_at: calibration.fittedAt,
+              }),
+              model: model.kind,
+              weights: model.weights,
+              bias: model.bias,
+              thresholds: {
+                similarity: round(model.thresholds.similarity),
+                medium_confidence: round(model.thresholds.medium),
+                high_confidence: round(model.thresholds.high),
+              },
+              feedback: {
+                accepted: feedback.accepted,
+                rejected: feedback.rejected,
+                training: feedback.training,
+                held_out: feedback.heldOut,
+              },
+              ...(heldOut && { held_out: heldOut }),
+              ...(model.kind === "weighted" && {
+                message:
+                  reviewed < MIN_FEEDBACK
+                    ? `Using the default weights; ${
+                        MIN_FEEDBACK - reviewed
+                      } more reviewed suggestions are needed to fit a calibration`
+                    : "Using the default weights until reviews include both accepted and rejected suggestions",
+              }),
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  private suggestionId(args: any): number {
+    const id = Number(args.suggestion_id);
+    if (!Number.isInteger(id) || id < 1) {
+      throw new Error("suggestion_id must be a positive integer");
+    }
+    return id;
+  }
+
+  /**
+   * Split the incoming relations into well-formed ones and rejects with a reason
+   */
+  private validateRelations(relations: any): {
+    valid: Relation[];
+    invalid: Array<{ relation: any; reason: string }>;
+  } {
+    if (!Array.isArray(relations) || relations.length === 0) {
+      throw new Error("relations must be a non-empty array");
+    }
+
+    const valid: Relation[] = [];
+    const invalid: Array<{ relation: any; reason: string }> = [];
+
+    for (const relation of relations) {
+      const missing = ["from", "to", "relationType"].filter(
+        (field) =>
+          typeof relation?.[field] !== "string" || !relation[field].trim()
+      );
+      if (missing.length > 0) {
+        invalid.push({ relation, reason: `Missing ${missing.join(", ")}` });
+        continue;
+      }
+      valid.push({
+        from: relation.from.trim(),
+        to: relation.to.trim(),
+        relationType: relation.relationType.trim(),
+      });
+    }
+
+    return { valid, invalid };
+  }
+}
+
+function suggestionView(suggestion: RelationSuggestion) {
+  return {
+    id: suggestion.id,
+    from: suggestion.from,
+    to: suggestion.to,
+    relation_type: suggestion.relationType,
+    confidence: round(suggestion.confidence),
+    branch: suggestion.branch,
+    status: suggestion.status,
+    created_at: suggestion.createdAt,
+    ...(suggestion.reviewedAt && { reviewed_at: suggestion.reviewedAt }),
+    ...(suggestion.evidence && { evidence: suggestion.evidence }),
+  };
+}
+
+function round(value: number): number {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,89 @@
+import { UriTemplate } from "@modelcontextprotocol/sdk/shared/uriTemplate.js";
+import { MEMORY_RESOURCE_TEMPLATES } from "../smart-memory-tools.js";
+
+const [BRANCH_TEMPLATE, ENTITY_TEMPLATE] = MEMORY_RESOURCE_TEMPLATES.map(
+  (template) => new UriTemplate(template.uriTemplate)
+);
+
+/**
+ * Resource Handlers
+ * Serves branches and entities as memory:// resources, one resource per
+ * branch in the listing and entities through the entity template
+ */
+export class ResourceHandlers {
+  private memoryManager: any;
+
+  constructor(memoryManager: any) {
+    this.memoryManager = memoryManager;
+  }
+
+  async handleListResources(): Promise<any> {
+    const branches = await this.memoryManager.listBranches();
+    return {
+      resources: branches.map((branch: any) => ({
+        uri: BRANCH_TEMPLATE.expand({ branch_name: branch.name }),
+        name: branch.name,
+        description: branch.purpose || `Memory branch "${branch.name}"`,
+        mimeType: "application/json",
+      })),
+    };
+  }
+
+  async handleListResourceTemplates(): Promise<any> {
+    return { resourceTemplates: MEMORY_RESOURCE_TEMPLATES };
+  }
+
+  async handleReadResource(params: any): Promise<any> {
+    const uri: string = params?.uri || "";
+    const entityMatch = ENTITY_TEMPLATE.match(uri);
+    const branchMatch = entityMatch ? null : BRANCH_TEMPLATE.match(uri);
+    if (!entityMatch && !branchMatch) {
+      throw new Error(`Unknown resource URI: ${uri}`);
+    }
+
+    const branchName = decodeVariable(
+      (entityMatch || branchMatch)!.branch_name
+    );
+    const branches = await this.memoryManager.listBranches();
+    if (!branches.some((branch: any) => branch.name === branchName)) {
+      throw new Error(`Memory branch "${branchName}" not found`);
+    }
+
+    let contents: any;
+    if (entityMatch) {
+      const entityName = decodeVariable(entityMatch.entity_name);
+      contents = await this.memoryManager.openNodes(
+        [entityName],
+        branchName,
+        ["active", "draft", "deprecated", "archived"],
+        false
+      );
+      if (contents.entities.length === 0) {
+        throw new Error(
+          `Entity "${entityName}" not found in branch "${branchName}"`
+        );
+      }
+    } else {
+      contents = await this.memoryManager.readGraph(
+        branchName,
+        undefined,
+        false
+      );
+    }
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: "application/json",
+          text: JSON.stringify(contents, null, 2),
+        },
+      ],
+    };
+  }
+}
+
+// Template matches keep the percent-encoding that expand() applied
+function decodeVariable(value: string | string[]): string {
+  return decodeURIComponent(String(value));
+}
@@ -1,6 +1,17 @@
-import { Entity, EntityStatus, Relation } from "../../memory-types.js";
+import {
+  Entity,
+  EntityStatus,
+  PackedContext,
+  Relation,
+  SearchFacets,
+  SearchMatch,
+} from "../../memory-types.js";
 import { logger } from "../logger.js";
 import { ModernSimilarityEngine } from "../similarity/similarity-engine.js";
+import { pageInfo, parsePageArgs, projectEntities } from "./pagination.js";
+
+// Keyword neighbours of each hit compared with it for similar entities
+const SIMILAR_CANDIDATES = 20;
 
 /**
  * Search and Query Handlers
@@ -26,11 +37,23 @@ export class SearchHandlers {
       );
     }
 
-    const contextDepth = args.context_depth || 2;
+    const contextDepth = Math.max(
+      1,
+      Math.min(Number(args.context_depth) || 2, 3)
+    );
     const searchAllBranches = args.branch_name === "*";
     const branchToSearch = searchAllBranches
       ? undefined
       : (args.branch_name as string);
+    const contentView = this.memoryManager.getContentView(
+      args.branch_name,
+      args.content_view
+    );
+    const page = parsePageArgs(args, { limit: 50, sortBy: "relevance" });
+    const mode = args.mode ?? "keyword";
+    if (!["keyword", "semantic", "hybrid"].includes(mode)) {
+      throw new Error("mode must be 'keyword', 'semantic' or 'hybrid'");
+    }
 
     logger.info(
       `Smart search ${
@@ -45,8 +68,88 @@ export class SearchHandlers {
       args.query as string,
       branchToSearch,
       args.include_statuses as EntityStatus[],
-      true // Always enable auto cross context for smart search
+      true, // Always enable auto cross context for smart search
+      {
+        explain: args.explain === true,
+        mode,
+        matches: true,
+        facets: args.facets === true,
+        fuzzy: args.fuzzy !== false,
+        limit: page.limit,
+        offset: page.offset,
+        sortBy: page.sortBy,
+      }
     );
+    // Scores, matches and paging cover the ranked hits only, not entities
+    // added below
+    const scores = searchResults.scores;
+    const expansions = searchResults.expansions;
+    const didYouMean = searchResults.didYouMean as string[] | undefined;
+    const correctedNote = didYouMean
+      ? `; nothing matched "${args.query}", showing results for "${didYouMean[0]}"`
+      : "";
+    const facets = searchResults.facets as SearchFacets | undefined;
+    const facetSection = facets && {
+      entity_type: facets.entityType,
+      status: facets.status,
+      branch: facets.branch,
+      relation_type: facets.relationType,
+      updated: facets.updated,
+    };
+    const matches = (searchResults.matches as SearchMatch[]).map((match) => ({
+      entity: match.entity,
+      branch: match.branch,
+      match_fields: match.matchFields,
+      snippet: match.snippet,
+      observations: match.observations,
+    }));
+    const pageDetails = pageInfo(
+      page,
+      searchResults.total,
+      searchResults.entities.length
+    );
+    delete searchResults.scores;
+    delete searchResults.matches;
+    delete searchResults.total;
+    delete searchResults.expansions;
+    delete searchResults.facets;
+    delete searchResults.didYouMean;
+
+    // Just the matching lines: no full entities, similar entities or context
+    if (args.snippets_only === true) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                matches,
+                branch_searched: args.branch_name,
+                query: args.query,
+                ...(didYouMean && { did_you_mean: didYouMean }),
+                mode,
+                ...(expansions && { expansions }),
+                page: pageDetails,
+                ...(facetSection && { facets: facetSection }),
+                ...(scores && { scores }),
+                search_type: "smart_search",
+                summary: `Smart search found ${
+                  pageDetails.total
+                } matching entities (returning ${
+                  pageDetails.returned
+                } from offset ${pageDetails.offset}) in ${
+                  searchAllBranches
+                    ? "all branches"
+                    : `branch "${args.branch_name}"`
+                }${correctedNote}`,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    }
 
     // Enhance with similarity engine for related entity detection
     // Disable similarity enhancement for global search to avoid performance issues
@@ -56,34 +159,51 @@ export class SearchHandlers {
       );
 
       try {
-        // If we found entities, use similarity engine to find additional related entities
-        const allBranchEntities = await this.memoryManager.readGraph(
-          args.branch_name as string,
-          args.include_statuses as EntityStatus[],
-          false // Don't include cross-context for similarity processing
+        // Each hit is compared with its keyword neighbours rather than the
+        // whole branch, and all hits are scored at once
+        const hitNames = new Set(
+          searchResults.entities.map((e: Entity) => e.name)
         );
-
-        const additionalEntities = new Set<string>();
-
-        // For each found entity, find similar ones that weren't in the original search
-        for (const foundEntity of searchResults.entities) {
-          const similarEntities =
-            await this.modernSimilarity.detectSimilarEntities(
-              foundEntity,
-              allBranchEntities.entities.filter(
-                (e: Entity) =>
-                  e.name !== foundEntity.name &&
-                  !searchResults.entities.some(
-                    (se: Entity) => se.name === e.name
-                  )
+        const neighbours: string[][] = searchResults.entities.map(
+          (foundEntity: Entity) =>
+            this.memoryManager
+              .findRelationCandidates(
+                foundEntity.name,
+                args.branch_name as string,
+                args.include_statuses as EntityStatus[],
+                SIMILAR_CANDIDATES
               )
-            );
+              .filter((name: string) => !hitNames.has(name))
+        );
+        const neighbourNames = Array.from(new Set(neighbours.flat()));
+        const candidates = new Map<string, Entity>(
+          neighbourNames.length === 0
+            ? []
+            : (
+                await this.memoryManager.openNodes(
+                  neighbourNames,
+                  args.branch_name as string,
+                  args.include_statuses as EntityStatus[],
+                  false // Don't include cross-context for similarity processing
+                )
+              ).entities.map((e: Entity) => [e.name, e])
+        );
+        const similar = await Promise.all(
+          searchResults.entities.map((foundEntity: Entity, i: number) =>
+            this.modernSimilarity.detectSimilarEntities(
+              foundEntity,
+              neighbours[i]
+                .map((name) => candidates.get(name))
+                .filter((e): e is Entity => e !== undefined)
+            )
+          )
+        );
 
-          // Add medium and high confidence similar entities to context
-          for (const match of similarEntities) {
-            if (match.confidence === "high" || match.confidence === "medium") {
-              additionalEntities.add(match.entity.name);
-            }
+        // Add medium and high confidence similar entities to context
+        const additionalEntities = new Set<string>();
+        for (const match of similar.flat()) {
+          if (match.confidence === "high" || match.confidence === "medium") {
+            additionalEntities.add(match.entity.name);
           }
         }
 
@@ -128,6 +248,40 @@ export class SearchHandlers {
       }
     }
 
+    // Walk relations and cross-references out from the hits
+    let context = null;
+    if (searchResults.entities.length > 0) {
+      context = await this.memoryManager.expandContext(
+        searchResults.entities.map((e: Entity) => e.name),
+        branchToSearch,
+        {
+          depth: contextDepth,
+          maxNodesPerHop: args.context_nodes_per_hop,
+          includeStatuses: args.include_statuses as EntityStatus[],
+        }
+      );
+      logger.info(
+        `Smart search expanded ${context.nodes.length} context entities over ${contextDepth} hops`
+      );
+    }
+
+    await this.memoryManager.applyContentView(
+      searchResults,
+      branchToSearch,
+      contentView
+    );
+    if (context) {
+      await this.memoryManager.applyContentView(
+        context,
+        branchToSearch,
+        contentView
+      );
+    }
+    searchResults.entities = projectEntities(
+      searchResults.entities,
+      page.fields
+    );
+
     return {
       content: [
         {
@@ -135,17 +289,139 @@ export class SearchHandlers {
           text: JSON.stringify(
             {
               results: searchResults,
+              context,
               branch_searched: args.branch_name,
               query: args.query,
+              ...(didYouMean && { did_you_mean: didYouMean }),
+              mode,
+              ...(expansions && { expansions }),
               context_depth: contextDepth,
+              content_view: contentView,
+              page: pageDetails,
+              ...(facetSection && { facets: facetSection }),
+              matches,
+              ...(scores && { scores }),
               search_type: "smart_search",
               branch_isolation: searchAllBranches ? "none" : "enforced",
               summary: `Smart search found ${
-                searchResults.entities.length
-              } entities and ${searchResults.relations.length} relations in ${
+                pageDetails.total
+              } matching entities (returning ${
+                pageDetails.returned
+              } from offset ${pageDetails.offset}) and ${
+                searchResults.relations.length
+              } relations in ${
                 searchAllBranches
                   ? "all branches"
                   : `branch "${args.branch_name}"`
+              }${
+                context
+                  ? `, plus ${context.entities.length} context entities within ${contextDepth} hops`
+                  : ""
+              }${correctedNote}`,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  async handleUpdateSynonyms(args: any): Promise<any> {
+    const add = args.add_synonyms ?? [];
+    const remove = args.remove_terms ?? [];
+    const isTerms = (value: unknown) =>
+      Array.isArray(value) &&
+      value.every((term) => typeof term === "string" && term.trim());
+    if (!Array.isArray(add) || !add.every(isTerms)) {
+      throw new Error(
+        'add_synonyms must be an array of term groups, e.g. [["k8s", "kubernetes"]]'
+      );
+    }
+    if (!isTerms(remove)) {
+      throw new Error("remove_terms must be an array of terms");
+    }
+
+    const changed = add.length > 0 || remove.length > 0;
+    const groups: string[][] = changed
+      ? this.memoryManager.updateSynonyms(add, remove)
+      : this.memoryManager.getSynonyms();
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              groups,
+              summary: `${changed ? "Updated synonyms: " : ""}${
+                groups.length
+              } synonym groups`,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  async handleGetContext(args: any): Promise<any> {
+    const hasNames =
+      Array.isArray(args.entity_names) && args.entity_names.length > 0;
+    if (!args.query && !hasNames) {
+      throw new Error("Pass a query or a non-empty entity_names array");
+    }
+    if (args.query && hasNames) {
+      throw new Error("Pass either query or entity_names, not both");
+    }
+    const maxTokens = Number(args.max_tokens);
+    if (!Number.isInteger(maxTokens) || maxTokens < 50) {
+      throw new Error("max_tokens must be an integer of at least 50");
+    }
+    const format = args.format ?? "markdown";
+    if (format !== "markdown" && format !== "json") {
+      throw new Error("format must be 'markdown' or 'json'");
+    }
+    const branchName = args.branch_name as string | undefined;
+    const contentView = this.memoryManager.getContentView(
+      branchName === "*" ? undefined : branchName,
+      args.content_view
+    );
+
+    const packed: PackedContext = await this.memoryManager.getContext({
+      query: args.query as string | undefined,
+      entityNames: hasNames ? (args.entity_names as string[]) : undefined,
+      branchName,
+      includeStatuses: args.include_statuses as EntityStatus[],
+      maxTokens,
+      format,
+      contentView,
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              context:
+                format === "json" ? JSON.parse(packed.content) : packed.content,
+              format,
+              tokens_used: packed.tokensUsed,
+              max_tokens: packed.maxTokens,
+              content_view: contentView,
+              entities: packed.entities,
+              omitted_entities: packed.omittedEntities,
+              omitted_observations: packed.omittedObservations,
+              omitted_relations: packed.omittedRelations,
+              summary: `Packed ${packed.entities.length} entities into ${
+                packed.tokensUsed
+              } of ${maxTokens} tokens${
+                packed.omittedEntities.length > 0 ||
+                packed.omittedObservations > 0
+                  ? `; left out ${packed.omittedEntities.length} entities and ${packed.omittedObservations} observations`
+                  : ""
               }`,
             },
             null,
@@ -1,18 +1,57 @@
 import path from "path";
 import { MemoryOptimizer } from "../memory-optimizer.js";
 import {
+  AliasUpdateResult,
+  AutoCreatedRelation,
+  BranchDiff,
+  ContentView,
+  ContextExpansion,
+  CrossContext,
   Entity,
+  EntityMergeResult,
   EntityStatus,
+  EntityVersion,
+  GraphPage,
   KnowledgeGraph,
   MemoryBranchInfo,
+  MergeResult,
+  MergeStrategy,
+  MoveResult,
+  ObservationDeletionResult,
+  PackedContext,
+  PageOptions,
+  ProposedRelation,
   Relation,
+  RelationDeletionResult,
+  RelationSuggestion,
+  SearchResult,
+  SimilarityCalibration,
+  SimilarityModel,
+  SuggestionFilter,
 } from "../memory-types.js";
 import { BackupOperations } from "./backup-operations.js";
+import { ContextRequest, packContext } from "./context-packer.js";
+import { createEmbeddingProvider } from "./embeddings/embedding-provider.js";
 import { JSONOperations } from "./json-operations.js";
 import { logger } from "./logger.js";
+import { loadMemoryConfig, MemoryConfig } from "./memory-config.js";
 import { IMemoryOperations } from "./memory-core.js";
 import { MigrationUtils } from "./migration-utils.js";
 import { ModularSQLiteOperations } from "./sqlite/index.js";
+import { GraphExpansionOptions } from "./sqlite/sqlite-graph-operations.js";
+import {
+  compileSearchQuery,
+  parseSearchQuery,
+} from "./sqlite/sqlite-search-query.js";
+import {
+  CalibrationStore,
+  fitCalibration,
+} from "./similarity/similarity-calibration.js";
+import { SearchOptions } from "./sqlite/sqlite-search-operations.js";
+import { SynonymDictionary } from "./synonym-dictionary.js";
+
+// Most search hits get_context considers; the budget usually binds first
+const CONTEXT_CANDIDATES = 100;
 
 /**
  * Hybrid Memory Manager - Lightweight Orchestrator
@@ -25,6 +64,9 @@ export class HybridMemoryManager implements IMemoryOperations {
   private migrationUtils: MigrationUtils;
   private backupOps: BackupOperations;
   private optimizer: MemoryOptimizer;
+  private config: MemoryConfig;
+  private synonyms: SynonymDictionary;
+  private calibration: CalibrationStore;
   private useSQLite: boolean = true;
   private migrationInProgress: boolean = false;
 
@@ -32,15 +74,28 @@ export class HybridMemoryManager implements IMemoryOperations {
     const memoryPath =
       basePath || process.env.MEMORY_PATH || path.join(process.cwd(), "memory");
 
-    this.sqliteOps = new ModularSQLiteOperations(memoryPath);
-    this.jsonOps = new JSONOperations(memoryPath);
-    this.migrationUtils = new MigrationUtils(memoryPath);
-    this.backupOps = new BackupOperations(memoryPath);
+    this.config = loadMemoryConfig(memoryPath);
+    this.synonyms = new SynonymDictionary(memoryPath);
+    this.calibration = new CalibrationStore(memoryPath);
     this.optimizer = new MemoryOptimizer({
-      compressionLevel: "aggressive", // Use aggressive for maximum compression
+      compressionLevel: this.config.compressionLevel,
       extractKeywords: true,
       extractEntities: true,
     });
+
+    // Observations are stored verbatim with the compressed form alongside;
+    // keywords are re-extracted whenever an entity's content changes
+    this.sqliteOps = new ModularSQLiteOperations(memoryPath, {
+      compress: (text) => this.optimizer.optimize(text).optimized,
+      extractKeywords: (text) => this.optimizer.optimize(text).keywords,
+      ranking: this.config.ranking,
+      embeddings: createEmbeddingProvider(this.config.embeddings),
+      minSimilarity: this.config.embeddings.minSimilarity,
+      expandTerm: (term) => this.synonyms.synonymsOf(term),
+    });
+    this.jsonOps = new JSONOperations(memoryPath);
+    this.migrationUtils = new MigrationUtils(memoryPath);
+    this.backupOps = new BackupOperations(memoryPath);
   }
 
   async initialize(): Promise<void> {
@@ -114,43 +169,13 @@ export class HybridMemoryManager implements IMemoryOperations {
     if (this.useSQLite && !this.migrationInProgress) {
       logger.debug(`Using SQLite for entity creation`);
 
-      // Apply optimization before storing
-      const optimizedEntities = entities.map((entity) => {
-        // Optimize each observation individually for better results
-        const optimizedObservations = (entity.observations || []).map((obs) => {
-          const optimization = this.optimizer.optimize(obs);
-          return optimization.optimized;
-        });
-
-        // Also optimize the overall entity content for keyword extraction
-        const content = JSON.stringify({
-          name: entity.name,
-          entityType: entity.entityType,
-          observations: entity.observations,
-        });
-
-        const optimization = this.optimizer.optimize(content);
-        logger.debug(
-          `Entity "${entity.name}" optimized: ${
-            optimization.originalTokenCount
-          } → ${optimization.tokenCount} tokens (${Math.round(
-            optimization.compressionRatio * 100
-          )}%)`
-        );
-        logger.debug(`Keywords: ${optimization.keywords.join(", ")}`);
-
-        return {
-          ...entity,
-          observations: optimizedObservations, // Use optimized observations
-          status: entity.status || "active",
-          lastUpdated: new Date().toISOString(),
-          _keywordData: {
-            keywords: optimization.keywords,
-            entities: optimization.entities,
-            compressionRatio: optimization.compressionRatio,
-          },
-        };
-      });
+      // Observations are compressed and keywords extracted by the SQLite
+      // layer
+      const optimizedEntities = entities.map((entity) => ({
+        ...entity,
+        status: entity.status || "active",
+        lastUpdated: new Date().toISOString(),
+      }));
 
       const result = await this.sqliteOps.createEntities(
         optimizedEntities,
@@ -203,9 +228,14 @@ export class HybridMemoryManager implements IMemoryOperations {
   async deleteRelations(
     relations: Relation[],
     branchName?: string
-  ): Promise<void> {
+  ): Promise<RelationDeletionResult> {
     if (this.useSQLite && !this.migrationInProgress) {
-      return await this.sqliteOps.deleteRelations(relations, branchName);
+      const result = await this.sqliteOps.deleteRelations(
+        relations,
+        branchName
+      );
+      if (result.deleted.length > 0) this.recalibrate();
+      return result;
     } else {
       return await this.jsonOps.deleteRelations(relations, branchName);
     }
@@ -214,21 +244,35 @@ export class HybridMemoryManager implements IMemoryOperations {
   async searchEntities(
     query: string,
     branchName?: string,
-    includeStatuses?: EntityStatus[]
-  ): Promise<KnowledgeGraph> {
+    includeStatuses?: EntityStatus[],
+    options?: SearchOptions
+  ): Promise<SearchResult> {
     if (this.useSQLite && !this.migrationInProgress) {
       return await this.sqliteOps.searchEntities(
         query,
         branchName,
-        includeStatuses
-      );
-    } else {
-      return await this.jsonOps.searchEntities(
-        query,
-        branchName,
-        includeStatuses
+        includeStatuses,
+        options
       );
     }
+
+    // The JSON fallback does not rank, so pages follow its result order
+    const graph = await this.jsonOps.searchEntities(
+      query,
+      branchName,
+      includeStatuses
+    );
+    const offset = options?.offset || 0;
+    const entities = graph.entities.slice(
+      offset,
+      options?.limit !== undefined ? offset + options.limit : undefined
+    );
+    const names = new Set(entities.map((e) => e.name));
+    return {
+      entities,
+      relations: graph.relations.filter((r) => names.has(r.from)),
+      total: graph.entities.length,
+    };
   }
 
   async findEntityByName(
@@ -242,6 +286,22 @@ export class HybridMemoryManager implements IMemoryOperations {
     }
   }
 
+  async listEntityNames(
+    prefix: string,
+    branchName?: string,
+    limit?: number
+  ): Promise<string[]> {
+    return await this.sqliteOps.listEntityNames(prefix, branchName, limit);
+  }
+
+  async expandContext(
+    entityNames: string[],
+    branchName: string | undefined,
+    options: GraphExpansionOptions
+  ): Promise<ContextExpansion> {
+    return await this.sqliteOps.expandContext(entityNames, branchName, options);
+  }
+
   async createBranch(
     branchName: string,
     purpose?: string
@@ -269,12 +329,28 @@ export class HybridMemoryManager implements IMemoryOperations {
     }
   }
 
-  async exportBranch(branchName?: string): Promise<KnowledgeGraph> {
+  async exportBranch(
+    branchName?: string,
+    includeStatuses?: EntityStatus[]
+  ): Promise<KnowledgeGraph> {
     if (this.useSQLite && !this.migrationInProgress) {
-      return await this.sqliteOps.exportBranch(branchName);
-    } else {
-      return await this.jsonOps.exportBranch(branchName);
+      return await this.sqliteOps.exportBranch(branchName, includeStatuses);
     }
+
+    const graph = await this.jsonOps.exportBranch(branchName);
+    if (!includeStatuses || includeStatuses.length === 0) {
+      return graph;
+    }
+    const entities = graph.entities.filter((e) =>
+      includeStatuses.includes((e.status || "active") as EntityStatus)
+    );
+    const names = new Set(entities.map((e) => e.name));
+    return {
+      entities,
+      relations: graph.relations.filter(
+        (r) => names.has(r.from) && names.has(r.to)
+      ),
+    };
   }
 
   async importData(data: KnowledgeGraph, branchName?: string): Promise<void> {
@@ -302,22 +378,394 @@ export class HybridMemoryManager implements IMemoryOperations {
     return await this.sqliteOps.suggestBranch(entityType, content);
   }
 
+  async forkBranch(
+    sourceBranch: string,
+    newBranch: string,
+    purpose?: string
+  ): Promise<MemoryBranchInfo> {
+    return await this.sqliteOps.forkBranch(sourceBranch, newBranch, purpose);
+  }
+
+  async diffBranches(base: string, compare: string): Promise<BranchDiff> {
+    return await this.sqliteOps.diffBranches(base, compare);
+  }
+
+  async mergeBranch(
+    source: string,
+    target: string,
+    strategy: MergeStrategy
+  ): Promise<MergeResult> {
+    return await this.sqliteOps.mergeBranch(source, target, strategy);
+  }
+
+  async renameEntity(
+    oldName: string,
+    newName: string,
+    branchName?: string
+  ): Promise<Entity> {
+    await this.sqliteOps.renameEntity(oldName, newName, branchName);
+    return (await this.findEntityByName(newName, branchName || "main"))!;
+  }
+
+  async moveEntities(
+    entityNames: string[],
+    sourceBranch: string,
+    targetBranch: string
+  ): Promise<MoveResult> {
+    return await this.sqliteOps.moveEntities(
+      entityNames,
+      sourceBranch,
+      targetBranch
+    );
+  }
+
+  async updateEntityAliases(
+    entityName: string,
+    add: string[],
+    remove: string[],
+    branchName?: string
+  ): Promise<AliasUpdateResult> {
+    const removed =
+      remove.length > 0
+        ? await this.sqliteOps.removeAliases(entityName, remove, branchName)
+        : [];
+    const { added, skipped } =
+      add.length > 0
+        ? await this.sqliteOps.addAliases(entityName, add, branchName)
+        : { added: [], skipped: [] };
+
+    const entity = (await this.findEntityByName(
+      entityName,
+      branchName || "main"
+    ))!;
+    return { entity, added, removed, skipped };
+  }
+
+  async mergeEntities(
+    keepName: string,
+    mergeNames: string[],
+    branchName?: string
+  ): Promise<EntityMergeResult> {
+    return await this.sqliteOps.mergeEntities(keepName, mergeNames, branchName);
+  }
+
+  // Relations proposed by the relationship indexer, awaiting review
+  recordRelationSuggestions(
+    entityName: string,
+    branchName: string | undefined,
+    proposed: ProposedRelation[]
+  ): number {
+    return this.sqliteOps.recordRelationSuggestions(
+      entityName,
+      branchName,
+      proposed
+    );
+  }
+
+  // Relations create_entities made on its own, kept as accepted suggestions
+  recordAutoCreatedRelations(
+    branchName: string | undefined,
+    relations: AutoCreatedRelation[]
+  ): number {
+    const recorded = this.sqliteOps.recordAutoCreatedRelations(
+      branchName,
+      relations
+    );
+    if (recorded > 0) this.recalibrate();
+    return recorded;
+  }
+
+  rejectedRelationPartners(entityName: string, branchName?: string): string[] {
+    return this.sqliteOps.rejectedRelationPartners(entityName, branchName);
+  }
+
+  entitiesToIndex(
+    branchName?: string,
+    statuses?: EntityStatus[],
+    limit?: number
+  ): string[] {
+    return this.sqliteOps.entitiesToIndex(branchName, statuses, limit);
+  }
+
+  findRelationCandidates(
+    entityName: string,
+    branchName: string | undefined,
+    statuses: EntityStatus[] | undefined,
+    limit: number
+  ): string[] {
+    return this.sqliteOps.findRelationCandidates(
+      entityName,
+      branchName,
+      statuses,
+      limit
+    );
+  }
+
+  findEntitiesMentioning(
+    name: string,
+    branchName: string | undefined,
+    statuses: EntityStatus[] | undefined,
+    limit: number
+  ): string[] {
+    return this.sqliteOps.findEntitiesMentioning(
+      name,
+      branchName,
+      statuses,
+      limit
+    );
+  }
+
+  listRelationSuggestions(filter?: SuggestionFilter): {
+    suggestions: RelationSuggestion[];
+    total: number;
+  } {
+    return this.sqliteOps.listRelationSuggestions(filter);
+  }
+
+  async acceptRelationSuggestion(
+    id: number,
+    relationType?: string
+  ): Promise<RelationSuggestion> {
+    const suggestion = await this.sqliteOps.acceptRelationSuggestion(
+      id,
+      relationType
+    );
+    this.recalibrate();
+    return suggestion;
+  }
+
+  rejectRelationSuggestion(id: number): RelationSuggestion {
+    const suggestion = this.sqliteOps.rejectRelationSuggestion(id);
+    this.recalibrate();
+    return suggestion;
+  }
+
+  // Worker threads for similarity scoring (0: the main thread)
+  getSimilarityWorkers(): number {
+    return this.config.similarityWorkers;
+  }
+
+  // The model relationship detection scores entity pairs with
+  getSimilarityModel(): SimilarityModel {
+    return this.calibration.getModel();
+  }
+
+  /**
+   * The fitted similarity calibration, or the default model with the
+   * feedback collected so far when there is not enough to fit one
+   */
+  getSimilarityCalibration(): SimilarityCalibration {
+    return (
+      this.calibration.get() ||
+      fitCalibration(this.sqliteOps.getSimilarityFeedback())
+    );
+  }
+
+  // Refit on every review; a fit needs enough feedback of both outcomes
+  private recalibrate(): void {
+    const calibration = fitCalibration(this.sqliteOps.getSimilarityFeedback());
+    if (calibration.model.kind === "logistic") {
+      this.calibration.save(calibration);
+    }
+  }
+
+  async getEntityHistory(
+    entityName: string,
+    branchName?: string,
+    limit?: number
+  ): Promise<EntityVersion[]> {
+    return await this.sqliteOps.getEntityHistory(entityName, branchName, limit);
+  }
+
+  async revertEntity(
+    entityName: string,
+    version: number,
+    branchName?: string
+  ): Promise<Entity> {
+    return await this.sqliteOps.revertEntity(entityName, version, branchName);
+  }
+
+  /**
+   * The observation form to return: the request's choice, else the
+   * branch's configured default, else the project default
+   */
+  getContentView(branchName?: string, requested?: ContentView): ContentView {
+    if (requested && requested !== "original" && requested !== "optimized") {
+      throw new Error("content_view must be 'original' or 'optimized'");
+    }
+    return (
+      requested ||
+      this.config.branches[branchName || "main"]?.contentView ||
+      this.config.contentView
+    );
+  }
+
+  getSynonyms(): string[][] {
+    return this.synonyms.getGroups();
+  }
+
+  /**
+   * Add synonym groups and remove terms from the project dictionary;
+   * returns the resulting groups
+   */
+  updateSynonyms(add?: string[][], remove?: string[]): string[][] {
+    return this.synonyms.update(add, remove);
+  }
+
+  /**
+   * Swap observations for their compressed form when the optimized view
+   * applies. Entities are read verbatim everywhere else, so updates never
+   * write compressed text back.
+   */
+  async applyContentView<T extends KnowledgeGraph>(
+    graph: T,
+    branchName?: string,
+    requested?: ContentView
+  ): Promise<T> {
+    if (this.getContentView(branchName, requested) !== "optimized") {
+      return graph;
+    }
+    if (!this.useSQLite || this.migrationInProgress) return graph;
+
+    const swap = async (entities: Entity[], branch?: string) => {
+      const forms = await this.sqliteOps.getOptimizedObservations(
+        entities.map((e) => e.name),
+        branch
+      );
+      for (const entity of entities) {
+        const entityForms = forms.get(entity.name);
+        entity.observations = entity.observations.map(
+          (obs) => entityForms?.get(obs) ?? obs
+        );
+      }
+    };
+
+    await swap(graph.entities, branchName);
+    for (const entity of graph.crossContext?.entities || []) {
+      await swap([entity], entity.branch);
+    }
+    return graph;
+  }
+
+  /**
+   * Pack the entities matching a query (or the named entities) and their
+   * direct neighbors into a token budget, most relevant first
+   */
+  async getContext(request: ContextRequest): Promise<PackedContext> {
+    const branchName =
+      request.branchName === "*" ? undefined : request.branchName;
+
+    let found: KnowledgeGraph;
+    let terms: string[] = [];
+    if (request.query) {
+      found = await this.searchEntities(
+        request.query,
+        branchName,
+        request.includeStatuses,
+        { limit: CONTEXT_CANDIDATES }
+      );
+      const root = parseSearchQuery(request.query);
+      terms = root
+        ? compileSearchQuery(root).terms.map((term) => term.text.toLowerCase())
+        : [];
+    } else {
+      found = await this.openNodes(
+        request.entityNames || [],
+        branchName,
+        request.includeStatuses,
+        false
+      );
+    }
+
+    // Neighbors fill whatever budget the matches leave
+    const neighbors =
+      found.entities.length > 0
+        ? await this.expandContext(
+            found.entities.map((e) => e.name),
+            branchName,
+            { depth: 1, includeStatuses: request.includeStatuses }
+          )
+        : { entities: [], relations: [] };
+
+    const seen = new Set<string>();
+    const candidates = [...found.entities, ...neighbors.entities].filter(
+      (e) => !seen.has(e.name) && seen.add(e.name)
+    );
+    const relationKeys = new Set<string>();
+    const relations = [...found.relations, ...neighbors.relations].filter(
+      (r) => {
+        const key = `${r.from}\u0000${r.relationType}\u0000${r.to}`;
+        return !relationKeys.has(key) && relationKeys.add(key);
+      }
+    );
+    await this.applyContentView(
+      { entities: candidates, relations },
+      branchName,
+      request.contentView
+    );
+
+    return packContext(candidates, relations, {
+      maxTokens: request.maxTokens,
+      format: request.format || "markdown",
+      terms,
+      countTokens: (text) => this.optimizer.countTokens(text),
+    });
+  }
+
   // Legacy compatibility methods for existing API
   async readGraph(
     branchName?: string,
     includeStatuses?: EntityStatus[],
-    autoCrossContext: boolean = true
-  ): Promise<KnowledgeGraph> {
-    return await this.exportBranch(branchName);
+    autoCrossContext: boolean = true,
+    asOf?: string,
+    page?: PageOptions
+  ): Promise<KnowledgeGraph | GraphPage> {
+    const statuses =
+      includeStatuses && includeStatuses.length > 0
+        ? includeStatuses
+        : (["active"] as EntityStatus[]);
+
+    // Cross-references are not versioned, so past reads skip cross context
+    if (asOf) {
+      const graph = await this.sqliteOps.exportBranchAsOf(
+        branchName,
+        asOf,
+        statuses
+      );
+      return page ? pageGraph(graph, page) : graph;
+    }
+
+    let graph: KnowledgeGraph | GraphPage;
+    if (page && this.useSQLite && !this.migrationInProgress) {
+      graph = await this.sqliteOps.readBranchPage(branchName, statuses, page);
+    } else {
+      graph = await this.exportBranch(branchName, statuses);
+      if (page) graph = pageGraph(graph, page);
+    }
+
+    if (autoCrossContext) {
+      graph.crossContext = await this.resolveCrossContext(
+        graph.entities.map((e) => e.name),
+        branchName,
+        statuses
+      );
+    }
+    return graph;
   }
 
   async searchNodes(
     query: string,
     branchName?: string,
     includeStatuses?: EntityStatus[],
-    autoCrossContext: boolean = true
-  ): Promise<KnowledgeGraph> {
-    return await this.searchEntities(query, branchName, includeStatuses);
+    autoCrossContext: boolean = true,
+    options?: SearchOptions
+  ): Promise<SearchResult> {
+    return await this.searchEntities(
+      query,
+      branchName,
+      includeStatuses,
+      options
+    );
   }
 
   async openNodes(
@@ -328,42 +776,41 @@ export class HybridMemoryManager implements IMemoryOperations {
   ): Promise<KnowledgeGraph> {
     // Use direct entity lookup instead of search
     const foundEntities: Entity[] = [];
-    const allRelations: Relation[] = [];
 
     for (const name of names) {
       // Use findEntityByName for exact lookup
       const entity = await this.findEntityByName(name, branchName);
 
-      if (entity) {
-        // Check status filter if provided
-        if (
-          !includeStatuses ||
-          includeStatuses.includes(entity.status as EntityStatus)
-        ) {
-          foundEntities.push(entity);
-
-          // Get all relations involving this entity from the full branch
-          const branchGraph = await this.exportBranch(branchName);
-          const entityRelations = branchGraph.relations.filter(
-            (r) => r.from === name || r.to === name
-          );
-          allRelations.push(...entityRelations);
-        }
+      // Check status filter if provided
+      if (
+        entity &&
+        (!includeStatuses ||
+          includeStatuses.length === 0 ||
+          includeStatuses.includes(entity.status as EntityStatus))
+      ) {
+        foundEntities.push(entity);
       }
     }
 
-    // Remove duplicate relations
-    const uniqueRelations = allRelations.filter(
-      (relation, index, arr) =>
-        arr.findIndex(
-          (r) =>
-            r.from === relation.from &&
-            r.to === relation.to &&
-            r.relationType === relation.relationType
-        ) === index
+    // Get all relations involving the found entities from the full branch
+    const foundNames = new Set(foundEntities.map((e) => e.name));
+    const branchGraph =
+      foundEntities.length > 0
+        ? await this.exportBranch(branchName)
+        : { entities: [], relations: [] };
+    const relations = branchGraph.relations.filter(
+      (r) => foundNames.has(r.from) || foundNames.has(r.to)
     );
 
-    return { entities: foundEntities, relations: uniqueRelations };
+    const graph: KnowledgeGraph = { entities: foundEntities, relations };
+    if (autoCrossContext) {
+      graph.crossContext = await this.resolveCrossContext(
+        Array.from(foundNames),
+        branchName,
+        includeStatuses
+      );
+    }
+    return graph;
   }
 
   // Additional compatibility methods
@@ -402,7 +849,7 @@ export class HybridMemoryManager implements IMemoryOperations {
   async deleteObservations(
     deletions: { entityName: string; observations: string[] }[],
     branchName?: string
-  ): Promise<void> {
+  ): Promise<ObservationDeletionResult[]> {
     if (this.useSQLite && !this.migrationInProgress) {
       return await this.sqliteOps.deleteObservations(deletions, branchName);
     } else {
@@ -433,14 +880,66 @@ export class HybridMemoryManager implements IMemoryOperations {
     }
   }
 
-  async getCrossContext(
+  /**
+   * Entities in other branches linked to the given entities by
+   * cross-references in either direction. Only resolved in SQLite mode.
+   */
+  async resolveCrossContext(
     entityNames: string[],
-    sourceBranch?: string
-  ): Promise<KnowledgeGraph> {
-    if (entityNames.length > 0) {
-      return await this.searchEntities(entityNames.join(" "), sourceBranch);
-    } else {
-      return await this.exportBranch(sourceBranch);
+    branchName?: string,
+    includeStatuses?: EntityStatus[]
+  ): Promise<CrossContext> {
+    if (!this.useSQLite || this.migrationInProgress) {
+      return { entities: [], relations: [] };
     }
+    return await this.sqliteOps.resolveCrossContext(
+      entityNames,
+      branchName,
+      includeStatuses
+    );
   }
+
+  async getCrossContext(
+    entityNames: string[],
+    sourceBranch?: string,
+    includeStatuses?: EntityStatus[]
+  ): Promise<CrossContext> {
+    return await this.resolveCrossContext(
+      entityNames,
+      sourceBranch,
+      includeStatuses
+    );
+  }
+}
+
+/**
+ * Sort and slice a graph that was loaded whole, for reads the database
+ * cannot page itself (past states and the JSON fallback). Relations follow
+ * the page of the entity they start from.
+ */
+function pageGraph(graph: KnowledgeGraph, page: PageOptions): GraphPage {
+  const sortBy = page.sortBy || "name";
+  if (sortBy === "relevance") {
+    throw new Error("sort_by 'relevance' is only available for search");
+  }
+  if (sortBy === "created") {
+    throw new Error("sort_by 'created' is not available for this read");
+  }
+
+  const entities = [...graph.entities].sort((a, b) =>
+    sortBy === "updated"
+      ? (b.lastUpdated || "").localeCompare(a.lastUpdated || "")
+      : a.name.localeCompare(b.name, undefined, { sensitivity: "base" })
+  );
+  const offset = page.offset || 0;
+  const pageEntities = entities.slice(
+    offset,
+    page.limit !== undefined ? offset + page.limit : undefined
+  );
+  const names = new Set(pageEntities.map((e) => e.name));
+  return {
+    entities: pageEntities,
+    relations: graph.relations.filter((r) => names.has(r.from)),
+    total: entities.length,
+  };
 }
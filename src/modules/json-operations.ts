@@ -5,7 +5,9 @@ import {
   EntityStatus,
   KnowledgeGraph,
   MemoryBranchInfo,
+  ObservationDeletionResult,
   Relation,
+  RelationDeletionResult,
 } from "../memory-types.js";
 import { BaseMemoryManager } from "./memory-core.js";
 
@@ -164,18 +166,23 @@ export class JSONOperations extends BaseMemoryManager {
   async deleteRelations(
     relations: Relation[],
     branchName?: string
-  ): Promise<void> {
+  ): Promise<RelationDeletionResult> {
     const graph = await this.loadGraph(branchName);
+    const matches = (r: Relation, delRelation: Relation) =>
+      r.from === delRelation.from &&
+      r.to === delRelation.to &&
+      r.relationType === delRelation.relationType;
+    const deleted = relations.filter((delRelation) =>
+      graph.relations.some((r) => matches(r, delRelation))
+    );
     graph.relations = graph.relations.filter(
-      (r) =>
-        !relations.some(
-          (delRelation) =>
-            r.from === delRelation.from &&
-            r.to === delRelation.to &&
-            r.relationType === delRelation.relationType
-        )
+      (r) => !relations.some((delRelation) => matches(r, delRelation))
     );
     await this.saveGraph(graph, branchName);
+    return {
+      deleted,
+      notFound: relations.filter((relation) => !deleted.includes(relation)),
+    };
   }
 
   async searchEntities(
@@ -402,27 +409,49 @@ export class JSONOperations extends BaseMemoryManager {
   async deleteObservations(
     deletions: { entityName: string; observations: string[] }[],
     branchName?: string
-  ): Promise<void> {
+  ): Promise<ObservationDeletionResult[]> {
     const graph = await this.loadGraph(branchName);
+    const results: ObservationDeletionResult[] = [];
 
     for (const deletion of deletions) {
       const entity = graph.entities.find((e) => e.name === deletion.entityName);
       if (entity && entity.observations) {
+        const observations = entity.observations;
         // Remove specific observations
-        entity.observations = entity.observations.filter(
+        entity.observations = observations.filter(
           (obs) => !deletion.observations.includes(obs)
         );
         entity.lastUpdated = new Date().toISOString();
+        const deletedObservations = deletion.observations.filter((obs) =>
+          observations.includes(obs)
+        );
+        results.push({
+          entityName: deletion.entityName,
+          found: true,
+          deleted: observations.length - entity.observations.length,
+          deletedObservations,
+          notFound: deletion.observations.filter(
+            (obs) => !deletedObservations.includes(obs)
+          ),
+        });
       } else {
         console.warn(
           `Entity "${deletion.entityName}" not found in branch ${
             branchName || "main"
           }`
         );
+        results.push({
+          entityName: deletion.entityName,
+          found: false,
+          deleted: 0,
+          deletedObservations: [],
+          notFound: deletion.observations,
+        });
       }
     }
 
     await this.saveGraph(graph, branchName);
+    return results;
   }
 
   async createCrossReference(
@@ -0,0 +1,260 @@
+import fs from "fs";
+import path from "path";
+import { CompressionLevel } from "../memory-optimizer.js";
+import { ContentView, EntityStatus } from "../memory-types.js";
+import { logger } from "./logger.js";
+
+const COMPRESSION_LEVELS: CompressionLevel[] = [
+  "none",
+  "minimal",
+  "balanced",
+  "aggressive",
+];
+const CONTENT_VIEWS: ContentView[] = ["original", "optimized"];
+
+// How smart_search orders its hits:
+//   score = (bm25 + synonyms + nameMatch) * recency * status
+export interface RankingConfig {
+  // bm25() column weights; aliases count as part of the name
+  weights: { name: number; entityType: number; observations: number };
+  // Added per query term found inside the name or an alias, and twice more
+  // when a term or phrase is the whole name or alias
+  nameMatch: number;
+  // Fraction of bm25 and nameMatch a synonym expansion earns compared with
+  // the term the user typed
+  synonymWeight: number;
+  // Just-updated entities are boosted by this fraction, halving every
+  // recencyHalfLifeDays
+  recencyBoost: number;
+  recencyHalfLifeDays: number;
+  statusBoosts: Record<EntityStatus, number>;
+}
+
+// Vectors for semantic and hybrid smart_search
+export interface EmbeddingConfig {
+  // Registered provider name; "hashed-ngram" works fully offline
+  provider: string;
+  dimensions: number;
+  // Semantic hits below this cosine similarity are dropped
+  minSimilarity: number;
+}
+
+export interface MemoryConfig {
+  // How observations are compressed into optimized_content
+  compressionLevel: CompressionLevel;
+  // Which form of observations is returned when a request does not say
+  contentView: ContentView;
+  branches: Record<string, { contentView?: ContentView }>;
+  ranking: RankingConfig;
+  embeddings: EmbeddingConfig;
+  // Worker threads scoring entity similarity; 0 scores on the main thread
+  similarityWorkers: number;
+}
+
+export const DEFAULT_RANKING: RankingConfig = {
+  weights: { name: 8, entityType: 3, observations: 1 },
+  nameMatch: 2,
+  synonymWeight: 0.5,
+  recencyBoost: 0.25,
+  recencyHalfLifeDays: 30,
+  statusBoosts: { active: 1, draft: 0.9, deprecated: 0.5, archived: 0.3 },
+};
+
+export const DEFAULT_EMBEDDINGS: EmbeddingConfig = {
+  provider: "hashed-ngram",
+  dimensions: 256,
+  minSimilarity: 0.2,
+};
+
+const DEFAULT_CONFIG: MemoryConfig = {
+  compressionLevel: "aggressive",
+  contentView: "original",
+  branches: {},
+  ranking: DEFAULT_RANKING,
+  embeddings: DEFAULT_EMBEDDINGS,
+  similarityWorkers: 1,
+};
+
+/**
+ * Load project settings from .memory/config.json. MEMORY_COMPRESSION_LEVEL,
+ * MEMORY_CONTENT_VIEW and MEMORY_SIMILARITY_WORKERS override the file;
+ * invalid values fall back to the defaults with a warning.
+ *
+ * Example config.json:
+ *   { "compressionLevel": "balanced", "contentView": "original",
+ *     "branches": { "frontend": { "contentView": "optimized" } },
+ *     "ranking": { "weights": { "name": 10 }, "recencyHalfLifeDays": 14 },
+ *     "embeddings": { "dimensions": 512, "minSimilarity": 0.3 } }
+ */
+export function loadMemoryConfig(basePath: string): MemoryConfig {
+  const configPath = path.join(basePath, ".memory", "config.json");
+  let file: any = {};
+  if (fs.existsSync(configPath)) {
+    try {
+      file = JSON.parse(fs.readFileSync(configPath, "utf-8")) || {};
+    } catch (error) {
+      logger.warn(`Ignoring unreadable config file ${configPath}:`, error);
+    }
+  }
+
+  const branches: MemoryConfig["branches"] = {};
+  for (const [branch, settings] of Object.entries<any>(file.branches || {})) {
+    branches[branch] = {
+      contentView: pick(
+        settings?.contentView,
+        CONTENT_VIEWS,
+        undefined,
+        `branches.${branch}.contentView`
+      ),
+    };
+  }
+
+  return {
+    compressionLevel: pick(
+      process.env.MEMORY_COMPRESSION_LEVEL ?? file.compressionLevel,
+      COMPRESSION_LEVELS,
+      DEFAULT_CONFIG.compressionLevel,
+      "compressionLevel"
+    )!,
+    contentView: pick(
+      process.env.MEMORY_CONTENT_VIEW ?? file.contentView,
+      CONTENT_VIEWS,
+      DEFAULT_CONFIG.contentView,
+      "contentView"
+    )!,
+    branches,
+    ranking: loadRanking(file.ranking || {}),
+    embeddings: loadEmbeddings(file.embeddings || {}),
+    similarityWorkers: loadSimilarityWorkers(
+      process.env.MEMORY_SIMILARITY_WORKERS ?? file.similarityWorkers
+    ),
+  };
+}
+
+function loadSimilarityWorkers(value: unknown): number {
+  if (value === undefined || value === "") {
+    return DEFAULT_CONFIG.similarityWorkers;
+  }
+  const workers = Number(value);
+  if (Number.isInteger(workers) && workers >= 0 && workers <= 16) {
+    return workers;
+  }
+  logger.warn(
+    `Invalid similarityWorkers "${value}" (expected an integer from 0 to 16); using ${DEFAULT_CONFIG.similarityWorkers}`
+  );
+  return DEFAULT_CONFIG.similarityWorkers;
+}
+
+function loadEmbeddings(embeddings: any): EmbeddingConfig {
+  const config = { ...DEFAULT_EMBEDDINGS };
+  if (embeddings.provider !== undefined) {
+    if (typeof embeddings.provider === "string" && embeddings.provider) {
+      config.provider = embeddings.provider;
+    } else {
+      logger.warn(
+        `Invalid embeddings.provider "${embeddings.provider}"; using ${config.provider}`
+      );
+    }
+  }
+  if (embeddings.dimensions !== undefined) {
+    const dimensions = embeddings.dimensions;
+    if (
+      Number.isInteger(dimensions) &&
+      dimensions >= 16 &&
+      dimensions <= 4096
+    ) {
+      config.dimensions = dimensions;
+    } else {
+      logger.warn(
+        `Invalid embeddings.dimensions "${dimensions}" (expected an integer from 16 to 4096); using ${config.dimensions}`
+      );
+    }
+  }
+  if (embeddings.minSimilarity !== undefined) {
+    const minSimilarity = embeddings.minSimilarity;
+    if (
+      typeof minSimilarity === "number" &&
+      minSimilarity >= 0 &&
+      minSimilarity <= 1
+    ) {
+      config.minSimilarity = minSimilarity;
+    } else {
+      logger.warn(
+        `Invalid embeddings.minSimilarity "${minSimilarity}" (expected a number from 0 to 1); using ${config.minSimilarity}`
+      );
+    }
+  }
+  return config;
+}
+
+// Ranking settings are merged over the defaults one number at a time
+function loadRanking(ranking: any): RankingConfig {
+  const number = (value: unknown, fallback: number, setting: string) => {
+    if (value === undefined) return fallback;
+    if (typeof value === "number" && Number.isFinite(value) && value >= 0) {
+      return value;
+    }
+    logger.warn(
+      `Invalid ranking.${setting} "${value}" (expected a number >= 0); using ${fallback}`
+    );
+    return fallback;
+  };
+  const section = <T extends Record<string, number>>(
+    values: any,
+    defaults: T,
+    setting: string
+  ): T =>
+    Object.fromEntries(
+      Object.entries(defaults).map(([key, fallback]) => [
+        key,
+        number(values?.[key], fallback, `${setting}.${key}`),
+      ])
+    ) as T;
+
+  return {
+    weights: section(ranking.weights, DEFAULT_RANKING.weights, "weights"),
+    nameMatch: number(
+      ranking.nameMatch,
+      DEFAULT_RANKING.nameMatch,
+      "nameMatch"
+    ),
+    synonymWeight: number(
+      ranking.synonymWeight,
+      DEFAULT_RANKING.synonymWeight,
+      "synonymWeight"
+    ),
+    recencyBoost: number(
+      ranking.recencyBoost,
+      DEFAULT_RANKING.recencyBoost,
+      "recencyBoost"
+    ),
+    recencyHalfLifeDays: number(
+      ranking.recencyHalfLifeDays,
+      DEFAULT_RANKING.recencyHalfLifeDays,
+      "recencyHalfLifeDays"
+    ),
+    statusBoosts: section(
+      ranking.statusBoosts,
+      DEFAULT_RANKING.statusBoosts,
+      "statusBoosts"
+    ),
+  };
+}
+
+function pick<T extends string>(
+  value: unknown,
+  allowed: T[],
+  fallback: T | undefined,
+  setting: string
+): T | undefined {
+  if (value === undefined || value === null || value === "") return fallback;
+  const normalized = String(value).toLowerCase() as T;
+  if (allowed.includes(normalized)) return normalized;
+
+  logger.warn(
+    `Invalid ${setting} "${value}" (expected ${allowed.join(", ")}); using ${
+      fallback ?? "the default"
+    }`
+  );
+  return fallback;
+}
@@ -5,6 +5,7 @@ import {
   KnowledgeGraph,
   MemoryBranchInfo,
   Relation,
+  RelationDeletionResult,
 } from "../memory-types.js";
 
 /**
@@ -21,7 +22,10 @@ export interface IMemoryOperations {
     relations: Relation[],
     branchName?: string
   ): Promise<Relation[]>;
-  deleteRelations(relations: Relation[], branchName?: string): Promise<void>;
+  deleteRelations(
+    relations: Relation[],
+    branchName?: string
+  ): Promise<RelationDeletionResult>;
 
   // Search operations
   searchEntities(
@@ -143,7 +147,7 @@ export abstract class BaseMemoryManager implements IMemoryOperations {
   abstract deleteRelations(
     relations: Relation[],
     branchName?: string
-  ): Promise<void>;
+  ): Promise<RelationDeletionResult>;
   abstract searchEntities(
     query: string,
     branchName?: string,
@@ -1,37 +1,44 @@
-import { Entity } from "../memory-types.js";
+import { EntityStatus, ProposedRelation } from "../memory-types.js";
 import { ModernSimilarityEngine } from "./similarity/similarity-engine.js";
 
-interface RelationshipIndex {
-  entityId: string;
-  entityType: string;
-  keywords: Set<string>;
-  lastIndexed: Date;
-  similarityScores: Map<string, number>;
-  suggestedRelations: Map<string, { type: string; confidence: number }>;
-}
-
 interface BackgroundTask {
   id: string;
-  type: "index_entity" | "detect_relationships" | "cleanup_stale";
+  type: "index_entity" | "cleanup_stale";
   entityId?: string;
   branchName?: string;
   priority: "high" | "normal" | "low";
   createdAt: Date;
 }
 
+// Statuses of the entities that are indexed and proposed as targets
+const INDEXED_STATUSES: EntityStatus[] = ["active", "draft"];
+
+// Keyword neighbours each entity is compared with
+const MAX_CANDIDATES = 50;
+
+// Confidence given to relations an observation states in words
+export const STATED_CONFIDENCE = 0.95;
+
+// Entities per branch queued at a time; the next batch is fetched once
+// these are done
+const INDEX_BATCH_SIZE = 25;
+
 /**
  * Relationship Indexer - Continuous Background Relationship Detection
- * Maintains an index of entities and their potential relationships like a search engine
+ * Proposes relations between similar entities. Proposals go to the
+ * relation_suggestions review queue, which also records when each entity
+ * was last indexed, so a restart only indexes entities that changed.
+ * Each entity is compared with the entities sharing its most distinctive
+ * keywords (from the inverted keyword index) rather than the whole branch,
+ * and stale entities are worked through in batches, so indexing cost grows
+ * with the number of changed entities rather than the branch size.
  */
 export class RelationshipIndexer {
   private modernSimilarity: ModernSimilarityEngine;
   private memoryManager: any;
-
-  // Index storage
-  private entityIndex: Map<string, RelationshipIndex> = new Map();
-  private branchIndices: Map<string, Set<string>> = new Map();
-  private typeIndices: Map<string, Set<string>> = new Map();
-  private keywordIndex: Map<string, Set<string>> = new Map();
+  private indexedEntities = 0;
+  // Entities whose indexing failed, left out of later batches
+  private failedEntities = new Set<string>();
 
   // Background processing
   private taskQueue: BackgroundTask[] = [];
@@ -39,9 +46,10 @@ export class RelationshipIndexer {
   private processingInterval?: NodeJS.Timeout;
 
   // Configuration - Lowered thresholds for better detection
-  private readonly AUTO_RELATION_THRESHOLD = 0.78;
   private readonly SUGGESTION_THRESHOLD = 0.7;
-  private readonly PROCESS_INTERVAL_MS = 2000; // Faster processing
+  private readonly PROCESS_INTERVAL_MS = 1000;
+  // Time spent on queued tasks per interval before yielding
+  private readonly PROCESS_BUDGET_MS = 200;
 
   constructor(memoryManager: any, modernSimilarity: ModernSimilarityEngine) {
     this.memoryManager = memoryManager;
@@ -77,26 +85,33 @@ export class RelationshipIndexer {
     this.isProcessing = true;
 
     try {
-      // Process one task at a time to avoid overwhelming the system
-      const task = this.taskQueue.shift();
-      if (task) {
-        await this.processTask(task);
+      // Work through tasks until the time budget is spent, then yield
+      const started = Date.now();
+      while (
+        this.taskQueue.length > 0 &&
+        Date.now() - started < this.PROCESS_BUDGET_MS
+      ) {
+        const task = this.nextTask();
+        try {
+          await this.processTask(task);
+        } catch (error) {
+          console.error("❌ Background task failed:", error);
+        }
       }
-    } catch (error) {
-      console.error("❌ Background task failed:", error);
     } finally {
       this.isProcessing = false;
     }
   }
 
+  // High priority tasks (newly created entities) go before the backlog
+  private nextTask(): BackgroundTask {
+    const index = this.taskQueue.findIndex((task) => task.priority === "high");
+    return this.taskQueue.splice(Math.max(index, 0), 1)[0];
+  }
+
   private async processTask(task: BackgroundTask): Promise<void> {
     switch (task.type) {
       case "index_entity":
-        if (task.entityId) {
-          await this.indexEntity(task.entityId, task.branchName);
-        }
-        break;
-      case "detect_relationships":
         if (task.entityId) {
           await this.detectRelationshipsForEntity(
             task.entityId,
@@ -124,118 +139,85 @@ export class RelationshipIndexer {
     }
   }
 
-  private async indexEntity(
-    entityId: string,
-    branchName?: string
-  ): Promise<void> {
-    try {
-      const entities = await this.memoryManager.openNodes(
-        [entityId],
-        branchName
-      );
-      if (entities.entities.length === 0) return;
-
-      const entity = entities.entities[0];
-      const keywords = this.extractKeywords(entity);
-
-      const indexEntry: RelationshipIndex = {
-        entityId: entity.name,
-        entityType: entity.entityType,
-        keywords,
-        lastIndexed: new Date(),
-        similarityScores: new Map(),
-        suggestedRelations: new Map(),
-      };
-
-      this.entityIndex.set(entity.name, indexEntry);
-
-      // Update indices
-      const branchKey = branchName || "main";
-      if (!this.branchIndices.has(branchKey)) {
-        this.branchIndices.set(branchKey, new Set());
-      }
-      this.branchIndices.get(branchKey)!.add(entity.name);
-
-      if (!this.typeIndices.has(entity.entityType)) {
-        this.typeIndices.set(entity.entityType, new Set());
-      }
-      this.typeIndices.get(entity.entityType)!.add(entity.name);
-
-      for (const keyword of keywords) {
-        if (!this.keywordIndex.has(keyword)) {
-          this.keywordIndex.set(keyword, new Set());
-        }
-        this.keywordIndex.get(keyword)!.add(entity.name);
-      }
-
-      // Queue relationship detection
-      this.queueTask({
-        id: `detect_${entityId}_${Date.now()}`,
-        type: "detect_relationships",
-        entityId,
-        branchName,
-        priority: "normal",
-        createdAt: new Date(),
-      });
-    } catch (error) {
-      console.error(`❌ Failed to index entity ${entityId}:`, error);
-    }
-  }
-
   private async detectRelationshipsForEntity(
     entityId: string,
     branchName?: string
   ): Promise<void> {
     try {
-      const indexEntry = this.entityIndex.get(entityId);
-      if (!indexEntry) return;
-
       const entities = await this.memoryManager.openNodes(
         [entityId],
-        branchName
+        branchName,
+        undefined,
+        false // Cross-branch context is not needed for indexing
       );
       if (entities.entities.length === 0) return;
 
       const targetEntity = entities.entities[0];
 
-      // Get potential candidates from same branch/type
-      const branchKey = branchName || "main";
-      const entityIds = this.branchIndices.get(branchKey);
-
-      if (!entityIds || entityIds.size <= 1) return;
-
-      const candidateIds = Array.from(entityIds)
-        .filter((id) => id !== entityId)
-        .slice(0, 20); // Limit for performance
-      const candidateEntities = await this.memoryManager.openNodes(
-        candidateIds,
-        branchName
-      );
+      // Candidates are the entities sharing the most distinctive keywords
+      const candidateNames: string[] =
+        this.memoryManager.findRelationCandidates(
+          targetEntity.name,
+          branchName,
+          INDEXED_STATUSES,
+          MAX_CANDIDATES
+        );
+      const candidateEntities =
+        candidateNames.length === 0
+          ? []
+          : (
+              await this.memoryManager.openNodes(
+                candidateNames,
+                branchName,
+                INDEXED_STATUSES,
+                false
+              )
+            ).entities;
 
       // Use embedding similarity
       const similarEntities = await this.modernSimilarity.detectSimilarEntities(
         targetEntity,
-        candidateEntities.entities
+        candidateEntities
       );
 
-      // Update index
-      indexEntry.similarityScores.clear();
-      indexEntry.suggestedRelations.clear();
-
-      for (const match of similarEntities) {
-        indexEntry.similarityScores.set(match.entity.name, match.similarity);
-
-        if (match.confidence === "high" || match.confidence === "medium") {
-          indexEntry.suggestedRelations.set(match.entity.name, {
-            type: match.suggestedRelationType,
+      // Relations its observations state in words come first, so they win
+      // over a similarity guess for the same pair. Only those from the
+      // entity itself are proposed: pending suggestions are replaced per
+      // source entity on the next run.
+      const stated: ProposedRelation[] = this.modernSimilarity
+        .extractStatedRelations(targetEntity, candidateEntities)
+        .filter((relation) => relation.from === targetEntity.name)
+        .map((relation) => ({
+          to: relation.to,
+          relationType: relation.relationType,
+          confidence: STATED_CONFIDENCE,
+          evidence: relation.evidence,
+        }));
+      const proposed: ProposedRelation[] = [
+        ...stated,
+        ...similarEntities
+          .filter(
+            (match) =>
+              match.confidence === "high" || match.confidence === "medium"
+          )
+          .map((match) => ({
+            to: match.entity.name,
+            relationType: match.suggestedRelationType,
             confidence: match.similarity,
-          });
-        }
-      }
+            features: match.features,
+            ...(match.evidence && { evidence: match.evidence }),
+          })),
+      ];
+      const recorded = this.memoryManager.recordRelationSuggestions(
+        targetEntity.name,
+        branchName,
+        proposed
+      );
+      this.indexedEntities++;
 
       if (similarEntities.length > 0) {
         console.error(
-          `🔍 Background indexed ${similarEntities.length} relationship candidates for ${entityId}`
+          `🔍 Background indexed ${similarEntities.length} relationship candidates for ${entityId} (${recorded} new suggestions)`
         );
         // Log top matches for debugging
         for (const match of similarEntities.slice(0, 3)) {
@@ -249,6 +231,7 @@ export class RelationshipIndexer {
         }
       }
     } catch (error) {
+      this.failedEntities.add(`${branchName || "main"}/${entityId}`);
       console.error(
         `❌ Failed to detect relationships for ${entityId}:`,
         error
@@ -256,25 +239,33 @@ export class RelationshipIndexer {
     }
   }
 
+  /**
+   * Queue the next batch of entities never indexed, or changed since they
+   * were, in every branch; runs again after the batch until none are left
+   */
   private async buildInitialIndex(): Promise<void> {
     try {
-      // Get all branches and index their entities
       const branches = await this.memoryManager.listBranches();
+      let queued = 0;
 
       for (const branch of branches) {
-        const graph = await this.memoryManager.readGraph(
-          branch.name === "main" ? undefined : branch.name,
-          ["active", "draft"],
-          false
-        );
-
-        // Queue indexing for each entity
-        for (const entity of graph.entities.slice(0, 50)) {
-          // Limit initial index size
+        const names: string[] = this.memoryManager
+          .entitiesToIndex(
+            branch.name,
+            INDEXED_STATUSES,
+            INDEX_BATCH_SIZE + this.failedEntities.size
+          )
+          .filter(
+            (name: string) => !this.failedEntities.has(`${branch.name}/${name}`)
+          )
+          .slice(0, INDEX_BATCH_SIZE);
+
+        for (const name of names) {
+          queued++;
           this.queueTask({
-            id: `index_${entity.name}_${Date.now()}`,
+            id: `index_${name}_${Date.now()}`,
             type: "index_entity",
-            entityId: entity.name,
+            entityId: name,
             branchName: branch.name === "main" ? undefined : branch.name,
             priority: "low",
             createdAt: new Date(),
@@ -282,7 +273,17 @@ export class RelationshipIndexer {
         }
       }
 
-      console.error(`🔄 Queued initial indexing for relationship detection`);
+      if (queued > 0) {
+        console.error(
+          `🔄 Queued ${queued} entities for relationship detection`
+        );
+        this.queueTask({
+          id: `next_batch_${Date.now()}`,
+          type: "cleanup_stale",
+          priority: "low",
+          createdAt: new Date(),
+        });
+      }
     } catch (error) {
       console.error("❌ Failed to build initial index:", error);
     }
@@ -304,44 +305,16 @@ export class RelationshipIndexer {
     });
   }
 
-  /**
-   * Get relationship suggestions for an entity
-   */
-  getRelationshipSuggestions(entityId: string): Array<{
-    targetEntity: string;
-    relationType: string;
-    confidence: number;
-    isAutoCreatable: boolean;
-  }> {
-    const indexEntry = this.entityIndex.get(entityId);
-    if (!indexEntry) return [];
-
-    const suggestions = [];
-
-    for (const [targetId, suggestion] of indexEntry.suggestedRelations) {
-      suggestions.push({
-        targetEntity: targetId,
-        relationType: suggestion.type,
-        confidence: suggestion.confidence,
-        isAutoCreatable: suggestion.confidence > this.AUTO_RELATION_THRESHOLD,
-      });
-    }
-
-    return suggestions.sort((a, b) => b.confidence - a.confidence).slice(0, 10);
-  }
-
   /**
    * Get statistics about the index
    */
   getStatistics(): {
-    totalEntities: number;
-    totalBranches: number;
+    indexedEntities: number; // Since this process started
     queueSize: number;
     isProcessing: boolean;
   } {
     return {
-      totalEntities: this.entityIndex.size,
-      totalBranches: this.branchIndices.size,
+      indexedEntities: this.indexedEntities,
       queueSize: this.taskQueue.length,
       isProcessing: this.isProcessing,
     };
@@ -356,69 +329,4 @@ export class RelationshipIndexer {
       this.processingInterval = undefined;
     }
   }
-
-  // ===== UTILITY METHODS =====
-
-  private extractKeywords(entity: Entity): Set<string> {
-    const keywords = new Set<string>();
-
-    // Entity type
-    keywords.add(entity.entityType.toLowerCase());
-
-    // Name words
-    const nameWords = entity.name
-      .toLowerCase()
-      .split(/\W+/)
-      .filter((word) => word.length > 2);
-    nameWords.forEach((word) => keywords.add(word));
-
-    // Observation words
-    if (entity.observations) {
-      for (const obs of entity.observations) {
-        const words = obs
-          .toLowerCase()
-          .split(/\W+/)
-          .filter((word) => word.length > 2);
-        words.forEach((word) => {
-          if (!this.isStopWord(word)) {
-            keywords.add(word);
-          }
-        });
-      }
-    }
-
-    return keywords;
-  }
-
-  private isStopWord(word: string): boolean {
-    const stopWords = new Set([
-      "the",
-      "a",
-      "an",
-      "and",
-      "or",
-      "but",
-      "in",
-      "on",
-      "at",
-      "to",
-      "for",
-      "of",
-      "with",
-      "by",
-      "this",
-      "that",
-      "is",
-      "are",
-      "was",
-      "were",
-      "have",
-      "has",
-      "had",
-      "will",
-      "would",
-      "can",
-    ]);
-    return stopWords.has(word);
-  }
 }
@@ -0,0 +1,77 @@
+import { RelationshipJob } from "../memory-types.js";
+import { logger } from "./logger.js";
+
+// Finished jobs kept for polling; the oldest are dropped first
+const MAX_FINISHED_JOBS = 100;
+
+/**
+ * Relationship Jobs
+ * Tracks relationship detection running after create_entities has
+ * returned, so agents can poll for the outcome by job id. Jobs live in
+ * memory only: they are short and their relations are stored anyway.
+ */
+export class RelationshipJobs {
+  private jobs = new Map<string, RelationshipJob>();
+  private running = new Map<string, Promise<void>>();
+  private started = 0;
+
+  /**
+   * Start the work in the background and return its job right away
+   */
+  start(
+    branch: string,
+    entities: string[],
+    work: () => Promise<any[]>
+  ): RelationshipJob {
+    const job: RelationshipJob = {
+      id: `relations_${Date.now()}_${++this.started}`,
+      status: "running",
+      branch,
+      entities,
+      startedAt: new Date().toISOString(),
+    };
+    this.jobs.set(job.id, job);
+
+    const done = work()
+      .then((results) => {
+        job.status = "completed";
+        job.results = results;
+      })
+      .catch((error) => {
+        logger.error(`Relationship job ${job.id} failed:`, error);
+        job.status = "failed";
+        job.error = error instanceof Error ? error.message : String(error);
+      })
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+        this.running.delete(job.id);
+        this.prune();
+      });
+    this.running.set(job.id, done);
+    return job;
+  }
+
+  get(id: string): RelationshipJob | undefined {
+    return this.jobs.get(id);
+  }
+
+  /**
+   * Resolve with the job once it has finished
+   */
+  async wait(id: string): Promise<RelationshipJob | undefined> {
+    await this.running.get(id);
+    return this.jobs.get(id);
+  }
+
+  private prune(): void {
+    const finished = [...this.jobs.values()].filter(
+      (job) => job.status !== "running"
+    );
+    for (const job of finished.slice(
+      0,
+      Math.max(finished.length - MAX_FINISHED_JOBS, 0)
+    )) {
+      this.jobs.delete(job.id);
+    }
+  }
+}
@@ -0,0 +1,217 @@
+import {
+  Entity,
+  StatedRelation,
+  StatedRelationType,
+} from "../../memory-types.js";
+
+// Longest evidence snippet kept, in characters
+const MAX_EVIDENCE = 160;
+
+// Words allowed between a verb and the name it applies to
+const ARTICLE = String.raw`(?:(?:the|a|an|its|their|our|this|that|each|every)\s+)?`;
+
+interface VerbRule {
+  relationType: StatedRelationType;
+  pattern: RegExp;
+  passive?: boolean; // "is called by X": X is the source
+}
+
+// Verb phrases right before a mention, checked in order; the first match
+// decides the relation type
+const VERB_RULES: VerbRule[] = [
+  {
+    relationType: "calls",
+    passive: true,
+    pattern: /\b(?:called|invoked|queried|pinged|notified)\s+by\s+$/,
+  },
+  {
+    relationType: "depends_on",
+    passive: true,
+    pattern: /\b(?:used|consumed|required|imported|needed)\s+by\s+$/,
+  },
+  {
+    relationType: "implements",
+    passive: true,
+    pattern: /\bimplemented\s+by\s+$/,
+  },
+  {
+    relationType: "replaces",
+    passive: true,
+    pattern: /\b(?:replaced|superseded|succeeded)\s+by\s+$/,
+  },
+  {
+    relationType: "stores_in",
+    pattern: new RegExp(
+      String.raw`\b(?:stores?|storing|stored|persists?|persisting|persisted|saves?|saving|saved|writes?|writing|written|caches?|caching|cached|keeps?|kept|archives?|archived)\b(?:\s+[\w-]+){0,4}?\s+(?:in|into|to|on)\s+${ARTICLE}$`
+    ),
+  },
+  {
+    relationType: "calls",
+    pattern: new RegExp(
+      String.raw`\b(?:calls?|calling|invokes?|invoking|talks?\s+to|pings?|notifies|notify|queries|query|sends?\b(?:\s+[\w-]+){0,4}?\s+to|posts?\s+to|requests?\b(?:\s+[\w-]+){0,4}?\s+from)\s+${ARTICLE}$`
+    ),
+  },
+  {
+    relationType: "implements",
+    pattern: new RegExp(
+      String.raw`\b(?:implements?|implementing|(?:is\s+)?an?\s+implementation\s+of|conforms\s+to|realizes|fulfil?ls)\s+${ARTICLE}$`
+    ),
+  },
+  {
+    relationType: "replaces",
+    pattern: new RegExp(
+      String.raw`\b(?:replaces?|replacing|supersedes?|superseding|(?:a\s+|the\s+)?(?:replacement|successor)\s+(?:for|of|to)|migrated\s+from|migrates?\s+from)\s+${ARTICLE}$`
+    ),
+  },
+  {
+    relationType: "depends_on",
+    pattern: new RegExp(
+      String.raw`\b(?:depends?\s+on|depending\s+on|relies\s+on|rely\s+on|requires?|requiring|uses?|using|needs?|built\s+(?:on\s+top\s+of|on|with)|imports?|consumes?|reads?\s+from|subscribes?\s+to|(?:is\s+)?based\s+on)\s+${ARTICLE}$`
+    ),
+  },
+];
+
+// A lead saying the verb does not (or no longer) apply: "does not use",
+// "no longer calls", "never talks to", "stopped using", "instead of"
+const NEGATION =
+  /\b(?:not|never|nor|without|cannot|no\s+(?:longer|more)|stop(?:s|ped|ping)?|ceased|instead\s+of)\b|n['’]t\b/;
+
+// "uses Redis for caching": using something to keep data is storing in it
+const STORAGE_PURPOSE =
+  /^\s+(?:for|as)\s+(?:(?:a|an|the|its|their|our)\s+)?(?:[\w-]+\s+)?(?:cach\w*|storage|persistence|store|database|db|datastore)\b/;
+
+// Only a list separator between two mentions: "calls A, B and C"
+const LIST_SEPARATOR =
+  /^\s*(?:,\s*(?:and\s+|or\s+)?|and\s+|or\s+|&\s+|as\s+well\s+as\s+)$/;
+
+// Clause boundaries: sentence punctuation followed by a space, or newlines
+const CLAUSE_BOUNDARY = /[.;!?](?=\s|$)|\n+/;
+
+interface Mention {
+  start: number;
+  end: number;
+  entity: string;
+}
+
+/**
+ * Find the relations an entity's observations state in words: mentions of
+ * other entities (by name or alias) preceded by a verb such as "calls",
+ * "depends on", "implements", "stores ... in" or "replaces". The relation
+ * runs from the entity, or from another entity named earlier in the same
+ * clause ("OrderService calls PaymentGateway"), and is reversed for
+ * passives ("is called by CheckoutFlow"). Negated verbs ("does not use",
+ * "no longer calls") state nothing. Each comes with the clause that states
+ * it.
+ */
+export function extractStatedRelations(
+  entity: Entity,
+  candidates: Entity[]
+): StatedRelation[] {
+  const others = candidates.filter((c) => c.name !== entity.name);
+  if (others.length === 0) return [];
+
+  const names = [entity, ...others].flatMap((e) =>
+    [e.name, ...(e.aliases || [])]
+      .filter((name) => name.trim().length >= 2)
+      .map((name) => ({ entity: e.name, name: name.toLowerCase() }))
+  );
+
+  const found = new Map<string, StatedRelation>();
+  for (const observation of entity.observations) {
+    for (const clause of observation.split(CLAUSE_BOUNDARY)) {
+      for (const relation of extractFromClause(clause, entity.name, names)) {
+        const key = `${relation.from}|${relation.relationType}|${relation.to}`;
+        if (!found.has(key)) found.set(key, relation);
+      }
+    }
+  }
+  return [...found.values()];
+}
+
+function extractFromClause(
+  clause: string,
+  owner: string,
+  names: Array<{ entity: string; name: string }>
+): StatedRelation[] {
+  const lower = clause.toLowerCase();
+  const mentions = findMentions(lower, names);
+  if (!mentions.some((m) => m.entity !== owner)) return [];
+
+  const relations: StatedRelation[] = [];
+  let subject = owner;
+  let previous: { relationType: StatedRelationType; from: string } | null =
+    null;
+  // The last verb was negated, and so is a list following it
+  let negated = false;
+  let leadStart = 0;
+  for (const mention of mentions) {
+    const lead = lower.slice(leadStart, mention.start);
+    leadStart = mention.end;
+
+    if ((previous || negated) && LIST_SEPARATOR.test(lead)) {
+      if (previous) add(previous.relationType, previous.from, mention.entity);
+      continue;
+    }
+    const rule = VERB_RULES.find((r) => r.pattern.test(lead));
+    negated = !!rule && NEGATION.test(lead);
+    if (!rule || negated) {
+      // A bare mention is what the next verb is about
+      if (!rule) subject = mention.entity;
+      previous = null;
+      continue;
+    }
+
+    if (rule.passive) {
+      add(rule.relationType, mention.entity, subject);
+      previous = null;
+      continue;
+    }
+    const relationType =
+      rule.relationType === "depends_on" &&
+      STORAGE_PURPOSE.test(lower.slice(mention.end))
+        ? "stores_in"
+        : rule.relationType;
+    add(relationType, subject, mention.entity);
+    previous = { relationType, from: subject };
+  }
+  return relations;
+
+  function add(relationType: StatedRelationType, from: string, to: string) {
+    if (from === to) return;
+    relations.push({ from, to, relationType, evidence: evidence(clause) });
+  }
+}
+
+// Word-bounded mentions in order, the longest name winning where they overlap
+function findMentions(
+  lower: string,
+  names: Array<{ entity: string; name: string }>
+): Mention[] {
+  const mentions: Mention[] = [];
+  for (const { entity, name } of names) {
+    for (
+      let start = lower.indexOf(name);
+      start !== -1;
+      start = lower.indexOf(name, start + 1)
+    ) {
+      const end = start + name.length;
+      if (isWordChar(lower[start - 1]) || isWordChar(lower[end])) continue;
+      mentions.push({ start, end, entity });
+    }
+  }
+  mentions.sort((a, b) => a.start - b.start || b.end - a.end);
+  return mentions.filter(
+    (mention, i) => !mentions.slice(0, i).some((m) => m.end > mention.start)
+  );
+}
+
+function isWordChar(char: string | undefined): boolean {
+  return char !== undefined && /[\p{L}\p{N}_]/u.test(char);
+}
+
+function evidence(clause: string): string {
+  const text = clause.trim().replace(/\s+/g, " ");
+  return text.length <= MAX_EVIDENCE
+    ? text
+    : `${text.slice(0, MAX_EVIDENCE - 3)}...`;
+}
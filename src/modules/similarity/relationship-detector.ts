@@ -1,4 +1,14 @@
-import { Entity } from "../../memory-types.js";
+import {
+  Entity,
+  SimilarityFeatures,
+  SimilarityModel,
+  SimilarityThresholds,
+} from "../../memory-types.js";
+import {
+  DEFAULT_SIMILARITY_MODEL,
+  scoreFeatures,
+} from "./similarity-calibration.js";
+import { extractStatedRelations } from "./relation-extractor.js";
 import { TextProcessor } from "./text-processor.js";
 
 /**
@@ -7,16 +17,29 @@ import { TextProcessor } from "./text-processor.js";
  */
 export class RelationshipDetector {
   private textProcessor: TextProcessor;
-
-  // Configurable thresholds for better results
-  private readonly SIMILARITY_THRESHOLD = 0.5; // Lowered for realistic detection
-  private readonly HIGH_CONFIDENCE_THRESHOLD = 0.85;
-  private readonly MEDIUM_CONFIDENCE_THRESHOLD = 0.75;
+  // Weights and thresholds, fitted per project once there is feedback
+  private model: () => SimilarityModel = () => DEFAULT_SIMILARITY_MODEL;
 
   constructor() {
     this.textProcessor = new TextProcessor();
   }
 
+  /**
+   * Score with the model the getter returns, read on every detection so a
+   * refitted model applies straight away
+   */
+  useModel(getModel: () => SimilarityModel): void {
+    this.model = getModel;
+  }
+
+  getModel(): SimilarityModel {
+    return this.model();
+  }
+
+  getThresholds(): SimilarityThresholds {
+    return this.getModel().thresholds;
+  }
+
   /**
    * Detect relationships between entities using multiple similarity approaches
    */
@@ -30,6 +53,8 @@ export class RelationshipDetector {
       confidence: "high" | "medium" | "low";
       suggestedRelationType: string;
       reasoning: string;
+      features: SimilarityFeatures;
+      evidence?: string;
     }>
   > {
     const results: Array<{
@@ -38,23 +63,27 @@ export class RelationshipDetector {
       confidence: "high" | "medium" | "low";
       suggestedRelationType: string;
       reasoning: string;
+      features: SimilarityFeatures;
+      evidence?: string;
     }> = [];
+    const model = this.getModel();
 
     for (const candidate of candidateEntities) {
       if (candidate.name === targetEntity.name) continue;
 
-      const similarity = this.calculateEntitySimilarity(
+      const features = this.calculateSimilarityFeatures(
         targetEntity,
         candidate
       );
+      const similarity = scoreFeatures(model, features);
 
-      if (similarity > this.SIMILARITY_THRESHOLD) {
-        const confidence = this.determineConfidence(similarity);
-        const { relationType, reasoning } = this.inferRelationshipType(
-          targetEntity,
-          candidate,
-          similarity
+      if (similarity > model.thresholds.similarity) {
+        const confidence = this.determineConfidence(
+          similarity,
+          model.thresholds
         );
+        const { relationType, reasoning, evidence } =
+          this.inferRelationshipType(targetEntity, candidate, similarity);
 
         results.push({
           entity: candidate,
@@ -62,6 +91,8 @@ export class RelationshipDetector {
           confidence,
           suggestedRelationType: relationType,
           reasoning,
+          features,
+          ...(evidence && { evidence }),
         });
       }
     }
@@ -71,9 +102,76 @@ export class RelationshipDetector {
   }
 
   /**
-   * Calculate comprehensive entity similarity using multiple algorithms
+   * Score how likely two entities describe the same thing. Names are
+   * compared after splitting camelCase and punctuation, and a word that
+   * abbreviates another ("Auth" / "Authentication") counts as a match.
    */
-  private calculateEntitySimilarity(entity1: Entity, entity2: Entity): number {
+  scoreDuplicate(
+    entity1: Entity,
+    entity2: Entity
+  ): { score: number; reasons: string[] } {
+    const reasons: string[] = [];
+    const words1 = this.splitName(entity1.name);
+    const words2 = this.splitName(entity2.name);
+
+    let nameScore: number;
+    if (words1.join("") === words2.join("")) {
+      nameScore = 1.0;
+      reasons.push("same name ignoring case, spacing and punctuation");
+    } else {
+      const matched = words1.filter((w1) =>
+        words2.some(
+          (w2) =>
+            w1 === w2 ||
+            (Math.min(w1.length, w2.length) >= 3 &&
+              (w1.startsWith(w2) || w2.startsWith(w1)))
+        )
+      ).length;
+      const wordScore = matched / Math.max(words1.length, words2.length, 1);
+      const charScore = this.textProcessor.calculateSentenceSimilarity(
+        words1.join(""),
+        words2.join("")
+      );
+      nameScore = Math.max(wordScore, charScore);
+      if (wordScore === 1) {
+        reasons.push("every name word matches or abbreviates the other");
+      } else if (nameScore >= 0.7) {
+        reasons.push(`similar names (${nameScore.toFixed(2)})`);
+      }
+    }
+
+    const typeScore = this.calculateTypeSimilarity(entity1, entity2);
+    if (typeScore === 1) reasons.push("same entity type");
+
+    const contentScore = this.calculateContentSimilarity(entity1, entity2);
+    if (contentScore >= 0.5) {
+      reasons.push(`overlapping observations (${contentScore.toFixed(2)})`);
+    }
+
+    // The name dominates: duplicates are usually the same thing written twice
+    const score = Math.min(
+      0.6 * nameScore + 0.15 * typeScore + 0.25 * contentScore,
+      1.0
+    );
+    return { score, reasons };
+  }
+
+  private splitName(name: string): string[] {
+    return name
+      .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+      .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((word) => word.length > 0);
+  }
+
+  /**
+   * The similarities the model combines into one score
+   */
+  private calculateSimilarityFeatures(
+    entity1: Entity,
+    entity2: Entity
+  ): SimilarityFeatures {
     // 1. Name similarity (most important)
     const nameSimilarity = this.textProcessor.calculateSentenceSimilarity(
       entity1.name,
@@ -98,23 +196,13 @@ export class RelationshipDetector {
       entity2
     );
 
-    // Weighted combination - name and patterns are most important
-    const weights = {
-      name: 0.35,
-      type: 0.2,
-      content: 0.25,
-      pattern: 0.15,
-      structural: 0.05,
+    return {
+      name: nameSimilarity,
+      type: typeSimilarity,
+      content: contentSimilarity,
+      pattern: patternResult.score,
+      structural: structuralSimilarity,
     };
-
-    const finalScore =
-      weights.name * nameSimilarity +
-      weights.type * typeSimilarity +
-      weights.content * contentSimilarity +
-      weights.pattern * patternResult.score +
-      weights.structural * structuralSimilarity;
-
-    return Math.min(finalScore, 1.0);
   }
 
   /**
@@ -177,10 +265,13 @@ export class RelationshipDetector {
   /**
    * Determine confidence level based on similarity score
    */
-  private determineConfidence(similarity: number): "high" | "medium" | "low" {
-    if (similarity >= this.HIGH_CONFIDENCE_THRESHOLD) {
+  private determineConfidence(
+    similarity: number,
+    thresholds: SimilarityThresholds = this.getThresholds()
+  ): "high" | "medium" | "low" {
+    if (similarity >= thresholds.high) {
       return "high";
-    } else if (similarity >= this.MEDIUM_CONFIDENCE_THRESHOLD) {
+    } else if (similarity >= thresholds.medium) {
       return "medium";
     } else {
       return "low";
@@ -197,7 +288,24 @@ export class RelationshipDetector {
   ): {
     relationType: string;
     reasoning: string;
+    evidence?: string;
   } {
+    // 0. Relations the observations of either entity state in words
+    const stated = [
+      ...extractStatedRelations(entity1, [entity2]),
+      ...extractStatedRelations(entity2, [entity1]),
+    ].find(
+      (relation) =>
+        relation.from === entity1.name && relation.to === entity2.name
+    );
+    if (stated) {
+      return {
+        relationType: stated.relationType,
+        reasoning: `Stated in an observation: "${stated.evidence}"`,
+        evidence: stated.evidence,
+      };
+    }
+
     const type1 = entity1.entityType.toLowerCase();
     const type2 = entity2.entityType.toLowerCase();
     const name1 = entity1.name.toLowerCase();
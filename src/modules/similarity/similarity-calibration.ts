@@ -0,0 +1,279 @@
+import fs from "fs";
+import path from "path";
+import {
+  SimilarityCalibration,
+  SimilarityFeatures,
+  SimilarityFeedback,
+  SimilarityModel,
+  SimilarityThresholds,
+} from "../../memory-types.js";
+import { logger } from "../logger.js";
+
+const FEATURES: Array<keyof SimilarityFeatures> = [
+  "name",
+  "type",
+  "content",
+  "pattern",
+  "structural",
+];
+
+// The hand-tuned weighted sum used until there is enough feedback
+export const DEFAULT_SIMILARITY_MODEL: SimilarityModel = {
+  kind: "weighted",
+  weights: {
+    name: 0.35,
+    type: 0.2,
+    content: 0.25,
+    pattern: 0.15,
+    structural: 0.05,
+  },
+  bias: 0,
+  thresholds: { similarity: 0.5, medium: 0.75, high: 0.85 },
+};
+
+// Reviews needed before a model is fitted, and of each outcome
+export const MIN_FEEDBACK = 10;
+const MIN_PER_OUTCOME = 2;
+
+// Every HOLD_OUT_EVERY-th review is kept back to measure the fitted model
+const HOLD_OUT_EVERY = 5;
+
+// Gradient descent settings for the logistic regression
+const ITERATIONS = 2000;
+const LEARNING_RATE = 1;
+const L2_PENALTY = 0.01;
+
+// Precision wanted at the high threshold and recall at the lowest one
+const HIGH_PRECISION = 0.9;
+const LOW_RECALL = 0.95;
+
+/**
+ * Combine similarity features into a 0-1 score with a model
+ */
+export function scoreFeatures(
+  model: SimilarityModel,
+  features: SimilarityFeatures
+): number {
+  const sum = FEATURES.reduce(
+    (total, feature) => total + model.weights[feature] * features[feature],
+    model.bias
+  );
+  return model.kind === "logistic" ? sigmoid(sum) : Math.min(sum, 1);
+}
+
+/**
+ * Fit a logistic regression to review feedback, in review order. Every
+ * fifth review is held out to measure it; thresholds are chosen on the
+ * rest: medium maximizes F1, high is the lowest score reaching 90%
+ * precision and the reporting threshold keeps 95% recall. With too little
+ * feedback the default model is returned, with the feedback counted.
+ */
+export function fitCalibration(
+  feedback: SimilarityFeedback[]
+): SimilarityCalibration {
+  const training = feedback.filter((_, i) => !isHeldOut(i));
+  const heldOut = feedback.filter((_, i) => isHeldOut(i));
+  const accepted = feedback.filter((sample) => sample.accepted).length;
+  const counts = {
+    accepted,
+    rejected: feedback.length - accepted,
+    training: training.length,
+    heldOut: heldOut.length,
+  };
+  if (feedback.length < MIN_FEEDBACK || !hasBothOutcomes(training)) {
+    return {
+      model: DEFAULT_SIMILARITY_MODEL,
+      feedback: { ...counts, training: 0, heldOut: 0 },
+    };
+  }
+
+  const { weights, bias } = trainLogistic(training);
+  const fitted: SimilarityModel = {
+    kind: "logistic",
+    weights,
+    bias,
+    thresholds: DEFAULT_SIMILARITY_MODEL.thresholds,
+  };
+  fitted.thresholds = chooseThresholds(
+    training.map((sample) => ({
+      score: scoreFeatures(fitted, sample.features),
+      accepted: sample.accepted,
+    }))
+  );
+
+  const predictions = heldOut.map((sample) => ({
+    predicted:
+      scoreFeatures(fitted, sample.features) >= fitted.thresholds.medium,
+    accepted: sample.accepted,
+  }));
+  const truePositives = predictions.filter(
+    (p) => p.predicted && p.accepted
+  ).length;
+  const predictedPositives = predictions.filter((p) => p.predicted).length;
+  const positives = predictions.filter((p) => p.accepted).length;
+  return {
+    model: fitted,
+    fittedAt: new Date().toISOString(),
+    feedback: counts,
+    heldOut: {
+      precision: ratio(truePositives, predictedPositives),
+      recall: ratio(truePositives, positives),
+      accuracy:
+        ratio(
+          predictions.filter((p) => p.predicted === p.accepted).length,
+          predictions.length
+        ) ?? 0,
+    },
+  };
+}
+
+/**
+ * Calibration Store
+ * The similarity calibration fitted for a project, kept in
+ * .memory/similarity-calibration.json
+ */
+export class CalibrationStore {
+  private filePath: string;
+  private calibration: SimilarityCalibration | null = null;
+
+  constructor(basePath: string) {
+    this.filePath = path.join(
+      basePath,
+      ".memory",
+      "similarity-calibration.json"
+    );
+    this.load();
+  }
+
+  get(): SimilarityCalibration | null {
+    return this.calibration;
+  }
+
+  getModel(): SimilarityModel {
+    return this.calibration?.model || DEFAULT_SIMILARITY_MODEL;
+  }
+
+  save(calibration: SimilarityCalibration): void {
+    this.calibration = calibration;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(
+      this.filePath,
+      JSON.stringify(calibration, null, 2) + "\n"
+    );
+  }
+
+  private load(): void {
+    if (!fs.existsSync(this.filePath)) return;
+    try {
+      const file = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+      if (isModel(file?.model)) this.calibration = file;
+    } catch (error) {
+      logger.warn(
+        `Ignoring unreadable similarity calibration ${this.filePath}:`,
+        error
+      );
+    }
+  }
+}
+
+function isHeldOut(index: number): boolean {
+  return index % HOLD_OUT_EVERY === HOLD_OUT_EVERY - 1;
+}
+
+function hasBothOutcomes(training: SimilarityFeedback[]): boolean {
+  const accepted = training.filter((sample) => sample.accepted).length;
+  return (
+    accepted >= MIN_PER_OUTCOME && training.length - accepted >= MIN_PER_OUTCOME
+  );
+}
+
+// Batch gradient descent on the L2-penalized log loss
+function trainLogistic(samples: SimilarityFeedback[]): {
+  weights: SimilarityFeatures;
+  bias: number;
+} {
+  const weights = FEATURES.map(() => 0);
+  let bias = 0;
+  for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+    const gradient = FEATURES.map(() => 0);
+    let biasGradient = 0;
+    for (const sample of samples) {
+      const values = FEATURES.map((feature) => sample.features[feature]);
+      const error =
+        sigmoid(values.reduce((sum, x, j) => sum + weights[j] * x, bias)) -
+        (sample.accepted ? 1 : 0);
+      values.forEach((x, j) => (gradient[j] += error * x));
+      biasGradient += error;
+    }
+    weights.forEach((w, j) => {
+      weights[j] -=
+        LEARNING_RATE * (gradient[j] / samples.length + L2_PENALTY * w);
+    });
+    bias -= (LEARNING_RATE * biasGradient) / samples.length;
+  }
+  return {
+    weights: Object.fromEntries(
+      FEATURES.map((feature, j) => [feature, round(weights[j])])
+    ) as unknown as SimilarityFeatures,
+    bias: round(bias),
+  };
+}
+
+function chooseThresholds(
+  scored: Array<{ score: number; accepted: boolean }>
+): SimilarityThresholds {
+  const positives = scored.filter((s) => s.accepted).length;
+  const cutoffs = [...new Set(scored.map((s) => s.score))]
+    .sort((a, b) => a - b)
+    .map((cutoff) => {
+      const above = scored.filter((s) => s.score >= cutoff);
+      const truePositives = above.filter((s) => s.accepted).length;
+      const precision = truePositives / above.length;
+      const recall = truePositives / positives;
+      const f1 =
+        truePositives === 0
+          ? 0
+          : (2 * precision * recall) / (precision + recall);
+      return { cutoff, precision, recall, f1, truePositives };
+    });
+
+  // Ties go to the higher cutoff, which proposes fewer relations
+  const medium = cutoffs.reduce((best, c) => (c.f1 >= best.f1 ? c : best));
+  const high = cutoffs.find(
+    (c) =>
+      c.cutoff >= medium.cutoff &&
+      c.truePositives > 0 &&
+      c.precision >= HIGH_PRECISION
+  );
+  const similarity = [...cutoffs]
+    .reverse()
+    .find((c) => c.cutoff <= medium.cutoff && c.recall >= LOW_RECALL);
+  return {
+    similarity: similarity?.cutoff ?? cutoffs[0].cutoff,
+    medium: medium.cutoff,
+    high: high?.cutoff ?? 1,
+  };
+}
+
+function isModel(model: any): model is SimilarityModel {
+  return (
+    (model?.kind === "weighted" || model?.kind === "logistic") &&
+    typeof model.bias === "number" &&
+    FEATURES.every((feature) => typeof model.weights?.[feature] === "number") &&
+    ["similarity", "medium", "high"].every(
+      (threshold) => typeof model.thresholds?.[threshold] === "number"
+    )
+  );
+}
+
+function sigmoid(x: number): number {
+  return 1 / (1 + Math.exp(-x));
+}
+
+function ratio(numerator: number, denominator: number): number | null {
+  return denominator === 0 ? null : round(numerator / denominator);
+}
+
+function round(value: number): number {
+  return Math.round(value * 10000) / 10000;
+}
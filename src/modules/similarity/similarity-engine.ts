@@ -1,6 +1,14 @@
-import { Entity } from "../../memory-types.js";
+import {
+  DuplicateCluster,
+  Entity,
+  SimilarityFeatures,
+  SimilarityModel,
+  StatedRelation,
+} from "../../memory-types.js";
 import { logger } from "../logger.js";
+import { extractStatedRelations } from "./relation-extractor.js";
 import { RelationshipDetector } from "./relationship-detector.js";
+import { SimilarityWorkerPool } from "./similarity-worker-pool.js";
 import { TextProcessor } from "./text-processor.js";
 
 /**
@@ -15,6 +23,7 @@ import { TextProcessor } from "./text-processor.js";
 export class ModernSimilarityEngine {
   private textProcessor: TextProcessor;
   private relationshipDetector: RelationshipDetector;
+  private workerPool?: SimilarityWorkerPool;
   private initialized = false;
 
   constructor() {
@@ -37,6 +46,21 @@ export class ModernSimilarityEngine {
     }
   }
 
+  /**
+   * Score entity pairs with the model the getter returns (e.g. the one
+   * fitted to the project's relation reviews) instead of the default
+   */
+  useModel(getModel: () => SimilarityModel): void {
+    this.relationshipDetector.useModel(getModel);
+  }
+
+  /**
+   * Run detectSimilarEntities in worker threads from now on
+   */
+  useWorkerPool(workerPool: SimilarityWorkerPool): void {
+    this.workerPool = workerPool;
+  }
+
   /**
    * Detect similar entities - main interface method
    */
@@ -50,6 +74,8 @@ export class ModernSimilarityEngine {
       confidence: "high" | "medium" | "low";
       suggestedRelationType: string;
       reasoning: string;
+      features: SimilarityFeatures;
+      evidence?: string;
     }>
   > {
     if (!this.initialized) {
@@ -66,10 +92,16 @@ export class ModernSimilarityEngine {
         `Modern similarity engine analyzing ${candidateEntities.length} candidates for "${targetEntity.name}"`
       );
 
-      const results = await this.relationshipDetector.detectSimilarEntities(
-        targetEntity,
-        candidateEntities
-      );
+      const results = this.workerPool
+        ? await this.workerPool.detect(
+            targetEntity,
+            candidateEntities,
+            this.relationshipDetector.getModel()
+          )
+        : await this.relationshipDetector.detectSimilarEntities(
+            targetEntity,
+            candidateEntities
+          );
 
       logger.debug(`Found ${results.length} similar entities above threshold`);
 
@@ -91,6 +123,17 @@ export class ModernSimilarityEngine {
     }
   }
 
+  /**
+   * Relations an entity's observations state in words about the candidates,
+   * e.g. "calls PaymentGateway" or "uses Redis for caching"
+   */
+  extractStatedRelations(
+    entity: Entity,
+    candidateEntities: Entity[]
+  ): StatedRelation[] {
+    return extractStatedRelations(entity, candidateEntities);
+  }
+
   /**
    * Quick similarity check between two entities (utility method)
    */
@@ -143,6 +186,89 @@ export class ModernSimilarityEngine {
     return results;
   }
 
+  /**
+   * Group entities that likely describe the same thing. Pairs scoring at
+   * or above the threshold are linked, and linked entities form a cluster.
+   * With candidatesOf, each entity is only compared with the names it
+   * returns (e.g. its keyword neighbours) instead of with every other entity.
+   */
+  async findDuplicateClusters(
+    entities: Entity[],
+    threshold: number = 0.8,
+    candidatesOf?: (entity: Entity) => string[]
+  ): Promise<DuplicateCluster[]> {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const indexByName = new Map(entities.map((e, i) => [e.name, i]));
+    const parent = entities.map((_, i) => i);
+    const find = (i: number): number =>
+      parent[i] === i ? i : (parent[i] = find(parent[i]));
+    const pairs: DuplicateCluster["pairs"] = [];
+
+    // Pairs already scored from the other side, when comparing candidates
+    const compared = new Set<string>();
+    for (let i = 0; i < entities.length; i++) {
+      const others = candidatesOf
+        ? candidatesOf(entities[i])
+            .map((name) => indexByName.get(name))
+            .filter((j): j is number => j !== undefined && j !== i)
+        : entities.map((_, j) => j).slice(i + 1);
+      for (const j of others) {
+        if (candidatesOf) {
+          const key = i < j ? `${i}:${j}` : `${j}:${i}`;
+          if (compared.has(key)) continue;
+          compared.add(key);
+        }
+        const [a, b] =
+          i < j ? [entities[i], entities[j]] : [entities[j], entities[i]];
+        const { score, reasons } = this.relationshipDetector.scoreDuplicate(
+          a,
+          b
+        );
+        if (score < threshold) continue;
+        pairs.push({
+          a: a.name,
+          b: b.name,
+          score: Number(score.toFixed(3)),
+          reasons,
+        });
+        parent[find(i)] = find(j);
+      }
+    }
+
+    const clusters = new Map<number, DuplicateCluster>();
+    for (const pair of pairs) {
+      const key = find(indexByName.get(pair.a)!);
+      let cluster = clusters.get(key);
+      if (!cluster) {
+        cluster = { entities: [], suggestedKeep: "", score: 0, pairs: [] };
+        clusters.set(key, cluster);
+      }
+      cluster.pairs.push(pair);
+      cluster.score = Math.max(cluster.score, pair.score);
+      for (const name of [pair.a, pair.b]) {
+        if (!cluster.entities.includes(name)) cluster.entities.push(name);
+      }
+    }
+
+    for (const cluster of clusters.values()) {
+      // Keep the best documented entity, then the more descriptive name
+      const members = cluster.entities.map(
+        (name) => entities[indexByName.get(name)!]
+      );
+      members.sort(
+        (x, y) =>
+          (y.observations?.length || 0) - (x.observations?.length || 0) ||
+          y.name.length - x.name.length
+      );
+      cluster.suggestedKeep = members[0].name;
+    }
+
+    return Array.from(clusters.values()).sort((x, y) => y.score - x.score);
+  }
+
   /**
    * Get similarity statistics for monitoring
    */
@@ -156,6 +282,7 @@ export class ModernSimilarityEngine {
       mediumConfidence: number;
     };
   } {
+    const thresholds = this.relationshipDetector.getThresholds();
     return {
       engine: "ModernSimilarityEngine",
       version: "1.0.0",
@@ -167,9 +294,9 @@ export class ModernSimilarityEngine {
         "software-aware",
       ],
       thresholds: {
-        similarity: 0.5,
-        highConfidence: 0.85,
-        mediumConfidence: 0.75,
+        similarity: thresholds.similarity,
+        highConfidence: thresholds.high,
+        mediumConfidence: thresholds.medium,
       },
     };
   }
@@ -0,0 +1,126 @@
+import { Worker } from "worker_threads";
+import { Entity, SimilarityModel } from "../../memory-types.js";
+import { logger } from "../logger.js";
+import { RelationshipDetector } from "./relationship-detector.js";
+
+export interface DetectionRequest {
+  target: Entity;
+  candidates: Entity[];
+  model: SimilarityModel;
+}
+
+export type DetectionResult = Awaited<
+  ReturnType<RelationshipDetector["detectSimilarEntities"]>
+>;
+
+interface QueuedDetection {
+  request: DetectionRequest;
+  resolve: (results: DetectionResult) => void;
+  reject: (error: Error) => void;
+}
+
+interface WorkerSlot {
+  worker: Worker;
+  job?: QueuedDetection;
+}
+
+/**
+ * Similarity Worker Pool
+ * Runs relationship detection in worker threads so scoring large batches
+ * never blocks the stdio event loop. Workers start on demand, one job at a
+ * time each, and only keep the process alive while they have a job; one
+ * that crashes fails its job and is replaced by the next dispatch.
+ */
+export class SimilarityWorkerPool {
+  private slots: WorkerSlot[] = [];
+  private queue: QueuedDetection[] = [];
+
+  constructor(private size: number) {}
+
+  detect(
+    target: Entity,
+    candidates: Entity[],
+    model: SimilarityModel
+  ): Promise<DetectionResult> {
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        request: { target, candidates, model },
+        resolve,
+        reject,
+      });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Stop every worker; queued and running detections fail
+   */
+  async shutdown(): Promise<void> {
+    for (const job of this.queue.splice(0)) {
+      job.reject(new Error("Similarity worker pool was shut down"));
+    }
+    const slots = this.slots.splice(0);
+    for (const slot of slots) {
+      slot.job?.reject(new Error("Similarity worker pool was shut down"));
+      slot.job = undefined;
+    }
+    await Promise.all(slots.map((slot) => slot.worker.terminate()));
+  }
+
+  private dispatch(): void {
+    while (this.queue.length > 0) {
+      const slot =
+        this.slots.find((candidate) => !candidate.job) ||
+        (this.slots.length < this.size ? this.spawn() : undefined);
+      if (!slot) return;
+
+      slot.job = this.queue.shift()!;
+      slot.worker.ref();
+      slot.worker.postMessage(slot.job.request);
+    }
+  }
+
+  private spawn(): WorkerSlot {
+    const slot: WorkerSlot = {
+      worker: new Worker(new URL("./similarity-worker.js", import.meta.url)),
+    };
+    slot.worker.unref();
+
+    slot.worker.on(
+      "message",
+      (reply: { results?: DetectionResult; error?: string }) => {
+        const job = slot.job;
+        slot.job = undefined;
+        slot.worker.unref();
+        if (reply.error !== undefined) {
+          job?.reject(new Error(reply.error));
+        } else {
+          job?.resolve(reply.results!);
+        }
+        this.dispatch();
+      }
+    );
+    slot.worker.on("error", (error) => {
+      logger.error("Similarity worker failed:", error);
+      this.retire(slot, error);
+    });
+    slot.worker.on("exit", (code) => {
+      this.retire(
+        slot,
+        new Error(`Similarity worker exited with code ${code}`)
+      );
+    });
+
+    this.slots.push(slot);
+    return slot;
+  }
+
+  private retire(slot: WorkerSlot, error: Error): void {
+    const index = this.slots.indexOf(slot);
+    if (index === -1) return;
+    this.slots.splice(index, 1);
+    slot.job?.reject(error);
+    slot.job = undefined;
+    this.dispatch();
+  }
+}
@@ -0,0 +1,28 @@
+import { parentPort } from "worker_threads";
+import { RelationshipDetector } from "./relationship-detector.js";
+import { DEFAULT_SIMILARITY_MODEL } from "./similarity-calibration.js";
+import { DetectionRequest } from "./similarity-worker-pool.js";
+
+/**
+ * Similarity Worker
+ * Worker thread entry point of SimilarityWorkerPool: scores one target
+ * entity against its candidates per message, with the model sent along.
+ */
+const detector = new RelationshipDetector();
+let model = DEFAULT_SIMILARITY_MODEL;
+detector.useModel(() => model);
+
+parentPort?.on("message", async (request: DetectionRequest) => {
+  try {
+    model = request.model;
+    const results = await detector.detectSimilarEntities(
+      request.target,
+      request.candidates
+    );
+    parentPort!.postMessage({ results });
+  } catch (error) {
+    parentPort!.postMessage({
+      error: error instanceof Error ? error.message : String(error),
+    });
+  }
+});
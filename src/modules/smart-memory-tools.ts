@@ -1,4 +1,5 @@
-import { Tool } from "@modelcontextprotocol/sdk/types.js";
+import { ResourceTemplate, Tool } from "@modelcontextprotocol/sdk/types.js";
+import { UriTemplate } from "@modelcontextprotocol/sdk/shared/uriTemplate.js";
 
 /**
  * Smart Memory Tools - Consolidated and Intelligent
@@ -49,10 +50,101 @@ export const SMART_MEMORY_TOOLS: Tool[] = [
     },
   },
 
+  {
+    name: "fork_memory_branch",
+    description:
+      "Create a new branch as a copy of an existing one (entities of every status, relations and cross-references). The fork remembers its parent for diff_memory_branches and merge_memory_branch.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        branch_name: {
+          type: "string",
+          description: "Name of the new branch",
+        },
+        source_branch: {
+          type: "string",
+          description: "Branch to fork from. Defaults to 'main'.",
+        },
+        purpose: {
+          type: "string",
+          description: "Optional description of what the fork is for",
+        },
+      },
+      required: ["branch_name"],
+    },
+  },
+
+  {
+    name: "diff_memory_branches",
+    description:
+      "Compare a branch against a base branch: added, removed and changed entities (type, status, observations) and added or removed relations.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        branch_name: {
+          type: "string",
+          description: "Branch to compare",
+        },
+        base_branch: {
+          type: "string",
+          description:
+            "Branch to compare against. Defaults to the branch's parent, or 'main'.",
+        },
+      },
+      required: ["branch_name"],
+    },
+  },
+
+  {
+    name: "merge_memory_branch",
+    description:
+      "Merge a branch into another. New entities and relations are copied. Merging a fork into its parent is three-way: changes made on one side since the fork apply as they are, and only entities changed on both sides (or deleted in the parent) are resolved by the strategy; other merges treat every difference as a conflict. Merges never delete entities from the target.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        source_branch: {
+          type: "string",
+          description: "Branch to merge from",
+        },
+        target_branch: {
+          type: "string",
+          description:
+            "Branch to merge into. Defaults to the source's parent, or 'main'.",
+        },
+        strategy: {
+          type: "string",
+          enum: ["ours", "theirs", "union"],
+          description:
+            "Conflict resolution: 'ours' keeps the target, 'theirs' applies the source's changes (type, status, status reason, added and removed observations), 'union' (default) adds the source's observations to the target's.",
+        },
+      },
+      required: ["source_branch"],
+    },
+  },
+
+  {
+    name: "suggest_memory_branch",
+    description:
+      "Suggest the best existing memory branch for new content based on its entity type and a content sample.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        entity_type: {
+          type: "string",
+          description: "Type of the entity (e.g., 'API', 'Component')",
+        },
+        content_sample: {
+          type: "string",
+          description: "Sample of the content to help pick a branch",
+        },
+      },
+    },
+  },
+
   {
     name: "create_entities",
     description:
-      "Create new entities. Automatically discovers relationships and suggests optimal branch placement.",
+      "Create new entities. Suggests optimal branch placement and discovers relationships in the background: the response returns right away with an auto_relations_job to poll with get_relationship_job.",
     inputSchema: {
       type: "object",
       properties: {
@@ -80,6 +172,12 @@ export const SMART_MEMORY_TOOLS: Tool[] = [
                 enum: ["active", "deprecated", "archived", "draft"],
                 description: "Status of the entity (defaults to 'active')",
               },
+              aliases: {
+                type: "array",
+                items: { type: "string" },
+                description:
+                  "Other names for the entity (abbreviations, class or product names). Lookups, relations and search resolve them.",
+              },
             },
             required: ["name", "entityType", "observations"],
           },
@@ -99,6 +197,22 @@ export const SMART_MEMORY_TOOLS: Tool[] = [
     },
   },
 
+  {
+    name: "get_relationship_job",
+    description:
+      "Poll the relationship detection started by create_entities: status (running, completed or failed) and, once completed, the relations created and the matches considered.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        job_id: {
+          type: "string",
+          description: "auto_relations_job.job_id from create_entities",
+        },
+      },
+      required: ["job_id"],
+    },
+  },
+
   {
     name: "add_observations",
     description:
@@ -183,23 +297,107 @@ export const SMART_MEMORY_TOOLS: Tool[] = [
     },
   },
 
-  // INTELLIGENT READ/SEARCH OPERATIONS
   {
-    name: "smart_search",
+    name: "rename_entity",
     description:
-      "Intelligent search that automatically includes related entities, cross-references, and contextual relationships.",
+      "Rename an entity. Relations, cross-references pointing at it, search keywords and history follow the new name. Relations that observations of other entities state about the new name are created (stated_relations).",
     inputSchema: {
       type: "object",
       properties: {
-        query: {
+        entity_name: {
+          type: "string",
+          description: "Current name of the entity",
+        },
+        new_name: {
+          type: "string",
+          description: "New name (must not exist in the branch)",
+        },
+        branch_name: {
+          type: "string",
+          description: "Branch containing the entity. Defaults to 'main'.",
+        },
+      },
+      required: ["entity_name", "new_name"],
+    },
+  },
+
+  {
+    name: "move_entities",
+    description:
+      "Move entities to another branch. Relations move along when the other endpoint is moved too or exists in the target branch; the rest are reported and kept as cross-references, which turn back into relations once a later move brings both ends together.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        entity_names: {
+          type: "array",
+          items: { type: "string" },
+          description: "Names of the entities to move",
+        },
+        source_branch: {
+          type: "string",
+          description: "Branch the entities are in. Defaults to 'main'.",
+        },
+        target_branch: {
+          type: "string",
+          description: "Branch to move the entities to",
+        },
+      },
+      required: ["entity_names", "target_branch"],
+    },
+  },
+
+  {
+    name: "update_entity_aliases",
+    description:
+      "Add or remove aliases of an entity. An alias resolves to the entity in open_entities, create_relations and smart_search, so 'JWT svc' can stand for 'JWT Authentication Service'.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        entity_name: {
           type: "string",
+          description: "Name (or an existing alias) of the entity",
+        },
+        add_aliases: {
+          type: "array",
+          items: { type: "string" },
           description:
-            "Search query to match against entity names, types, and observations",
+            "Aliases to add. Names already used by another entity or alias in the branch are skipped.",
+        },
+        remove_aliases: {
+          type: "array",
+          items: { type: "string" },
+          description: "Aliases to remove",
+        },
+        branch_name: {
+          type: "string",
+          description: "Branch containing the entity. Defaults to 'main'.",
         },
+      },
+      required: ["entity_name"],
+    },
+  },
+
+  {
+    name: "find_duplicate_entities",
+    description:
+      "Find clusters of entities that likely describe the same thing (e.g. 'Auth Service', 'AuthService', 'Authentication Service'), scored by name, type and observation similarity. Each entity is compared with the entities sharing its most distinctive name and observation keywords. Review a cluster, then fold it together with merge_entities.",
+    inputSchema: {
+      type: "object",
+      properties: {
         branch_name: {
           type: "string",
+          description: "Branch to scan. Defaults to 'main'.",
+        },
+        threshold: {
+          type: "number",
+          minimum: 0,
+          maximum: 1,
           description:
-            "Specific branch to search in. To search across all branches, use '*' as the branch name. Branch isolation is enforced by default.",
+            "Minimum pair score (0-1) to treat two entities as duplicates. Defaults to 0.8.",
+        },
+        entity_type: {
+          type: "string",
+          description: "Only compare entities of this type",
         },
         include_statuses: {
           type: "array",
@@ -207,47 +405,740 @@ export const SMART_MEMORY_TOOLS: Tool[] = [
             type: "string",
             enum: ["active", "deprecated", "archived", "draft"],
           },
-          description:
-            "Entity statuses to include in results. Defaults to ['active'] only.",
+          description: "Entity statuses to compare. Defaults to ['active'].",
         },
-        context_depth: {
-          type: "integer",
-          description:
-            "How deep to automatically expand context (1-3, default: 2). Higher values include more related entities.",
-          minimum: 1,
-          maximum: 3,
+      },
+    },
+  },
+
+  {
+    name: "merge_entities",
+    description:
+      "Merge duplicate entities into one. Observations are combined without duplicates, relations and cross-references are re-pointed to the kept entity, and each merged-away name is kept as an alias.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        keep: {
+          type: "string",
+          description: "Name of the entity to keep",
+        },
+        merge: {
+          type: "array",
+          items: { type: "string" },
+          description: "Names of the entities to fold into the kept one",
+        },
+        branch_name: {
+          type: "string",
+          description: "Branch containing the entities. Defaults to 'main'.",
         },
       },
-      required: ["query", "branch_name"],
+      required: ["keep", "merge"],
     },
   },
 
   {
-    name: "read_memory_branch",
+    name: "delete_observations",
     description:
-      "Read all entities and relationships from a memory branch with automatic context enhancement and cross-references.",
+      "Delete specific observations from entities. Observations must match the stored text exactly; entities and observations that were not found are listed under not_found.",
     inputSchema: {
       type: "object",
       properties: {
+        deletions: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              entityName: {
+                type: "string",
+                description: "Name of the entity to remove observations from",
+              },
+              observations: {
+                type: "array",
+                items: { type: "string" },
+                description: "Exact observations to delete",
+              },
+            },
+            required: ["entityName", "observations"],
+          },
+        },
         branch_name: {
           type: "string",
-          description: "Name of the branch to read. Defaults to 'main'.",
+          description: "Branch containing the entities. Defaults to 'main'.",
         },
-        include_statuses: {
+      },
+      required: ["deletions"],
+    },
+  },
+
+  {
+    name: "create_relations",
+    description:
+      "Create explicit relationships between entities in the same branch. Use active voice for the relation type (e.g., 'implements', 'depends_on').",
+    inputSchema: {
+      type: "object",
+      properties: {
+        relations: {
           type: "array",
           items: {
-            type: "string",
-            enum: ["active", "deprecated", "archived", "draft"],
+            type: "object",
+            properties: {
+              from: {
+                type: "string",
+                description: "Name of the source entity",
+              },
+              to: { type: "string", description: "Name of the target entity" },
+              relationType: {
+                type: "string",
+                description:
+                  "Type of relationship in active voice (e.g., 'uses', 'contains')",
+              },
+            },
+            required: ["from", "to", "relationType"],
           },
-          description:
-            "Entity statuses to include. Defaults to ['active'] only.",
         },
-        include_auto_context: {
-          type: "boolean",
+        branch_name: {
+          type: "string",
+          description: "Branch containing both entities. Defaults to 'main'.",
+        },
+      },
+      required: ["relations"],
+    },
+  },
+
+  {
+    name: "delete_relations",
+    description:
+      "Delete specific relationships between entities. Relations that did not exist are listed under not_found_relations.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        relations: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              from: {
+                type: "string",
+                description: "Name of the source entity",
+              },
+              to: { type: "string", description: "Name of the target entity" },
+              relationType: {
+                type: "string",
+                description: "Type of the relationship to delete",
+              },
+            },
+            required: ["from", "to", "relationType"],
+          },
+        },
+        branch_name: {
+          type: "string",
           description:
-            "Whether to automatically include related entities from other branches (default: true)",
+            "Branch containing the relationships. Defaults to 'main'.",
         },
       },
+      required: ["relations"],
     },
   },
-];
+
+  {
+    name: "list_relation_suggestions",
+    description:
+      "List relations the background indexer proposed between similar entities, for review. Accept or reject each one with accept_relation_suggestion or reject_relation_suggestion; rejected pairs are never proposed again.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        branch_name: {
+          type: "string",
+          description:
+            "Branch to list. Use '*' for every branch. Defaults to 'main'.",
+        },
+        entity_name: {
+          type: "string",
+          description: "Only suggestions with this entity on either end",
+        },
+        status: {
+          type: "string",
+          enum: ["pending", "accepted", "rejected"],
+          description: "Review status to list (default: pending)",
+        },
+        sort_by: {
+          type: "string",
+          enum: ["relevance", "created"],
+          description:
+            "relevance (default): highest confidence first. created: newest first.",
+        },
+        limit: {
+          type: "integer",
+          description: "Suggestions per page (default: 50, max: 500)",
+          minimum: 1,
+          maximum: 500,
+        },
+        cursor: {
+          type: "string",
+          description: "next_cursor of the previous page",
+        },
+      },
+    },
+  },
+
+  {
+    name: "accept_relation_suggestion",
+    description:
+      "Accept a pending relation suggestion: creates the relation and marks the suggestion accepted.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        suggestion_id: {
+          type: "integer",
+          description: "id from list_relation_suggestions",
+        },
+        relation_type: {
+          type: "string",
+          description:
+            "Relation type to create instead of the suggested one, in active voice (e.g., 'depends_on')",
+        },
+      },
+      required: ["suggestion_id"],
+    },
+  },
+
+  {
+    name: "reject_relation_suggestion",
+    description:
+      "Reject a pending relation suggestion. The pair is remembered and never suggested again, in either direction.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        suggestion_id: {
+          type: "integer",
+          description: "id from list_relation_suggestions",
+        },
+      },
+      required: ["suggestion_id"],
+    },
+  },
+
+  {
+    name: "get_similarity_calibration",
+    description:
+      "Show how entity similarity is scored: the per-feature weights and confidence thresholds, fitted to accepted and rejected relation suggestions once there are enough, with precision and recall on held-out reviews.",
+    inputSchema: {
+      type: "object",
+      properties: {},
+    },
+  },
+
+  {
+    name: "create_cross_reference",
+    description:
+      "Link an entity to entities in another branch, e.g. a frontend component to the backend API it calls.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        entity_name: {
+          type: "string",
+          description: "Name of the entity that holds the cross-reference",
+        },
+        target_branch: {
+          type: "string",
+          description: "Branch containing the referenced entities",
+        },
+        target_entity_names: {
+          type: "array",
+          items: { type: "string" },
+          description: "Names of the entities in the target branch",
+        },
+        source_branch: {
+          type: "string",
+          description:
+            "Branch containing the source entity. Defaults to 'main'.",
+        },
+      },
+      required: ["entity_name", "target_branch", "target_entity_names"],
+    },
+  },
+
+  // HISTORY
+  {
+    name: "get_entity_history",
+    description:
+      "List the recorded versions of an entity, newest first. Every create, update, status change, observation change, deletion and revert is kept.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        entity_name: {
+          type: "string",
+          description: "Name of the entity (it may since have been deleted)",
+        },
+        branch_name: {
+          type: "string",
+          description: "Branch containing the entity. Defaults to 'main'.",
+        },
+        limit: {
+          type: "integer",
+          description: "Maximum number of versions to return (default: all)",
+          minimum: 1,
+        },
+      },
+      required: ["entity_name"],
+    },
+  },
+
+  {
+    name: "revert_entity",
+    description:
+      "Restore an entity to an earlier version from get_entity_history. Deleted entities are recreated. The revert itself is recorded as a new version.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        entity_name: {
+          type: "string",
+          description: "Name of the entity to revert",
+        },
+        version: {
+          type: "integer",
+          description: "Version number to restore",
+          minimum: 1,
+        },
+        branch_name: {
+          type: "string",
+          description: "Branch containing the entity. Defaults to 'main'.",
+        },
+      },
+      required: ["entity_name", "version"],
+    },
+  },
+
+  // INTELLIGENT READ/SEARCH OPERATIONS
+  {
+    name: "smart_search",
+    description:
+      "Intelligent search that automatically includes related entities, cross-references, and contextual relationships. Hits are ranked by BM25 relevance over names, types, observations and aliases, boosted for recent updates and active status.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description:
+            'Search query matched against entity names, types, observations and aliases. Words match as prefixes and "quoted phrases" exactly; any of them may match, and entities matching more of them rank first. Require terms with AND, combine with OR, NOT or -word and (parentheses). Filters always apply: type:Service, status:deprecated, branch:backend, name:Auth, updated:>2026-01-01, created:2026-01-01..2026-03-31 (also >=, <, <=).',
+        },
+        branch_name: {
+          type: "string",
+          description:
+            "Specific branch to search in. To search across all branches, use '*' as the branch name. Branch isolation is enforced by default.",
+        },
+        include_statuses: {
+          type: "array",
+          items: {
+            type: "string",
+            enum: ["active", "deprecated", "archived", "draft"],
+          },
+          description:
+            "Entity statuses to include in results. Defaults to ['active'] only.",
+        },
+        context_depth: {
+          type: "integer",
+          description:
+            "How many relation/cross-reference hops to expand around the hits (1-3, default: 2). Neighbors are returned in a separate 'context' section ranked by hop distance and relation type.",
+          minimum: 1,
+          maximum: 3,
+        },
+        context_nodes_per_hop: {
+          type: "integer",
+          description:
+            "Maximum number of neighbors kept at each hop (default: 10)",
+          minimum: 1,
+          maximum: 50,
+        },
+        content_view: {
+          type: "string",
+          enum: ["original", "optimized"],
+          description:
+            "Return observations verbatim ('original') or in their compressed form ('optimized'). Defaults to the branch or project setting in .memory/config.json (usually 'original').",
+        },
+        mode: {
+          type: "string",
+          enum: ["keyword", "semantic", "hybrid"],
+          description:
+            "keyword (default): BM25 over the query words. semantic: rank by vector similarity, so related word forms match without sharing the exact word; filters and -word still apply. hybrid: fuse both rankings with reciprocal rank fusion.",
+        },
+        snippets_only: {
+          type: "boolean",
+          description:
+            "Return only the 'matches' section - for each hit its matched fields, best snippet and the observations that mention a query term - instead of full entities, similar entities and context (default: false)",
+        },
+        fuzzy: {
+          type: "boolean",
+          description:
+            "When nothing matches, correct misspelled words against the indexed vocabulary (trigram candidates, edit distance 1-2), return the results of the best corrected query and list the corrected queries in 'did_you_mean' (default: true)",
+        },
+        facets: {
+          type: "boolean",
+          description:
+            "Add a 'facets' section counting every match (not just this page) by entity_type, status, branch, relation_type and updated bucket (last_day, last_week, last_month, last_year, older) - useful to see where broad results lie before narrowing with type:, status:, branch: or updated: (default: false)",
+        },
+        explain: {
+          type: "boolean",
+          description:
+            "Add a 'scores' section showing how each hit was ranked: score = (bm25 + synonyms + nameMatch) * recency * status, with per-column bm25 values (default: false)",
+        },
+        limit: {
+          type: "integer",
+          description: "Maximum number of entities to return (default: 50)",
+          minimum: 1,
+          maximum: 500,
+        },
+        offset: {
+          type: "integer",
+          description:
+            "Number of entities to skip. Use either offset or cursor.",
+          minimum: 0,
+        },
+        cursor: {
+          type: "string",
+          description:
+            "The page.next_cursor of a previous response, to fetch the next page with the same sort_by",
+        },
+        sort_by: {
+          type: "string",
+          enum: ["relevance", "updated", "name", "created"],
+          description:
+            "Result order: relevance (default), updated or created (newest first), or name (A-Z)",
+        },
+        fields: {
+          type: "array",
+          items: {
+            type: "string",
+            enum: [
+              "name",
+              "entityType",
+              "observations",
+              "status",
+              "statusReason",
+              "lastUpdated",
+              "crossRefs",
+              "aliases",
+            ],
+          },
+          description:
+            "Only return these fields of each entity (the name is always included)",
+        },
+      },
+      required: ["query", "branch_name"],
+    },
+  },
+
+  {
+    name: "read_memory_branch",
+    description:
+      "Read the entities and relationships of a memory branch, one page at a time, with automatic context enhancement and cross-references. Each relation is returned with the page of the entity it starts from.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        branch_name: {
+          type: "string",
+          description: "Name of the branch to read. Defaults to 'main'.",
+        },
+        include_statuses: {
+          type: "array",
+          items: {
+            type: "string",
+            enum: ["active", "deprecated", "archived", "draft"],
+          },
+          description:
+            "Entity statuses to include. Defaults to ['active'] only.",
+        },
+        include_auto_context: {
+          type: "boolean",
+          description:
+            "Whether to automatically include related entities from other branches (default: true)",
+        },
+        as_of: {
+          type: "string",
+          description:
+            "ISO 8601 timestamp to read the branch as it was at that time. Relations are current ones between the entities that existed then; cross-branch context is not included.",
+        },
+        content_view: {
+          type: "string",
+          enum: ["original", "optimized"],
+          description:
+            "Return observations verbatim ('original') or in their compressed form ('optimized'). Defaults to the branch or project setting in .memory/config.json (usually 'original').",
+        },
+        limit: {
+          type: "integer",
+          description: "Maximum number of entities to return (default: 100)",
+          minimum: 1,
+          maximum: 500,
+        },
+        offset: {
+          type: "integer",
+          description:
+            "Number of entities to skip. Use either offset or cursor.",
+          minimum: 0,
+        },
+        cursor: {
+          type: "string",
+          description:
+            "The page.next_cursor of a previous response, to fetch the next page with the same sort_by",
+        },
+        sort_by: {
+          type: "string",
+          enum: ["name", "updated", "created"],
+          description:
+            "Entity order: name (A-Z, default), or updated or created (newest first). created is not available with as_of.",
+        },
+        fields: {
+          type: "array",
+          items: {
+            type: "string",
+            enum: [
+              "name",
+              "entityType",
+              "observations",
+              "status",
+              "statusReason",
+              "lastUpdated",
+              "crossRefs",
+              "aliases",
+            ],
+          },
+          description:
+            "Only return these fields of each entity (the name is always included)",
+        },
+      },
+    },
+  },
+
+  {
+    name: "open_entities",
+    description:
+      "Retrieve specific entities by exact name together with their relationships.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        entity_names: {
+          type: "array",
+          items: { type: "string" },
+          description: "Names of the entities to retrieve",
+        },
+        branch_name: {
+          type: "string",
+          description: "Branch containing the entities. Defaults to 'main'.",
+        },
+        include_statuses: {
+          type: "array",
+          items: {
+            type: "string",
+            enum: ["active", "deprecated", "archived", "draft"],
+          },
+          description:
+            "Entity statuses to include. If omitted, requested entities are returned regardless of status.",
+        },
+        include_auto_context: {
+          type: "boolean",
+          description:
+            "Whether to include cross-referenced entities from other branches (default: true)",
+        },
+        content_view: {
+          type: "string",
+          enum: ["original", "optimized"],
+          description:
+            "Return observations verbatim ('original') or in their compressed form ('optimized'). Defaults to the branch or project setting in .memory/config.json (usually 'original').",
+        },
+      },
+      required: ["entity_names"],
+    },
+  },
+
+  {
+    name: "get_cross_context",
+    description:
+      "Resolve cross-references in both directions and return the linked entities from other branches, each with its branch, link direction and relations inside that branch.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        entity_names: {
+          type: "array",
+          items: { type: "string" },
+          description:
+            "Entities to resolve cross-references for. Leave empty to use every entity in the source branch.",
+        },
+        source_branch: {
+          type: "string",
+          description:
+            "Branch containing the source entities. Defaults to 'main'.",
+        },
+        include_statuses: {
+          type: "array",
+          items: {
+            type: "string",
+            enum: ["active", "deprecated", "archived", "draft"],
+          },
+          description:
+            "Statuses of linked entities to include. Defaults to ['active'] only.",
+        },
+      },
+    },
+  },
+
+  {
+    name: "get_context",
+    description:
+      "Pack the most relevant entities, observations and relations into a token budget, ready to paste into a prompt. Starts from a search query or named entities, adds their direct neighbors, and drops the lowest-ranked observations first. The bundle never exceeds max_tokens.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description:
+            "Search query (same syntax as smart_search). Use either query or entity_names.",
+        },
+        entity_names: {
+          type: "array",
+          items: { type: "string" },
+          description:
+            "Entities to build the context around, most important first",
+        },
+        branch_name: {
+          type: "string",
+          description:
+            "Branch to read. With a query, '*' searches every branch. Defaults to 'main' for entity_names and every branch for a query.",
+        },
+        max_tokens: {
+          type: "integer",
+          description: "Token budget for the bundle (GPT-4 tokenizer)",
+          minimum: 50,
+        },
+        format: {
+          type: "string",
+          enum: ["markdown", "json"],
+          description: "Bundle format (default: markdown)",
+        },
+        include_statuses: {
+          type: "array",
+          items: {
+            type: "string",
+            enum: ["active", "deprecated", "archived", "draft"],
+          },
+          description:
+            "Entity statuses to include. Defaults to ['active'] only.",
+        },
+        content_view: {
+          type: "string",
+          enum: ["original", "optimized"],
+          description:
+            "Pack observations verbatim ('original') or in their compressed form ('optimized'), which fits more into the budget. Defaults to the branch or project setting in .memory/config.json (usually 'original').",
+        },
+      },
+      required: ["max_tokens"],
+    },
+  },
+
+  {
+    name: "update_synonyms",
+    description:
+      "Edit the project synonyms smart_search expands query words with (stored in .memory/synonyms.json). A group that shares a term with an existing group is merged into it. Call without arguments to list the groups.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        add_synonyms: {
+          type: "array",
+          items: { type: "array", items: { type: "string" } },
+          description:
+            'Groups of interchangeable terms to add, e.g. [["k8s", "kubernetes"], ["pg", "postgres"]]',
+        },
+        remove_terms: {
+          type: "array",
+          items: { type: "string" },
+          description:
+            "Terms to remove from their group; groups left with one term are dropped",
+        },
+      },
+    },
+  },
+
+  // GUIDANCE
+  {
+    name: "memory_usage_guide",
+    description:
+      "Usage guide and examples for the memory tools. Call this first when unsure how to organize or query memory.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        topic: {
+          type: "string",
+          enum: [
+            "overview",
+            "branching",
+            "cross-references",
+            "search",
+            "examples",
+            "best-practices",
+          ],
+          description: "Topic to focus on. Leave empty for the complete guide.",
+        },
+      },
+    },
+  },
+];
+
+/**
+ * Memory exposed as resources. MCP completion references prompts and
+ * resource templates, never tool arguments, so these templates are what
+ * clients complete branch and entity names against.
+ */
+export const MEMORY_RESOURCE_TEMPLATES: ResourceTemplate[] = [
+  {
+    uriTemplate: "memory://branches/{branch_name}",
+    name: "memory_branch",
+    description:
+      "Active entities and relations of a memory branch, as JSON (like read_memory_branch).",
+    mimeType: "application/json",
+  },
+  {
+    uriTemplate: "memory://branches/{branch_name}/entities/{entity_name}",
+    name: "memory_entity",
+    description:
+      "One entity (any status) with its relations, as JSON (like open_entities).",
+    mimeType: "application/json",
+  },
+];
+
+export type ArgumentCompletionKind = "entity" | "branch";
+
+// Schema property names whose values are entity or branch names
+const ENTITY_NAME_PROPERTIES = new Set([
+  "entity_name",
+  "entity_names",
+  "target_entity_names",
+  "entityName",
+  "from",
+  "to",
+]);
+const BRANCH_NAME_PROPERTIES = new Set([
+  "base_branch",
+  "branch_name",
+  "source_branch",
+  "target_branch",
+]);
+
+/**
+ * The completable variables of a resource template, by the same property
+ * names the tool schemas use. Unknown templates have none.
+ */
+export function getTemplateCompletions(
+  uriTemplate: string
+): Map<string, ArgumentCompletionKind> {
+  const completions = new Map<string, ArgumentCompletionKind>();
+  if (!MEMORY_RESOURCE_TEMPLATES.some((t) => t.uriTemplate === uriTemplate)) {
+    return completions;
+  }
+  for (const variable of new UriTemplate(uriTemplate).variableNames) {
+    if (ENTITY_NAME_PROPERTIES.has(variable)) {
+      completions.set(variable, "entity");
+    } else if (BRANCH_NAME_PROPERTIES.has(variable)) {
+      completions.set(variable, "branch");
+    }
+  }
+  return completions;
+}
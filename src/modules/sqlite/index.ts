@@ -1,17 +1,68 @@
 import {
+  AutoCreatedRelation,
+  BranchDiff,
+  ContextExpansion,
+  CrossContext,
   Entity,
+  EntityMergeResult,
   EntityStatus,
+  EntityVersion,
+  GraphPage,
   KnowledgeGraph,
   MemoryBranchInfo,
+  MergeResult,
+  MergeStrategy,
+  MoveResult,
+  ObservationDeletionResult,
+  PageOptions,
+  ProposedRelation,
   Relation,
+  RelationDeletionResult,
+  RelationSuggestion,
+  SearchResult,
+  SimilarityFeedback,
+  SuggestionFilter,
 } from "../../memory-types.js";
+import { EmbeddingProvider } from "../embeddings/embedding-provider.js";
+import { HashedNgramProvider } from "../embeddings/hashed-ngram-provider.js";
 import { logger } from "../logger.js";
+import { RankingConfig } from "../memory-config.js";
 import { IMemoryOperations } from "../memory-core.js";
+import { SQLiteAliasOperations } from "./sqlite-alias-operations.js";
+import { SQLiteBranchMergeOperations } from "./sqlite-branch-merge-operations.js";
 import { SQLiteBranchOperations } from "./sqlite-branch-operations.js";
 import { SQLiteConnection } from "./sqlite-connection.js";
+import { SQLiteEmbeddingOperations } from "./sqlite-embedding-operations.js";
+import { SQLiteCrossReferenceOperations } from "./sqlite-cross-reference-operations.js";
+import { SQLiteEntityMergeOperations } from "./sqlite-entity-merge-operations.js";
 import { SQLiteEntityOperations } from "./sqlite-entity-operations.js";
+import {
+  GraphExpansionOptions,
+  SQLiteGraphOperations,
+} from "./sqlite-graph-operations.js";
+import { SQLiteHistoryOperations } from "./sqlite-history-operations.js";
+import { SQLiteKeywordOperations } from "./sqlite-keyword-operations.js";
 import { SQLiteRelationOperations } from "./sqlite-relation-operations.js";
-import { SQLiteSearchOperations } from "./sqlite-search-operations.js";
+import { SQLiteRenameOperations } from "./sqlite-rename-operations.js";
+import {
+  SearchOptions,
+  SQLiteSearchOperations,
+} from "./sqlite-search-operations.js";
+import { SQLiteSpellingOperations } from "./sqlite-spelling-operations.js";
+import { SQLiteSuggestionOperations } from "./sqlite-suggestion-operations.js";
+
+export interface SQLiteOperationsOptions {
+  // Produces optimized_content; content always keeps the verbatim text
+  compress?: (text: string) => string;
+  // Extracts search keywords from an entity's content
+  extractKeywords?: (text: string) => string[];
+  ranking?: RankingConfig;
+  // Vectors for semantic search (default: offline hashed n-grams)
+  embeddings?: EmbeddingProvider;
+  minSimilarity?: number;
+  // Synonyms smart_search expands a query term with
+  expandTerm?: (term: string) => string[];
+}
 
 /**
  * Modular SQLite Operations Orchestrator
@@ -22,18 +73,81 @@ export class ModularSQLiteOperations implements IMemoryOperations {
   private entityOps: SQLiteEntityOperations;
   private relationOps: SQLiteRelationOperations;
   private branchOps: SQLiteBranchOperations;
+  private mergeOps: SQLiteBranchMergeOperations;
   private searchOps: SQLiteSearchOperations;
+  private graphOps: SQLiteGraphOperations;
+  private crossRefOps: SQLiteCrossReferenceOperations;
+  private historyOps: SQLiteHistoryOperations;
+  private renameOps: SQLiteRenameOperations;
+  private aliasOps: SQLiteAliasOperations;
+  private entityMergeOps: SQLiteEntityMergeOperations;
+  private keywordOps: SQLiteKeywordOperations;
+  private embeddingOps: SQLiteEmbeddingOperations;
+  private suggestionOps: SQLiteSuggestionOperations;
 
-  constructor(basePath: string) {
+  constructor(basePath: string, options: SQLiteOperationsOptions = {}) {
     this.connection = new SQLiteConnection(basePath);
-    this.entityOps = new SQLiteEntityOperations(this.connection);
-    this.relationOps = new SQLiteRelationOperations(this.connection);
+    this.historyOps = new SQLiteHistoryOperations(this.connection);
+    this.aliasOps = new SQLiteAliasOperations(this.connection);
+    this.keywordOps = new SQLiteKeywordOperations(
+      this.connection,
+      options.extractKeywords
+    );
+    this.entityOps = new SQLiteEntityOperations(
+      this.connection,
+      this.historyOps,
+      this.aliasOps,
+      this.keywordOps,
+      options.compress
+    );
+    this.relationOps = new SQLiteRelationOperations(
+      this.connection,
+      this.aliasOps
+    );
+    this.renameOps = new SQLiteRenameOperations(
+      this.connection,
+      this.historyOps,
+      this.keywordOps
+    );
+    this.entityMergeOps = new SQLiteEntityMergeOperations(
+      this.connection,
+      this.entityOps,
+      this.historyOps,
+      this.aliasOps,
+      this.keywordOps
+    );
     this.branchOps = new SQLiteBranchOperations(this.connection);
+    this.mergeOps = new SQLiteBranchMergeOperations(
+      this.connection,
+      this.branchOps,
+      this.entityOps,
+      this.relationOps,
+      this.historyOps
+    );
+    this.embeddingOps = new SQLiteEmbeddingOperations(
+      this.connection,
+      options.embeddings || new HashedNgramProvider()
+    );
     this.searchOps = new SQLiteSearchOperations(
       this.connection,
       this.entityOps,
+      this.relationOps,
+      options.ranking,
+      this.embeddingOps,
+      new SQLiteSpellingOperations(this.connection),
+      options.minSimilarity,
+      options.expandTerm
+    );
+    this.graphOps = new SQLiteGraphOperations(this.connection, this.entityOps);
+    this.suggestionOps = new SQLiteSuggestionOperations(
+      this.connection,
+      this.aliasOps,
       this.relationOps
     );
+    this.crossRefOps = new SQLiteCrossReferenceOperations(
+      this.connection,
+      this.entityOps
+    );
   }
 
   async initialize(): Promise<void> {
@@ -70,6 +184,218 @@ export class ModularSQLiteOperations implements IMemoryOperations {
     return await this.entityOps.findEntityByName(name, branchName);
   }
 
+  async listEntityNames(
+    prefix: string,
+    branchName?: string,
+    limit?: number
+  ): Promise<string[]> {
+    return await this.entityOps.listEntityNames(prefix, branchName, limit);
+  }
+
+  async getOptimizedObservations(
+    entityNames: string[],
+    branchName?: string
+  ): Promise<Map<string, Map<string, string>>> {
+    return this.entityOps.getOptimizedObservations(entityNames, branchName);
+  }
+
+  // Rename/move operations - delegate to RenameOperations
+  async renameEntity(
+    oldName: string,
+    newName: string,
+    branchName?: string
+  ): Promise<void> {
+    return this.renameOps.renameEntity(oldName, newName, branchName);
+  }
+
+  async moveEntities(
+    entityNames: string[],
+    sourceBranch: string,
+    targetBranch: string
+  ): Promise<MoveResult> {
+    return this.renameOps.moveEntities(entityNames, sourceBranch, targetBranch);
+  }
+
+  // Duplicate merging - delegate to EntityMergeOperations
+  async mergeEntities(
+    keepName: string,
+    mergeNames: string[],
+    branchName?: string
+  ): Promise<EntityMergeResult> {
+    return await this.entityMergeOps.mergeEntities(
+      keepName,
+      mergeNames,
+      branchName
+    );
+  }
+
+  // Alias operations - delegate to AliasOperations
+  async addAliases(
+    entityName: string,
+    aliases: string[],
+    branchName?: string
+  ): Promise<{
+    added: string[];
+    skipped: Array<{ alias: string; reason: string }>;
+  }> {
+    const { id, branchId } = this.requireEntity(entityName, branchName);
+    return this.aliasOps.addAliases(id, branchId, aliases);
+  }
+
+  async removeAliases(
+    entityName: string,
+    aliases: string[],
+    branchName?: string
+  ): Promise<string[]> {
+    const { id } = this.requireEntity(entityName, branchName);
+    return this.aliasOps.removeAliases(id, aliases);
+  }
+
+  private requireEntity(
+    entityName: string,
+    branchName?: string
+  ): { id: number; branchId: number } {
+    const branchId = this.connection.findBranchId(branchName);
+    const entity =
+      branchId === null
+        ? null
+        : this.aliasOps.resolveEntity(entityName, branchId);
+    if (!entity) {
+      throw new Error(
+        `Entity "${entityName}" not found in branch ${branchName || "main"}`
+      );
+    }
+    return { id: entity.id, branchId: branchId! };
+  }
+
+  // Relation suggestions - delegate to SuggestionOperations
+  recordRelationSuggestions(
+    entityName: string,
+    branchName: string | undefined,
+    proposed: ProposedRelation[]
+  ): number {
+    return this.suggestionOps.recordSuggestions(
+      entityName,
+      branchName,
+      proposed
+    );
+  }
+
+  recordAutoCreatedRelations(
+    branchName: string | undefined,
+    relations: AutoCreatedRelation[]
+  ): number {
+    return this.suggestionOps.recordAutoCreated(branchName, relations);
+  }
+
+  rejectedRelationPartners(entityName: string, branchName?: string): string[] {
+    return this.suggestionOps.rejectedPartners(entityName, branchName);
+  }
+
+  entitiesToIndex(
+    branchName?: string,
+    statuses?: EntityStatus[],
+    limit?: number
+  ): string[] {
+    return this.suggestionOps.entitiesToIndex(branchName, statuses, limit);
+  }
+
+  /**
+   * Names of the entities worth comparing with an entity when looking for
+   * relations: its keyword neighbours, best first
+   */
+  findRelationCandidates(
+    entityName: string,
+    branchName: string | undefined,
+    statuses: EntityStatus[] | undefined,
+    limit: number
+  ): string[] {
+    return this.keywordOps
+      .findKeywordNeighbours(entityName, branchName, statuses, limit)
+      .map((neighbour) => neighbour.name);
+  }
+
+  findEntitiesMentioning(
+    name: string,
+    branchName: string | undefined,
+    statuses: EntityStatus[] | undefined,
+    limit: number
+  ): string[] {
+    return this.searchOps.findEntitiesMentioning(
+      name,
+      branchName,
+      statuses,
+      limit
+    );
+  }
+
+  listRelationSuggestions(filter?: SuggestionFilter): {
+    suggestions: RelationSuggestion[];
+    total: number;
+  } {
+    return this.suggestionOps.listSuggestions(filter);
+  }
+
+  async acceptRelationSuggestion(
+    id: number,
+    relationType?: string
+  ): Promise<RelationSuggestion> {
+    return await this.suggestionOps.acceptSuggestion(id, relationType);
+  }
+
+  rejectRelationSuggestion(id: number): RelationSuggestion {
+    return this.suggestionOps.rejectSuggestion(id);
+  }
+
+  getSimilarityFeedback(): SimilarityFeedback[] {
+    return this.suggestionOps.getFeedback();
+  }
+
+  // History operations - delegate to HistoryOperations
+  async getEntityHistory(
+    entityName: string,
+    branchName?: string,
+    limit?: number
+  ): Promise<EntityVersion[]> {
+    return this.historyOps.getHistory(entityName, branchName, limit);
+  }
+
+  async revertEntity(
+    entityName: string,
+    version: number,
+    branchName?: string
+  ): Promise<Entity> {
+    return await this.entityOps.revertEntity(entityName, version, branchName);
+  }
+
+  /**
+   * Read a branch as it was at a point in time. Relations are not
+   * versioned, so the current relations between the surviving entities
+   * are returned.
+   */
+  async exportBranchAsOf(
+    branchName: string | undefined,
+    asOf: string,
+    includeStatuses?: EntityStatus[]
+  ): Promise<KnowledgeGraph> {
+    const branchId = this.connection.findBranchId(branchName);
+    if (branchId === null) {
+      return { entities: [], relations: [] };
+    }
+
+    const entities = this.historyOps.getEntitiesAsOf(
+      branchId,
+      asOf,
+      includeStatuses
+    );
+    const names = new Set(entities.map((e) => e.name));
+    const relations = (
+      await this.relationOps.getAllRelationsForBranch(branchId)
+    ).filter((r) => names.has(r.from) && names.has(r.to));
+
+    return { entities, relations };
+  }
+
   // Relation operations - delegate to RelationOperations
   async createRelations(
     relations: Relation[],
@@ -81,20 +407,41 @@ export class ModularSQLiteOperations implements IMemoryOperations {
   async deleteRelations(
     relations: Relation[],
     branchName?: string
-  ): Promise<void> {
-    return await this.relationOps.deleteRelations(relations, branchName);
+  ): Promise<RelationDeletionResult> {
+    const result = await this.relationOps.deleteRelations(
+      relations,
+      branchName
+    );
+    // Deleting a relation that was accepted unreviewed rejects it
+    this.suggestionOps.rejectDeleted(branchName, result.deleted);
+    return result;
   }
 
   // Search operations - delegate to SearchOperations
   async searchEntities(
     query: string,
     branchName?: string,
-    includeStatuses?: EntityStatus[]
-  ): Promise<KnowledgeGraph> {
+    includeStatuses?: EntityStatus[],
+    options?: SearchOptions
+  ): Promise<SearchResult> {
     return await this.searchOps.searchEntities(
       query,
       branchName,
-      includeStatuses
+      includeStatuses,
+      options
+    );
+  }
+
+  // Graph operations - delegate to GraphOperations
+  async expandContext(
+    entityNames: string[],
+    branchName: string | undefined,
+    options: GraphExpansionOptions
+  ): Promise<ContextExpansion> {
+    return await this.graphOps.expandNeighborhood(
+      entityNames,
+      branchName,
+      options
     );
   }
 
@@ -118,6 +465,27 @@ export class ModularSQLiteOperations implements IMemoryOperations {
     return await this.branchOps.suggestBranch(entityType, content);
   }
 
+  // Fork/diff/merge - delegate to BranchMergeOperations
+  async forkBranch(
+    sourceBranch: string,
+    newBranch: string,
+    purpose?: string
+  ): Promise<MemoryBranchInfo> {
+    return await this.mergeOps.forkBranch(sourceBranch, newBranch, purpose);
+  }
+
+  async diffBranches(base: string, compare: string): Promise<BranchDiff> {
+    return await this.mergeOps.diffBranches(base, compare);
+  }
+
+  async mergeBranch(
+    source: string,
+    target: string,
+    strategy: MergeStrategy
+  ): Promise<MergeResult> {
+    return await this.mergeOps.mergeBranch(source, target, strategy);
+  }
+
   // Additional entity operations
   async addObservations(
     observations: { entityName: string; contents: string[] }[],
@@ -129,7 +497,7 @@ export class ModularSQLiteOperations implements IMemoryOperations {
   async deleteObservations(
     deletions: { entityName: string; observations: string[] }[],
     branchName?: string
-  ): Promise<void> {
+  ): Promise<ObservationDeletionResult[]> {
     return await this.entityOps.deleteObservations(deletions, branchName);
   }
 
@@ -147,28 +515,69 @@ export class ModularSQLiteOperations implements IMemoryOperations {
     );
   }
 
+  async resolveCrossContext(
+    entityNames: string[],
+    branchName?: string,
+    includeStatuses?: EntityStatus[]
+  ): Promise<CrossContext> {
+    return await this.crossRefOps.resolveCrossContext(
+      entityNames,
+      branchName,
+      includeStatuses
+    );
+  }
+
   // Import/Export operations
-  async exportBranch(branchName?: string): Promise<KnowledgeGraph> {
+  async exportBranch(
+    branchName?: string,
+    includeStatuses?: EntityStatus[]
+  ): Promise<KnowledgeGraph> {
     const branchId = await this.connection.getBranchId(branchName);
 
-    // Get entities with observations
-    const entityRows = await this.connection.runQuery(
-      `
-      SELECT e.*, GROUP_CONCAT(o.content, '|') as observations
-      FROM entities e
-      LEFT JOIN observations o ON e.id = o.entity_id
-      WHERE e.branch_id = ?
-      GROUP BY e.id
-    `,
-      [branchId]
+    const entities = await this.entityOps.getEntitiesForBranch(
+      branchId,
+      includeStatuses
+    );
+    const relations = await this.relationOps.getAllRelationsForBranch(
+      branchId,
+      includeStatuses
     );
-
-    const entities = await this.entityOps.convertRowsToEntities(entityRows);
-    const relations = await this.relationOps.getAllRelationsForBranch(branchId);
 
     return { entities, relations };
   }
 
+  /**
+   * One page of a branch in the requested order. Each relation is listed
+   * with the page of the entity it starts from, so paging through the
+   * branch returns every relation once.
+   */
+  async readBranchPage(
+    branchName: string | undefined,
+    includeStatuses: EntityStatus[] | undefined,
+    page: PageOptions
+  ): Promise<GraphPage> {
+    if (page.sortBy === "relevance") {
+      throw new Error("sort_by 'relevance' is only available for search");
+    }
+    const branchId = await this.connection.getBranchId(branchName);
+
+    const entities = await this.entityOps.getEntitiesForBranch(
+      branchId,
+      includeStatuses,
+      page
+    );
+    const names = new Set(entities.map((e) => e.name));
+    const relations = (
+      await this.relationOps.getAllRelationsForBranch(branchId, includeStatuses)
+    ).filter((r) => names.has(r.from));
+
+    return {
+      entities,
+      relations,
+      total: this.entityOps.countEntitiesForBranch(branchId, includeStatuses),
+    };
+  }
+
   async importData(data: KnowledgeGraph, branchName?: string): Promise<void> {
     if (!data) {
       logger.warn("No data provided for import");
@@ -0,0 +1,126 @@
+import { SQLiteConnection } from "./sqlite-connection.js";
+
+/**
+ * SQLite Alias Operations
+ * Alternative names that resolve to an entity within its branch
+ */
+export class SQLiteAliasOperations {
+  constructor(private connection: SQLiteConnection) {}
+
+  getAliases(entityId: number): string[] {
+    return this.connection
+      .runQuery("SELECT alias FROM aliases WHERE entity_id = ? ORDER BY id", [
+        entityId,
+      ])
+      .map((row: any) => row.alias);
+  }
+
+  /**
+   * Attach aliases to an entity. An alias that is already an entity name
+   * or another entity's alias in the branch is skipped, so every name
+   * resolves to one entity.
+   */
+  addAliases(
+    entityId: number,
+    branchId: number,
+    aliases: string[]
+  ): { added: string[]; skipped: Array<{ alias: string; reason: string }> } {
+    const added: string[] = [];
+    const skipped: Array<{ alias: string; reason: string }> = [];
+
+    for (const raw of aliases) {
+      const alias = (raw || "").trim();
+      if (!alias) continue;
+
+      const entity = this.connection.getQuery(
+        "SELECT id FROM entities WHERE name = ? AND branch_id = ?",
+        [alias, branchId]
+      );
+      if (entity) {
+        skipped.push({
+          alias,
+          reason:
+            entity.id === entityId
+              ? "same as the entity name"
+              : "an entity with this name exists",
+        });
+        continue;
+      }
+
+      const owner = this.findAliasOwner(alias, branchId);
+      if (owner !== null && owner !== entityId) {
+        skipped.push({ alias, reason: "alias of another entity" });
+        continue;
+      }
+
+      const result = this.connection.execQuery(
+        "INSERT OR IGNORE INTO aliases (entity_id, alias) VALUES (?, ?)",
+        [entityId, alias]
+      );
+      if (result.changes > 0) added.push(alias);
+    }
+
+    return { added, skipped };
+  }
+
+  /**
+   * Detach aliases from an entity; returns the ones that were removed
+   */
+  removeAliases(entityId: number, aliases: string[]): string[] {
+    const removed: string[] = [];
+    for (const alias of aliases) {
+      const row = this.connection.getQuery(
+        "SELECT id, alias FROM aliases WHERE entity_id = ? AND alias = ?",
+        [entityId, (alias || "").trim()]
+      );
+      if (!row) continue;
+      this.connection.execQuery("DELETE FROM aliases WHERE id = ?", [row.id]);
+      removed.push(row.alias);
+    }
+    return removed;
+  }
+
+  /**
+   * Find the entity a name refers to in a branch. An exact entity name
+   * wins over an alias.
+   */
+  resolveEntity(
+    name: string,
+    branchId: number
+  ): { id: number; name: string } | null {
+    const entity = this.connection.getQuery(
+      "SELECT id, name FROM entities WHERE name = ? AND branch_id = ?",
+      [name, branchId]
+    );
+    if (entity) return entity;
+
+    return (
+      this.connection.getQuery(
+        `SELECT e.id, e.name FROM aliases a
+         JOIN entities e ON e.id = a.entity_id
+         WHERE a.alias = ? AND e.branch_id = ?`,
+        [name, branchId]
+      ) || null
+    );
+  }
+
+  /**
+   * Hand every alias of one entity over to another (used when merging)
+   */
+  transferAliases(fromEntityId: number, toEntityId: number): void {
+    this.connection.execQuery(
+      "UPDATE OR IGNORE aliases SET entity_id = ? WHERE entity_id = ?",
+      [toEntityId, fromEntityId]
+    );
+  }
+
+  findAliasOwner(alias: string, branchId: number): number | null {
+    const row = this.connection.getQuery(
+      `SELECT a.entity_id FROM aliases a
+       JOIN entities e ON e.id = a.entity_id
+       WHERE a.alias = ? AND e.branch_id = ?`,
+      [alias, branchId]
+    );
+    return row ? row.entity_id : null;
+  }
+}
@@ -0,0 +1,335 @@
+import {
+  BranchDiff,
+  Entity,
+  EntityChange,
+  KnowledgeGraph,
+  MemoryBranchInfo,
+  MergeResult,
+  MergeStrategy,
+  Relation,
+} from "../../memory-types.js";
+import { logger } from "../logger.js";
+import { SQLiteBranchOperations } from "./sqlite-branch-operations.js";
+import { SQLiteConnection } from "./sqlite-connection.js";
+import { SQLiteEntityOperations } from "./sqlite-entity-operations.js";
+import { SQLiteHistoryOperations } from "./sqlite-history-operations.js";
+import { SQLiteRelationOperations } from "./sqlite-relation-operations.js";
+
+const relationKey = (r: Relation) =>
+  `${r.from}\u0000${r.relationType}\u0000${r.to}`;
+
+/**
+ * SQLite Branch Merge Operations
+ * Git-style fork, diff and merge between memory branches
+ */
+export class SQLiteBranchMergeOperations {
+  constructor(
+    private connection: SQLiteConnection,
+    private branchOps: SQLiteBranchOperations,
+    private entityOps: SQLiteEntityOperations,
+    private relationOps: SQLiteRelationOperations,
+    private history: SQLiteHistoryOperations
+  ) {}
+
+  /**
+   * Copy every entity (any status), relation and cross-reference of the
+   * source into a new branch that remembers its parent
+   */
+  async forkBranch(
+    sourceBranch: string,
+    newBranch: string,
+    purpose?: string
+  ): Promise<MemoryBranchInfo> {
+    if (this.connection.findBranchId(newBranch) !== null) {
+      throw new Error(`Branch "${newBranch}" already exists`);
+    }
+    const graph = await this.loadBranch(sourceBranch);
+
+    const info = await this.branchOps.createBranch(
+      newBranch,
+      purpose || `Fork of ${sourceBranch}`,
+      sourceBranch
+    );
+
+    const entities = await this.entityOps.createEntities(
+      graph.entities,
+      newBranch
+    );
+    const relations = await this.relationOps.createRelations(
+      graph.relations,
+      newBranch
+    );
+    logger.info(
+      `Forked "${sourceBranch}" into "${newBranch}": ${entities.length} entities, ${relations.length} relations`
+    );
+
+    return {
+      ...info,
+      entityCount: entities.length,
+      relationCount: relations.length,
+    };
+  }
+
+  /**
+   * What changed going from the base branch to the compared branch
+   */
+  async diffBranches(base: string, compare: string): Promise<BranchDiff> {
+    const baseGraph = await this.loadBranch(base);
+    const compareGraph = await this.loadBranch(compare);
+    const baseEntities = new Map(baseGraph.entities.map((e) => [e.name, e]));
+    const compareEntities = new Map(
+      compareGraph.entities.map((e) => [e.name, e])
+    );
+
+    const changed: EntityChange[] = [];
+    for (const [name, entity] of compareEntities) {
+      const previous = baseEntities.get(name);
+      if (!previous) continue;
+      const change = this.compareEntities(previous, entity);
+      if (change) changed.push(change);
+    }
+
+    const baseRelations = new Set(baseGraph.relations.map(relationKey));
+    const compareRelations = new Set(compareGraph.relations.map(relationKey));
+
+    return {
+      base,
+      compare,
+      entities: {
+        added: compareGraph.entities.filter((e) => !baseEntities.has(e.name)),
+        removed: baseGraph.entities.filter((e) => !compareEntities.has(e.name)),
+        changed,
+      },
+      relations: {
+        added: compareGraph.relations.filter(
+          (r) => !baseRelations.has(relationKey(r))
+        ),
+        removed: baseGraph.relations.filter(
+          (r) => !compareRelations.has(relationKey(r))
+        ),
+      },
+    };
+  }
+
+  /**
+   * Bring the source branch's entities and relations into the target.
+   * When the source is a fork of the target, the target's entities as they
+   * were at the fork (from entity_versions) are the merge base: changes
+   * made on one side only are taken as they are, and only entities changed
+   * on both sides are conflicts, resolved by the strategy. Without a base
+   * every difference is a conflict. So are entities the target deleted
+   * after the fork. Nothing is deleted from the target.
+   */
+  async mergeBranch(
+    source: string,
+    target: string,
+    strategy: MergeStrategy
+  ): Promise<MergeResult> {
+    const targetId = this.connection.findBranchId(target);
+    if (targetId === null) {
+      throw new Error(`Branch "${target}" not found`);
+    }
+    const diff = await this.diffBranches(target, source);
+
+    // Merging a fork back: the parent at the fork point is the base, and
+    // entities deleted in the parent since then are not new in the fork
+    const fork = this.connection.getQuery(
+      `SELECT b.forked_at FROM memory_branches b
+       WHERE b.name = ? AND b.parent_branch_id = ?`,
+      [source, targetId]
+    );
+    const base = new Map<string, Entity>(
+      fork?.forked_at
+        ? this.history
+            .getEntitiesAsOf(targetId, fork.forked_at)
+            .map((entity) => [entity.name, entity])
+        : []
+    );
+    const deletedInTarget = new Set(
+      fork?.forked_at
+        ? this.history.getDeletedSince(targetId, fork.forked_at)
+        : []
+    );
+
+    const result: MergeResult = {
+      source,
+      target,
+      strategy,
+      added: [],
+      updated: [],
+      conflicts: [],
+      relationsAdded: [],
+      notRemoved: diff.entities.removed.map((e) => e.name),
+    };
+
+    const toCreate = diff.entities.added.filter((entity) => {
+      if (!deletedInTarget.has(entity.name)) return true;
+      result.conflicts.push({ name: entity.name, resolution: strategy });
+      return strategy === "theirs";
+    });
+    const created = await this.entityOps.createEntities(toCreate, target);
+    result.added = created.map((e) => e.name);
+
+    for (const change of diff.entities.changed) {
+      const current = await this.entityOps.findEntityByName(
+        change.name,
+        target
+      );
+      const incoming = await this.entityOps.findEntityByName(
+        change.name,
+        source
+      );
+      if (!current || !incoming) continue;
+
+      const { merged, conflict } = this.mergeEntity(
+        base.get(change.name),
+        current,
+        incoming,
+        strategy
+      );
+      if (conflict) {
+        result.conflicts.push({ name: change.name, resolution: strategy });
+      }
+      if (this.compareEntities(current, merged)) {
+        await this.entityOps.updateEntity(merged, target);
+        result.updated.push(change.name);
+      }
+    }
+
+    result.relationsAdded = await this.relationOps.createRelations(
+      diff.relations.added,
+      target
+    );
+
+    logger.info(
+      `Merged "${source}" into "${target}" (${strategy}): ${result.added.length} added, ${result.updated.length} updated, ${result.relationsAdded.length} relations`
+    );
+    return result;
+  }
+
+  private async loadBranch(branchName: string): Promise<KnowledgeGraph> {
+    const branchId = this.connection.findBranchId(branchName);
+    if (branchId === null) {
+      throw new Error(`Branch "${branchName}" not found`);
+    }
+    return {
+      entities: await this.entityOps.getEntitiesForBranch(branchId),
+      relations: await this.relationOps.getAllRelationsForBranch(branchId),
+    };
+  }
+
+  /**
+   * Three-way merge of an entity present in both branches. A field or
+   * observation only one side changed since the base keeps that change;
+   * fields both sides changed go to the target unless the strategy is
+   * "theirs". Observations the source added are always kept; those it
+   * removed are removed too, except with "union". With "ours", an entity
+   * changed on both sides stays as the target has it.
+   */
+  private mergeEntity(
+    base: Entity | undefined,
+    ours: Entity,
+    theirs: Entity,
+    strategy: MergeStrategy
+  ): { merged: Entity; conflict: boolean } {
+    // Without a base the target stands in for it, and any difference is a
+    // change on both sides
+    const ancestor = base ?? ours;
+    const theirsChanged = this.changedAlone(ancestor, theirs, ours);
+    const conflict =
+      theirsChanged && (!base || this.changedAlone(base, ours, theirs));
+    if (!theirsChanged || (conflict && strategy === "ours")) {
+      return { merged: ours, conflict };
+    }
+
+    const pick = <T>(value: (entity: Entity) => T): T => {
+      if (base && value(ours) === value(base)) return value(theirs);
+      if (base && value(theirs) === value(base)) return value(ours);
+      return strategy === "theirs" ? value(theirs) : value(ours);
+    };
+    const added = theirs.observations.filter(
+      (obs) => !ancestor.observations.includes(obs)
+    );
+    const removed =
+      conflict && strategy === "union"
+        ? []
+        : ancestor.observations.filter(
+            (obs) => !theirs.observations.includes(obs)
+          );
+
+    return {
+      merged: {
+        ...ours,
+        entityType: pick((e) => e.entityType),
+        status: pick((e) => e.status || "active"),
+        statusReason: pick((e) => e.statusReason || undefined),
+        observations: ours.observations
+          .filter((obs) => !removed.includes(obs))
+          .concat(added.filter((obs) => !ours.observations.includes(obs))),
+      },
+      conflict,
+    };
+  }
+
+  /**
+   * Whether one side changed the entity since the base in a way the other
+   * side did not. A change both made (e.g. one already merged) is shared.
+   */
+  private changedAlone(base: Entity, side: Entity, other: Entity): boolean {
+    const fields = [
+      (e: Entity) => e.entityType,
+      (e: Entity) => e.status || "active",
+      (e: Entity) => e.statusReason || undefined,
+    ];
+    return (
+      fields.some(
+        (value) => value(side) !== value(base) && value(side) !== value(other)
+      ) ||
+      side.observations.some(
+        (obs) =>
+          !base.observations.includes(obs) && !other.observations.includes(obs)
+      ) ||
+      base.observations.some(
+        (obs) =>
+          !side.observations.includes(obs) && other.observations.includes(obs)
+      )
+    );
+  }
+
+  /**
+   * Differences from one version of an entity to another, or null if equal
+   */
+  private compareEntities(from: Entity, to: Entity): EntityChange | null {
+    const fromStatus = from.status || "active";
+    const toStatus = to.status || "active";
+    const change: EntityChange = {
+      name: to.name,
+      addedObservations: to.observations.filter(
+        (obs) => !from.observations.includes(obs)
+      ),
+      removedObservations: from.observations.filter(
+        (obs) => !to.observations.includes(obs)
+      ),
+    };
+    if (from.entityType !== to.entityType) {
+      change.entityType = { from: from.entityType, to: to.entityType };
+    }
+    if (fromStatus !== toStatus) {
+      change.status = { from: fromStatus, to: toStatus };
+    }
+    if ((from.statusReason || undefined) !== (to.statusReason || undefined)) {
+      change.statusReason = {
+        from: from.statusReason || undefined,
+        to: to.statusReason || undefined,
+      };
+    }
+
+    const hasChanges =
+      change.entityType ||
+      change.status ||
+      change.statusReason ||
+      change.addedObservations.length > 0 ||
+      change.removedObservations.length > 0;
+    return hasChanges ? change : null;
+  }
+}
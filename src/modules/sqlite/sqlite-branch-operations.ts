@@ -10,11 +10,25 @@ export class SQLiteBranchOperations {
 
   async createBranch(
     branchName: string,
-    purpose?: string
+    purpose?: string,
+    parentBranch?: string
   ): Promise<MemoryBranchInfo> {
+    const parentId = parentBranch
+      ? this.connection.findBranchId(parentBranch)
+      : null;
+    if (parentBranch && parentId === null) {
+      throw new Error(`Branch "${parentBranch}" not found`);
+    }
+    const forkedAt = parentId !== null ? new Date().toISOString() : null;
+
     await this.connection.execQuery(
-      "INSERT INTO memory_branches (name, purpose) VALUES (?, ?)",
-      [branchName, purpose || `Custom branch: ${branchName}`]
+      "INSERT INTO memory_branches (name, purpose, parent_branch_id, forked_at) VALUES (?, ?, ?, ?)",
+      [
+        branchName,
+        purpose || `Custom branch: ${branchName}`,
+        parentId,
+        forkedAt,
+      ]
     );
 
     return {
@@ -24,6 +38,8 @@ export class SQLiteBranchOperations {
       entityCount: 0,
       relationCount: 0,
       lastUpdated: new Date().toISOString(),
+      parentBranch: parentId !== null ? parentBranch : undefined,
+      forkedAt: forkedAt || undefined,
     };
   }
 
@@ -33,6 +49,11 @@ export class SQLiteBranchOperations {
     }
 
     const branchId = await this.connection.getBranchId(branchName);
+    // Forks of this branch outlive it
+    await this.connection.execQuery(
+      "UPDATE memory_branches SET parent_branch_id = NULL WHERE parent_branch_id = ?",
+      [branchId]
+    );
     await this.connection.execQuery(
       "DELETE FROM memory_branches WHERE id = ?",
       [branchId]
@@ -42,10 +63,12 @@ export class SQLiteBranchOperations {
   async listBranches(): Promise<MemoryBranchInfo[]> {
     const branches = await this.connection.runQuery(`
       SELECT 
-        b.name, b.purpose, b.updated_at,
+        b.name, b.purpose, b.updated_at, b.forked_at,
+        p.name as parent_name,
         COUNT(DISTINCT e.id) as entity_count,
         COUNT(DISTINCT r.id) as relation_count
       FROM memory_branches b
+      LEFT JOIN memory_branches p ON p.id = b.parent_branch_id
       LEFT JOIN entities e ON b.id = e.branch_id
       LEFT JOIN relations r ON b.id = r.branch_id
       GROUP BY b.id, b.name, b.purpose, b.updated_at
@@ -59,6 +82,8 @@ export class SQLiteBranchOperations {
       entityCount: parseInt(b.entity_count) || 0,
       relationCount: parseInt(b.relation_count) || 0,
       lastUpdated: b.updated_at,
+      parentBranch: b.parent_name || undefined,
+      forkedAt: b.forked_at || undefined,
     }));
   }
 
@@ -2,6 +2,33 @@ import Database from "better-sqlite3";
 import { promises as fs } from "fs";
 import path from "path";
 
+const SEARCH_COLUMNS = ["name", "entity_type", "observations", "aliases"];
+
+// Rows of entities_fts (id, then SEARCH_COLUMNS) for the entities matching
+// `where`
+function entityDocuments(where: string): string {
+  return `SELECT e.id, e.name, e.entity_type,
+            (SELECT group_concat(content, char(10)) FROM (
+               SELECT content FROM observations
+               WHERE entity_id = e.id ORDER BY sequence_order, id)),
+            (SELECT group_concat(alias, char(10)) FROM aliases
+             WHERE entity_id = e.id)
+          FROM entities e ${where}`;
+}
+
+// Trigger body that replaces the search document of one entity
+function reindexEntity(entityId: string): string {
+  return `DELETE FROM entities_fts WHERE rowid = ${entityId};
+        INSERT INTO entities_fts(rowid, ${SEARCH_COLUMNS.join(", ")})
+        ${entityDocuments(`WHERE e.id = ${entityId}`)};`;
+}
+
+// Trigger body that drops the vector of an entity whose content changed;
+// it is rebuilt the next time semantic search runs
+function staleEmbedding(entityId: string): string {
+  return `DELETE FROM entity_embeddings WHERE entity_id = ${entityId};`;
+}
+
 /**
  * SQLite Connection and Schema Management
  * Handles database initialization, schema creation, and query operations
@@ -42,6 +69,8 @@ export class SQLiteConnection {
   }
 
   private createSchema(): void {
+    const rebuildSearchIndex = this.dropOutdatedSearchIndex();
+
     const queries = [
       // Memory branches
       `CREATE TABLE IF NOT EXISTS memory_branches (
@@ -117,25 +146,184 @@ export class SQLiteConnection {
         FOREIGN KEY (target_branch_id) REFERENCES memory_branches(id)
       )`,
 
-      // Full-text search
+      // Append-only entity history, keyed by name so it outlives deletion
+      `CREATE TABLE IF NOT EXISTS entity_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        branch_id INTEGER NOT NULL,
+        entity_name TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        operation TEXT NOT NULL,
+        entity_type TEXT NOT NULL,
+        status TEXT,
+        status_reason TEXT,
+        observations TEXT NOT NULL,
+        recorded_at TEXT NOT NULL,
+        FOREIGN KEY (branch_id) REFERENCES memory_branches(id) ON DELETE CASCADE,
+        UNIQUE(branch_id, entity_name, version)
+      )`,
+
+      // Alternative names that resolve to an entity
+      `CREATE TABLE IF NOT EXISTS aliases (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entity_id INTEGER NOT NULL,
+        alias TEXT NOT NULL COLLATE NOCASE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (entity_id) REFERENCES entities(id) ON DELETE CASCADE,
+        UNIQUE(entity_id, alias)
+      )`,
+
+      // Full-text search: one document per entity holding its name, type,
+      // every current observation and its aliases, rebuilt by the triggers
+      // below
       `CREATE VIRTUAL TABLE IF NOT EXISTS entities_fts USING fts5(
-        name, entity_type, optimized_content, content='entities', content_rowid='id'
+        ${SEARCH_COLUMNS.join(", ")}
       )`,
 
-      // FTS triggers
       `CREATE TRIGGER IF NOT EXISTS entities_fts_insert AFTER INSERT ON entities BEGIN
-        INSERT INTO entities_fts(rowid, name, entity_type, optimized_content)
-        VALUES (new.id, new.name, new.entity_type, new.optimized_content);
+        ${reindexEntity("new.id")}
       END`,
 
       `CREATE TRIGGER IF NOT EXISTS entities_fts_delete AFTER DELETE ON entities BEGIN
         DELETE FROM entities_fts WHERE rowid = old.id;
       END`,
 
-      `CREATE TRIGGER IF NOT EXISTS entities_fts_update AFTER UPDATE ON entities BEGIN
-        DELETE FROM entities_fts WHERE rowid = old.id;
-        INSERT INTO entities_fts(rowid, name, entity_type, optimized_content)
-        VALUES (new.id, new.name, new.entity_type, new.optimized_content);
+      `CREATE TRIGGER IF NOT EXISTS entities_fts_update
+       AFTER UPDATE OF name, entity_type ON entities BEGIN
+        ${reindexEntity("new.id")}
+      END`,
+
+      `CREATE TRIGGER IF NOT EXISTS observations_fts_insert AFTER INSERT ON observations BEGIN
+        ${reindexEntity("new.entity_id")}
+      END`,
+
+      `CREATE TRIGGER IF NOT EXISTS observations_fts_delete AFTER DELETE ON observations BEGIN
+        ${reindexEntity("old.entity_id")}
+      END`,
+
+      `CREATE TRIGGER IF NOT EXISTS observations_fts_update
+       AFTER UPDATE OF content, entity_id ON observations BEGIN
+        ${reindexEntity("old.entity_id")}
+        ${reindexEntity("new.entity_id")}
+      END`,
+
+      `CREATE TRIGGER IF NOT EXISTS aliases_fts_insert AFTER INSERT ON aliases BEGIN
+        ${reindexEntity("new.entity_id")}
+      END`,
+
+      `CREATE TRIGGER IF NOT EXISTS aliases_fts_delete AFTER DELETE ON aliases BEGIN
+        ${reindexEntity("old.entity_id")}
+      END`,
+
+      `CREATE TRIGGER IF NOT EXISTS aliases_fts_update
+       AFTER UPDATE OF alias, entity_id ON aliases BEGIN
+        ${reindexEntity("old.entity_id")}
+        ${reindexEntity("new.entity_id")}
+      END`,
+
+      // Every word in entities_fts with the number of documents holding it
+      `CREATE VIRTUAL TABLE IF NOT EXISTS entities_fts_vocab
+       USING fts5vocab(entities_fts, 'row')`,
+
+      // Spelling suggestions: a copy of the indexed words with their
+      // trigrams, synced from entities_fts_vocab before each lookup
+      `CREATE TABLE IF NOT EXISTS search_terms (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        term TEXT UNIQUE NOT NULL,
+        documents INTEGER NOT NULL
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS search_term_trigrams (
+        trigram TEXT NOT NULL,
+        term_id INTEGER NOT NULL,
+        PRIMARY KEY (trigram, term_id),
+        FOREIGN KEY (term_id) REFERENCES search_terms(id) ON DELETE CASCADE
+      ) WITHOUT ROWID`,
+
+      // Relations proposed by the relationship indexer. Reviewed rows stay
+      // so a rejected pair is never proposed again.
+      `CREATE TABLE IF NOT EXISTS relation_suggestions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        from_entity_id INTEGER NOT NULL,
+        to_entity_id INTEGER NOT NULL,
+        relation_type TEXT NOT NULL,
+        confidence REAL NOT NULL,
+        branch_id INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        reviewed_at DATETIME,
+        FOREIGN KEY (from_entity_id) REFERENCES entities(id) ON DELETE CASCADE,
+        FOREIGN KEY (to_entity_id) REFERENCES entities(id) ON DELETE CASCADE,
+        FOREIGN KEY (branch_id) REFERENCES memory_branches(id)
+      )`,
+
+      // Pairs rejected in review, by name so the rejection outlives the
+      // entities: one deleted and created again is not related again
+      `CREATE TABLE IF NOT EXISTS relation_rejections (
+        branch_id INTEGER NOT NULL,
+        from_name TEXT NOT NULL,
+        to_name TEXT NOT NULL,
+        rejected_at DATETIME NOT NULL,
+        PRIMARY KEY (branch_id, from_name, to_name),
+        FOREIGN KEY (branch_id) REFERENCES memory_branches(id) ON DELETE CASCADE
+      ) WITHOUT ROWID`,
+
+      `INSERT OR IGNORE INTO relation_rejections
+         (branch_id, from_name, to_name, rejected_at)
+       SELECT s.branch_id, f.name, t.name, COALESCE(s.reviewed_at, s.created_at)
+       FROM relation_suggestions s
+       JOIN entities f ON f.id = s.from_entity_id
+       JOIN entities t ON t.id = s.to_entity_id
+       WHERE s.status = 'rejected'`,
+
+      // When the indexer last proposed relations for an entity; entities
+      // changed since then are indexed again
+      `CREATE TABLE IF NOT EXISTS relation_suggestion_runs (
+        entity_id INTEGER PRIMARY KEY,
+        indexed_at DATETIME NOT NULL,
+        FOREIGN KEY (entity_id) REFERENCES entities(id) ON DELETE CASCADE
+      )`,
+
+      // Semantic search vectors, one per entity, over the same text as
+      // entities_fts
+      `CREATE TABLE IF NOT EXISTS entity_embeddings (
+        entity_id INTEGER PRIMARY KEY,
+        provider TEXT NOT NULL,
+        vector BLOB NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (entity_id) REFERENCES entities(id) ON DELETE CASCADE
+      )`,
+
+      `CREATE TRIGGER IF NOT EXISTS entities_embedding_update
+       AFTER UPDATE OF name, entity_type ON entities BEGIN
+        ${staleEmbedding("new.id")}
+      END`,
+
+      `CREATE TRIGGER IF NOT EXISTS observations_embedding_insert AFTER INSERT ON observations BEGIN
+        ${staleEmbedding("new.entity_id")}
+      END`,
+
+      `CREATE TRIGGER IF NOT EXISTS observations_embedding_delete AFTER DELETE ON observations BEGIN
+        ${staleEmbedding("old.entity_id")}
+      END`,
+
+      `CREATE TRIGGER IF NOT EXISTS observations_embedding_update
+       AFTER UPDATE OF content, entity_id ON observations BEGIN
+        ${staleEmbedding("old.entity_id")}
+        ${staleEmbedding("new.entity_id")}
+      END`,
+
+      `CREATE TRIGGER IF NOT EXISTS aliases_embedding_insert AFTER INSERT ON aliases BEGIN
+        ${staleEmbedding("new.entity_id")}
+      END`,
+
+      `CREATE TRIGGER IF NOT EXISTS aliases_embedding_delete AFTER DELETE ON aliases BEGIN
+        ${staleEmbedding("old.entity_id")}
+      END`,
+
+      `CREATE TRIGGER IF NOT EXISTS aliases_embedding_update
+       AFTER UPDATE OF alias, entity_id ON aliases BEGIN
+        ${staleEmbedding("old.entity_id")}
+        ${staleEmbedding("new.entity_id")}
       END`,
     ];
 
@@ -146,6 +334,22 @@ export class SQLiteConnection {
     });
     transaction(queries);
 
+    // Columns added after the first schema version
+    this.ensureColumns("memory_branches", {
+      parent_branch_id: "INTEGER REFERENCES memory_branches(id)",
+      forked_at: "TEXT",
+    });
+    this.ensureColumns("entity_versions", { note: "TEXT" });
+    // The relation a move turned into this cross-reference, restored once
+    // both ends share a branch again
+    this.ensureColumns("cross_references", { relation_type: "TEXT" });
+    // Similarity features as JSON, learnt from once the suggestion is reviewed
+    this.ensureColumns("relation_suggestions", {
+      features: "TEXT",
+      // The observation text stating the relation, when one does
+      evidence: "TEXT",
+    });
+
     // Create indexes
     const indexes = [
       "CREATE INDEX IF NOT EXISTS idx_entities_name ON entities(name)",
@@ -158,6 +362,14 @@ export class SQLiteConnection {
       "CREATE INDEX IF NOT EXISTS idx_relations_from ON relations(from_entity_id)",
       "CREATE INDEX IF NOT EXISTS idx_relations_to ON relations(to_entity_id)",
       "CREATE INDEX IF NOT EXISTS idx_relations_type ON relations(relation_type)",
+      "CREATE INDEX IF NOT EXISTS idx_aliases_alias ON aliases(alias)",
+      "CREATE INDEX IF NOT EXISTS idx_entity_versions_time ON entity_versions(branch_id, recorded_at)",
+      "CREATE INDEX IF NOT EXISTS idx_search_term_trigrams_term ON search_term_trigrams(term_id)",
+      // One suggestion per pair of entities, in either direction
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx_relation_suggestions_pair ON relation_suggestions(min(from_entity_id, to_entity_id), max(from_entity_id, to_entity_id))",
+      "CREATE INDEX IF NOT EXISTS idx_relation_suggestions_from ON relation_suggestions(from_entity_id)",
+      "CREATE INDEX IF NOT EXISTS idx_relation_suggestions_to ON relation_suggestions(to_entity_id)",
+      "CREATE INDEX IF NOT EXISTS idx_relation_suggestions_status ON relation_suggestions(status, branch_id)",
     ];
 
     const indexTransaction = this.db!.transaction((indexesToRun: string[]) => {
@@ -166,13 +378,77 @@ export class SQLiteConnection {
       }
     });
     indexTransaction(indexes);
+
+    if (rebuildSearchIndex) {
+      this.db!.prepare(
+        `INSERT INTO entities_fts(rowid, ${SEARCH_COLUMNS.join(", ")})
+         ${entityDocuments("")}`
+      ).run();
+    }
+
+    // Entities from before versioning get a baseline version
+    this.db!.prepare(
+      `INSERT INTO entity_versions
+         (branch_id, entity_name, version, operation, entity_type, status,
+          status_reason, observations, recorded_at)
+       SELECT e.branch_id, e.name, 1, 'create', e.entity_type, e.status,
+              e.status_reason,
+              (SELECT json_group_array(content) FROM (
+                 SELECT content FROM observations
+                 WHERE entity_id = e.id ORDER BY sequence_order, id)),
+              strftime('%Y-%m-%dT%H:%M:%fZ', e.created_at)
+       FROM entities e
+       WHERE NOT EXISTS (
+         SELECT 1 FROM entity_versions v
+         WHERE v.branch_id = e.branch_id AND v.entity_name = e.name)`
+    ).run();
+  }
+
+  /**
+   * Drop a search index whose columns differ from SEARCH_COLUMNS, along
+   * with the triggers that fill it. Returns true when entities_fts has to
+   * be filled from scratch.
+   */
+  private dropOutdatedSearchIndex(): boolean {
+    const columns = this.db!.prepare("PRAGMA table_info(entities_fts)")
+      .all()
+      .map((column: any) => column.name);
+    if (columns.join(",") === SEARCH_COLUMNS.join(",")) return false;
+
+    const triggers = this.db!.prepare(
+      "SELECT name FROM sqlite_master WHERE type = 'trigger' AND name GLOB '*_fts_*'"
+    ).all() as { name: string }[];
+    for (const trigger of triggers) {
+      this.db!.prepare(`DROP TRIGGER IF EXISTS ${trigger.name}`).run();
+    }
+    this.db!.prepare("DROP TABLE IF EXISTS entities_fts").run();
+    return true;
+  }
+
+  /**
+   * Add missing columns to an existing table (CREATE TABLE IF NOT EXISTS
+   * leaves older databases untouched)
+   */
+  private ensureColumns(table: string, columns: Record<string, string>): void {
+    const existing = new Set(
+      this.db!.prepare(`PRAGMA table_info(${table})`)
+        .all()
+        .map((column: any) => column.name)
+    );
+    for (const [name, definition] of Object.entries(columns)) {
+      if (!existing.has(name)) {
+        this.db!.prepare(
+          `ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`
+        ).run();
+      }
+    }
   }
 
-  execQuery(query: string, params: any[] = []): void {
+  execQuery(query: string, params: any[] = []): Database.RunResult {
     if (!this.db) {
       throw new Error("Database not initialized");
     }
-    this.db.prepare(query).run(params);
+    return this.db.prepare(query).run(params);
   }
 
   runQuery(query: string, params: any[] = []): any {
@@ -189,6 +465,16 @@ export class SQLiteConnection {
     return this.db.prepare(query).get(params);
   }
 
+  /**
+   * Run synchronous statements atomically
+   */
+  transaction<T>(fn: () => T): T {
+    if (!this.db) {
+      throw new Error("Database not initialized");
+    }
+    return this.db.transaction(fn)();
+  }
+
   close(): void {
     if (this.db) {
       this.db.close();
@@ -220,6 +506,17 @@ export class SQLiteConnection {
     return newBranch.id;
   }
 
+  /**
+   * Look up a branch ID without auto-creating the branch
+   */
+  findBranchId(branchName?: string): number | null {
+    const branch = this.getQuery(
+      "SELECT id FROM memory_branches WHERE name = ?",
+      [branchName || "main"]
+    );
+    return branch ? branch.id : null;
+  }
+
   getBranchName(branchId: number): string {
     const branch = this.getQuery(
       "SELECT name FROM memory_branches WHERE id = ?",
@@ -0,0 +1,180 @@
+import {
+  CrossContext,
+  CrossContextEntity,
+  CrossLinkDirection,
+  EntityStatus,
+  Relation,
+} from "../../memory-types.js";
+import { SQLiteConnection } from "./sqlite-connection.js";
+import {
+  OBSERVATIONS_JSON,
+  SQLiteEntityOperations,
+} from "./sqlite-entity-operations.js";
+
+interface LinkedTarget {
+  branch: string;
+  direction: CrossLinkDirection;
+  linkedWith: string[];
+}
+
+/**
+ * SQLite Cross-Reference Operations
+ * Resolves cross_references rows into the entities on the other end
+ */
+export class SQLiteCrossReferenceOperations {
+  constructor(
+    private connection: SQLiteConnection,
+    private entityOps: SQLiteEntityOperations
+  ) {}
+
+  /**
+   * Follow cross-references of the given entities in both directions:
+   * outbound rows they own, and inbound rows other branches point at them.
+   * Targets that do not exist (yet) or are filtered out by status are left
+   * out. Passing no names resolves every entity in the branch.
+   */
+  async resolveCrossContext(
+    entityNames: string[],
+    branchName?: string,
+    includeStatuses?: EntityStatus[]
+  ): Promise<CrossContext> {
+    const empty: CrossContext = { entities: [], relations: [] };
+    const branchId = this.connection.findBranchId(branchName);
+    if (branchId === null) return empty;
+
+    const statuses =
+      includeStatuses && includeStatuses.length > 0
+        ? includeStatuses
+        : ["active"];
+    const names =
+      entityNames.length > 0
+        ? entityNames
+        : this.connection
+            .runQuery(
+              `SELECT name FROM entities WHERE branch_id = ? AND status IN (${statuses
+                .map(() => "?")
+                .join(",")})`,
+              [branchId, ...statuses]
+            )
+            .map((row: any) => row.name as string);
+    if (names.length === 0) return empty;
+
+    const namePlaceholders = names.map(() => "?").join(",");
+    const statusPlaceholders = statuses.map(() => "?").join(",");
+
+    const outbound = this.connection.runQuery(
+      `
+      SELECT e.name as local_name, t.id as linked_id, b.name as branch_name
+      FROM cross_references cr
+      JOIN entities e ON cr.from_entity_id = e.id
+      JOIN entities t
+        ON t.branch_id = cr.target_branch_id AND t.name = cr.target_entity_name
+      JOIN memory_branches b ON b.id = t.branch_id
+      WHERE e.branch_id = ?
+        AND e.name IN (${namePlaceholders})
+        AND t.status IN (${statusPlaceholders})
+    `,
+      [branchId, ...names, ...statuses]
+    );
+
+    const inbound = this.connection.runQuery(
+      `
+      SELECT cr.target_entity_name as local_name, e.id as linked_id,
+             b.name as branch_name
+      FROM cross_references cr
+      JOIN entities e ON cr.from_entity_id = e.id
+      JOIN memory_branches b ON b.id = e.branch_id
+      WHERE cr.target_branch_id = ?
+        AND cr.target_entity_name IN (${namePlaceholders})
+        AND e.branch_id != ?
+        AND e.status IN (${statusPlaceholders})
+    `,
+      [branchId, ...names, branchId, ...statuses]
+    );
+
+    // One linked entity can be reached from several local entities, and
+    // in both directions
+    const targets = new Map<number, LinkedTarget>();
+    const collect = (rows: any[], direction: CrossLinkDirection) => {
+      for (const row of rows) {
+        const target = targets.get(row.linked_id);
+        if (!target) {
+          targets.set(row.linked_id, {
+            branch: row.branch_name,
+            direction,
+            linkedWith: [row.local_name],
+          });
+          continue;
+        }
+        if (target.direction !== direction) target.direction = "both";
+        if (!target.linkedWith.includes(row.local_name)) {
+          target.linkedWith.push(row.local_name);
+        }
+      }
+    };
+    collect(outbound, "outbound");
+    collect(inbound, "inbound");
+    if (targets.size === 0) return empty;
+
+    const targetIds = Array.from(targets.keys());
+    const entityRows = this.connection.runQuery(
+      `
+      SELECT e.*, ${OBSERVATIONS_JSON} as observations
+      FROM entities e
+      WHERE e.id IN (${targetIds.map(() => "?").join(",")})
+      ORDER BY e.name
+    `,
+      targetIds
+    );
+
+    const relations = this.getRelationsTouching(targetIds);
+    const converted = await this.entityOps.convertRowsToEntities(entityRows);
+    const entities: CrossContextEntity[] = converted.map((entity, index) => {
+      const target = targets.get(entityRows[index].id)!;
+      return {
+        ...entity,
+        ...target,
+        relations: relations
+          .filter(
+            (r) =>
+              r.branch === target.branch &&
+              (r.from === entity.name || r.to === entity.name)
+          )
+          .map(({ branch, ...relation }) => relation),
+      };
+    });
+
+    return {
+      entities,
+      relations: relations.map(({ branch, ...relation }) => relation),
+    };
+  }
+
+  /**
+   * Relations inside the linked entities' own branches that touch them
+   */
+  private getRelationsTouching(
+    entityIds: number[]
+  ): Array<Relation & { branch: string }> {
+    const placeholders = entityIds.map(() => "?").join(",");
+    const rows = this.connection.runQuery(
+      `
+      SELECT r.relation_type, ef.name as from_name, et.name as to_name,
+             b.name as branch_name
+      FROM relations r
+      JOIN entities ef ON r.from_entity_id = ef.id
+      JOIN entities et ON r.to_entity_id = et.id
+      JOIN memory_branches b ON b.id = r.branch_id
+      WHERE r.from_entity_id IN (${placeholders})
+         OR r.to_entity_id IN (${placeholders})
+    `,
+      [...entityIds, ...entityIds]
+    );
+    return rows.map((row: any) => ({
+      from: row.from_name,
+      to: row.to_name,
+      relationType: row.relation_type,
+      branch: row.branch_name,
+    }));
+  }
+}
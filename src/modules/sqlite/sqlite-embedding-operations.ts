@@ -0,0 +1,102 @@
+import {
+  cosineSimilarity,
+  EmbeddingProvider,
+} from "../embeddings/embedding-provider.js";
+import { logger } from "../logger.js";
+import { SQLiteConnection } from "./sqlite-connection.js";
+
+// Entities embedded per provider call
+const EMBED_BATCH_SIZE = 100;
+
+/**
+ * SQLite Embedding Operations
+ * Keeps one vector per entity for semantic search. Triggers drop a vector
+ * when its entity's content changes; missing vectors are rebuilt lazily
+ * before a semantic search reads them.
+ */
+export class SQLiteEmbeddingOperations {
+  constructor(
+    private connection: SQLiteConnection,
+    private provider: EmbeddingProvider
+  ) {}
+
+  /**
+   * Embed every entity that has no vector from the current provider.
+   * Returns how many were embedded.
+   */
+  async refreshEmbeddings(): Promise<number> {
+    const rows = this.connection.runQuery(
+      `SELECT e.id, e.name, e.entity_type,
+              (SELECT group_concat(content, char(10)) FROM (
+                 SELECT content FROM observations
+                 WHERE entity_id = e.id ORDER BY sequence_order, id)) as observations,
+              (SELECT group_concat(alias, char(10)) FROM aliases
+               WHERE entity_id = e.id) as aliases
+       FROM entities e
+       LEFT JOIN entity_embeddings v ON v.entity_id = e.id AND v.provider = ?
+       WHERE v.entity_id IS NULL`,
+      [this.provider.id]
+    );
+
+    for (let i = 0; i < rows.length; i += EMBED_BATCH_SIZE) {
+      const batch = rows.slice(i, i + EMBED_BATCH_SIZE);
+      const vectors = await this.provider.embed(
+        batch.map((row: any) =>
+          [row.name, row.entity_type, row.observations, row.aliases]
+            .filter(Boolean)
+            .join("\n")
+        )
+      );
+      this.connection.transaction(() => {
+        batch.forEach((row: any, j: number) => {
+          this.connection.execQuery(
+            `INSERT OR REPLACE INTO entity_embeddings (entity_id, provider, vector)
+             VALUES (?, ?, ?)`,
+            [row.id, this.provider.id, toBlob(vectors[j])]
+          );
+        });
+      });
+    }
+    if (rows.length > 0) {
+      logger.debug(`Embedded ${rows.length} entities with ${this.provider.id}`);
+    }
+    return rows.length;
+  }
+
+  /**
+   * Cosine similarity between a text and each of the given entities
+   */
+  async similarities(
+    text: string,
+    entityIds: number[]
+  ): Promise<Map<number, number>> {
+    const similarities = new Map<number, number>();
+    if (entityIds.length === 0) return similarities;
+
+    await this.refreshEmbeddings();
+    const [query] = await this.provider.embed([text]);
+    // The ids go to SQLite once, so only the candidates' vectors are read
+    const rows = this.connection.runQuery(
+      `SELECT entity_id, vector FROM entity_embeddings
+       WHERE provider = ?
+         AND entity_id IN (SELECT value FROM json_each(?))`,
+      [this.provider.id, JSON.stringify(entityIds)]
+    );
+    for (const row of rows) {
+      similarities.set(
+        row.entity_id,
+        cosineSimilarity(query, fromBlob(row.vector))
+      );
+    }
+    return similarities;
+  }
+}
+
+function toBlob(vector: Float32Array): Buffer {
+  return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength);
+}
+
+// Copied so the floats are aligned whatever offset the Buffer has
+function fromBlob(blob: Buffer): Float32Array {
+  return new Float32Array(Uint8Array.from(blob).buffer);
+}
@@ -0,0 +1,193 @@
+import { EntityMergeResult } from "../../memory-types.js";
+import { logger } from "../logger.js";
+import { SQLiteAliasOperations } from "./sqlite-alias-operations.js";
+import { SQLiteConnection } from "./sqlite-connection.js";
+import { SQLiteEntityOperations } from "./sqlite-entity-operations.js";
+import { SQLiteHistoryOperations } from "./sqlite-history-operations.js";
+import { SQLiteKeywordOperations } from "./sqlite-keyword-operations.js";
+
+/**
+ * SQLite Entity Merge Operations
+ * Folds duplicate entities into one, keeping their links and names
+ */
+export class SQLiteEntityMergeOperations {
+  constructor(
+    private connection: SQLiteConnection,
+    private entityOps: SQLiteEntityOperations,
+    private history: SQLiteHistoryOperations,
+    private aliasOps: SQLiteAliasOperations,
+    private keywordOps: SQLiteKeywordOperations
+  ) {}
+
+  /**
+   * Merge entities into the kept one. New observations are appended,
+   * relations and cross-references are re-pointed (links between the
+   * merged entities are dropped), and each merged-away name becomes an
+   * alias of the kept entity.
+   */
+  async mergeEntities(
+    keepName: string,
+    mergeNames: string[],
+    branchName?: string
+  ): Promise<EntityMergeResult> {
+    const branchId = this.connection.findBranchId(branchName);
+    if (branchId === null) {
+      throw new Error(`Branch "${branchName}" not found`);
+    }
+    const keepId = this.findEntityId(keepName, branchId);
+    if (keepId === null) {
+      throw new Error(
+        `Entity "${keepName}" not found in branch ${branchName || "main"}`
+      );
+    }
+
+    const skipped: EntityMergeResult["skipped"] = [];
+    const merging = new Map<number, string>();
+    for (const name of new Set(mergeNames)) {
+      const id = this.findEntityId(name, branchId);
+      if (name === keepName) {
+        skipped.push({ name, reason: "is the kept entity" });
+      } else if (id === null) {
+        skipped.push({ name, reason: "not found in branch" });
+      } else {
+        merging.set(id, name);
+      }
+    }
+
+    const addedObservations: string[] = [];
+    let repointedRelations = 0;
+    let repointedCrossReferences = 0;
+
+    if (merging.size > 0) {
+      const group = [keepId, ...merging.keys()];
+      const groupPlaceholders = group.map(() => "?").join(",");
+
+      this.connection.transaction(() => {
+        // Links inside the group would become self-references
+        this.connection.execQuery(
+          `DELETE FROM relations
+           WHERE from_entity_id IN (${groupPlaceholders})
+             AND to_entity_id IN (${groupPlaceholders})`,
+          [...group, ...group]
+        );
+
+        for (const [id, name] of merging) {
+          addedObservations.push(...this.moveObservations(id, keepId));
+
+          repointedRelations +=
+            this.connection.execQuery(
+              "UPDATE OR IGNORE relations SET from_entity_id = ? WHERE from_entity_id = ?",
+              [keepId, id]
+            ).changes +
+            this.connection.execQuery(
+              "UPDATE OR IGNORE relations SET to_entity_id = ? WHERE to_entity_id = ?",
+              [keepId, id]
+            ).changes;
+
+          repointedCrossReferences +=
+            this.connection.execQuery(
+              "UPDATE cross_references SET from_entity_id = ? WHERE from_entity_id = ?",
+              [keepId, id]
+            ).changes +
+            this.connection.execQuery(
+              `UPDATE cross_references SET target_entity_name = ?
+               WHERE target_branch_id = ? AND target_entity_name = ?`,
+              [keepName, branchId, name]
+            ).changes;
+
+          this.aliasOps.transferAliases(id, keepId);
+          this.history.recordVersion(id, "delete", `Merged into "${keepName}"`);
+          // Relations the kept entity already had are dropped with the row
+          this.connection.execQuery("DELETE FROM entities WHERE id = ?", [id]);
+          this.aliasOps.addAliases(keepId, branchId, [name]);
+        }
+
+        this.removeDuplicateCrossReferences(keepId, keepName, branchId);
+        this.keywordOps.refreshKeywords(keepId);
+        this.connection.execQuery(
+          "UPDATE entities SET updated_at = ? WHERE id = ?",
+          [new Date().toISOString(), keepId]
+        );
+        this.history.recordVersion(
+          keepId,
+          "merge",
+          `Merged ${Array.from(merging.values())
+            .map((name) => `"${name}"`)
+            .join(", ")}`
+        );
+      });
+
+      logger.info(
+        `Merged ${merging.size} entities into "${keepName}" (${addedObservations.length} new observations)`
+      );
+    }
+
+    return {
+      kept: (await this.entityOps.findEntityByName(keepName, branchName))!,
+      merged: Array.from(merging.values()),
+      skipped,
+      addedObservations,
+      repointedRelations,
+      repointedCrossReferences,
+      aliases: this.aliasOps.getAliases(keepId),
+    };
+  }
+
+  /**
+   * Move observations the kept entity does not have yet; the rest are
+   * dropped with the merged entity
+   */
+  private moveObservations(fromId: number, toId: number): string[] {
+    const existing = new Set(
+      this.connection
+        .runQuery("SELECT content FROM observations WHERE entity_id = ?", [
+          toId,
+        ])
+        .map((row: any) => row.content)
+    );
+    let nextSeq = this.connection.getQuery(
+      "SELECT COALESCE(MAX(sequence_order), -1) + 1 as next_seq FROM observations WHERE entity_id = ?",
+      [toId]
+    ).next_seq;
+
+    const moved: string[] = [];
+    const rows = this.connection.runQuery(
+      "SELECT id, content FROM observations WHERE entity_id = ? ORDER BY sequence_order, id",
+      [fromId]
+    );
+    for (const row of rows) {
+      if (existing.has(row.content)) continue;
+      existing.add(row.content);
+      this.connection.execQuery(
+        "UPDATE observations SET entity_id = ?, sequence_order = ? WHERE id = ?",
+        [toId, nextSeq++, row.id]
+      );
+      moved.push(row.content);
+    }
+    return moved;
+  }
+
+  private removeDuplicateCrossReferences(
+    keepId: number,
+    keepName: string,
+    branchId: number
+  ): void {
+    this.connection.execQuery(
+      `DELETE FROM cross_references
+       WHERE (from_entity_id = ?
+              OR (target_branch_id = ? AND target_entity_name = ?))
+         AND id NOT IN (
+           SELECT MIN(id) FROM cross_references
+           GROUP BY from_entity_id, target_branch_id, target_entity_name)`,
+      [keepId, branchId, keepName]
+    );
+  }
+
+  private findEntityId(name: string, branchId: number): number | null {
+    const row = this.connection.getQuery(
+      "SELECT id FROM entities WHERE name = ? AND branch_id = ?",
+      [name, branchId]
+    );
+    return row ? row.id : null;
+  }
+}
@@ -1,13 +1,41 @@
-import { Entity, EntityStatus } from "../../memory-types.js";
+import {
+  Entity,
+  EntityStatus,
+  EntityVersionOperation,
+  ObservationDeletionResult,
+  PageOptions,
+} from "../../memory-types.js";
 import { logger } from "../logger.js";
+import { SQLiteAliasOperations } from "./sqlite-alias-operations.js";
 import { SQLiteConnection } from "./sqlite-connection.js";
+import { SQLiteHistoryOperations } from "./sqlite-history-operations.js";
+import { SQLiteKeywordOperations } from "./sqlite-keyword-operations.js";
+
+// Branch listings have no relevance, so they default to name order
+const BRANCH_ORDER: Record<string, string> = {
+  name: "e.name COLLATE NOCASE",
+  updated: "julianday(e.updated_at) DESC",
+  created: "julianday(e.created_at) DESC",
+};
+
+// The observations of the entity aliased e, as a JSON array in stored order
+export const OBSERVATIONS_JSON = `(SELECT json_group_array(content) FROM (
+                SELECT content FROM observations
+                WHERE entity_id = e.id ORDER BY sequence_order, id))`;
 
 /**
  * SQLite Entity Operations
  * Handles CRUD operations for entities and observations
  */
 export class SQLiteEntityOperations {
-  constructor(private connection: SQLiteConnection) {}
+  constructor(
+    private connection: SQLiteConnection,
+    private history: SQLiteHistoryOperations,
+    private aliasOps: SQLiteAliasOperations,
+    private keywordOps: SQLiteKeywordOperations,
+    // Produces optimized_content; content always keeps the verbatim text
+    private compress: (text: string) => string = (text) => text
+  ) {}
 
   async createEntities(
     entities: Entity[],
@@ -34,7 +62,7 @@ export class SQLiteEntityOperations {
 
     // Find the existing entity
     const existingEntity = await this.connection.getQuery(
-      "SELECT id FROM entities WHERE name = ? AND branch_id = ?",
+      "SELECT id, status FROM entities WHERE name = ? AND branch_id = ?",
       [entity.name, branchId]
     );
 
@@ -44,6 +72,82 @@ export class SQLiteEntityOperations {
       );
     }
 
+    const updated = await this.replaceEntity(
+      existingEntity.id,
+      entity,
+      branchId
+    );
+    this.history.recordVersion(
+      existingEntity.id,
+      existingEntity.status !== (entity.status || "active")
+        ? "status_change"
+        : "update"
+    );
+    return updated;
+  }
+
+  /**
+   * Restore an entity to an earlier version from its history. Deleted
+   * entities are recreated; current cross-references are kept.
+   */
+  async revertEntity(
+    entityName: string,
+    version: number,
+    branchName?: string
+  ): Promise<Entity> {
+    const branchId = this.connection.findBranchId(branchName);
+    if (branchId === null) {
+      throw new Error(`Branch "${branchName}" not found`);
+    }
+
+    const snapshot = this.history.getVersion(entityName, branchId, version);
+    if (!snapshot) {
+      throw new Error(
+        `Version ${version} of entity "${entityName}" not found in branch ${
+          branchName || "main"
+        }`
+      );
+    }
+    if (snapshot.operation === "delete") {
+      throw new Error(
+        `Version ${version} of entity "${entityName}" records its deletion; revert to an earlier version instead`
+      );
+    }
+
+    const restored: Entity = {
+      name: entityName,
+      entityType: snapshot.entityType,
+      observations: snapshot.observations,
+      status: snapshot.status,
+      statusReason: snapshot.statusReason,
+    };
+
+    const existingEntity = await this.connection.getQuery(
+      "SELECT id FROM entities WHERE name = ? AND branch_id = ?",
+      [entityName, branchId]
+    );
+    if (!existingEntity) {
+      return await this.createSingleEntity(restored, branchId, "revert");
+    }
+
+    restored.crossRefs = await this.getCrossReferences(entityName, branchId);
+    const reverted = await this.replaceEntity(
+      existingEntity.id,
+      restored,
+      branchId
+    );
+    this.history.recordVersion(existingEntity.id, "revert");
+    return reverted;
+  }
+
+  /**
+   * Overwrite an entity's fields, observations and cross-references
+   */
+  private async replaceEntity(
+    entityId: number,
+    entity: Entity,
+    branchId: number
+  ): Promise<Entity> {
     // Update the entity
     await this.connection.execQuery(
       `UPDATE entities 
@@ -54,14 +158,14 @@ export class SQLiteEntityOperations {
         entity.status || "active",
         entity.statusReason || null,
         new Date().toISOString(),
-        existingEntity.id,
+        entityId,
       ]
     );
 
     // Update observations - delete old ones and insert new ones
     await this.connection.execQuery(
       "DELETE FROM observations WHERE entity_id = ?",
-      [existingEntity.id]
+      [entityId]
     );
 
     if (entity.observations && entity.observations.length > 0) {
@@ -69,15 +173,21 @@ export class SQLiteEntityOperations {
         await this.connection.execQuery(
           `INSERT INTO observations (entity_id, content, optimized_content, sequence_order)
            VALUES (?, ?, ?, ?)`,
-          [existingEntity.id, entity.observations[i], entity.observations[i], i]
+          [
+            entityId,
+            entity.observations[i],
+            this.compress(entity.observations[i]),
+            i,
+          ]
         );
       }
     }
+    this.keywordOps.refreshKeywords(entityId);
 
     // Update cross-references - delete old ones and create new ones
     await this.connection.execQuery(
       "DELETE FROM cross_references WHERE from_entity_id = ?",
-      [existingEntity.id]
+      [entityId]
     );
 
     const crossRefs = (entity as any).crossRefs || [];
@@ -138,6 +248,8 @@ export class SQLiteEntityOperations {
           continue;
         }
 
+        this.history.recordVersion(entity.id, "delete");
+
         // Delete observations first (foreign key constraints)
         await this.connection.execQuery(
           "DELETE FROM observations WHERE entity_id = ?",
@@ -183,21 +295,23 @@ export class SQLiteEntityOperations {
       ? await this.connection.getBranchId(branchName)
       : null;
 
-    let whereClause = "WHERE e.name = ?";
-    let params = [name];
+    // Fall back to aliases; an exact name match sorts first
+    let whereClause =
+      "WHERE (e.name = ? OR e.id IN (SELECT entity_id FROM aliases WHERE alias = ?))";
+    let params = [name, name];
 
     if (branchId) {
       whereClause += " AND e.branch_id = ?";
       params.push(branchId.toString());
     }
+    params.push(name);
 
     const results = await this.connection.runQuery(
       `
-      SELECT DISTINCT e.*, GROUP_CONCAT(o.content, '|') as observations
+      SELECT e.*, ${OBSERVATIONS_JSON} as observations
       FROM entities e
-      LEFT JOIN observations o ON e.id = o.entity_id
       ${whereClause}
-      GROUP BY e.id
+      ORDER BY e.name = ? DESC
     `,
       params
     );
@@ -210,9 +324,117 @@ export class SQLiteEntityOperations {
     return entities[0] || null;
   }
 
+  /**
+   * All entities of a branch with their observations, optionally narrowed
+   * by status. With a page, only that slice in that order is loaded.
+   */
+  async getEntitiesForBranch(
+    branchId: number,
+    includeStatuses?: EntityStatus[],
+    page?: PageOptions
+  ): Promise<Entity[]> {
+    let entityQuery = `
+      SELECT e.*, ${OBSERVATIONS_JSON} as observations
+      FROM entities e
+      WHERE e.branch_id = ?
+    `;
+    const params: any[] = [branchId];
+    if (includeStatuses && includeStatuses.length > 0) {
+      entityQuery += ` AND e.status IN (${includeStatuses
+        .map(() => "?")
+        .join(",")})`;
+      params.push(...includeStatuses);
+    }
+    if (page) {
+      entityQuery += ` ORDER BY ${
+        BRANCH_ORDER[page.sortBy || "name"]
+      }, e.id LIMIT ? OFFSET ?`;
+      params.push(page.limit ?? -1, page.offset || 0);
+    }
+
+    const entityRows = await this.connection.runQuery(entityQuery, params);
+    return await this.convertRowsToEntities(entityRows);
+  }
+
+  countEntitiesForBranch(
+    branchId: number,
+    includeStatuses?: EntityStatus[]
+  ): number {
+    let query = "SELECT COUNT(*) as count FROM entities WHERE branch_id = ?";
+    const params: any[] = [branchId];
+    if (includeStatuses && includeStatuses.length > 0) {
+      query += ` AND status IN (${includeStatuses.map(() => "?").join(",")})`;
+      params.push(...includeStatuses);
+    }
+    return this.connection.getQuery(query, params).count;
+  }
+
+  /**
+   * Compressed form of stored observations, keyed by entity name and then
+   * by the verbatim text. No branch (or "*") looks in every branch.
+   */
+  getOptimizedObservations(
+    entityNames: string[],
+    branchName?: string
+  ): Map<string, Map<string, string>> {
+    const forms = new Map<string, Map<string, string>>();
+    if (entityNames.length === 0) return forms;
+
+    const params: any[] = [...entityNames];
+    let query = `
+      SELECT e.name, o.content, o.optimized_content
+      FROM observations o
+      JOIN entities e ON e.id = o.entity_id
+      WHERE e.name IN (${entityNames.map(() => "?").join(",")})`;
+    if (branchName && branchName !== "*") {
+      const branchId = this.connection.findBranchId(branchName);
+      if (branchId === null) return forms;
+      query += " AND e.branch_id = ?";
+      params.push(branchId);
+    }
+
+    for (const row of this.connection.runQuery(query, params)) {
+      if (!forms.has(row.name)) forms.set(row.name, new Map());
+      forms
+        .get(row.name)!
+        .set(row.content, row.optimized_content || row.content);
+    }
+    return forms;
+  }
+
+  /**
+   * List entity names starting with a prefix (case-insensitive), used for
+   * argument completion. Unknown branches yield no names.
+   */
+  async listEntityNames(
+    prefix: string,
+    branchName?: string,
+    limit: number = 100
+  ): Promise<string[]> {
+    const params: any[] = [`${prefix.replace(/[\\%_]/g, "\\$&")}%`];
+    let whereClause = "WHERE name LIKE ? ESCAPE '\\'";
+
+    if (branchName && branchName !== "*") {
+      const branchId = this.connection.findBranchId(branchName);
+      if (branchId === null) {
+        return [];
+      }
+      whereClause += " AND branch_id = ?";
+      params.push(branchId);
+    }
+
+    params.push(limit);
+    const rows = await this.connection.runQuery(
+      `SELECT DISTINCT name FROM entities ${whereClause} ORDER BY name LIMIT ?`,
+      params
+    );
+    return rows.map((row: any) => row.name);
+  }
+
   private async createSingleEntity(
     entity: Entity,
-    branchId: number
+    branchId: number,
+    operation: EntityVersionOperation = "create"
   ): Promise<Entity> {
     // Validate and sanitize entity data
     const validName = (entity.name || "").toString().trim() || "Unnamed Entity";
@@ -269,29 +491,25 @@ export class SQLiteEntityOperations {
           INSERT INTO observations (entity_id, content, optimized_content, sequence_order)
           VALUES (?, ?, ?, ?)
         `,
-          [entityRow.id, validObservations[i], validObservations[i], i]
+          [
+            entityRow.id,
+            validObservations[i],
+            this.compress(validObservations[i]),
+            i,
+          ]
         );
       }
     }
 
-    // Store keywords if provided
-    if ((entity as any)._keywordData?.keywords) {
-      const keywords = (entity as any)._keywordData.keywords;
-      for (let i = 0; i < keywords.length; i++) {
-        const keyword = keywords[i];
-        if (keyword && keyword.trim()) {
-          await this.connection.execQuery(
-            `INSERT INTO keywords (keyword, entity_id, weight, context)
-             VALUES (?, ?, ?, ?)`,
-            [keyword.trim().toLowerCase(), entityRow.id, 1.0, "entity_content"]
-          );
-        }
-      }
-      logger.info(
-        `Stored ${keywords.length} keywords for entity "${validName}"`
-      );
+    this.history.recordVersion(entityRow.id, operation);
+
+    if (entity.aliases && entity.aliases.length > 0) {
+      this.aliasOps.addAliases(entityRow.id, branchId, entity.aliases);
     }
 
+    const keywords = this.keywordOps.refreshKeywords(entityRow.id);
+    logger.info(`Stored ${keywords.length} keywords for entity "${validName}"`);
+
     // Process cross-references if provided
     const crossRefs = (entity as any).crossRefs || [];
     if (crossRefs.length > 0) {
@@ -315,6 +533,7 @@ export class SQLiteEntityOperations {
 
     // Retrieve cross-references for the created entity
     const entityCrossRefs = await this.getCrossReferences(validName, branchId);
+    const aliases = this.aliasOps.getAliases(entityRow.id);
 
     return {
       name: validName,
@@ -324,6 +543,7 @@ export class SQLiteEntityOperations {
       statusReason: entity.statusReason,
       lastUpdated: new Date().toISOString(),
       crossRefs: entityCrossRefs,
+      ...(aliases.length > 0 && { aliases }),
     };
   }
 
@@ -367,7 +587,7 @@ export class SQLiteEntityOperations {
             await this.connection.execQuery(
               `INSERT INTO observations (entity_id, content, optimized_content, sequence_order)
                VALUES (?, ?, ?, ?)`,
-              [entity.id, content, content, startSeq + i]
+              [entity.id, content, this.compress(content), startSeq + i]
             );
             addedObservations.push(content);
           }
@@ -378,6 +598,10 @@ export class SQLiteEntityOperations {
           "UPDATE entities SET updated_at = ? WHERE id = ?",
           [new Date().toISOString(), entity.id]
         );
+        if (addedObservations.length > 0) {
+          this.keywordOps.refreshKeywords(entity.id);
+          this.history.recordVersion(entity.id, "add_observations");
+        }
 
         results.push({
           entityName: obs.entityName,
@@ -401,10 +625,19 @@ export class SQLiteEntityOperations {
   async deleteObservations(
     deletions: { entityName: string; observations: string[] }[],
     branchName?: string
-  ): Promise<void> {
+  ): Promise<ObservationDeletionResult[]> {
     const branchId = await this.connection.getBranchId(branchName);
+    const results: ObservationDeletionResult[] = [];
 
     for (const deletion of deletions) {
+      const result: ObservationDeletionResult = {
+        entityName: deletion.entityName,
+        found: false,
+        deleted: 0,
+        deletedObservations: [],
+        notFound: [],
+      };
+      results.push(result);
       try {
         // Find the entity
         const entity = await this.connection.getQuery(
@@ -418,25 +651,36 @@ export class SQLiteEntityOperations {
               branchName || "main"
             }`
           );
+          result.notFound = [...deletion.observations];
           continue;
         }
+        result.found = true;
 
         // Delete specific observations
         for (const obsContent of deletion.observations) {
-          await this.connection.execQuery(
+          const { changes } = this.connection.execQuery(
             "DELETE FROM observations WHERE entity_id = ? AND content = ?",
             [entity.id, obsContent]
           );
+          result.deleted += changes;
+          if (changes > 0) {
+            result.deletedObservations.push(obsContent);
+          } else {
+            result.notFound.push(obsContent);
+          }
         }
 
-        // Update entity timestamp
-        await this.connection.execQuery(
-          "UPDATE entities SET updated_at = ? WHERE id = ?",
-          [new Date().toISOString(), entity.id]
-        );
+        if (result.deleted > 0) {
+          await this.connection.execQuery(
+            "UPDATE entities SET updated_at = ? WHERE id = ?",
+            [new Date().toISOString(), entity.id]
+          );
+          this.keywordOps.refreshKeywords(entity.id);
+          this.history.recordVersion(entity.id, "delete_observations");
+        }
 
         logger.info(
-          `Deleted ${deletion.observations.length} observations from "${deletion.entityName}"`
+          `Deleted ${result.deleted} observations from "${deletion.entityName}"`
         );
       } catch (error) {
         logger.error(
@@ -445,6 +689,7 @@ export class SQLiteEntityOperations {
         );
       }
     }
+    return results;
   }
 
   async getCrossReferences(
@@ -543,14 +788,16 @@ export class SQLiteEntityOperations {
     const entities = [];
     for (const row of rows) {
       const crossRefs = await this.getCrossReferences(row.name, row.branch_id);
+      const aliases = this.aliasOps.getAliases(row.id);
       entities.push({
         name: row.name,
         entityType: row.entity_type,
-        observations: row.observations ? row.observations.split("|") : [],
+        observations: row.observations ? JSON.parse(row.observations) : [],
         status: row.status as EntityStatus,
         statusReason: row.status_reason,
         lastUpdated: row.updated_at,
         crossRefs: crossRefs,
+        ...(aliases.length > 0 && { aliases }),
       });
     }
     return entities;
@@ -0,0 +1,266 @@
+import {
+  ContextExpansion,
+  ContextNode,
+  EntityStatus,
+  Relation,
+} from "../../memory-types.js";
+import { SQLiteConnection } from "./sqlite-connection.js";
+import {
+  OBSERVATIONS_JSON,
+  SQLiteEntityOperations,
+} from "./sqlite-entity-operations.js";
+
+export interface GraphExpansionOptions {
+  depth: number;
+  maxNodesPerHop?: number;
+  includeStatuses?: EntityStatus[];
+}
+
+// How strongly a relation type ties two entities together (unknown types: 0.7)
+const RELATION_TYPE_WEIGHTS: Record<string, number> = {
+  depends_on: 1.0,
+  calls: 1.0,
+  implements: 0.95,
+  contains: 0.9,
+  part_of: 0.9,
+  uses: 0.9,
+  stores_in: 0.85,
+  replaces: 0.8,
+  closely_related: 0.75,
+  cross_reference: 0.7,
+  similar_to: 0.65,
+  related_to: 0.6,
+};
+const DEFAULT_RELATION_WEIGHT = 0.7;
+const DEFAULT_MAX_NODES_PER_HOP = 10;
+const MAX_DEPTH = 3;
+
+interface Candidate {
+  id: number;
+  score: number;
+  via: ContextNode["via"];
+}
+
+/**
+ * SQLite Graph Operations
+ * Breadth-first expansion over relations and cross-references
+ */
+export class SQLiteGraphOperations {
+  constructor(
+    private connection: SQLiteConnection,
+    private entityOps: SQLiteEntityOperations
+  ) {}
+
+  /**
+   * Expand N hops out from the seed entities. Each hop keeps only the
+   * best-scoring unvisited neighbors, so cycles and hubs cannot blow up
+   * the result.
+   */
+  async expandNeighborhood(
+    seedNames: string[],
+    branchName: string | undefined,
+    options: GraphExpansionOptions
+  ): Promise<ContextExpansion> {
+    const depth = Math.max(0, Math.min(options.depth, MAX_DEPTH));
+    const maxNodesPerHop = options.maxNodesPerHop || DEFAULT_MAX_NODES_PER_HOP;
+    const statuses =
+      options.includeStatuses && options.includeStatuses.length > 0
+        ? options.includeStatuses
+        : ["active"];
+
+    const seeds = this.resolveSeeds(seedNames, branchName);
+    if (seeds.length === 0 || depth === 0) {
+      return { entities: [], relations: [], nodes: [] };
+    }
+
+    const names = new Map<number, string>(seeds.map((s) => [s.id, s.name]));
+    const visited = new Set<number>(names.keys());
+    const nodes: Array<ContextNode & { id: number }> = [];
+    let frontier = Array.from(visited);
+
+    for (let hop = 1; hop <= depth && frontier.length > 0; hop++) {
+      const candidates = this.collectCandidates(frontier, names, visited);
+      if (candidates.size === 0) break;
+
+      const meta = this.getEntityMeta(Array.from(candidates.keys()), statuses);
+      const ranked = meta
+        .map((row: any) => ({ row, candidate: candidates.get(row.id)! }))
+        .sort((a: any, b: any) => b.candidate.score - a.candidate.score)
+        .slice(0, maxNodesPerHop);
+
+      frontier = [];
+      for (const { row, candidate } of ranked) {
+        visited.add(row.id);
+        names.set(row.id, row.name);
+        frontier.push(row.id);
+        nodes.push({
+          id: row.id,
+          name: row.name,
+          branch: row.branch_name,
+          hop,
+          score: Number((candidate.score / hop).toFixed(4)),
+          via: candidate.via,
+        });
+      }
+    }
+
+    const expandedIds = nodes.map((node) => node.id);
+    const entityRows = expandedIds.length
+      ? await this.connection.runQuery(
+          `
+          SELECT e.*, ${OBSERVATIONS_JSON} as observations
+          FROM entities e
+          WHERE e.id IN (${expandedIds.map(() => "?").join(",")})
+        `,
+          expandedIds
+        )
+      : [];
+
+    // Keep the entity order aligned with the ranked nodes
+    const order = new Map(expandedIds.map((id, index) => [id, index]));
+    entityRows.sort((a: any, b: any) => order.get(a.id)! - order.get(b.id)!);
+
+    return {
+      entities: await this.entityOps.convertRowsToEntities(entityRows),
+      relations: this.getRelationsWithin(Array.from(visited)),
+      nodes: nodes.map(({ id, ...node }) => node),
+    };
+  }
+
+  private resolveSeeds(
+    seedNames: string[],
+    branchName?: string
+  ): Array<{ id: number; name: string }> {
+    if (seedNames.length === 0) return [];
+
+    const params: any[] = [...seedNames];
+    let query = `SELECT id, name FROM entities WHERE name IN (${seedNames
+      .map(() => "?")
+      .join(",")})`;
+
+    if (branchName && branchName !== "*") {
+      const branchId = this.connection.findBranchId(branchName);
+      if (branchId === null) return [];
+      query += " AND branch_id = ?";
+      params.push(branchId);
+    }
+
+    return this.connection.runQuery(query, params);
+  }
+
+  /**
+   * Gather unvisited neighbors of the frontier with their best edge score
+   */
+  private collectCandidates(
+    frontier: number[],
+    names: Map<number, string>,
+    visited: Set<number>
+  ): Map<number, Candidate> {
+    const candidates = new Map<number, Candidate>();
+    const frontierSet = new Set(frontier);
+    const placeholders = frontier.map(() => "?").join(",");
+
+    const offer = (
+      fromId: number,
+      toId: number,
+      relationType: string,
+      direction: "outgoing" | "incoming"
+    ) => {
+      if (visited.has(toId)) return;
+      const score =
+        RELATION_TYPE_WEIGHTS[relationType] ?? DEFAULT_RELATION_WEIGHT;
+      const existing = candidates.get(toId);
+      if (!existing || score > existing.score) {
+        candidates.set(toId, {
+          id: toId,
+          score,
+          via: { entity: names.get(fromId)!, relationType, direction },
+        });
+      }
+    };
+
+    const relationRows = this.connection.runQuery(
+      `
+      SELECT from_entity_id, to_entity_id, relation_type
+      FROM relations
+      WHERE from_entity_id IN (${placeholders})
+         OR to_entity_id IN (${placeholders})
+    `,
+      [...frontier, ...frontier]
+    );
+    for (const row of relationRows) {
+      if (frontierSet.has(row.from_entity_id)) {
+        offer(
+          row.from_entity_id,
+          row.to_entity_id,
+          row.relation_type,
+          "outgoing"
+        );
+      }
+      if (frontierSet.has(row.to_entity_id)) {
+        offer(
+          row.to_entity_id,
+          row.from_entity_id,
+          row.relation_type,
+          "incoming"
+        );
+      }
+    }
+
+    const crossRefRows = this.connection.runQuery(
+      `
+      SELECT cr.from_entity_id, t.id as target_id
+      FROM cross_references cr
+      JOIN entities t
+        ON t.branch_id = cr.target_branch_id AND t.name = cr.target_entity_name
+      WHERE cr.from_entity_id IN (${placeholders})
+         OR t.id IN (${placeholders})
+    `,
+      [...frontier, ...frontier]
+    );
+    for (const row of crossRefRows) {
+      if (frontierSet.has(row.from_entity_id)) {
+        offer(row.from_entity_id, row.target_id, "cross_reference", "outgoing");
+      }
+      if (frontierSet.has(row.target_id)) {
+        offer(row.target_id, row.from_entity_id, "cross_reference", "incoming");
+      }
+    }
+
+    return candidates;
+  }
+
+  private getEntityMeta(ids: number[], statuses: string[]): any[] {
+    return this.connection.runQuery(
+      `
+      SELECT e.id, e.name, b.name as branch_name
+      FROM entities e
+      JOIN memory_branches b ON b.id = e.branch_id
+      WHERE e.id IN (${ids.map(() => "?").join(",")})
+        AND e.status IN (${statuses.map(() => "?").join(",")})
+    `,
+      [...ids, ...statuses]
+    );
+  }
+
+  private getRelationsWithin(ids: number[]): Relation[] {
+    if (ids.length === 0) return [];
+    const placeholders = ids.map(() => "?").join(",");
+    const rows = this.connection.runQuery(
+      `
+      SELECT r.relation_type, ef.name as from_name, et.name as to_name
+      FROM relations r
+      JOIN entities ef ON r.from_entity_id = ef.id
+      JOIN entities et ON r.to_entity_id = et.id
+      WHERE r.from_entity_id IN (${placeholders})
+        AND r.to_entity_id IN (${placeholders})
+    `,
+      [...ids, ...ids]
+    );
+    return rows.map((row: any) => ({
+      from: row.from_name,
+      to: row.to_name,
+      relationType: row.relation_type,
+    }));
+  }
+}
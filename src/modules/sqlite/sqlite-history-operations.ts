@@ -0,0 +1,158 @@
+import {
+  Entity,
+  EntityStatus,
+  EntityVersion,
+  EntityVersionOperation,
+} from "../../memory-types.js";
+import { SQLiteConnection } from "./sqlite-connection.js";
+
+/**
+ * SQLite History Operations
+ * Append-only entity snapshots in entity_versions, and reads against them
+ */
+export class SQLiteHistoryOperations {
+  constructor(private connection: SQLiteConnection) {}
+
+  /**
+   * Snapshot the current state of an entity. Call after a change, or right
+   * before deleting it.
+   */
+  recordVersion(
+    entityId: number,
+    operation: EntityVersionOperation,
+    note?: string
+  ): void {
+    this.connection.execQuery(
+      `
+      INSERT INTO entity_versions
+        (branch_id, entity_name, version, operation, entity_type, status,
+         status_reason, observations, note, recorded_at)
+      SELECT e.branch_id, e.name,
+             COALESCE((SELECT MAX(v.version) FROM entity_versions v
+                       WHERE v.branch_id = e.branch_id
+                         AND v.entity_name = e.name), 0) + 1,
+             ?, e.entity_type, e.status, e.status_reason,
+             (SELECT json_group_array(content) FROM (
+                SELECT content FROM observations
+                WHERE entity_id = e.id ORDER BY sequence_order, id)),
+             ?, ?
+      FROM entities e
+      WHERE e.id = ?
+    `,
+      [operation, note || null, new Date().toISOString(), entityId]
+    );
+  }
+
+  /**
+   * Versions of an entity, newest first. Unknown branches have no history.
+   */
+  getHistory(
+    entityName: string,
+    branchName?: string,
+    limit?: number
+  ): EntityVersion[] {
+    const branchId = this.connection.findBranchId(branchName);
+    if (branchId === null) return [];
+
+    const rows = this.connection.runQuery(
+      `
+      SELECT * FROM entity_versions
+      WHERE branch_id = ? AND entity_name = ?
+      ORDER BY version DESC
+      LIMIT ?
+    `,
+      [branchId, entityName, limit && limit > 0 ? limit : -1]
+    );
+    return rows.map((row: any) => this.toVersion(row));
+  }
+
+  getVersion(
+    entityName: string,
+    branchId: number,
+    version: number
+  ): EntityVersion | null {
+    const row = this.connection.getQuery(
+      `SELECT * FROM entity_versions
+       WHERE branch_id = ? AND entity_name = ? AND version = ?`,
+      [branchId, entityName, version]
+    );
+    return row ? this.toVersion(row) : null;
+  }
+
+  /**
+   * Rebuild the entities of a branch as they were at a point in time:
+   * the latest version recorded at or before asOf, unless that was a delete
+   */
+  getEntitiesAsOf(
+    branchId: number,
+    asOf: string,
+    includeStatuses?: EntityStatus[]
+  ): Entity[] {
+    let query = `
+      SELECT v.*
+      FROM entity_versions v
+      JOIN (
+        SELECT entity_name, MAX(version) as version
+        FROM entity_versions
+        WHERE branch_id = ? AND recorded_at <= ?
+        GROUP BY entity_name
+      ) latest
+        ON latest.entity_name = v.entity_name AND latest.version = v.version
+      WHERE v.branch_id = ? AND v.operation != 'delete'
+    `;
+    const params: any[] = [branchId, asOf, branchId];
+
+    if (includeStatuses && includeStatuses.length > 0) {
+      query += ` AND v.status IN (${includeStatuses.map(() => "?").join(",")})`;
+      params.push(...includeStatuses);
+    }
+    query += " ORDER BY v.entity_name";
+
+    return this.connection.runQuery(query, params).map((row: any) => {
+      const version = this.toVersion(row);
+      return {
+        name: row.entity_name,
+        entityType: version.entityType,
+        observations: version.observations,
+        status: version.status,
+        statusReason: version.statusReason,
+        lastUpdated: version.recordedAt,
+      };
+    });
+  }
+
+  /**
+   * Names of entities whose latest version is a deletion made after `since`
+   */
+  getDeletedSince(branchId: number, since: string): string[] {
+    const rows = this.connection.runQuery(
+      `
+      SELECT v.entity_name
+      FROM entity_versions v
+      JOIN (
+        SELECT entity_name, MAX(version) as version
+        FROM entity_versions
+        WHERE branch_id = ?
+        GROUP BY entity_name
+      ) latest
+        ON latest.entity_name = v.entity_name AND latest.version = v.version
+      WHERE v.branch_id = ? AND v.operation = 'delete' AND v.recorded_at > ?
+    `,
+      [branchId, branchId, since]
+    );
+    return rows.map((row: any) => row.entity_name);
+  }
+
+  private toVersion(row: any): EntityVersion {
+    return {
+      version: row.version,
+      operation: row.operation as EntityVersionOperation,
+      entityType: row.entity_type,
+      observations: JSON.parse(row.observations || "[]"),
+      status: (row.status || "active") as EntityStatus,
+      statusReason: row.status_reason || undefined,
+      note: row.note || undefined,
+      recordedAt: row.recorded_at,
+    };
+  }
+}
@@ -0,0 +1,143 @@
+import { SQLiteConnection } from "./sqlite-connection.js";
+
+// Name words count double: entities named alike are the likeliest related
+const NAME_WORD_WEIGHT = 2.0;
+
+// Keywords held by more entities than this say nothing about relatedness
+// (and would make every lookup scan most of the index)
+const MAX_KEYWORD_SPREAD = 1000;
+
+/**
+ * SQLite Keyword Operations
+ * Keeps the keyword index of each entity in line with its current content.
+ * The index is inverted (keyword -> entities), which makes it the place to
+ * look up an entity's likeliest neighbours without comparing it to every
+ * other entity.
+ */
+export class SQLiteKeywordOperations {
+  constructor(
+    private connection: SQLiteConnection,
+    // Extracts search keywords from an entity's content
+    private extractKeywords: (text: string) => string[] = () => []
+  ) {}
+
+  /**
+   * Re-extract the keywords of an entity from its current name, type and
+   * observations, plus the words of its name on their own. Called after
+   * every change to any of them.
+   */
+  refreshKeywords(entityId: number): string[] {
+    const entity = this.connection.getQuery(
+      "SELECT name, entity_type FROM entities WHERE id = ?",
+      [entityId]
+    );
+    if (!entity) return [];
+
+    const observations = this.connection
+      .runQuery(
+        "SELECT content FROM observations WHERE entity_id = ? ORDER BY sequence_order, id",
+        [entityId]
+      )
+      .map((row: any) => row.content);
+    const keywords = Array.from(
+      new Set(
+        this.extractKeywords(
+          JSON.stringify({
+            name: entity.name,
+            entityType: entity.entity_type,
+            observations,
+          })
+        )
+          .map((keyword) => (keyword || "").trim().toLowerCase())
+          .filter((keyword) => keyword.length > 0)
+      )
+    );
+
+    const nameWords = splitName(entity.name);
+
+    this.connection.transaction(() => {
+      this.connection.execQuery(
+        "DELETE FROM keywords WHERE entity_id = ? AND context IN ('entity_content', 'entity_name')",
+        [entityId]
+      );
+      for (const keyword of keywords) {
+        this.connection.execQuery(
+          `INSERT INTO keywords (keyword, entity_id, weight, context)
+           VALUES (?, ?, ?, ?)`,
+          [keyword, entityId, 1.0, "entity_content"]
+        );
+      }
+      for (const word of nameWords) {
+        this.connection.execQuery(
+          `INSERT INTO keywords (keyword, entity_id, weight, context)
+           VALUES (?, ?, ?, ?)`,
+          [word, entityId, NAME_WORD_WEIGHT, "entity_name"]
+        );
+      }
+    });
+    return keywords;
+  }
+
+  /**
+   * The entities of the same branch sharing the most distinctive keywords
+   * with an entity, best first. Each shared keyword scores the product of
+   * both weights divided by how many entities hold it, so rare words count
+   * most.
+   */
+  findKeywordNeighbours(
+    entityName: string,
+    branchName: string | undefined,
+    statuses: string[] | undefined,
+    limit: number
+  ): Array<{ name: string; score: number }> {
+    const branchId = this.connection.findBranchId(branchName);
+    if (branchId === null) return [];
+    const entity = this.connection.getQuery(
+      "SELECT id FROM entities WHERE name = ? AND branch_id = ?",
+      [entityName, branchId]
+    );
+    if (!entity) return [];
+
+    const params: any[] = [entity.id, MAX_KEYWORD_SPREAD, branchId, entity.id];
+    let statusFilter = "";
+    if (statuses && statuses.length > 0) {
+      statusFilter = `AND e.status IN (${statuses.map(() => "?").join(",")})`;
+      params.push(...statuses);
+    }
+    // CROSS JOIN keeps SQLite walking from the keywords to their postings
+    // instead of from every entity in the branch
+    return this.connection.runQuery(
+      `WITH mine AS (
+         SELECT keyword, MAX(weight) AS weight,
+                (SELECT COUNT(*) FROM keywords k
+                 WHERE k.keyword = own.keyword) AS spread
+         FROM keywords own
+         WHERE entity_id = ?
+         GROUP BY keyword)
+       SELECT e.name, SUM(m.weight * k.weight / m.spread) AS score
+       FROM mine m
+       CROSS JOIN keywords k ON k.keyword = m.keyword
+       CROSS JOIN entities e ON e.id = k.entity_id
+       WHERE m.spread BETWEEN 2 AND ?
+         AND e.branch_id = ? AND e.id != ? ${statusFilter}
+       GROUP BY e.id
+       ORDER BY score DESC, e.id
+       LIMIT ?`,
+      [...params, limit]
+    );
+  }
+}
+
+// Lowercased words of a name, split at camelCase and punctuation
+function splitName(name: string): string[] {
+  return Array.from(
+    new Set(
+      name
+        .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+        .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter((word) => word.length >= 3)
+    )
+  );
+}
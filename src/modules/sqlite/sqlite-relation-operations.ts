@@ -1,5 +1,10 @@
-import { Relation } from "../../memory-types.js";
+import {
+  EntityStatus,
+  Relation,
+  RelationDeletionResult,
+} from "../../memory-types.js";
 import { logger } from "../logger.js";
+import { SQLiteAliasOperations } from "./sqlite-alias-operations.js";
 import { SQLiteConnection } from "./sqlite-connection.js";
 
 /**
@@ -7,7 +12,10 @@ import { SQLiteConnection } from "./sqlite-connection.js";
  * Handles CRUD operations for entity relationships
  */
 export class SQLiteRelationOperations {
-  constructor(private connection: SQLiteConnection) {}
+  constructor(
+    private connection: SQLiteConnection,
+    private aliasOps: SQLiteAliasOperations
+  ) {}
 
   async createRelations(
     relations: Relation[],
@@ -27,16 +35,9 @@ export class SQLiteRelationOperations {
       }
 
       try {
-        // Get entity IDs
-        const fromEntity = await this.connection.getQuery(
-          "SELECT id FROM entities WHERE name = ? AND branch_id = ?",
-          [relation.from, branchId]
-        );
-
-        const toEntity = await this.connection.getQuery(
-          "SELECT id FROM entities WHERE name = ? AND branch_id = ?",
-          [relation.to, branchId]
-        );
+        // Get entity IDs, accepting aliases for either endpoint
+        const fromEntity = this.aliasOps.resolveEntity(relation.from, branchId);
+        const toEntity = this.aliasOps.resolveEntity(relation.to, branchId);
 
         if (!fromEntity) {
           logger.warn(
@@ -57,7 +58,7 @@ export class SQLiteRelationOperations {
         }
 
         // Insert relation (ignore duplicates)
-        await this.connection.runQuery(
+        await this.connection.execQuery(
           `
           INSERT OR IGNORE INTO relations (from_entity_id, to_entity_id, relation_type, branch_id)
           VALUES (?, ?, ?, ?)
@@ -65,7 +66,12 @@ export class SQLiteRelationOperations {
           [fromEntity.id, toEntity.id, relation.relationType, branchId]
         );
 
-        createdRelations.push(relation);
+        // Reported under the canonical names, whichever alias was used
+        createdRelations.push({
+          from: fromEntity.name,
+          to: toEntity.name,
+          relationType: relation.relationType,
+        });
       } catch (error) {
         logger.error(
           `Failed to create relation: ${relation.from} -> ${relation.to}:`,
@@ -82,12 +88,17 @@ export class SQLiteRelationOperations {
     return createdRelations;
   }
 
+  /**
+   * Delete relations, reporting which were removed (under their entities'
+   * canonical names) and which did not exist
+   */
   async deleteRelations(
     relations: Relation[],
     branchName?: string
-  ): Promise<void> {
+  ): Promise<RelationDeletionResult> {
+    const result: RelationDeletionResult = { deleted: [], notFound: [] };
     if (!relations || relations.length === 0) {
-      return;
+      return result;
     }
 
     const branchId = await this.connection.getBranchId(branchName);
@@ -95,40 +106,46 @@ export class SQLiteRelationOperations {
     for (const relation of relations) {
       if (!relation.from || !relation.to || !relation.relationType) {
         logger.warn("Skipping invalid relation for deletion:", relation);
+        result.notFound.push(relation);
         continue;
       }
 
       try {
         // Get entity IDs
-        const fromEntity = await this.connection.getQuery(
-          "SELECT id FROM entities WHERE name = ? AND branch_id = ?",
-          [relation.from, branchId]
-        );
-
-        const toEntity = await this.connection.getQuery(
-          "SELECT id FROM entities WHERE name = ? AND branch_id = ?",
-          [relation.to, branchId]
-        );
+        const fromEntity = this.aliasOps.resolveEntity(relation.from, branchId);
+        const toEntity = this.aliasOps.resolveEntity(relation.to, branchId);
 
         if (!fromEntity || !toEntity) {
+          result.notFound.push(relation);
           continue;
         }
 
         // Delete relation
-        await this.connection.runQuery(
+        const { changes } = this.connection.execQuery(
           `
           DELETE FROM relations 
           WHERE from_entity_id = ? AND to_entity_id = ? AND relation_type = ? AND branch_id = ?
           `,
           [fromEntity.id, toEntity.id, relation.relationType, branchId]
         );
+        if (changes > 0) {
+          result.deleted.push({
+            from: fromEntity.name,
+            to: toEntity.name,
+            relationType: relation.relationType,
+          });
+        } else {
+          result.notFound.push(relation);
+        }
       } catch (error) {
         logger.error(
           `Failed to delete relation: ${relation.from} -> ${relation.to}:`,
           error
         );
+        result.notFound.push(relation);
       }
     }
+    return result;
   }
 
   async getRelationsForEntities(
@@ -166,17 +183,29 @@ export class SQLiteRelationOperations {
     }));
   }
 
-  async getAllRelationsForBranch(branchId: number): Promise<Relation[]> {
-    const relationRows = await this.connection.runQuery(
-      `
+  async getAllRelationsForBranch(
+    branchId: number,
+    includeStatuses?: EntityStatus[]
+  ): Promise<Relation[]> {
+    let relationQuery = `
       SELECT r.relation_type, ef.name as from_name, et.name as to_name
       FROM relations r
       JOIN entities ef ON r.from_entity_id = ef.id
       JOIN entities et ON r.to_entity_id = et.id
       WHERE r.branch_id = ?
-    `,
-      [branchId]
-    );
+    `;
+    const params: any[] = [branchId];
+
+    // Only keep relations whose endpoints both survive the status filter
+    if (includeStatuses && includeStatuses.length > 0) {
+      const placeholders = includeStatuses.map(() => "?").join(",");
+      relationQuery += `
+        AND ef.status IN (${placeholders})
+        AND et.status IN (${placeholders})`;
+      params.push(...includeStatuses, ...includeStatuses);
+    }
+
+    const relationRows = await this.connection.runQuery(relationQuery, params);
 
     return relationRows.map((row: any) => ({
       from: row.from_name,
@@ -0,0 +1,311 @@
+import { MoveResult, Relation } from "../../memory-types.js";
+import { logger } from "../logger.js";
+import { SQLiteConnection } from "./sqlite-connection.js";
+import { SQLiteHistoryOperations } from "./sqlite-history-operations.js";
+import { SQLiteKeywordOperations } from "./sqlite-keyword-operations.js";
+
+/**
+ * SQLite Rename Operations
+ * Renames entities and moves them between branches without losing links
+ */
+export class SQLiteRenameOperations {
+  constructor(
+    private connection: SQLiteConnection,
+    private history: SQLiteHistoryOperations,
+    private keywordOps: SQLiteKeywordOperations
+  ) {}
+
+  /**
+   * Rename an entity in place. Relations follow the entity ID; incoming
+   * cross-references are rewritten to the new name.
+   */
+  renameEntity(oldName: string, newName: string, branchName?: string): void {
+    const branchId = this.requireBranch(branchName);
+    const entity = this.connection.getQuery(
+      "SELECT id FROM entities WHERE name = ? AND branch_id = ?",
+      [oldName, branchId]
+    );
+    if (!entity) {
+      throw new Error(
+        `Entity "${oldName}" not found in branch ${branchName || "main"}`
+      );
+    }
+    if (this.findEntityId(newName, branchId) !== null) {
+      throw new Error(
+        `Entity "${newName}" already exists in branch ${branchName || "main"}`
+      );
+    }
+
+    this.connection.transaction(() => {
+      this.history.recordVersion(
+        entity.id,
+        "delete",
+        `Renamed to "${newName}"`
+      );
+
+      // The stored content embeds the name
+      this.connection.execQuery(
+        `UPDATE entities
+         SET name = ?, updated_at = ?,
+             original_content = CASE WHEN json_valid(original_content)
+               THEN json_set(original_content, '$.name', ?)
+               ELSE original_content END,
+             optimized_content = CASE WHEN json_valid(optimized_content)
+               THEN json_set(optimized_content, '$.name', ?)
+               ELSE optimized_content END
+         WHERE id = ?`,
+        [newName, new Date().toISOString(), newName, newName, entity.id]
+      );
+      // The new name no longer needs to be an alias
+      this.connection.execQuery(
+        "DELETE FROM aliases WHERE entity_id = ? AND alias = ?",
+        [entity.id, newName]
+      );
+      this.connection.execQuery(
+        `UPDATE cross_references SET target_entity_name = ?
+         WHERE target_branch_id = ? AND target_entity_name = ?`,
+        [newName, branchId, oldName]
+      );
+      // Rejections are kept by name
+      for (const column of ["from_name", "to_name"]) {
+        this.connection.execQuery(
+          `UPDATE OR IGNORE relation_rejections SET ${column} = ?
+           WHERE branch_id = ? AND ${column} = ?`,
+          [newName, branchId, oldName]
+        );
+      }
+      // Keywords are extracted from the name as well as the observations
+      this.keywordOps.refreshKeywords(entity.id);
+
+      this.history.recordVersion(
+        entity.id,
+        "rename",
+        `Renamed from "${oldName}"`
+      );
+    });
+
+    logger.info(`Renamed entity "${oldName}" to "${newName}"`);
+  }
+
+  /**
+   * Move entities to another branch. A relation moves along when its other
+   * endpoint moves too or exists (by name) in the target branch; otherwise
+   * it becomes a cross-reference between the two branches.
+   */
+  moveEntities(
+    entityNames: string[],
+    sourceBranch: string,
+    targetBranch: string
+  ): MoveResult {
+    const sourceId = this.requireBranch(sourceBranch);
+    const targetId = this.requireBranch(targetBranch);
+    if (sourceId === targetId) {
+      throw new Error("Source and target branch must differ");
+    }
+
+    const result: MoveResult = {
+      sourceBranch,
+      targetBranch,
+      moved: [],
+      skipped: [],
+      movedRelations: [],
+      unmovedRelations: [],
+    };
+
+    const moving = new Map<number, string>();
+    for (const name of new Set(entityNames)) {
+      const id = this.findEntityId(name, sourceId);
+      if (id === null) {
+        result.skipped.push({ name, reason: "not found in source branch" });
+      } else if (this.findEntityId(name, targetId) !== null) {
+        result.skipped.push({
+          name,
+          reason: "an entity with this name already exists in target branch",
+        });
+      } else {
+        moving.set(id, name);
+      }
+    }
+    if (moving.size === 0) return result;
+
+    const ids = Array.from(moving.keys());
+    const placeholders = ids.map(() => "?").join(",");
+
+    this.connection.transaction(() => {
+      for (const [id, name] of moving) {
+        this.history.recordVersion(id, "delete", `Moved to "${targetBranch}"`);
+        this.connection.execQuery(
+          "UPDATE entities SET branch_id = ?, updated_at = ? WHERE id = ?",
+          [targetId, new Date().toISOString(), id]
+        );
+        this.history.recordVersion(id, "move", `Moved from "${sourceBranch}"`);
+        result.moved.push(name);
+      }
+
+      const relations = this.connection.runQuery(
+        `
+        SELECT r.id, r.from_entity_id, r.to_entity_id, r.relation_type,
+               ef.name as from_name, et.name as to_name
+        FROM relations r
+        JOIN entities ef ON r.from_entity_id = ef.id
+        JOIN entities et ON r.to_entity_id = et.id
+        WHERE r.from_entity_id IN (${placeholders})
+           OR r.to_entity_id IN (${placeholders})
+      `,
+        [...ids, ...ids]
+      );
+      for (const row of relations) {
+        this.moveRelation(row, moving, targetId, targetBranch, result);
+      }
+
+      // Links into the source branch now point at the target branch
+      this.connection.execQuery(
+        `UPDATE cross_references SET target_branch_id = ?
+         WHERE target_branch_id = ?
+           AND target_entity_name IN (${placeholders})`,
+        [targetId, sourceId, ...Array.from(moving.values())]
+      );
+      this.restoreRelations(ids, targetId, result);
+    });
+
+    logger.info(
+      `Moved ${result.moved.length} entities from "${sourceBranch}" to "${targetBranch}" (${result.unmovedRelations.length} relations kept as cross-references)`
+    );
+    return result;
+  }
+
+  private moveRelation(
+    row: any,
+    moving: Map<number, string>,
+    targetId: number,
+    targetBranch: string,
+    result: MoveResult
+  ): void {
+    const relation: Relation = {
+      from: row.from_name,
+      to: row.to_name,
+      relationType: row.relation_type,
+    };
+    const fromId = moving.has(row.from_entity_id)
+      ? row.from_entity_id
+      : this.findEntityId(row.from_name, targetId);
+    const toId = moving.has(row.to_entity_id)
+      ? row.to_entity_id
+      : this.findEntityId(row.to_name, targetId);
+
+    if (fromId !== null && toId !== null) {
+      const updated = this.connection.execQuery(
+        `UPDATE OR IGNORE relations
+         SET from_entity_id = ?, to_entity_id = ?, branch_id = ?
+         WHERE id = ?`,
+        [fromId, toId, targetId, row.id]
+      );
+      // The target already had this relation
+      if (updated.changes === 0) {
+        this.connection.execQuery("DELETE FROM relations WHERE id = ?", [
+          row.id,
+        ]);
+      }
+      result.movedRelations.push(relation);
+      return;
+    }
+
+    // Keep the link as a cross-reference from the relation's source to
+    // wherever its target now lives
+    const stayedBehind = moving.has(row.from_entity_id) ? "to" : "from";
+    const crossRefTargetBranch =
+      stayedBehind === "to" ? this.branchOfEntity(row.to_entity_id) : targetId;
+    const existing = this.connection.getQuery(
+      `SELECT id FROM cross_references
+       WHERE from_entity_id = ? AND target_branch_id = ?
+         AND target_entity_name = ?`,
+      [row.from_entity_id, crossRefTargetBranch, row.to_name]
+    );
+    if (!existing) {
+      this.connection.execQuery(
+        `INSERT INTO cross_references
+           (from_entity_id, target_branch_id, target_entity_name, relation_type)
+         VALUES (?, ?, ?, ?)`,
+        [
+          row.from_entity_id,
+          crossRefTargetBranch,
+          row.to_name,
+          row.relation_type,
+        ]
+      );
+    }
+    this.connection.execQuery("DELETE FROM relations WHERE id = ?", [row.id]);
+
+    result.unmovedRelations.push({
+      ...relation,
+      reason: `"${relation[stayedBehind]}" is not in branch "${targetBranch}"; kept as a cross-reference`,
+    });
+  }
+
+  /**
+   * Turn cross-references that an earlier move made out of a relation back
+   * into that relation, now that both ends are in the target branch. Other
+   * cross-references between entities of the same branch are left as they are
+   */
+  private restoreRelations(
+    movedIds: number[],
+    targetId: number,
+    result: MoveResult
+  ): void {
+    const placeholders = movedIds.map(() => "?").join(",");
+    const rows = this.connection.runQuery(
+      `
+      SELECT cr.id, cr.from_entity_id, cr.relation_type,
+             ef.name as from_name, et.id as to_entity_id, et.name as to_name
+      FROM cross_references cr
+      JOIN entities ef ON cr.from_entity_id = ef.id
+      JOIN entities et ON et.branch_id = cr.target_branch_id
+                      AND et.name = cr.target_entity_name
+      WHERE cr.target_branch_id = ? AND ef.branch_id = ?
+        AND cr.relation_type IS NOT NULL
+        AND (cr.from_entity_id IN (${placeholders})
+             OR et.id IN (${placeholders}))
+    `,
+      [targetId, targetId, ...movedIds, ...movedIds]
+    );
+    for (const row of rows) {
+      this.connection.execQuery(
+        `INSERT OR IGNORE INTO relations
+           (from_entity_id, to_entity_id, relation_type, branch_id)
+         VALUES (?, ?, ?, ?)`,
+        [row.from_entity_id, row.to_entity_id, row.relation_type, targetId]
+      );
+      this.connection.execQuery("DELETE FROM cross_references WHERE id = ?", [
+        row.id,
+      ]);
+      result.movedRelations.push({
+        from: row.from_name,
+        to: row.to_name,
+        relationType: row.relation_type,
+      });
+    }
+  }
+
+  private findEntityId(name: string, branchId: number): number | null {
+    const row = this.connection.getQuery(
+      "SELECT id FROM entities WHERE name = ? AND branch_id = ?",
+      [name, branchId]
+    );
+    return row ? row.id : null;
+  }
+
+  private branchOfEntity(entityId: number): number {
+    return this.connection.getQuery(
+      "SELECT branch_id FROM entities WHERE id = ?",
+      [entityId]
+    ).branch_id;
+  }
+
+  private requireBranch(branchName?: string): number {
+    const branchId = this.connection.findBranchId(branchName);
+    if (branchId === null) {
+      throw new Error(`Branch "${branchName}" not found`);
+    }
+    return branchId;
+  }
+}
@@ -1,7 +1,68 @@
-import { Entity, EntityStatus, KnowledgeGraph } from "../../memory-types.js";
+import {
+  Entity,
+  EntityStatus,
+  FacetCount,
+  MatchField,
+  PageOptions,
+  QueryExpansion,
+  SearchFacets,
+  SearchMatch,
+  SearchMode,
+  SearchResult,
+  SearchScore,
+  SortBy,
+} from "../../memory-types.js";
+import {
+  DEFAULT_EMBEDDINGS,
+  DEFAULT_RANKING,
+  RankingConfig,
+} from "../memory-config.js";
 import { SQLiteConnection } from "./sqlite-connection.js";
-import { SQLiteEntityOperations } from "./sqlite-entity-operations.js";
+import { SQLiteEmbeddingOperations } from "./sqlite-embedding-operations.js";
+import {
+  OBSERVATIONS_JSON,
+  SQLiteEntityOperations,
+} from "./sqlite-entity-operations.js";
 import { SQLiteRelationOperations } from "./sqlite-relation-operations.js";
+import {
+  CompiledSearchQuery,
+  compileSearchQuery,
+  ftsExpression,
+  parseSearchQuery,
+  QueryNode,
+  QueryTerm,
+  rewriteQueryWords,
+  termCondition,
+} from "./sqlite-search-query.js";
+import { SQLiteSpellingOperations } from "./sqlite-spelling-operations.js";
+
+export interface SearchOptions extends PageOptions {
+  explain?: boolean; // Return the score breakdown of every hit
+  mode?: SearchMode; // Defaults to keyword
+  matches?: boolean; // Report the fields and observations each hit matched
+  facets?: boolean; // Count the whole match set by type, status, etc.
+  fuzzy?: boolean; // Retry misspelled words when nothing matches (default)
+}
+
+// Wrapped around query terms in match details
+const MARK_START = "**";
+const MARK_END = "**";
+
+// Reciprocal rank fusion constant: a hit ranked r in one list adds
+// 1 / (RRF_K + r); the usual 60 keeps any single list from dominating
+const RRF_K = 60;
+
+// Corrected queries tried when a search finds nothing
+const MAX_SUGGESTIONS = 3;
+
+// Updated-time facet buckets: label and upper age bound in days; anything
+// older falls in "older"
+const UPDATED_BUCKETS: Array<[string, number]> = [
+  ["last_day", 1],
+  ["last_week", 7],
+  ["last_month", 30],
+  ["last_year", 365],
+];
 
 /**
  * SQLite Search Operations
@@ -11,19 +72,42 @@ export class SQLiteSearchOperations {
   constructor(
     private connection: SQLiteConnection,
     private entityOps: SQLiteEntityOperations,
-    private relationOps: SQLiteRelationOperations
+    private relationOps: SQLiteRelationOperations,
+    private ranking: RankingConfig = DEFAULT_RANKING,
+    private embeddingOps?: SQLiteEmbeddingOperations,
+    private spellingOps?: SQLiteSpellingOperations,
+    private minSimilarity: number = DEFAULT_EMBEDDINGS.minSimilarity,
+    // Synonyms a query term is expanded with
+    private expandTerm: (term: string) => string[] = () => []
   ) {}
 
   async searchEntities(
     query: string,
     branchName?: string,
-    includeStatuses?: EntityStatus[]
-  ): Promise<KnowledgeGraph> {
-    const entities = await this.performSearch(
-      query,
-      branchName,
-      includeStatuses
-    );
+    includeStatuses?: EntityStatus[],
+    options: SearchOptions = {}
+  ): Promise<SearchResult> {
+    const { entities, scores, matches, facets, total, expansions } =
+      await this.performSearch(query, branchName, includeStatuses, options);
+
+    // Nothing matched: search again with misspelled words corrected and
+    // return the first corrected query that finds something
+    if (total === 0 && options.fuzzy !== false) {
+      const didYouMean: string[] = [];
+      let corrected: SearchResult | undefined;
+      for (const suggestion of this.suggestQueries(query)) {
+        const result = await this.searchEntities(
+          suggestion,
+          branchName,
+          includeStatuses,
+          { ...options, fuzzy: false }
+        );
+        if (result.total === 0) continue;
+        didYouMean.push(suggestion);
+        corrected ??= result;
+      }
+      if (corrected) return { ...corrected, didYouMean };
+    }
 
     // Get relations for the found entities
     let relations: any[] = [];
@@ -38,285 +122,602 @@ export class SQLiteSearchOperations {
       );
     }
 
-    return { entities, relations };
+    return {
+      entities,
+      relations,
+      total,
+      ...(expansions.length > 0 && { expansions }),
+      ...(options.explain && { scores }),
+      ...(options.matches && { matches }),
+      ...(options.facets && { facets }),
+    };
+  }
+
+  /**
+   * Names of the other entities of a branch whose observations mention a
+   * name, best matches first
+   */
+  findEntitiesMentioning(
+    name: string,
+    branchName: string | undefined,
+    statuses: EntityStatus[] | undefined,
+    limit: number
+  ): string[] {
+    const branchId = this.connection.findBranchId(branchName);
+    if (branchId === null) return [];
+
+    const params: any[] = [
+      `observations : ${ftsExpression({ text: name, phrase: true })}`,
+      branchId,
+      name,
+    ];
+    let statusFilter = "";
+    if (statuses && statuses.length > 0) {
+      statusFilter = `AND e.status IN (${statuses.map(() => "?").join(",")})`;
+      params.push(...statuses);
+    }
+    return this.connection
+      .runQuery(
+        `SELECT e.name FROM entities_fts
+         JOIN entities e ON e.id = entities_fts.rowid
+         WHERE entities_fts MATCH ? AND e.branch_id = ? AND e.name != ?
+           ${statusFilter}
+         ORDER BY entities_fts.rank
+         LIMIT ?`,
+        [...params, limit]
+      )
+      .map((row: any) => row.name);
   }
 
   private async performSearch(
     query: string,
-    branchName?: string,
-    includeStatuses?: EntityStatus[]
-  ): Promise<Entity[]> {
+    branchName: string | undefined,
+    includeStatuses: EntityStatus[] | undefined,
+    page: SearchOptions
+  ): Promise<{
+    entities: Entity[];
+    scores: SearchScore[];
+    matches?: SearchMatch[];
+    facets?: SearchFacets;
+    total: number;
+    expansions: QueryExpansion[];
+  }> {
     // Handle special case: "*" means search all branches
     const branchId =
       branchName && branchName !== "*"
         ? await this.connection.getBranchId(branchName)
         : null;
 
-    // Enhanced search with multiple strategies
-    const searchTerms = this.prepareSearchTerms(query);
-    const results = await this.executeEnhancedSearch(
-      searchTerms,
-      branchId,
-      includeStatuses
-    );
-
-    return this.entityOps.convertRowsToEntities(results);
-  }
+    const root = parseSearchQuery(query);
+    if (!root) {
+      return {
+        entities: [],
+        scores: [],
+        facets: page.facets ? this.countFacets([]) : undefined,
+        total: 0,
+        expansions: [],
+      };
+    }
 
-  private prepareSearchTerms(query: string): string[] {
-    // Split query into individual words and clean them
-    const terms = query
-      .toLowerCase()
-      .split(/[\s\-_,./]+/)
-      .filter((term) => term.length > 1)
-      .map((term) => term.trim());
-
-    // Remove duplicates and common stop words
-    const stopWords = new Set([
-      "the",
-      "and",
-      "or",
-      "but",
-      "in",
-      "on",
-      "at",
-      "to",
-      "for",
-      "of",
-      "with",
-      "by",
-    ]);
-    return Array.from(new Set(terms)).filter((term) => !stopWords.has(term));
+    const compiled = compileSearchQuery(root, { expand: this.expandTerm });
+    const mode = page.mode || "keyword";
+    const hits =
+      mode === "keyword" || compiled.terms.length === 0
+        ? this.rankedSearch(compiled, branchId, includeStatuses)
+        : await this.semanticSearch(
+            root,
+            compiled,
+            mode,
+            branchId,
+            includeStatuses
+          );
+    sortHits(hits, page.sortBy || "relevance");
+
+    // Only the requested page is loaded with observations and turned into
+    // entities
+    const offset = page.offset || 0;
+    const pageHits = hits.slice(
+      offset,
+      page.limit !== undefined ? offset + page.limit : undefined
+    );
+    return {
+      entities: await this.entityOps.convertRowsToEntities(
+        this.loadEntityRows(pageHits.map((hit) => hit.row.id))
+      ),
+      scores: pageHits.map((hit) => hit.score),
+      matches: page.matches
+        ? this.describeMatches(compiled.terms, pageHits)
+        : undefined,
+      facets: page.facets
+        ? this.countFacets(hits.map((hit) => hit.row.id))
+        : undefined,
+      total: hits.length,
+      expansions: compiled.expansions,
+    };
   }
 
-  private async executeEnhancedSearch(
-    searchTerms: string[],
-    branchId: number | null,
-    includeStatuses?: EntityStatus[]
-  ): Promise<any[]> {
-    if (searchTerms.length === 0) return [];
-
-    // Combine multiple search strategies
-    const results = new Map<number, any>();
-
-    // Strategy 1: Keyword-based search (highest priority)
-    const keywordResults = await this.searchByKeywords(
-      searchTerms,
-      branchId,
-      includeStatuses
+  // Full entity rows with their observations, in the order of the ids
+  private loadEntityRows(ids: number[]): any[] {
+    if (ids.length === 0) return [];
+    const rows = this.connection.runQuery(
+      `
+      SELECT e.*, ${OBSERVATIONS_JSON} as observations
+      FROM entities e
+      WHERE e.id IN (${ids.map(() => "?").join(",")})
+    `,
+      ids
     );
-    keywordResults.forEach((result) => {
-      results.set(result.id, {
-        ...result,
-        relevance_score: (result.relevance_score || 0) + 15,
-      });
-    });
+    const order = new Map(ids.map((id, index) => [id, index]));
+    return rows.sort((a: any, b: any) => order.get(a.id)! - order.get(b.id)!);
+  }
 
-    // Strategy 2: FTS search (high priority)
-    const ftsResults = await this.searchByFTS(
-      searchTerms,
-      branchId,
-      includeStatuses
-    );
-    ftsResults.forEach((result) => {
-      const existing = results.get(result.id);
-      if (existing) {
-        existing.relevance_score += 10;
-      } else {
-        results.set(result.id, { ...result, relevance_score: 10 });
+  /**
+   * Queries with the misspelled words replaced by their closest indexed
+   * words: the first uses every word's best suggestion, the next ones the
+   * runners-up. Words that match as typed are kept.
+   */
+  private suggestQueries(query: string): string[] {
+    if (!this.spellingOps) return [];
+    const spelling = this.spellingOps;
+    spelling.refreshTerms();
+
+    const suggestions = new Map<string, string[]>();
+    const candidatesFor = (word: string): string[] => {
+      if (!suggestions.has(word)) {
+        const misspelled =
+          /^[\p{L}\p{N}_]+$/u.test(word) && !spelling.isKnown(word);
+        suggestions.set(
+          word,
+          misspelled ? spelling.suggest(word, MAX_SUGGESTIONS) : []
+        );
       }
-    });
+      return suggestions.get(word)!;
+    };
+
+    const queries = new Set<string>();
+    for (let i = 0; i < MAX_SUGGESTIONS; i++) {
+      const rewritten = rewriteQueryWords(query, (word) => {
+        const candidates = candidatesFor(word);
+        return candidates[Math.min(i, candidates.length - 1)];
+      });
+      if (rewritten) queries.add(rewritten);
+    }
+    return [...queries];
+  }
 
-    // Strategy 3: Traditional LIKE search (fallback)
-    const likeResults = await this.searchByLike(
-      searchTerms,
-      branchId,
-      includeStatuses
+  /**
+   * Count the matched entities per type, status, branch, relation type and
+   * updated-time bucket. The ids of every hit are handed to SQLite once and
+   * each facet is a GROUP BY over them.
+   */
+  private countFacets(ids: number[]): SearchFacets {
+    const hits = "SELECT value AS id FROM json_each(?)";
+    const params = [JSON.stringify(ids)];
+    const count = (select: string): FacetCount[] =>
+      this.connection
+        .runQuery(
+          `WITH hits AS (${hits})
+           ${select}
+           ORDER BY count DESC, value`,
+          params
+        )
+        .map((row: any) => ({ value: String(row.value), count: row.count }));
+
+    const bucket = `CASE ${UPDATED_BUCKETS.map(
+      ([label, maxAge]) => `WHEN age_days < ${maxAge} THEN '${label}'`
+    ).join(" ")} ELSE 'older' END`;
+    const updated = new Map(
+      count(
+        `SELECT ${bucket} AS value, COUNT(*) AS count FROM (
+           SELECT julianday('now') - julianday(e.updated_at) AS age_days
+           FROM entities e JOIN hits h ON h.id = e.id)
+         GROUP BY value`
+      ).map((facet) => [facet.value, facet.count])
     );
-    likeResults.forEach((result) => {
-      const existing = results.get(result.id);
-      if (existing) {
-        existing.relevance_score += 5;
-      } else {
-        results.set(result.id, { ...result, relevance_score: 5 });
-      }
-    });
 
-    // Convert to array and sort by relevance
-    return Array.from(results.values())
-      .filter((result) => result.relevance_score > 0)
-      .sort((a, b) => b.relevance_score - a.relevance_score)
-      .slice(0, 50);
+    return {
+      entityType: count(
+        `SELECT e.entity_type AS value, COUNT(*) AS count
+         FROM entities e JOIN hits h ON h.id = e.id
+         GROUP BY e.entity_type`
+      ),
+      status: count(
+        `SELECT e.status AS value, COUNT(*) AS count
+         FROM entities e JOIN hits h ON h.id = e.id
+         GROUP BY e.status`
+      ),
+      branch: count(
+        `SELECT b.name AS value, COUNT(*) AS count
+         FROM entities e
+         JOIN hits h ON h.id = e.id
+         JOIN memory_branches b ON b.id = e.branch_id
+         GROUP BY b.name`
+      ),
+      relationType: count(
+        `SELECT relation_type AS value, COUNT(DISTINCT id) AS count FROM (
+           SELECT relation_type, from_entity_id AS id FROM relations
+           WHERE from_entity_id IN (SELECT id FROM hits)
+           UNION ALL
+           SELECT relation_type, to_entity_id AS id FROM relations
+           WHERE to_entity_id IN (SELECT id FROM hits))
+         GROUP BY relation_type`
+      ),
+      updated: [...UPDATED_BUCKETS.map(([label]) => label), "older"].map(
+        (value) => ({ value, count: updated.get(value) || 0 })
+      ),
+    };
   }
 
-  private async searchByKeywords(
-    searchTerms: string[],
-    branchId: number | null,
-    includeStatuses?: EntityStatus[]
-  ): Promise<any[]> {
-    const statuses =
-      includeStatuses && includeStatuses.length > 0
-        ? includeStatuses
-        : ["active"];
-
-    // Search for entities that have matching keywords
-    let params: any[] = [];
-    const keywordConditions = searchTerms
-      .map(() => "k.keyword LIKE ?")
-      .join(" OR ");
-    searchTerms.forEach((term) => params.push(`%${term}%`));
-
-    let whereClause = `WHERE (${keywordConditions})`;
+  /**
+   * Why each hit matched: the fields holding a query term, the best
+   * snippet, and the observations that mention a term, all with the terms
+   * marked by FTS5 highlight() and snippet()
+   */
+  private describeMatches(
+    queryTerms: QueryTerm[],
+    hits: RankedHit[]
+  ): SearchMatch[] {
+    if (hits.length === 0) return [];
+    const ids = hits.map((hit) => hit.row.id);
+    const placeholders = ids.map(() => "?").join(",");
+    const terms = uniqueTerms(queryTerms);
+
+    const highlighted = new Map<number, any>();
+    if (terms.length > 0) {
+      const highlight = (column: number) =>
+        `highlight(entities_fts, ${column}, ?, ?)`;
+      const rows = this.connection.runQuery(
+        `SELECT rowid AS id,
+                ${highlight(0)} AS name,
+                ${highlight(1)} AS entity_type,
+                ${highlight(2)} AS observations,
+                ${highlight(3)} AS aliases,
+                snippet(entities_fts, -1, ?, ?, '…', 16) AS snippet
+         FROM entities_fts
+         WHERE entities_fts MATCH ? AND rowid IN (${placeholders})`,
+        [
+          ...Array(5).fill([MARK_START, MARK_END]).flat(),
+          terms.map(ftsExpression).join(" OR "),
+          ...ids,
+        ]
+      );
+      for (const row of rows) highlighted.set(row.id, row);
+    }
 
-    if (branchId !== null) {
-      whereClause += " AND e.branch_id = ?";
-      params.push(branchId);
+    const observations = new Map<number, string[]>();
+    for (const row of this.connection.runQuery(
+      `SELECT entity_id, content FROM observations
+       WHERE entity_id IN (${placeholders})
+       ORDER BY sequence_order, id`,
+      ids
+    )) {
+      if (!observations.has(row.entity_id)) observations.set(row.entity_id, []);
+      observations.get(row.entity_id)!.push(row.content);
     }
 
-    whereClause += ` AND e.status IN (${statuses.map(() => "?").join(",")})`;
-    params.push(...statuses);
+    const termTexts = terms.map((term) => term.text.toLowerCase());
+    const contains = (text: string | null) =>
+      !!text && termTexts.some((term) => text.toLowerCase().includes(term));
+
+    return hits.map((hit) => {
+      const marked = highlighted.get(hit.row.id);
+      const aliases: string | null = hit.row.alias_names;
+      const fields: MatchField[] = [];
+      // Names also match inside words (LIKE), where FTS5 marks nothing
+      if ((marked && marked.name !== hit.row.name) || contains(hit.row.name)) {
+        fields.push("name");
+      }
+      if (marked && marked.entity_type !== hit.row.entity_type) {
+        fields.push("entityType");
+      }
 
-    const results = await this.connection.runQuery(
-      `
-      SELECT DISTINCT e.*, 
-             GROUP_CONCAT(o.content, '|') as observations,
-             COUNT(k.id) * MAX(k.weight) as relevance_score
-      FROM entities e
-      LEFT JOIN observations o ON e.id = o.entity_id
-      LEFT JOIN keywords k ON e.id = k.entity_id
-      ${whereClause}
-      GROUP BY e.id
-      ORDER BY relevance_score DESC
-      `,
-      params
-    );
+      // The indexed observations are joined by newlines in stored order, so
+      // the highlighted text splits back into observations line by line
+      const matched: string[] = [];
+      const lines: string[] = marked?.observations?.split("\n") || [];
+      let line = 0;
+      for (const original of observations.get(hit.row.id) || []) {
+        const count = original.split("\n").length;
+        const text = lines.slice(line, line + count).join("\n");
+        line += count;
+        if (marked && text !== original) matched.push(text);
+      }
+      if (matched.length > 0) fields.push("observations");
+
+      if (
+        (marked?.aliases && marked.aliases !== aliases) ||
+        contains(aliases)
+      ) {
+        fields.push("aliases");
+      }
 
-    return results;
+      return {
+        entity: hit.score.entity,
+        branch: hit.score.branch,
+        matchFields: fields,
+        snippet: marked?.snippet || null,
+        observations: matched,
+      };
+    });
   }
 
-  private async searchByFTS(
-    searchTerms: string[],
+  /**
+   * Rank by vector similarity to the query's words. The query's filters
+   * and negated terms still apply; in hybrid mode the similarity ranking
+   * is fused with the keyword ranking by reciprocal rank.
+   */
+  private async semanticSearch(
+    root: QueryNode,
+    compiled: CompiledSearchQuery,
+    mode: Exclude<SearchMode, "keyword">,
     branchId: number | null,
     includeStatuses?: EntityStatus[]
-  ): Promise<any[]> {
-    const statuses =
-      includeStatuses && includeStatuses.length > 0
-        ? includeStatuses
-        : ["active"];
-    const query = searchTerms.join(" OR ");
-
-    let params: any[] = [query];
-    let whereClause = "";
-
-    if (branchId !== null) {
-      whereClause += " AND e.branch_id = ?";
-      params.push(branchId);
+  ): Promise<RankedHit[]> {
+    if (!this.embeddingOps) {
+      throw new Error(`Search mode "${mode}" needs an embedding provider`);
     }
+    const optional = compileSearchQuery(root, {
+      termsOptional: true,
+      expand: this.expandTerm,
+    });
+    const candidates = this.rankedSearch(optional, branchId, includeStatuses);
+    const similarities = await this.embeddingOps.similarities(
+      optional.terms.map((term) => term.text).join(" "),
+      candidates.map((hit) => hit.row.id)
+    );
 
-    whereClause += ` AND e.status IN (${statuses.map(() => "?").join(",")})`;
-    params.push(...statuses);
-
-    try {
-      const results = await this.connection.runQuery(
-        `
-        SELECT DISTINCT e.*, 
-               GROUP_CONCAT(o.content, '|') as observations,
-               fts.rank as relevance_score
-        FROM entities_fts fts
-        JOIN entities e ON e.id = fts.rowid
-        LEFT JOIN observations o ON e.id = o.entity_id
-        WHERE entities_fts MATCH ?${whereClause}
-        GROUP BY e.id
-        ORDER BY fts.rank
-        `,
-        params
+    const semantic = candidates
+      .map((hit) => {
+        const similarity = similarities.get(hit.row.id) || 0;
+        hit.score.similarity = round(similarity);
+        return { ...hit, rank: similarity };
+      })
+      .filter((hit) => hit.rank >= this.minSimilarity)
+      .sort(
+        (a, b) =>
+          b.rank - a.rank || a.score.entity.localeCompare(b.score.entity)
       );
-      return results;
-    } catch (error) {
-      // FTS might fail, fallback gracefully
-      console.warn("FTS search failed:", error);
-      return [];
+    if (mode === "semantic") {
+      for (const hit of semantic) hit.score.score = hit.score.similarity!;
+      return semantic;
     }
+
+    const keyword = this.rankedSearch(compiled, branchId, includeStatuses);
+    const fused = new Map<number, RankedHit>();
+    const fuse = (list: RankedHit[], key: "keyword" | "semantic") =>
+      list.forEach((hit, i) => {
+        const entry = fused.get(hit.row.id) || {
+          ...hit,
+          score: {
+            ...hit.score,
+            // Keyword hits are always among the semantic candidates
+            similarity: round(similarities.get(hit.row.id) || 0),
+            ranks: { keyword: null, semantic: null },
+          },
+          rank: 0,
+        };
+        entry.score.ranks![key] = i + 1;
+        entry.rank += 1 / (RRF_K + i + 1);
+        fused.set(hit.row.id, entry);
+      });
+    fuse(keyword, "keyword");
+    fuse(semantic, "semantic");
+
+    return Array.from(fused.values())
+      .map((hit) => {
+        hit.score.score = round(hit.rank);
+        return hit;
+      })
+      .sort(
+        (a, b) =>
+          b.rank - a.rank || a.score.entity.localeCompare(b.score.entity)
+      );
   }
 
-  private async searchByLike(
-    searchTerms: string[],
+  /**
+   * Find the entities a compiled query selects and order them by
+   * how many of its words match, then (bm25 + synonyms + nameMatch) *
+   * recency * status. Only terms that are not negated count towards either. Hits carry only what ranking and
+   * match descriptions need; observations are loaded per page.
+   */
+  private rankedSearch(
+    query: CompiledSearchQuery,
     branchId: number | null,
     includeStatuses?: EntityStatus[]
-  ): Promise<any[]> {
-    // Build dynamic WHERE clause with scoring
-    let whereConditions: string[] = [];
-    let params: any[] = [];
-    let scoreCalculation: string[] = [];
-
-    // Exact name matches (highest priority)
-    searchTerms.forEach((term, index) => {
-      whereConditions.push(`(e.name LIKE ? OR e.entity_type LIKE ?)`);
-      params.push(`%${term}%`, `%${term}%`);
-
-      // Add scoring for relevance
-      scoreCalculation.push(`
-        CASE 
-          WHEN e.name LIKE ? THEN 10
-          WHEN e.entity_type LIKE ? THEN 8
-          ELSE 0
-        END
-      `);
-      params.push(`%${term}%`, `%${term}%`);
-    });
-
-    // Content matches (lower priority but included)
-    const contentConditions = searchTerms
-      .map(() => `o.content LIKE ?`)
-      .join(" OR ");
-    if (contentConditions) {
-      whereConditions.push(`(${contentConditions})`);
-      searchTerms.forEach((term) => {
-        params.push(`%${term}%`);
-        scoreCalculation.push(`CASE WHEN o.content LIKE ? THEN 3 ELSE 0 END`);
-        params.push(`%${term}%`);
-      });
-    }
-
-    let whereClause =
-      whereConditions.length > 0
-        ? `WHERE (${whereConditions.join(" OR ")})`
-        : "WHERE 1=1";
-
+  ): RankedHit[] {
+    const { weights } = this.ranking;
+    // A status: filter in the query replaces the active-only default
+    const statuses =
+      includeStatuses && includeStatuses.length > 0
+        ? includeStatuses
+        : query.filtersStatus
+          ? []
+          : ["active"];
+
+    // Synonym expansions are scored apart so they can weigh less
+    const terms = uniqueTerms(query.terms.filter((term) => !term.expansionOf));
+    const synonyms = uniqueTerms(
+      query.terms.filter((term) => term.expansionOf)
+    );
+    const match = terms.map(ftsExpression).join(" OR ");
+    const synonymMatch = synonyms.map(ftsExpression).join(" OR ");
+    // Aliases are weighted like the name
+    const columnWeights = [
+      weights.name,
+      weights.entityType,
+      weights.observations,
+      weights.name,
+    ];
+    const singleColumn = (column: number) =>
+      columnWeights.map((weight, i) => (i === column ? weight : 0));
+
+    const bm25 = "-bm25(entities_fts, ?, ?, ?, ?)";
+    const columns = [
+      "bm25",
+      "name_bm25",
+      "type_bm25",
+      "observations_bm25",
+      "aliases_bm25",
+    ];
+    const matches = match
+      ? `SELECT rowid AS id, ${columns
+          .map((column) => `${bm25} AS ${column}`)
+          .join(", ")}
+         FROM entities_fts
+         WHERE entities_fts MATCH ?`
+      : `SELECT NULL AS id, ${columns
+          .map((column) => `NULL AS ${column}`)
+          .join(", ")}
+         WHERE 0`;
+    const synonymMatches = synonymMatch
+      ? `SELECT rowid AS id, ${bm25} AS bm25
+         FROM entities_fts
+         WHERE entities_fts MATCH ?`
+      : "SELECT NULL AS id, NULL AS bm25 WHERE 0";
+    const params: any[] = match
+      ? [...columnWeights, ...[0, 1, 2, 3].flatMap(singleColumn), match]
+      : [];
+    if (synonymMatch) params.push(...columnWeights, synonymMatch);
+
+    // How many of the query's words and phrases (or their synonyms) match
+    const matchedTerms = terms.length
+      ? terms
+          .map(
+            (term) =>
+              `(${[
+                term,
+                ...synonyms.filter(
+                  (synonym) =>
+                    synonym.expansionOf!.toLowerCase() ===
+                    term.text.toLowerCase()
+                ),
+              ]
+                .map((alternative) => termCondition(alternative, params))
+                .join(" OR ")})`
+          )
+          .join(" + ")
+      : "0";
+
+    let whereClause = `WHERE ${query.where}`;
+    params.push(...query.params);
     if (branchId !== null) {
       whereClause += " AND e.branch_id = ?";
       params.push(branchId);
     }
+    if (statuses.length > 0) {
+      whereClause += ` AND e.status IN (${statuses.map(() => "?").join(",")})`;
+      params.push(...statuses);
+    }
 
-    // Add status filtering
-    const statuses =
-      includeStatuses && includeStatuses.length > 0
-        ? includeStatuses
-        : ["active"];
-    whereClause += ` AND e.status IN (${statuses.map(() => "?").join(",")})`;
-    params.push(...statuses);
-
-    // Build the score calculation
-    const scoreExpression =
-      scoreCalculation.length > 0
-        ? `(${scoreCalculation.join(" + ")}) as relevance_score`
-        : "0 as relevance_score";
-
-    const results = await this.connection.runQuery(
+    const rows = this.connection.runQuery(
       `
-      SELECT DISTINCT e.*, 
-             GROUP_CONCAT(o.content, '|') as observations,
-             ${scoreExpression}
+      WITH matches AS (${matches}),
+           synonym_matches AS (${synonymMatches})
+      SELECT e.id, e.name, e.entity_type, e.status, b.name as branch_name,
+             (SELECT GROUP_CONCAT(alias, char(10)) FROM aliases
+              WHERE entity_id = e.id) as alias_names,
+             julianday('now') - julianday(e.updated_at) as age_days,
+             julianday(e.created_at) as created_day,
+             ${columns.map((column) => `m.${column}`).join(", ")},
+             sm.bm25 as synonym_bm25,
+             ${matchedTerms} as matched_terms
       FROM entities e
-      LEFT JOIN observations o ON e.id = o.entity_id
+      JOIN memory_branches b ON b.id = e.branch_id
+      LEFT JOIN matches m ON m.id = e.id
+      LEFT JOIN synonym_matches sm ON sm.id = e.id
       ${whereClause}
-      GROUP BY e.id
-      HAVING relevance_score > 0
-      ORDER BY relevance_score DESC, e.last_accessed DESC
-    `,
+      `,
       params
     );
 
-    return results;
+    const { synonymWeight } = this.ranking;
+    const termTexts = terms.map((term) => term.text.toLowerCase());
+    const synonymTexts = synonyms.map((term) => term.text.toLowerCase());
+    const hits = rows.map((row: any) => {
+      const names = [
+        row.name,
+        ...(row.alias_names ? row.alias_names.split("\n") : []),
+      ].map((name: string) => name.toLowerCase());
+      const nameScore = (texts: string[]) =>
+        texts.filter((term) => names.some((name) => name.includes(term)))
+          .length + (texts.some((term) => names.includes(term)) ? 2 : 0);
+      const nameMatch =
+        this.ranking.nameMatch *
+        (nameScore(termTexts) + synonymWeight * nameScore(synonymTexts));
+
+      const { recencyBoost, recencyHalfLifeDays } = this.ranking;
+      const age = Math.max(0, row.age_days || 0);
+      const recency =
+        recencyHalfLifeDays > 0
+          ? 1 + recencyBoost * Math.pow(0.5, age / recencyHalfLifeDays)
+          : 1;
+      const status = this.ranking.statusBoosts[row.status as EntityStatus] ?? 1;
+      const bm25Score = row.bm25 || 0;
+      const synonymScore = synonymWeight * (row.synonym_bm25 || 0);
+      const rank = (bm25Score + synonymScore + nameMatch) * recency * status;
+
+      const score: SearchScore = {
+        entity: row.name,
+        branch: row.branch_name,
+        score: round(rank),
+        bm25: round(bm25Score),
+        columns: {
+          name: round(row.name_bm25 || 0),
+          entityType: round(row.type_bm25 || 0),
+          observations: round(row.observations_bm25 || 0),
+          aliases: round(row.aliases_bm25 || 0),
+        },
+        matchedTerms: row.matched_terms,
+        nameMatch: round(nameMatch),
+        synonyms: round(synonymScore),
+        recency: round(recency),
+        status,
+      };
+      return { row, score, rank };
+    });
+
+    return hits.sort(
+      (a: any, b: any) =>
+        b.score.matchedTerms - a.score.matchedTerms ||
+        b.rank - a.rank ||
+        a.score.entity.localeCompare(b.score.entity)
+    );
   }
 }
+
+// Terms that differ only in case are searched once
+function uniqueTerms(terms: QueryTerm[]): QueryTerm[] {
+  return Array.from(
+    new Map(
+      terms.map((term) => [ftsExpression(term).toLowerCase(), term])
+    ).values()
+  );
+}
+
+interface RankedHit {
+  row: any;
+  score: SearchScore;
+  rank: number;
+}
+
+// Hits come in ranking order; other orders fall back to it on ties
+function sortHits(hits: RankedHit[], sortBy: SortBy): void {
+  if (sortBy === "relevance") return;
+  const position = new Map(hits.map((hit, i) => [hit, i]));
+  const compare: Record<
+    Exclude<SortBy, "relevance">,
+    (a: RankedHit, b: RankedHit) => number
+  > = {
+    updated: (a, b) => (a.row.age_days || 0) - (b.row.age_days || 0),
+    created: (a, b) => (b.row.created_day || 0) - (a.row.created_day || 0),
+    name: (a, b) => a.row.name.localeCompare(b.row.name),
+  };
+  hits.sort(
+    (a, b) => compare[sortBy](a, b) || position.get(a)! - position.get(b)!
+  );
+}
+
+// Four significant digits keep tiny bm25 values (common terms) readable
+function round(value: number): number {
+  return Number(value.toPrecision(4));
+}
@@ -0,0 +1,517 @@
+import { EntityStatus, QueryExpansion } from "../../memory-types.js";
+
+/**
+ * Search Query Language
+ * Parses smart_search queries and compiles them to SQL over entities `e`
+ *
+ *   type:Service status:deprecated branch:backend "rate limit" -legacy
+ *   (jwt OR oauth) AND token updated:>2026-01-01 created:2025-01-01..2025-06-30
+ *
+ * Words match as prefixes of indexed words (or anywhere in a name or
+ * alias), "quoted phrases" match exactly. Of words and phrases next to each
+ * other any may match, and hits matching more of them rank first; AND, OR,
+ * NOT / -term and parentheses combine terms, and filters always apply.
+ */
+
+export type SearchField = "type" | "status" | "branch" | "name";
+export type DateField = "updated" | "created";
+type DateOperator = ">" | ">=" | "<" | "<=" | "=";
+
+export type QueryNode =
+  | { kind: "term"; text: string; phrase: boolean }
+  | { kind: "field"; field: SearchField; value: string }
+  | { kind: "date"; field: DateField; operator: DateOperator; value: string }
+  | { kind: "not"; node: QueryNode }
+  | { kind: "and" | "or"; nodes: QueryNode[] };
+
+export interface QueryTerm {
+  text: string;
+  phrase: boolean;
+  expansionOf?: string; // Set on synonyms added for another term
+}
+
+export interface CompiledSearchQuery {
+  where: string; // SQL condition over entities e
+  params: any[];
+  terms: QueryTerm[]; // Terms that are not negated; they drive ranking
+  filtersStatus: boolean; // The query has its own status: filter
+  expansions: QueryExpansion[];
+}
+
+export interface CompileOptions {
+  // Words and phrases still rank but no longer have to match (semantic
+  // search); negated ones still exclude
+  termsOptional?: boolean;
+  // Other terms a term also matches, e.g. its synonyms
+  expand?: (text: string) => string[];
+}
+
+const FIELDS: SearchField[] = ["type", "status", "branch", "name"];
+const DATE_FIELDS: DateField[] = ["updated", "created"];
+const STATUSES: EntityStatus[] = ["active", "deprecated", "archived", "draft"];
+const STOP_WORDS = new Set([
+  "the",
+  "and",
+  "or",
+  "but",
+  "in",
+  "on",
+  "at",
+  "to",
+  "for",
+  "of",
+  "with",
+  "by",
+]);
+
+type Token =
+  | { type: "(" | ")" | "AND" | "OR" | "NOT"; position: number }
+  | { type: "term"; text: string; phrase: boolean; position: number }
+  | { type: "field"; field: string; value: string; position: number };
+
+/**
+ * Parse a query into a tree. Returns null when nothing searchable is left
+ * (empty query, only stop words). Throws "Invalid query: ..." errors.
+ */
+export function parseSearchQuery(query: string): QueryNode | null {
+  const tokens = tokenize(query);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const fail = (message: string, position?: number): never => {
+    throw new Error(
+      `Invalid query: ${message}${
+        position !== undefined ? ` (at position ${position + 1})` : ""
+      }`
+    );
+  };
+  const startsTerm = (token?: Token) =>
+    !!token &&
+    token.type !== ")" &&
+    token.type !== "AND" &&
+    token.type !== "OR";
+
+  const parseOr = (): QueryNode | null => {
+    if (peek()?.type === "OR")
+      fail("OR needs a term before it", peek().position);
+    const nodes = [parseAnd()];
+    while (peek()?.type === "OR") {
+      const operator = tokens[index++];
+      if (!startsTerm(peek()))
+        fail("OR needs a term after it", operator.position);
+      nodes.push(parseAnd());
+    }
+    return combine("or", nodes);
+  };
+
+  // Without an explicit AND, bare words and phrases are alternatives and
+  // everything else (filters, negations, groups) is required
+  const parseAnd = (): QueryNode | null => {
+    const nodes: Array<QueryNode | null> = [];
+    const bare: boolean[] = [];
+    let explicit = false;
+    const parseNext = () => {
+      bare.push(peek()?.type === "term");
+      nodes.push(parseUnary());
+    };
+
+    parseNext();
+    while (peek() && peek().type !== "OR" && peek().type !== ")") {
+      if (peek().type === "AND") {
+        const operator = tokens[index++];
+        if (!startsTerm(peek())) {
+          fail("AND needs a term after it", operator.position);
+        }
+        explicit = true;
+      }
+      parseNext();
+    }
+    if (explicit) return combine("and", nodes);
+    return combine("and", [
+      ...nodes.filter((_, i) => !bare[i]),
+      combine(
+        "or",
+        nodes.filter((_, i) => bare[i])
+      ),
+    ]);
+  };
+
+  const parseUnary = (): QueryNode | null => {
+    const token = peek();
+    if (token?.type === "NOT") {
+      index++;
+      if (!startsTerm(peek()))
+        fail("NOT needs a term after it", token.position);
+      const node = parseUnary();
+      return node && { kind: "not", node };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = (): QueryNode | null => {
+    const token = tokens[index++];
+    if (!token) return fail("the query ends unexpectedly");
+    switch (token.type) {
+      case "(": {
+        if (peek()?.type === ")") fail("empty parentheses", token.position);
+        const node = parseOr();
+        if (peek()?.type !== ")") fail("unclosed parenthesis", token.position);
+        index++;
+        return node;
+      }
+      case "term":
+        if (isNoise(token.text, token.phrase)) return null;
+        return { kind: "term", text: token.text, phrase: token.phrase };
+      case "field":
+        return parseField(token.field, token.value, token.position, fail);
+      default:
+        return fail(`unexpected "${token.type}"`, token.position);
+    }
+  };
+
+  if (tokens.length === 0) return null;
+  const root = parseOr();
+  if (index < tokens.length) {
+    const token = tokens[index];
+    fail(
+      token.type === ")" ? "unmatched closing parenthesis" : "unexpected input",
+      token.position
+    );
+  }
+  return root;
+}
+
+/**
+ * Compile a parsed query to a parameterized WHERE condition. A term with
+ * expansions matches when the term or any expansion does; expansions
+ * always match as whole words or phrases.
+ */
+export function compileSearchQuery(
+  root: QueryNode,
+  options: CompileOptions = {}
+): CompiledSearchQuery {
+  const params: any[] = [];
+  const terms: QueryTerm[] = [];
+  const expansions: CompiledSearchQuery["expansions"] = [];
+  let filtersStatus = false;
+
+  const compile = (node: QueryNode, negated: boolean): string => {
+    switch (node.kind) {
+      case "term": {
+        const term: QueryTerm = { text: node.text, phrase: node.phrase };
+        const synonyms: QueryTerm[] = (options.expand?.(node.text) || [])
+          .filter((text) => !isNoise(text, true))
+          .map((text) => ({ text, phrase: true, expansionOf: node.text }));
+        if (!negated) {
+          terms.push(term, ...synonyms);
+          if (
+            synonyms.length > 0 &&
+            !expansions.some((e) => e.term === node.text)
+          ) {
+            expansions.push({
+              term: node.text,
+              synonyms: synonyms.map((synonym) => synonym.text),
+            });
+          }
+          if (options.termsOptional) return "1";
+        }
+        return `(${[term, ...synonyms]
+          .map((alternative) => termCondition(alternative, params))
+          .join(" OR ")})`;
+      }
+      case "field":
+        if (node.field === "status") filtersStatus = true;
+        return compileField(node, params);
+      case "date":
+        return compileDate(node, params);
+      case "not":
+        return `NOT ${compile(node.node, !negated)}`;
+      case "and":
+      case "or":
+        return `(${node.nodes
+          .map((child) => compile(child, negated))
+          .join(node.kind === "and" ? " AND " : " OR ")})`;
+    }
+  };
+
+  const where = compile(root, false);
+  return { where, params, terms, filtersStatus, expansions };
+}
+
+// A term matches the search index, or anywhere in a name or alias
+export function termCondition(term: QueryTerm, params: any[]): string {
+  const pattern = likePattern(term.text);
+  params.push(ftsExpression(term), pattern, pattern);
+  return `(e.id IN (SELECT rowid FROM entities_fts WHERE entities_fts MATCH ?)
+           OR e.name LIKE ? ESCAPE '\\' OR ${aliasLike()})`;
+}
+
+/**
+ * Rewrite a query with its unquoted words replaced where `correct` returns
+ * a replacement; operators, filters, phrases and spacing are kept. Returns
+ * null when no word was replaced.
+ */
+export function rewriteQueryWords(
+  query: string,
+  correct: (word: string) => string | undefined
+): string | null {
+  let rewritten = "";
+  let copied = 0;
+  for (const token of tokenize(query)) {
+    if (token.type !== "term" || token.phrase) continue;
+    if (isNoise(token.text, false)) continue;
+    const replacement = correct(token.text);
+    if (replacement === undefined) continue;
+    rewritten += query.slice(copied, token.position) + replacement;
+    copied = token.position + token.text.length;
+  }
+  return copied > 0 ? rewritten + query.slice(copied) : null;
+}
+
+/**
+ * FTS5 MATCH expression for a term: words match as a prefix, phrases
+ * exactly. Quoting keeps punctuation from breaking the FTS5 syntax.
+ */
+export function ftsExpression(term: QueryTerm): string {
+  const quoted = `"${term.text.replace(/"/g, '""')}"`;
+  return term.phrase ? quoted : `${quoted}*`;
+}
+
+function tokenize(query: string): Token[] {
+  const tokens: Token[] = [];
+  let i = 0;
+
+  const readPhrase = (start: number): string => {
+    const end = query.indexOf('"', start + 1);
+    if (end === -1) {
+      throw new Error(
+        `Invalid query: unterminated quote (at position ${start + 1})`
+      );
+    }
+    i = end + 1;
+    return query.slice(start + 1, end);
+  };
+
+  while (i < query.length) {
+    const char = query[i];
+    const position = i;
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === "(" || char === ")") {
+      tokens.push({ type: char, position });
+      i++;
+    } else if (
+      char === "-" &&
+      i + 1 < query.length &&
+      !/\s/.test(query[i + 1])
+    ) {
+      // -term, -"phrase", -field:value and -(group) negate
+      tokens.push({ type: "NOT", position });
+      i++;
+    } else if (char === '"') {
+      tokens.push({
+        type: "term",
+        text: readPhrase(i),
+        phrase: true,
+        position,
+      });
+    } else {
+      let end = i;
+      while (end < query.length && !/[\s()"]/.test(query[end])) end++;
+      const word = query.slice(i, end);
+      i = end;
+
+      // name:value, but not URLs such as https://...
+      const field = /^([a-zA-Z_]+):(?!\/)(.*)$/.exec(word);
+      if (field) {
+        const name = field[1].toLowerCase();
+        let value = field[2];
+        if (!value && query[i] === '"') value = readPhrase(i);
+        if (value) {
+          tokens.push({ type: "field", field: name, value, position });
+          continue;
+        }
+        if ([...FIELDS, ...DATE_FIELDS].includes(name as SearchField)) {
+          throw new Error(
+            `Invalid query: ${name}: needs a value right after the colon (at position ${
+              position + 1
+            })`
+          );
+        }
+      }
+      if (word === "AND" || word === "OR" || word === "NOT") {
+        tokens.push({ type: word, position });
+      } else {
+        tokens.push({
+          type: "term",
+          text: field && !field[2] ? field[1] : word,
+          phrase: false,
+          position,
+        });
+      }
+    }
+  }
+  return tokens;
+}
+
+function parseField(
+  name: string,
+  value: string,
+  position: number,
+  fail: (message: string, position?: number) => never
+): QueryNode {
+  if (DATE_FIELDS.includes(name as DateField)) {
+    return parseDate(name as DateField, value, position, fail);
+  }
+  if (!FIELDS.includes(name as SearchField)) {
+    return fail(
+      `unknown field "${name}" (fields: ${[...FIELDS, ...DATE_FIELDS].join(
+        ", "
+      )})`,
+      position
+    );
+  }
+  if (name === "status") {
+    const status = value.toLowerCase() as EntityStatus;
+    if (!STATUSES.includes(status)) {
+      fail(
+        `unknown status "${value}" (statuses: ${STATUSES.join(", ")})`,
+        position
+      );
+    }
+    return { kind: "field", field: "status", value: status };
+  }
+  return { kind: "field", field: name as SearchField, value };
+}
+
+// updated:>2026-01-01, created:<=2026-03-01T12:00:00Z, updated:2026-01-01,
+// updated:2026-01-01..2026-01-31
+function parseDate(
+  field: DateField,
+  value: string,
+  position: number,
+  fail: (message: string, position?: number) => never
+): QueryNode {
+  const checked = (date: string) => {
+    if (!isValidDate(date)) {
+      fail(
+        `invalid date "${date}" in ${field}: (use YYYY-MM-DD or an ISO timestamp)`,
+        position
+      );
+    }
+    return date;
+  };
+
+  const range = value.split("..");
+  if (range.length === 2) {
+    return {
+      kind: "and",
+      nodes: [
+        { kind: "date", field, operator: ">=", value: checked(range[0]) },
+        { kind: "date", field, operator: "<=", value: checked(range[1]) },
+      ],
+    };
+  }
+
+  const match = /^(>=|<=|>|<|=)?(.*)$/.exec(value)!;
+  const operator = (match[1] || "=") as DateOperator;
+  return { kind: "date", field, operator, value: checked(match[2]) };
+}
+
+function compileField(
+  node: Extract<QueryNode, { kind: "field" }>,
+  params: any[]
+): string {
+  switch (node.field) {
+    case "type":
+      params.push(node.value);
+      return "e.entity_type = ? COLLATE NOCASE";
+    case "status":
+      params.push(node.value);
+      return "e.status = ?";
+    case "branch":
+      params.push(node.value);
+      return "e.branch_id IN (SELECT id FROM memory_branches WHERE name = ?)";
+    case "name": {
+      const pattern = likePattern(node.value);
+      params.push(pattern, pattern);
+      return `(e.name LIKE ? ESCAPE '\\' OR ${aliasLike()})`;
+    }
+  }
+}
+
+// A day-only date covers the whole day: >D starts the next day, <=D ends
+// with it
+function compileDate(
+  node: Extract<QueryNode, { kind: "date" }>,
+  params: any[]
+): string {
+  const column = `julianday(e.${node.field}_at)`;
+  if (!isDayOnly(node.value)) {
+    params.push(node.value);
+    return `${column} ${node.operator} julianday(?)`;
+  }
+
+  const start = `${node.value}T00:00:00Z`;
+  const end = new Date(Date.parse(start) + 86400000).toISOString();
+  switch (node.operator) {
+    case ">":
+      params.push(end);
+      return `${column} >= julianday(?)`;
+    case ">=":
+      params.push(start);
+      return `${column} >= julianday(?)`;
+    case "<":
+      params.push(start);
+      return `${column} < julianday(?)`;
+    case "<=":
+      params.push(end);
+      return `${column} < julianday(?)`;
+    case "=":
+      params.push(start, end);
+      return `(${column} >= julianday(?) AND ${column} < julianday(?))`;
+  }
+}
+
+function isDayOnly(date: string): boolean {
+  return /^\d{4}-\d{2}-\d{2}$/.test(date);
+}
+
+function isValidDate(date: string): boolean {
+  if (isDayOnly(date)) {
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return (
+      !isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date
+    );
+  }
+  return (
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/.test(
+      date
+    ) && !isNaN(Date.parse(date))
+  );
+}
+
+// Text without letters or digits is not searched, nor are bare stop words
+// and single characters
+function isNoise(text: string, phrase: boolean): boolean {
+  if (!/[\p{L}\p{N}]/u.test(text)) return true;
+  return !phrase && (STOP_WORDS.has(text.toLowerCase()) || text.length < 2);
+}
+
+function combine(
+  kind: "and" | "or",
+  nodes: Array<QueryNode | null>
+): QueryNode | null {
+  const kept = nodes.filter((node): node is QueryNode => node !== null);
+  if (kept.length === 0) return null;
+  return kept.length === 1 ? kept[0] : { kind, nodes: kept };
+}
+
+function likePattern(text: string): string {
+  return `%${text.replace(/[\\%_]/g, "\\$&")}%`;
+}
+
+function aliasLike(): string {
+  return "EXISTS (SELECT 1 FROM aliases a WHERE a.entity_id = e.id AND a.alias LIKE ? ESCAPE '\\')";
+}
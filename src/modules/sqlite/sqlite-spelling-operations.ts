@@ -0,0 +1,167 @@
+import { SQLiteConnection } from "./sqlite-connection.js";
+
+// Candidates fetched by shared trigrams before edit distances are computed
+const TRIGRAM_CANDIDATES = 50;
+
+/**
+ * SQLite Spelling Operations
+ * Suggests indexed words for misspelled query words. The words come from
+ * entities_fts (through its fts5vocab table) and are mirrored into
+ * search_terms with their trigrams, so candidates sharing trigrams with a
+ * misspelling are found by index before edit distances are compared.
+ * The mirror is brought up to date lazily, before a lookup.
+ */
+export class SQLiteSpellingOperations {
+  constructor(private connection: SQLiteConnection) {}
+
+  /**
+   * Sync search_terms and their trigrams with the words currently in the
+   * search index
+   */
+  refreshTerms(): void {
+    const indexed = new Map<string, number>();
+    for (const row of this.connection.runQuery(
+      "SELECT term, doc FROM entities_fts_vocab"
+    )) {
+      if (isWord(row.term)) indexed.set(row.term, row.doc);
+    }
+    const stored = new Map<string, { id: number; documents: number }>(
+      this.connection
+        .runQuery("SELECT id, term, documents FROM search_terms")
+        .map((row: any) => [row.term, row])
+    );
+
+    const removed = [...stored].filter(([term]) => !indexed.has(term));
+    const changed = [...indexed].filter(
+      ([term, documents]) => stored.get(term)?.documents !== documents
+    );
+    if (removed.length === 0 && changed.length === 0) return;
+
+    this.connection.transaction(() => {
+      for (const [, { id }] of removed) {
+        this.connection.execQuery("DELETE FROM search_terms WHERE id = ?", [
+          id,
+        ]);
+      }
+      for (const [term, documents] of changed) {
+        const existing = stored.get(term);
+        if (existing) {
+          this.connection.execQuery(
+            "UPDATE search_terms SET documents = ? WHERE id = ?",
+            [documents, existing.id]
+          );
+          continue;
+        }
+        const { lastInsertRowid } = this.connection.execQuery(
+          "INSERT INTO search_terms (term, documents) VALUES (?, ?)",
+          [term, documents]
+        );
+        for (const trigram of trigrams(term)) {
+          this.connection.execQuery(
+            "INSERT OR IGNORE INTO search_term_trigrams (trigram, term_id) VALUES (?, ?)",
+            [trigram, lastInsertRowid]
+          );
+        }
+      }
+    });
+  }
+
+  /**
+   * Whether the word matches as typed: some indexed word starts with it,
+   * or a name or alias contains it. Call refreshTerms first.
+   */
+  isKnown(word: string): boolean {
+    const lower = word.toLowerCase();
+    return !!this.connection.getQuery(
+      `SELECT 1 WHERE EXISTS (
+         SELECT 1 FROM search_terms WHERE term >= ? AND term < ?)
+       OR EXISTS (SELECT 1 FROM entities WHERE instr(lower(name), ?) > 0)
+       OR EXISTS (SELECT 1 FROM aliases WHERE instr(lower(alias), ?) > 0)`,
+      [lower, `${lower}\uffff`, lower, lower]
+    );
+  }
+
+  /**
+   * Indexed words within the allowed edit distance of a word (1 for words
+   * of up to 4 letters, else 2), closest and most common first. Call
+   * refreshTerms first.
+   */
+  suggest(word: string, limit: number = 3): string[] {
+    const lower = word.toLowerCase();
+    if (!isWord(lower)) return [];
+    const maxEdits = lower.length <= 4 ? 1 : 2;
+
+    const grams = trigrams(lower);
+    const candidates: Array<{ term: string; documents: number }> =
+      this.connection.runQuery(
+        `SELECT t.term, t.documents, COUNT(*) AS shared
+       FROM search_term_trigrams g
+       JOIN search_terms t ON t.id = g.term_id
+       WHERE g.trigram IN (${grams.map(() => "?").join(",")})
+       GROUP BY t.id
+       ORDER BY shared DESC, t.documents DESC
+       LIMIT ?`,
+        [...grams, TRIGRAM_CANDIDATES]
+      );
+
+    return candidates
+      .filter(({ term }) => Math.abs(term.length - lower.length) <= maxEdits)
+      .map(({ term, documents }) => ({
+        term,
+        documents,
+        distance: editDistance(lower, term),
+      }))
+      .filter(({ distance }) => distance > 0 && distance <= maxEdits)
+      .sort(
+        (a, b) =>
+          a.distance - b.distance ||
+          b.documents - a.documents ||
+          a.term.localeCompare(b.term)
+      )
+      .slice(0, limit)
+      .map(({ term }) => term);
+  }
+}
+
+// Words worth correcting: at least three characters, not just digits
+function isWord(term: string): boolean {
+  return term.length >= 3 && !/^\d+$/.test(term);
+}
+
+// Trigrams of the word padded with spaces, so its ends count too
+function trigrams(word: string): string[] {
+  const padded = ` ${word} `;
+  const grams = new Set<string>();
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return [...grams];
+}
+
+/**
+ * Damerau-Levenshtein distance (optimal string alignment): insertions,
+ * deletions, substitutions and swaps of neighbouring characters cost 1
+ */
+function editDistance(a: string, b: string): number {
+  const rows: number[][] = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        rows[0].push(j);
+        continue;
+      }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, rows[i - 2][j - 2] + 1);
+      }
+      rows[i].push(distance);
+    }
+  }
+  return rows[a.length][b.length];
+}
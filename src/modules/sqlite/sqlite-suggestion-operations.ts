@@ -0,0 +1,412 @@
+import {
+  AutoCreatedRelation,
+  ProposedRelation,
+  Relation,
+  RelationSuggestion,
+  SimilarityFeedback,
+  SuggestionFilter,
+} from "../../memory-types.js";
+import { SQLiteAliasOperations } from "./sqlite-alias-operations.js";
+import { SQLiteConnection } from "./sqlite-connection.js";
+import { SQLiteRelationOperations } from "./sqlite-relation-operations.js";
+
+const SUGGESTION_ORDER = {
+  relevance: "s.confidence DESC, s.id",
+  created: "julianday(s.created_at) DESC, s.id DESC",
+};
+
+/**
+ * SQLite Suggestion Operations
+ * The review queue of relations proposed by the relationship indexer.
+ * Pending suggestions are replaced whenever an entity is indexed again;
+ * accepted and rejected ones are kept, so a reviewed pair is never
+ * proposed twice. Relations create_entities makes on its own are kept as
+ * accepted, and deleting an accepted relation later rejects it. Rejected
+ * pairs are also kept by name in relation_rejections.
+ */
+export class SQLiteSuggestionOperations {
+  constructor(
+    private connection: SQLiteConnection,
+    private aliasOps: SQLiteAliasOperations,
+    private relationOps: SQLiteRelationOperations
+  ) {}
+
+  /**
+   * Replace the pending suggestions from an entity and mark it indexed.
+   * Targets that are missing, already related to the entity, already
+   * suggested with it (in either direction, in any status) or rejected
+   * with it before are skipped.
+   * Returns how many suggestions were recorded.
+   */
+  recordSuggestions(
+    entityName: string,
+    branchName: string | undefined,
+    proposed: ProposedRelation[]
+  ): number {
+    const branchId = this.connection.findBranchId(branchName);
+    if (branchId === null) return 0;
+    const entity = this.aliasOps.resolveEntity(entityName, branchId);
+    if (!entity) return 0;
+
+    const now = new Date().toISOString();
+    let recorded = 0;
+    this.connection.transaction(() => {
+      this.connection.execQuery(
+        "DELETE FROM relation_suggestions WHERE from_entity_id = ? AND status = 'pending'",
+        [entity.id]
+      );
+      for (const proposal of proposed) {
+        const target = this.aliasOps.resolveEntity(proposal.to, branchId);
+        if (!target || target.id === entity.id) continue;
+        if (this.isPairTaken(entity.id, target.id)) continue;
+        if (this.isPairRejected(branchId, entity.name, target.name)) continue;
+
+        this.connection.execQuery(
+          `INSERT INTO relation_suggestions
+             (from_entity_id, to_entity_id, relation_type, confidence,
+              features, evidence, branch_id, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            entity.id,
+            target.id,
+            proposal.relationType,
+            proposal.confidence,
+            proposal.features ? JSON.stringify(proposal.features) : null,
+            proposal.evidence ?? null,
+            branchId,
+            now,
+          ]
+        );
+        recorded++;
+      }
+      this.connection.execQuery(
+        "INSERT OR REPLACE INTO relation_suggestion_runs (entity_id, indexed_at) VALUES (?, ?)",
+        [entity.id, now]
+      );
+    });
+    return recorded;
+  }
+
+  /**
+   * Keep relations created without review as accepted suggestions, in
+   * place of any pending suggestion for the same pair. Pairs already
+   * reviewed or rejected are left alone. Returns how many were recorded.
+   */
+  recordAutoCreated(
+    branchName: string | undefined,
+    relations: AutoCreatedRelation[]
+  ): number {
+    const branchId = this.connection.findBranchId(branchName);
+    if (branchId === null) return 0;
+
+    const now = new Date().toISOString();
+    let recorded = 0;
+    this.connection.transaction(() => {
+      for (const relation of relations) {
+        const from = this.aliasOps.resolveEntity(relation.from, branchId);
+        const to = this.aliasOps.resolveEntity(relation.to, branchId);
+        if (!from || !to || from.id === to.id) continue;
+
+        this.connection.execQuery(
+          `DELETE FROM relation_suggestions
+           WHERE status = 'pending'
+             AND ((from_entity_id = ? AND to_entity_id = ?)
+               OR (from_entity_id = ? AND to_entity_id = ?))`,
+          [from.id, to.id, to.id, from.id]
+        );
+        if (this.isPairReviewed(from.id, to.id)) continue;
+        if (this.isPairRejected(branchId, from.name, to.name)) continue;
+        this.connection.execQuery(
+          `INSERT INTO relation_suggestions
+             (from_entity_id, to_entity_id, relation_type, confidence,
+              features, evidence, branch_id, status, created_at, reviewed_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, 'accepted', ?, ?)`,
+          [
+            from.id,
+            to.id,
+            relation.relationType,
+            relation.confidence,
+            relation.features ? JSON.stringify(relation.features) : null,
+            relation.evidence ?? null,
+            branchId,
+            now,
+            now,
+          ]
+        );
+        recorded++;
+      }
+    });
+    return recorded;
+  }
+
+  /**
+   * Reject the accepted suggestions behind relations that were deleted.
+   * Returns how many were rejected.
+   */
+  rejectDeleted(branchName: string | undefined, relations: Relation[]): number {
+    const branchId = this.connection.findBranchId(branchName);
+    if (branchId === null) return 0;
+
+    const now = new Date().toISOString();
+    let rejected = 0;
+    for (const relation of relations) {
+      const from = this.aliasOps.resolveEntity(relation.from, branchId);
+      const to = this.aliasOps.resolveEntity(relation.to, branchId);
+      if (!from || !to) continue;
+      const { changes } = this.connection.execQuery(
+        `UPDATE relation_suggestions
+         SET status = 'rejected', reviewed_at = ?
+         WHERE status = 'accepted' AND from_entity_id = ?
+           AND to_entity_id = ? AND relation_type = ?`,
+        [now, from.id, to.id, relation.relationType]
+      );
+      if (changes === 0) continue;
+      this.recordRejection(branchId, from.name, to.name, now);
+      rejected += changes;
+    }
+    return rejected;
+  }
+
+  /**
+   * Names of the entities whose pairing with an entity was rejected, in
+   * either direction, including rejections from before it was recreated
+   */
+  rejectedPartners(entityName: string, branchName?: string): string[] {
+    const branchId = this.connection.findBranchId(branchName);
+    if (branchId === null) return [];
+
+    return this.connection
+      .runQuery(
+        `SELECT DISTINCT CASE WHEN from_name = ? THEN to_name
+                              ELSE from_name END AS name
+         FROM relation_rejections
+         WHERE branch_id = ? AND (from_name = ? OR to_name = ?)`,
+        [entityName, branchId, entityName, entityName]
+      )
+      .map((row: any) => row.name);
+  }
+
+  /**
+   * Names of the entities in a branch that were never indexed or changed
+   * since they last were, least recently updated first
+   */
+  entitiesToIndex(
+    branchName?: string,
+    statuses?: string[],
+    limit?: number
+  ): string[] {
+    const branchId = this.connection.findBranchId(branchName);
+    if (branchId === null) return [];
+
+    const params: any[] = [branchId];
+    let statusFilter = "";
+    if (statuses && statuses.length > 0) {
+      statusFilter = `AND e.status IN (${statuses.map(() => "?").join(",")})`;
+      params.push(...statuses);
+    }
+    return this.connection
+      .runQuery(
+        `SELECT e.name FROM entities e
+         LEFT JOIN relation_suggestion_runs r ON r.entity_id = e.id
+         WHERE e.branch_id = ? ${statusFilter}
+           AND (r.entity_id IS NULL
+                OR julianday(e.updated_at) > julianday(r.indexed_at))
+         ORDER BY julianday(e.updated_at), e.id
+         LIMIT ?`,
+        [...params, limit ?? -1]
+      )
+      .map((row: any) => row.name);
+  }
+
+  listSuggestions(filter: SuggestionFilter = {}): {
+    suggestions: RelationSuggestion[];
+    total: number;
+  } {
+    const conditions = ["s.status = ?"];
+    const params: any[] = [filter.status || "pending"];
+    if (filter.branchName !== undefined) {
+      const branchId = this.connection.findBranchId(filter.branchName);
+      if (branchId === null) return { suggestions: [], total: 0 };
+      conditions.push("s.branch_id = ?");
+      params.push(branchId);
+    }
+    if (filter.entityName !== undefined) {
+      conditions.push("(f.name = ? OR t.name = ?)");
+      params.push(filter.entityName, filter.entityName);
+    }
+
+    const from = `
+      FROM relation_suggestions s
+      JOIN entities f ON f.id = s.from_entity_id
+      JOIN entities t ON t.id = s.to_entity_id
+      JOIN memory_branches b ON b.id = s.branch_id
+      WHERE ${conditions.join(" AND ")}`;
+    const { total } = this.connection.getQuery(
+      `SELECT COUNT(*) AS total ${from}`,
+      params
+    );
+    const order =
+      filter.sortBy === "created"
+        ? SUGGESTION_ORDER.created
+        : SUGGESTION_ORDER.relevance;
+    const rows = this.connection.runQuery(
+      `SELECT s.*, f.name AS from_name, t.name AS to_name,
+              b.name AS branch_name
+       ${from}
+       ORDER BY ${order}
+       LIMIT ? OFFSET ?`,
+      [...params, filter.limit ?? -1, filter.offset || 0]
+    );
+    return { suggestions: rows.map(toSuggestion), total };
+  }
+
+  /**
+   * The similarity features of every reviewed suggestion that kept them,
+   * oldest first, with whether it was accepted
+   */
+  getFeedback(): SimilarityFeedback[] {
+    return this.connection
+      .runQuery(
+        `SELECT features, status FROM relation_suggestions
+         WHERE status IN ('accepted', 'rejected') AND features IS NOT NULL
+         ORDER BY id`
+      )
+      .map((row: any) => ({
+        features: JSON.parse(row.features),
+        accepted: row.status === "accepted",
+      }));
+  }
+
+  /**
+   * Create the suggested relation, optionally with another relation type,
+   * and mark the suggestion accepted
+   */
+  async acceptSuggestion(
+    id: number,
+    relationType?: string
+  ): Promise<RelationSuggestion> {
+    const suggestion = this.getPending(id);
+    const type = relationType || suggestion.relationType;
+    await this.relationOps.createRelations(
+      [{ from: suggestion.from, to: suggestion.to, relationType: type }],
+      suggestion.branch
+    );
+    this.connection.execQuery(
+      `UPDATE relation_suggestions
+       SET status = 'accepted', relation_type = ?, reviewed_at = ?
+       WHERE id = ?`,
+      [type, new Date().toISOString(), id]
+    );
+    return this.getSuggestion(id);
+  }
+
+  rejectSuggestion(id: number): RelationSuggestion {
+    const suggestion = this.getPending(id);
+    const now = new Date().toISOString();
+    this.connection.transaction(() => {
+      this.connection.execQuery(
+        `UPDATE relation_suggestions
+         SET status = 'rejected', reviewed_at = ?
+         WHERE id = ?`,
+        [now, id]
+      );
+      this.recordRejection(
+        this.connection.findBranchId(suggestion.branch)!,
+        suggestion.from,
+        suggestion.to,
+        now
+      );
+    });
+    return this.getSuggestion(id);
+  }
+
+  private recordRejection(
+    branchId: number,
+    from: string,
+    to: string,
+    rejectedAt: string
+  ): void {
+    this.connection.execQuery(
+      `INSERT OR REPLACE INTO relation_rejections
+         (branch_id, from_name, to_name, rejected_at)
+       VALUES (?, ?, ?, ?)`,
+      [branchId, from, to, rejectedAt]
+    );
+  }
+
+  private getSuggestion(id: number): RelationSuggestion {
+    const row = this.connection.getQuery(
+      `SELECT s.*, f.name AS from_name, t.name AS to_name,
+              b.name AS branch_name
+       FROM relation_suggestions s
+       JOIN entities f ON f.id = s.from_entity_id
+       JOIN entities t ON t.id = s.to_entity_id
+       JOIN memory_branches b ON b.id = s.branch_id
+       WHERE s.id = ?`,
+      [id]
+    );
+    if (!row) throw new Error(`Relation suggestion ${id} not found`);
+    return toSuggestion(row);
+  }
+
+  private getPending(id: number): RelationSuggestion {
+    const suggestion = this.getSuggestion(id);
+    if (suggestion.status !== "pending") {
+      throw new Error(
+        `Relation suggestion ${id} was already ${suggestion.status}`
+      );
+    }
+    return suggestion;
+  }
+
+  // The pair has an accepted or rejected suggestion, either way round
+  private isPairReviewed(a: number, b: number): boolean {
+    return !!this.connection.getQuery(
+      `SELECT 1 FROM relation_suggestions
+       WHERE status != 'pending'
+         AND ((from_entity_id = ? AND to_entity_id = ?)
+           OR (from_entity_id = ? AND to_entity_id = ?))`,
+      [a, b, b, a]
+    );
+  }
+
+  // The pair was rejected by name, either way round
+  private isPairRejected(branchId: number, a: string, b: string): boolean {
+    return !!this.connection.getQuery(
+      `SELECT 1 FROM relation_rejections
+       WHERE branch_id = ?
+         AND ((from_name = ? AND to_name = ?) OR (from_name = ? AND to_name = ?))`,
+      [branchId, a, b, b, a]
+    );
+  }
+
+  // The pair already has a suggestion or a relation, either way round
+  private isPairTaken(a: number, b: number): boolean {
+    return !!this.connection.getQuery(
+      `SELECT 1 WHERE EXISTS (
+         SELECT 1 FROM relation_suggestions
+         WHERE (from_entity_id = ? AND to_entity_id = ?)
+            OR (from_entity_id = ? AND to_entity_id = ?))
+       OR EXISTS (
+         SELECT 1 FROM relations
+         WHERE (from_entity_id = ? AND to_entity_id = ?)
+            OR (from_entity_id = ? AND to_entity_id = ?))`,
+      [a, b, b, a, a, b, b, a]
+    );
+  }
+}
+
+function toSuggestion(row: any): RelationSuggestion {
+  return {
+    id: row.id,
+    from: row.from_name,
+    to: row.to_name,
+    relationType: row.relation_type,
+    confidence: row.confidence,
+    branch: row.branch_name,
+    status: row.status,
+    createdAt: row.created_at,
+    ...(row.reviewed_at && { reviewedAt: row.reviewed_at }),
+    ...(row.evidence && { evidence: row.evidence }),
+  };
+}
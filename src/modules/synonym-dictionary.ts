@@ -0,0 +1,108 @@
+import fs from "fs";
+import path from "path";
+import { logger } from "./logger.js";
+
+/**
+ * Synonym Dictionary
+ * Project vocabulary kept in .memory/synonyms.json as groups of
+ * interchangeable terms, e.g. [["k8s", "kubernetes"], ["pg", "postgres"]].
+ * smart_search expands query terms with the rest of their group.
+ */
+export class SynonymDictionary {
+  private filePath: string;
+  private groups: string[][] = [];
+  private lookup = new Map<string, string[]>();
+
+  constructor(basePath: string) {
+    this.filePath = path.join(basePath, ".memory", "synonyms.json");
+    this.load();
+  }
+
+  getGroups(): string[][] {
+    return this.groups.map((group) => [...group]);
+  }
+
+  /**
+   * The other terms in the group of a term (case-insensitive)
+   */
+  synonymsOf(term: string): string[] {
+    return this.lookup.get(normalize(term)) || [];
+  }
+
+  /**
+   * Add groups and remove terms, then save. A new group that shares a term
+   * with existing groups is merged with them; groups left with fewer than
+   * two terms are dropped.
+   */
+  update(add: string[][] = [], remove: string[] = []): string[][] {
+    const removed = new Set(remove.map(normalize));
+    this.setGroups(
+      mergeGroups([...this.groups, ...add]).map((group) =>
+        group.filter((term) => !removed.has(term))
+      )
+    );
+    this.save();
+    return this.getGroups();
+  }
+
+  private setGroups(groups: string[][]): void {
+    this.groups = groups
+      .filter((group) => group.length > 1)
+      .map((group) => [...group].sort());
+    this.lookup.clear();
+    for (const group of this.groups) {
+      for (const term of group) {
+        this.lookup.set(
+          term,
+          group.filter((other) => other !== term)
+        );
+      }
+    }
+  }
+
+  private load(): void {
+    if (!fs.existsSync(this.filePath)) return;
+    try {
+      const file = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+      const groups = Array.isArray(file?.groups) ? file.groups : [];
+      this.setGroups(
+        mergeGroups(
+          groups
+            .filter((group: unknown) => Array.isArray(group))
+            .map((group: unknown[]) =>
+              group.filter((term) => typeof term === "string")
+            )
+        )
+      );
+    } catch (error) {
+      logger.warn(`Ignoring unreadable synonyms file ${this.filePath}:`, error);
+    }
+  }
+
+  private save(): void {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(
+      this.filePath,
+      JSON.stringify({ groups: this.groups }, null, 2) + "\n"
+    );
+  }
+}
+
+// Groups that share a term become one group
+function mergeGroups(groups: string[][]): string[][] {
+  let merged: Set<string>[] = [];
+  for (const terms of groups) {
+    const group = new Set(terms.map(normalize).filter(Boolean));
+    merged = merged.filter((other) => {
+      if (![...other].some((term) => group.has(term))) return true;
+      other.forEach((term) => group.add(term));
+      return false;
+    });
+    merged.push(group);
+  }
+  return merged.map((group) => [...group]);
+}
+
+function normalize(term: string): string {
+  return term.trim().replace(/\s+/g, " ").toLowerCase();
+}
@@ -217,6 +217,303 @@ export class BranchTests extends BaseTest {
     );
   }
 
+  async testReadBranchPages() {
+    const branch = `pages_${Date.now()}`;
+    await this.memoryManager.createBranch(branch, "Paging test");
+    await this.memoryManager.createEntities(
+      ["Delta", "alpha", "Charlie", "Bravo", "Echo"].map((name) => ({
+        name,
+        entityType: "Station",
+        observations: [`${name} relays signals`],
+      })),
+      branch
+    );
+    await this.memoryManager.createRelations(
+      [
+        { from: "alpha", to: "Echo", relationType: "feeds" },
+        { from: "Delta", to: "alpha", relationType: "feeds" },
+      ],
+      branch
+    );
+
+    const seen = [];
+    const relations = [];
+    for (let offset = 0; offset < 5; offset += 2) {
+      const page = await this.memoryManager.readGraph(
+        branch,
+        undefined,
+        false,
+        undefined,
+        { limit: 2, offset, sortBy: "name" }
+      );
+      this.assertEqual(page.total, 5, "Every page reports the total");
+      seen.push(...page.entities.map((e) => e.name));
+      relations.push(...page.relations.map((r) => r.from));
+    }
+    this.assertEqual(
+      seen.join(","),
+      "alpha,Bravo,Charlie,Delta,Echo",
+      "Pages cover the branch once, case-insensitively by name"
+    );
+    this.assertEqual(
+      relations.sort().join(","),
+      "Delta,alpha",
+      "Each relation comes with the page of its source entity"
+    );
+
+    const whole = await this.memoryManager.readGraph(branch, undefined, false);
+    this.assertArrayLength(whole.entities, 5, "Unpaged reads are unchanged");
+
+    await this.assertThrowsAsync(
+      () =>
+        this.memoryManager.readGraph(branch, undefined, false, undefined, {
+          sortBy: "relevance",
+        }),
+      "only available for search",
+      "Branch reads cannot sort by relevance"
+    );
+  }
+
+  async testReadBranchStatusesAndCrossContext() {
+    const stamp = Date.now();
+    const frontend = "read_frontend_" + stamp;
+    const backend = "read_backend_" + stamp;
+    await this.memoryManager.createBranch(frontend, "Frontend");
+    await this.memoryManager.createBranch(backend, "Backend");
+
+    await this.memoryManager.createEntities(
+      [
+        { name: "LoginForm", entityType: "Component", observations: ["Form"] },
+        { name: "OldForm", entityType: "Component", observations: ["Legacy"] },
+      ],
+      frontend
+    );
+    await this.memoryManager.createEntities(
+      [{ name: "AuthApi", entityType: "Service", observations: ["Tokens"] }],
+      backend
+    );
+    await this.memoryManager.createRelations(
+      [{ from: "OldForm", to: "LoginForm", relationType: "replaced_by" }],
+      frontend
+    );
+    await this.memoryManager.updateEntityStatus(
+      "OldForm",
+      "archived",
+      "Replaced",
+      frontend
+    );
+    await this.memoryManager.createCrossReference(
+      "LoginForm",
+      backend,
+      ["AuthApi"],
+      frontend
+    );
+
+    const graph = await this.memoryManager.readGraph(frontend);
+    this.assertEqual(
+      JSON.stringify(graph.entities.map((e) => e.name)),
+      JSON.stringify(["LoginForm"]),
+      "Archived entities should be filtered out by default"
+    );
+    this.assertArrayLength(
+      graph.relations,
+      0,
+      "Relations to filtered entities should be dropped"
+    );
+    this.assertArrayLength(graph.crossContext.entities, 1);
+    const linked = graph.crossContext.entities[0];
+    this.assertEqual(linked.name, "AuthApi");
+    this.assertEqual(linked.branch, backend);
+    this.assertEqual(JSON.stringify(linked.linkedWith), '["LoginForm"]');
+    this.assertEqual(linked.direction, "outbound");
+
+    const withArchived = await this.memoryManager.readGraph(
+      frontend,
+      ["active", "archived"],
+      false
+    );
+    this.assertArrayLength(withArchived.entities, 2);
+    this.assertArrayLength(withArchived.relations, 1);
+    this.assertFalse(
+      "crossContext" in withArchived,
+      "Cross context should be skipped when disabled"
+    );
+  }
+
+  async testForkDiffAndMerge() {
+    const stamp = Date.now();
+    const parent = "merge_parent_" + stamp;
+    const fork = "merge_fork_" + stamp;
+    await this.memoryManager.createBranch(parent, "Merge parent");
+    await this.memoryManager.createEntities(
+      [
+        { name: "Cache", entityType: "Service", observations: ["Uses Redis"] },
+        { name: "Queue", entityType: "Service", observations: ["Uses SQS"] },
+      ],
+      parent
+    );
+
+    const forked = await this.memoryManager.forkBranch(parent, fork);
+    this.assertEqual(forked.parentBranch, parent, "Fork should know parent");
+    this.assertEqual(forked.entityCount, 2, "Fork should copy entities");
+
+    await this.memoryManager.addObservations(
+      [{ entityName: "Cache", contents: ["Evicts with LRU"] }],
+      fork
+    );
+    await this.memoryManager.addObservations(
+      [{ entityName: "Cache", contents: ["Sized at 2GB"] }],
+      parent
+    );
+    await this.memoryManager.createEntities(
+      [{ name: "Worker", entityType: "Job", observations: ["Drains queue"] }],
+      fork
+    );
+    await this.memoryManager.createRelations(
+      [{ from: "Worker", to: "Cache", relationType: "depends_on" }],
+      fork
+    );
+    await this.memoryManager.deleteEntities(["Queue"], parent);
+
+    const diff = await this.memoryManager.diffBranches(parent, fork);
+    this.assertEqual(
+      JSON.stringify(diff.entities.added.map((e) => e.name).sort()),
+      JSON.stringify(["Queue", "Worker"])
+    );
+    this.assertArrayLength(diff.entities.changed, 1);
+    const cacheChange = diff.entities.changed[0];
+    this.assertEqual(
+      JSON.stringify(cacheChange.addedObservations),
+      '["Evicts with LRU"]'
+    );
+    this.assertEqual(
+      JSON.stringify(cacheChange.removedObservations),
+      '["Sized at 2GB"]'
+    );
+    this.assertArrayLength(diff.relations.added, 1);
+
+    const result = await this.memoryManager.mergeBranch(fork, parent, "union");
+    this.assertEqual(
+      JSON.stringify(result.conflicts.map((c) => c.name).sort()),
+      JSON.stringify(["Cache", "Queue"]),
+      "Changed entities and entities deleted in the parent are conflicts"
+    );
+    this.assertEqual(JSON.stringify(result.added), '["Worker"]');
+    this.assertArrayLength(result.relationsAdded, 1);
+    this.assertEqual(
+      await this.memoryManager.findEntityByName("Queue", parent),
+      null,
+      "Union should not resurrect entities deleted in the parent"
+    );
+
+    const cache = await this.memoryManager.findEntityByName("Cache", parent);
+    this.assertEqual(
+      JSON.stringify([...cache.observations].sort()),
+      JSON.stringify(["Evicts with LRU", "Sized at 2GB", "Uses Redis"]),
+      "Union should keep observations from both sides"
+    );
+
+    await this.memoryManager.addObservations(
+      [{ entityName: "Cache", contents: ["Parent only"] }],
+      parent
+    );
+    await this.memoryManager.mergeBranch(fork, parent, "theirs");
+    const theirs = await this.memoryManager.findEntityByName("Cache", parent);
+    this.assertEqual(
+      JSON.stringify([...theirs.observations].sort()),
+      JSON.stringify([
+        "Evicts with LRU",
+        "Parent only",
+        "Sized at 2GB",
+        "Uses Redis",
+      ]),
+      "Theirs should take the source's changes, not undo the parent's"
+    );
+  }
+
+  async testThreeWayMerge() {
+    const stamp = Date.now();
+    const parent = "three_way_parent_" + stamp;
+    const fork = "three_way_fork_" + stamp;
+    await this.memoryManager.createBranch(parent, "Three-way parent");
+    await this.memoryManager.createEntities(
+      [
+        { name: "Api", entityType: "Service", observations: ["Serves v1"] },
+        { name: "Db", entityType: "Database", observations: ["Postgres"] },
+        { name: "Log", entityType: "Service", observations: ["Ships logs"] },
+      ],
+      parent
+    );
+    await this.memoryManager.forkBranch(parent, fork);
+
+    // Both sides change Api; only the fork changes Db, only the parent Log
+    await this.memoryManager.deleteObservations(
+      [{ entityName: "Api", observations: ["Serves v1"] }],
+      fork
+    );
+    await this.memoryManager.addObservations(
+      [
+        { entityName: "Api", contents: ["Serves v2"] },
+        { entityName: "Db", contents: ["Indexed by tenant"] },
+      ],
+      fork
+    );
+    await this.memoryManager.updateEntityStatus(
+      "Api",
+      "deprecated",
+      "Replaced by ApiV2",
+      fork
+    );
+    await this.memoryManager.addObservations(
+      [
+        { entityName: "Api", contents: ["Parent note"] },
+        { entityName: "Log", contents: ["Rotated daily"] },
+      ],
+      parent
+    );
+
+    const result = await this.memoryManager.mergeBranch(fork, parent, "theirs");
+    this.assertEqual(
+      JSON.stringify(result.conflicts.map((c) => c.name)),
+      '["Api"]',
+      "Only entities changed on both sides since the fork are conflicts"
+    );
+
+    const api = await this.memoryManager.findEntityByName("Api", parent);
+    this.assertEqual(
+      JSON.stringify([...api.observations].sort()),
+      JSON.stringify(["Parent note", "Serves v2"]),
+      "The parent's additions survive and the fork's removals apply"
+    );
+    this.assertEqual(api.status, "deprecated");
+    this.assertEqual(
+      api.statusReason,
+      "Replaced by ApiV2",
+      "The status reason is merged"
+    );
+    const db = await this.memoryManager.findEntityByName("Db", parent);
+    this.assertContains(db.observations, "Indexed by tenant");
+    const log = await this.memoryManager.findEntityByName("Log", parent);
+    this.assertContains(
+      log.observations,
+      "Rotated daily",
+      "Entities only the parent changed are left alone"
+    );
+
+    // Changes already merged are shared, and changes made only in the
+    // fork apply even with "ours"
+    await this.memoryManager.addObservations(
+      [{ entityName: "Db", contents: ["Replicated"] }],
+      fork
+    );
+    const ours = await this.memoryManager.mergeBranch(fork, parent, "ours");
+    this.assertArrayLength(ours.conflicts, 0);
+    this.assertContains(
+      (await this.memoryManager.findEntityByName("Db", parent)).observations,
+      "Replicated"
+    );
+  }
+
   async runAllTests() {
     await this.runTest("Create Branch", () => this.testCreateBranch());
     await this.runTest("Create Branch Without Purpose", () =>
@@ -233,6 +530,14 @@ export class BranchTests extends BaseTest {
     );
     await this.runTest("Branch Naming", () => this.testBranchNaming());
     await this.runTest("Branch Statistics", () => this.testBranchStatistics());
+    await this.runTest("Read Branch Statuses and Cross Context", () =>
+      this.testReadBranchStatusesAndCrossContext()
+    );
+    await this.runTest("Fork, Diff and Merge", () =>
+      this.testForkDiffAndMerge()
+    );
+    await this.runTest("Three-Way Merge", () => this.testThreeWayMerge());
+    await this.runTest("Read Branch Pages", () => this.testReadBranchPages());
 
     return this.getResults();
   }
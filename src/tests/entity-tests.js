@@ -265,6 +265,50 @@ export class EntityTests extends BaseTest {
     );
   }
 
+  async testDeleteObservations() {
+    const branchName = "delete_obs_" + Date.now();
+    await this.memoryManager.createBranch(branchName, "Observation deletion");
+    await this.memoryManager.createEntities(
+      [
+        {
+          name: "ObsOwner",
+          entityType: "TestType",
+          observations: ["Keep me", "Drop me"],
+        },
+      ],
+      branchName
+    );
+
+    const results = await this.memoryManager.deleteObservations(
+      [
+        { entityName: "ObsOwner", observations: ["Drop me", "Never stored"] },
+        { entityName: "MissingOwner", observations: ["Anything"] },
+      ],
+      branchName
+    );
+    this.assertEqual(results[0].deleted, 1, "Only stored rows are counted");
+    this.assertEqual(
+      JSON.stringify(results[0].deletedObservations),
+      JSON.stringify(["Drop me"])
+    );
+    this.assertEqual(
+      JSON.stringify(results[0].notFound),
+      JSON.stringify(["Never stored"]),
+      "Observations that do not exist are reported"
+    );
+    this.assertFalse(results[1].found, "Missing entities are reported");
+    this.assertEqual(results[1].deleted, 0);
+
+    const entity = await this.memoryManager.findEntityByName(
+      "ObsOwner",
+      branchName
+    );
+    this.assertEqual(
+      JSON.stringify(entity.observations),
+      JSON.stringify(["Keep me"])
+    );
+  }
+
   async testEntityStatusUpdate() {
     // Create entity
     const entity = this.generateTestEntity("StatusUpdateTest", "TestType", [
@@ -386,6 +430,238 @@ export class EntityTests extends BaseTest {
     );
   }
 
+  async testEntityHistoryAndRevert() {
+    const branchName = "history_" + Date.now();
+    const name = "HistoryEntity";
+    const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+    await this.memoryManager.createBranch(branchName, "Version history");
+
+    await this.memoryManager.createEntities(
+      [{ name, entityType: "Service", observations: ["First fact"] }],
+      branchName
+    );
+    await tick();
+    const afterCreate = new Date().toISOString();
+    await tick();
+
+    await this.memoryManager.addObservations(
+      [{ entityName: name, contents: ["Second fact"] }],
+      branchName
+    );
+    await this.memoryManager.updateEntityStatus(
+      name,
+      "deprecated",
+      "Superseded",
+      branchName
+    );
+    await this.memoryManager.deleteEntities([name], branchName);
+
+    const history = await this.memoryManager.getEntityHistory(name, branchName);
+    this.assertEqual(
+      JSON.stringify(history.map((v) => v.operation)),
+      JSON.stringify(["delete", "status_change", "add_observations", "create"]),
+      "Every change should be recorded, newest first"
+    );
+    this.assertEqual(history[0].version, 4);
+    this.assertArrayLength(history[1].observations, 2);
+
+    const past = await this.memoryManager.readGraph(
+      branchName,
+      undefined,
+      true,
+      afterCreate
+    );
+    this.assertArrayLength(past.entities, 1, "Entity existed after creation");
+    this.assertEqual(
+      JSON.stringify(past.entities[0].observations),
+      '["First fact"]',
+      "as_of should return the observations of that time"
+    );
+    const now = await this.memoryManager.readGraph(branchName);
+    this.assertArrayLength(now.entities, 0, "Entity is deleted now");
+
+    const reverted = await this.memoryManager.revertEntity(name, 2, branchName);
+    this.assertEqual(reverted.status, "active");
+    this.assertArrayLength(reverted.observations, 2);
+    const restored = await this.memoryManager.findEntityByName(
+      name,
+      branchName
+    );
+    this.assertExists(restored, "Revert should recreate a deleted entity");
+
+    const afterRevert = await this.memoryManager.getEntityHistory(
+      name,
+      branchName,
+      1
+    );
+    this.assertEqual(afterRevert[0].operation, "revert");
+    await this.assertThrowsAsync(
+      () => this.memoryManager.revertEntity(name, 4, branchName),
+      "records its deletion"
+    );
+  }
+
+  async testEntityAliases() {
+    const branchName = "aliases_" + Date.now();
+    await this.memoryManager.createBranch(branchName, "Alias resolution");
+    const [created] = await this.memoryManager.createEntities(
+      [
+        {
+          name: "JWT Authentication Service",
+          entityType: "Service",
+          observations: ["Signs access tokens"],
+          aliases: ["JwtAuthService"],
+        },
+        { name: "LoginForm", entityType: "Component", observations: ["UI"] },
+      ],
+      branchName
+    );
+    this.assertEqual(JSON.stringify(created.aliases), '["JwtAuthService"]');
+
+    const update = await this.memoryManager.updateEntityAliases(
+      "JwtAuthService",
+      ["JWT svc", "LoginForm"],
+      [],
+      branchName
+    );
+    this.assertEqual(JSON.stringify(update.added), '["JWT svc"]');
+    this.assertEqual(
+      update.skipped[0].alias,
+      "LoginForm",
+      "An alias clashing with an entity name should be skipped"
+    );
+
+    const found = await this.memoryManager.findEntityByName(
+      "jwt SVC",
+      branchName
+    );
+    this.assertEqual(found.name, "JWT Authentication Service");
+    const opened = await this.memoryManager.openNodes(["JWT svc"], branchName);
+    this.assertEqual(opened.entities[0].name, "JWT Authentication Service");
+
+    const relations = await this.memoryManager.createRelations(
+      [{ from: "LoginForm", to: "JWT svc", relationType: "calls" }],
+      branchName
+    );
+    this.assertArrayLength(relations, 1, "Relation to an alias should land");
+    this.assertEqual(
+      relations[0].to,
+      "JWT Authentication Service",
+      "Created relation should use the canonical name"
+    );
+    const graph = await this.memoryManager.exportBranch(branchName);
+    this.assertEqual(graph.relations[0].to, "JWT Authentication Service");
+
+    const search = await this.memoryManager.searchEntities(
+      "JWT svc",
+      branchName
+    );
+    this.assertEqual(search.entities[0].name, "JWT Authentication Service");
+
+    const removed = await this.memoryManager.updateEntityAliases(
+      "JWT Authentication Service",
+      [],
+      ["jwt svc"],
+      branchName
+    );
+    this.assertEqual(JSON.stringify(removed.removed), '["JWT svc"]');
+    const gone = await this.memoryManager.findEntityByName(
+      "JWT svc",
+      branchName
+    );
+    this.assertEqual(gone, null, "Removed alias should no longer resolve");
+  }
+
+  async testObservationRoundTrip() {
+    const branchName = "round_trip_" + Date.now();
+    await this.memoryManager.createBranch(branchName, "Observation text");
+    const observations = [
+      "uses a | b pipes",
+      "Zeta comes first",
+      "alpha, with a comma",
+    ];
+    await this.memoryManager.createEntities(
+      [{ name: "PipeParser", entityType: "Parser", observations }],
+      branchName
+    );
+    await this.memoryManager.addObservations(
+      [{ entityName: "PipeParser", contents: ["added | later"] }],
+      branchName
+    );
+
+    const expected = JSON.stringify([...observations, "added | later"]);
+    const found = await this.memoryManager.findEntityByName(
+      "PipeParser",
+      branchName
+    );
+    this.assertEqual(
+      JSON.stringify(found.observations),
+      expected,
+      "Observations should come back whole and in the order they were added"
+    );
+    const graph = await this.memoryManager.readGraph(branchName);
+    this.assertEqual(JSON.stringify(graph.entities[0].observations), expected);
+    const search = await this.memoryManager.searchEntities("pipes", branchName);
+    this.assertEqual(JSON.stringify(search.entities[0].observations), expected);
+  }
+
+  async testLosslessObservationStorage() {
+    const branchName = "lossless_" + Date.now();
+    await this.memoryManager.createBranch(branchName, "Verbatim storage");
+    const text = "The session service is used for login and token refresh";
+    await this.memoryManager.createEntities(
+      [{ name: "SessionService", entityType: "Service", observations: [text] }],
+      branchName
+    );
+    await this.memoryManager.addObservations(
+      [
+        {
+          entityName: "SessionService",
+          contents: ["It is stateless and fast"],
+        },
+      ],
+      branchName
+    );
+
+    const entity = await this.memoryManager.findEntityByName(
+      "SessionService",
+      branchName
+    );
+    this.assertEqual(
+      JSON.stringify(entity.observations),
+      JSON.stringify([text, "It is stateless and fast"]),
+      "Observations should be stored verbatim"
+    );
+    this.assertEqual(this.memoryManager.getContentView(branchName), "original");
+
+    const graph = await this.memoryManager.readGraph(branchName);
+    await this.memoryManager.applyContentView(graph, branchName, "optimized");
+    const optimized = graph.entities[0].observations;
+    this.assertArrayLength(optimized, 2);
+    this.assertTrue(
+      optimized[0] !== text && optimized[0].length < text.length,
+      "Optimized view should return the compressed form"
+    );
+
+    // Status updates rewrite observations; the verbatim text must survive
+    await this.memoryManager.updateEntityStatus(
+      "SessionService",
+      "deprecated",
+      "Replaced",
+      branchName
+    );
+    const updated = await this.memoryManager.findEntityByName(
+      "SessionService",
+      branchName
+    );
+    this.assertEqual(updated.observations[0], text);
+
+    await this.assertThrowsAsync(
+      () => this.memoryManager.applyContentView(graph, branchName, "short"),
+      "content_view must be"
+    );
+  }
+
   async runAllTests() {
     await this.runTest("Create Single Entity", () =>
       this.testCreateSingleEntity()
@@ -413,6 +689,9 @@ export class EntityTests extends BaseTest {
       this.testDeleteNonexistentEntity()
     );
     await this.runTest("Add Observations", () => this.testAddObservations());
+    await this.runTest("Delete Observations", () =>
+      this.testDeleteObservations()
+    );
     await this.runTest("Entity Status Update", () =>
       this.testEntityStatusUpdate()
     );
@@ -422,6 +701,16 @@ export class EntityTests extends BaseTest {
     await this.runTest("Large Observation Set", () =>
       this.testLargeObservationSet()
     );
+    await this.runTest("Entity History and Revert", () =>
+      this.testEntityHistoryAndRevert()
+    );
+    await this.runTest("Entity Aliases", () => this.testEntityAliases());
+    await this.runTest("Observation Round Trip", () =>
+      this.testObservationRoundTrip()
+    );
+    await this.runTest("Lossless Observation Storage", () =>
+      this.testLosslessObservationStorage()
+    );
 
     return this.getResults();
   }
@@ -3,6 +3,15 @@
  * Tests for cross-references, relationships, and entity connections
  */
 
+import {
+  CompletionHandlers,
+  EntityHandlers,
+  RelationHandlers,
+  ResourceHandlers,
+} from "../dist/modules/handlers/index.js";
+import { RelationshipJobs } from "../dist/modules/relationship-jobs.js";
+import { ModernSimilarityEngine } from "../dist/modules/similarity/similarity-engine.js";
+import { SimilarityWorkerPool } from "../dist/modules/similarity/similarity-worker-pool.js";
 import { BaseTest } from "./base-test.js";
 
 export class RelationshipTests extends BaseTest {
@@ -435,6 +444,1242 @@ export class RelationshipTests extends BaseTest {
     );
   }
 
+  async testCreateAndDeleteRelations() {
+    const branchName = "manual_relations_" + Date.now();
+    await this.memoryManager.createBranch(branchName, "Manual relations");
+
+    const service = "RelService_" + Date.now();
+    const gateway = "RelGateway_" + Date.now();
+    await this.memoryManager.createEntities(
+      [
+        { name: service, entityType: "Service", observations: ["Caller"] },
+        { name: gateway, entityType: "Gateway", observations: ["Callee"] },
+      ],
+      branchName
+    );
+
+    const created = await this.memoryManager.createRelations(
+      [
+        { from: service, to: gateway, relationType: "calls" },
+        { from: service, to: "Missing_" + Date.now(), relationType: "calls" },
+      ],
+      branchName
+    );
+    this.assertArrayLength(
+      created,
+      1,
+      "Only the relation with existing endpoints should be created"
+    );
+
+    let graph = await this.memoryManager.exportBranch(branchName);
+    this.assertTrue(
+      graph.relations.some(
+        (r) =>
+          r.from === service && r.to === gateway && r.relationType === "calls"
+      ),
+      "Relation should be stored in the branch"
+    );
+
+    const { deleted, notFound } = await this.memoryManager.deleteRelations(
+      [
+        { from: service, to: gateway, relationType: "calls" },
+        { from: gateway, to: service, relationType: "calls" },
+      ],
+      branchName
+    );
+    this.assertArrayLength(deleted, 1, "Only existing relations are deleted");
+    this.assertEqual(deleted[0].from, service);
+    this.assertArrayLength(notFound, 1, "Missing relations are reported");
+    this.assertEqual(notFound[0].from, gateway);
+    graph = await this.memoryManager.exportBranch(branchName);
+    this.assertArrayLength(
+      graph.relations,
+      0,
+      "Relation should be removed after deletion"
+    );
+  }
+
+  async testEntityNameCompletion() {
+    const branchName = "completion_" + Date.now();
+    await this.memoryManager.createBranch(branchName, "Completion lookups");
+    await this.memoryManager.createEntities(
+      [
+        { name: "Payment_Gateway", entityType: "Service", observations: ["a"] },
+        { name: "PaymentQueue", entityType: "Queue", observations: ["b"] },
+        { name: "Ledger", entityType: "Service", observations: ["c"] },
+      ],
+      branchName
+    );
+
+    const names = await this.memoryManager.listEntityNames("pay", branchName);
+    this.assertArrayLength(names, 2, "Prefix should match two entities");
+    this.assertContains(names, "PaymentQueue", "Should complete PaymentQueue");
+
+    const literal = await this.memoryManager.listEntityNames(
+      "Payment_",
+      branchName
+    );
+    this.assertArrayLength(
+      literal,
+      1,
+      "Underscore in the prefix should be matched literally"
+    );
+
+    const unknown = await this.memoryManager.listEntityNames(
+      "pay",
+      "no_such_branch_" + Date.now()
+    );
+    this.assertArrayLength(unknown, 0, "Unknown branch should yield no names");
+
+    // Completion reaches names through the resource templates only
+    const completion = new CompletionHandlers(this.memoryManager);
+    const entityTemplate =
+      "memory://branches/{branch_name}/entities/{entity_name}";
+    const completed = await completion.handleComplete({
+      ref: { type: "ref/resource", uri: entityTemplate },
+      argument: { name: "entity_name", value: "pay" },
+      context: { arguments: { branch_name: branchName } },
+    });
+    this.assertArrayLength(
+      completed.completion.values,
+      2,
+      "Entity names complete within the branch in the URI"
+    );
+    const branches = await completion.handleComplete({
+      ref: { type: "ref/resource", uri: "memory://branches/{branch_name}" },
+      argument: { name: "branch_name", value: "completion_" },
+    });
+    this.assertContains(branches.completion.values, branchName);
+    const prompt = await completion.handleComplete({
+      ref: { type: "ref/prompt", name: "create_relations" },
+      argument: { name: "from", value: "pay" },
+    });
+    this.assertArrayLength(
+      prompt.completion.values,
+      0,
+      "There are no prompts to complete"
+    );
+
+    const resources = new ResourceHandlers(this.memoryManager);
+    const read = await resources.handleReadResource({
+      uri: `memory://branches/${branchName}/entities/Payment_Gateway`,
+    });
+    this.assertEqual(
+      JSON.parse(read.contents[0].text).entities[0].name,
+      "Payment_Gateway",
+      "Entities are readable through the template"
+    );
+  }
+
+  async testCrossContextResolution() {
+    const stamp = Date.now();
+    const frontend = "xctx_frontend_" + stamp;
+    const backend = "xctx_backend_" + stamp;
+    await this.memoryManager.createBranch(frontend, "Frontend");
+    await this.memoryManager.createBranch(backend, "Backend");
+
+    await this.memoryManager.createEntities(
+      [{ name: "CheckoutPage", entityType: "Page", observations: ["UI"] }],
+      frontend
+    );
+    await this.memoryManager.createEntities(
+      [
+        { name: "OrderApi", entityType: "Service", observations: ["Orders"] },
+        { name: "OrderTable", entityType: "Table", observations: ["Rows"] },
+        { name: "OrderDocs", entityType: "Doc", observations: ["Guide"] },
+      ],
+      backend
+    );
+    await this.memoryManager.createRelations(
+      [{ from: "OrderApi", to: "OrderTable", relationType: "stores_in" }],
+      backend
+    );
+    await this.memoryManager.createCrossReference(
+      "CheckoutPage",
+      backend,
+      ["OrderApi"],
+      frontend
+    );
+    // Inbound: a backend entity points at the frontend page
+    await this.memoryManager.createCrossReference(
+      "OrderDocs",
+      frontend,
+      ["CheckoutPage"],
+      backend
+    );
+
+    const context = await this.memoryManager.getCrossContext(
+      ["CheckoutPage"],
+      frontend
+    );
+    this.assertArrayLength(context.entities, 2, "Both links should resolve");
+
+    const api = context.entities.find((e) => e.name === "OrderApi");
+    this.assertExists(api, "Outbound target should be resolved");
+    this.assertEqual(api.branch, backend);
+    this.assertEqual(api.direction, "outbound");
+    this.assertEqual(JSON.stringify(api.linkedWith), '["CheckoutPage"]');
+    this.assertTrue(
+      api.relations.some(
+        (r) => r.to === "OrderTable" && r.relationType === "stores_in"
+      ),
+      "Relations inside the target branch should be attached"
+    );
+
+    const docs = context.entities.find((e) => e.name === "OrderDocs");
+    this.assertExists(docs, "Inbound reference should be resolved");
+    this.assertEqual(docs.direction, "inbound");
+    this.assertFalse(
+      context.entities.some((e) => e.name === "OrderTable"),
+      "Unlinked entities should not be pulled in"
+    );
+  }
+
+  async testRenameAndMoveEntities() {
+    const stamp = Date.now();
+    const source = "move_source_" + stamp;
+    const target = "move_target_" + stamp;
+    const docs = "move_docs_" + stamp;
+    for (const branch of [source, target, docs]) {
+      await this.memoryManager.createBranch(branch, "Rename and move");
+    }
+    await this.memoryManager.createEntities(
+      [
+        { name: "TokenSvc", entityType: "Service", observations: ["JWT"] },
+        { name: "TokenStore", entityType: "Store", observations: ["Redis"] },
+        { name: "AuditLog", entityType: "Log", observations: ["Writes"] },
+      ],
+      source
+    );
+    await this.memoryManager.createEntities(
+      [{ name: "AuditLog", entityType: "Log", observations: ["Copy"] }],
+      target
+    );
+    await this.memoryManager.createEntities(
+      [{ name: "AuthGuide", entityType: "Doc", observations: ["How to"] }],
+      docs
+    );
+    await this.memoryManager.createRelations(
+      [
+        { from: "TokenSvc", to: "TokenStore", relationType: "stores_in" },
+        { from: "TokenSvc", to: "AuditLog", relationType: "calls" },
+      ],
+      source
+    );
+    await this.memoryManager.createCrossReference(
+      "AuthGuide",
+      source,
+      ["TokenSvc"],
+      docs
+    );
+
+    const renamed = await this.memoryManager.renameEntity(
+      "TokenSvc",
+      "TokenIssuer",
+      source
+    );
+    this.assertEqual(renamed.name, "TokenIssuer");
+    const afterRename = await this.memoryManager.exportBranch(source);
+    this.assertArrayLength(
+      afterRename.relations.filter((r) => r.from === "TokenIssuer"),
+      2,
+      "Relations should follow the renamed entity"
+    );
+    let guide = await this.memoryManager.findEntityByName("AuthGuide", docs);
+    this.assertEqual(
+      JSON.stringify(guide.crossRefs[0].entityNames),
+      '["TokenIssuer"]',
+      "Incoming cross-references should use the new name"
+    );
+    const found = await this.memoryManager.searchEntities(
+      "TokenIssuer",
+      source
+    );
+    this.assertTrue(
+      found.entities.some((e) => e.name === "TokenIssuer"),
+      "Renamed entity should be searchable by its new name"
+    );
+
+    const result = await this.memoryManager.moveEntities(
+      ["TokenIssuer", "Missing"],
+      source,
+      target
+    );
+    this.assertEqual(JSON.stringify(result.moved), '["TokenIssuer"]');
+    this.assertEqual(result.skipped[0].name, "Missing");
+    this.assertEqual(
+      JSON.stringify(result.movedRelations.map((r) => r.to)),
+      '["AuditLog"]',
+      "Relation should land on the target branch's AuditLog"
+    );
+    this.assertEqual(
+      JSON.stringify(result.unmovedRelations.map((r) => r.to)),
+      '["TokenStore"]',
+      "Relation to an entity missing from the target should be reported"
+    );
+
+    const moved = await this.memoryManager.findEntityByName(
+      "TokenIssuer",
+      target
+    );
+    this.assertEqual(
+      JSON.stringify(moved.crossRefs),
+      JSON.stringify([{ memoryBranch: source, entityNames: ["TokenStore"] }]),
+      "Unmoved relation should be kept as a cross-reference"
+    );
+    guide = await this.memoryManager.findEntityByName("AuthGuide", docs);
+    this.assertEqual(
+      guide.crossRefs[0].memoryBranch,
+      target,
+      "Incoming cross-references should follow the move"
+    );
+  }
+
+  async testMoveRelationTarget() {
+    const stamp = Date.now();
+    const source = "move_to_source_" + stamp;
+    const target = "move_to_target_" + stamp;
+    for (const branch of [source, target]) {
+      await this.memoryManager.createBranch(branch, "Move relation targets");
+    }
+    await this.memoryManager.createEntities(
+      [
+        { name: "Caller", entityType: "Service", observations: ["Calls"] },
+        { name: "Callee", entityType: "Service", observations: ["Answers"] },
+      ],
+      source
+    );
+    await this.memoryManager.createRelations(
+      [{ from: "Caller", to: "Callee", relationType: "calls" }],
+      source
+    );
+
+    await this.memoryManager.moveEntities(["Callee"], source, target);
+    const caller = await this.memoryManager.findEntityByName("Caller", source);
+    this.assertEqual(
+      JSON.stringify(caller.crossRefs),
+      JSON.stringify([{ memoryBranch: target, entityNames: ["Callee"] }]),
+      "Cross-reference should point at the moved relation target"
+    );
+    const context = await this.memoryManager.getCrossContext(
+      ["Caller"],
+      source
+    );
+    this.assertEqual(
+      JSON.stringify(context.entities.map((e) => [e.name, e.branch])),
+      JSON.stringify([["Callee", target]]),
+      "Cross context should reach the moved entity"
+    );
+
+    const result = await this.memoryManager.moveEntities(
+      ["Caller"],
+      source,
+      target
+    );
+    this.assertEqual(
+      JSON.stringify(result.movedRelations),
+      JSON.stringify([{ from: "Caller", to: "Callee", relationType: "calls" }]),
+      "Moving the other end back together should restore the relation"
+    );
+    const exported = await this.memoryManager.exportBranch(target);
+    this.assertArrayLength(exported.relations, 1);
+    const reunited = await this.memoryManager.findEntityByName(
+      "Caller",
+      target
+    );
+    this.assertArrayLength(
+      reunited.crossRefs || [],
+      0,
+      "Restored relation should no longer be a cross-reference"
+    );
+  }
+
+  async testCreateRelationsThroughAliases() {
+    const branch = "relation_aliases_" + Date.now();
+    await this.memoryManager.createBranch(branch, "Relations by alias");
+    await this.memoryManager.createEntities(
+      [
+        {
+          name: "Payment Gateway",
+          entityType: "Service",
+          observations: ["Charges cards"],
+          aliases: ["PayGW"],
+        },
+        { name: "Checkout", entityType: "Flow", observations: ["Pays"] },
+      ],
+      branch
+    );
+
+    const handlers = new RelationHandlers(this.memoryManager);
+    const response = await handlers.handleCreateRelations({
+      relations: [
+        { from: "Checkout", to: "PayGW", relationType: "calls" },
+        { from: "Checkout", to: "Nowhere", relationType: "calls" },
+      ],
+      branch_name: branch,
+    });
+    const result = JSON.parse(response.content[0].text);
+    this.assertEqual(
+      JSON.stringify(result.created_relations),
+      JSON.stringify([
+        { from: "Checkout", to: "Payment Gateway", relationType: "calls" },
+      ]),
+      "Relations created through an alias should use canonical names"
+    );
+    this.assertEqual(
+      JSON.stringify(result.skipped_relations.map((r) => r.to)),
+      '["Nowhere"]',
+      "Only the relation with a missing endpoint should be skipped"
+    );
+  }
+
+  async testFindAndMergeDuplicates() {
+    const stamp = Date.now();
+    const branch = "duplicates_" + stamp;
+    const docs = "duplicates_docs_" + stamp;
+    await this.memoryManager.createBranch(branch, "Duplicate detection");
+    await this.memoryManager.createBranch(docs, "Links into duplicates");
+    await this.memoryManager.createEntities(
+      [
+        {
+          name: "Authentication Service",
+          entityType: "Service",
+          observations: ["Issues JWT tokens", "Validates user sessions"],
+        },
+        {
+          name: "AuthService",
+          entityType: "Service",
+          observations: ["Issues JWT tokens", "Refreshes expired tokens"],
+        },
+        {
+          name: "Auth Service",
+          entityType: "Service",
+          observations: ["Validates user sessions"],
+        },
+        {
+          name: "Billing Ledger",
+          entityType: "Store",
+          observations: ["Stores invoices"],
+        },
+        { name: "LoginForm", entityType: "Component", observations: ["UI"] },
+      ],
+      branch
+    );
+    await this.memoryManager.createEntities(
+      [{ name: "AuthGuide", entityType: "Doc", observations: ["How to"] }],
+      docs
+    );
+    await this.memoryManager.createRelations(
+      [
+        { from: "LoginForm", to: "AuthService", relationType: "calls" },
+        { from: "LoginForm", to: "Auth Service", relationType: "calls" },
+        { from: "Auth Service", to: "Billing Ledger", relationType: "uses" },
+        { from: "AuthService", to: "Auth Service", relationType: "similar_to" },
+      ],
+      branch
+    );
+    await this.memoryManager.createCrossReference(
+      "AuthGuide",
+      branch,
+      ["AuthService"],
+      docs
+    );
+
+    const engine = new ModernSimilarityEngine();
+    const graph = await this.memoryManager.readGraph(branch, undefined, false);
+    const clusters = await engine.findDuplicateClusters(graph.entities);
+    this.assertArrayLength(clusters, 1, "Should find one duplicate cluster");
+    this.assertEqual(
+      JSON.stringify([...clusters[0].entities].sort()),
+      '["Auth Service","AuthService","Authentication Service"]',
+      "Cluster should hold the three auth service variants"
+    );
+    this.assertEqual(clusters[0].suggestedKeep, "Authentication Service");
+    const narrowed = await engine.findDuplicateClusters(
+      graph.entities,
+      0.8,
+      (entity) =>
+        this.memoryManager.findRelationCandidates(
+          entity.name,
+          branch,
+          undefined,
+          50
+        )
+    );
+    this.assertArrayLength(narrowed, 1);
+    this.assertEqual(
+      JSON.stringify([...narrowed[0].entities].sort()),
+      JSON.stringify([...clusters[0].entities].sort()),
+      "Keyword neighbours should still pair up the duplicates"
+    );
+    this.assertArrayLength(
+      await engine.findDuplicateClusters(graph.entities, 0.8, () => []),
+      0,
+      "Only candidate pairs should be compared"
+    );
+
+    const result = await this.memoryManager.mergeEntities(
+      "Authentication Service",
+      ["AuthService", "Auth Service", "Missing"],
+      branch
+    );
+    this.assertEqual(
+      JSON.stringify(result.kept.observations),
+      JSON.stringify([
+        "Issues JWT tokens",
+        "Validates user sessions",
+        "Refreshes expired tokens",
+      ]),
+      "Observations should be combined without duplicates"
+    );
+    this.assertEqual(result.skipped[0].name, "Missing");
+    this.assertEqual(
+      JSON.stringify(result.aliases),
+      '["AuthService","Auth Service"]',
+      "Merged-away names should become aliases"
+    );
+
+    const after = await this.memoryManager.exportBranch(branch);
+    this.assertArrayLength(after.entities, 3, "Merged entities should be gone");
+    this.assertEqual(
+      JSON.stringify(
+        after.relations.map((r) => `${r.from}>${r.relationType}>${r.to}`).sort()
+      ),
+      JSON.stringify([
+        "Authentication Service>uses>Billing Ledger",
+        "LoginForm>calls>Authentication Service",
+      ]),
+      "Relations should be re-pointed and de-duplicated"
+    );
+    const guide = await this.memoryManager.findEntityByName("AuthGuide", docs);
+    this.assertEqual(
+      JSON.stringify(guide.crossRefs[0].entityNames),
+      '["Authentication Service"]',
+      "Incoming cross-references should point at the kept entity"
+    );
+  }
+
+  async testStatedRelations() {
+    const engine = new ModernSimilarityEngine();
+    const entity = (name, observations = [], aliases) => ({
+      name,
+      entityType: "Service",
+      observations,
+      ...(aliases && { aliases }),
+    });
+    const others = [
+      entity("PaymentGateway"),
+      entity("Redis"),
+      entity("AuthService"),
+      entity("UserStore"),
+      entity("PaymentProvider"),
+      entity("LegacyBilling"),
+      entity("CheckoutFlow"),
+      entity("FontLoader"),
+      entity("Postgres", [], ["PG"]),
+    ];
+    const stated = (observations) =>
+      engine
+        .extractStatedRelations(entity("OrderService", observations), others)
+        .map((r) => `${r.from} ${r.relationType} ${r.to}`);
+
+    this.assertEqual(
+      JSON.stringify(stated(["Calls PaymentGateway to charge cards"])),
+      JSON.stringify(["OrderService calls PaymentGateway"]),
+      "A verb before a name gives a typed relation"
+    );
+    this.assertEqual(
+      JSON.stringify(stated(["Uses Redis for caching"])),
+      JSON.stringify(["OrderService stores_in Redis"]),
+      "Using something for caching is storing in it"
+    );
+    this.assertEqual(
+      JSON.stringify(stated(["Depends on the AuthService and UserStore"])),
+      JSON.stringify([
+        "OrderService depends_on AuthService",
+        "OrderService depends_on UserStore",
+      ]),
+      "A verb carries over a list of names"
+    );
+    this.assertEqual(
+      JSON.stringify(
+        stated([
+          "Implements the PaymentProvider interface. Replaces LegacyBilling",
+          "Writes orders to PG",
+        ])
+      ),
+      JSON.stringify([
+        "OrderService implements PaymentProvider",
+        "OrderService replaces LegacyBilling",
+        "OrderService stores_in Postgres",
+      ]),
+      "Each clause is read on its own, and aliases count as mentions"
+    );
+    this.assertEqual(
+      JSON.stringify(
+        stated([
+          "Is called by CheckoutFlow",
+          "CheckoutFlow calls PaymentGateway after that",
+        ])
+      ),
+      JSON.stringify([
+        "CheckoutFlow calls OrderService",
+        "CheckoutFlow calls PaymentGateway",
+      ]),
+      "Passives and other subjects set the direction"
+    );
+    this.assertArrayLength(
+      stated(["Unlike FontLoader it has no UI", "Mentions RedisCluster"]),
+      0,
+      "Names without a relation verb, or inside longer words, are ignored"
+    );
+    this.assertArrayLength(
+      stated([
+        "OrderService does not use Redis anymore",
+        "No longer calls LegacyBilling",
+        "Never talks to PaymentGateway",
+        "Stopped using AuthService and UserStore",
+        "Doesn't implement PaymentProvider",
+        "Runs without Postgres",
+      ]),
+      0,
+      "Negated verbs state no relation"
+    );
+    this.assertEqual(
+      JSON.stringify(
+        stated(["No longer calls LegacyBilling but calls PaymentGateway"])
+      ),
+      JSON.stringify(["OrderService calls PaymentGateway"]),
+      "A negation covers only its own verb"
+    );
+    const [relation] = engine.extractStatedRelations(
+      entity("OrderService", ["Ships orders. Uses Redis for caching; fast"]),
+      others
+    );
+    this.assertEqual(
+      relation.evidence,
+      "Uses Redis for caching",
+      "The clause stating the relation is its evidence"
+    );
+
+    // Similarity detection takes the type from what the observations say
+    const [match] = await engine.detectSimilarEntities(
+      entity("PaymentGatewayV2", [
+        "Charges cards through Stripe, replaces PaymentGateway",
+      ]),
+      [entity("PaymentGateway", ["Charges cards through Stripe"])]
+    );
+    this.assertEqual(match.suggestedRelationType, "replaces");
+    this.assertEqual(
+      match.evidence,
+      "Charges cards through Stripe, replaces PaymentGateway"
+    );
+
+    // Suggestions keep their evidence for review
+    const branchName = "stated_" + Date.now();
+    await this.memoryManager.createBranch(branchName, "Stated relations");
+    await this.memoryManager.createEntities(
+      [
+        entity("OrderService", ["Calls PaymentGateway"]),
+        entity("PaymentGateway"),
+      ],
+      branchName
+    );
+    this.memoryManager.recordRelationSuggestions("OrderService", branchName, [
+      {
+        to: "PaymentGateway",
+        relationType: "calls",
+        confidence: 0.95,
+        evidence: "Calls PaymentGateway",
+      },
+    ]);
+    const { suggestions } = this.memoryManager.listRelationSuggestions({
+      branchName,
+    });
+    this.assertEqual(suggestions[0].evidence, "Calls PaymentGateway");
+  }
+
+  async testSimilarityWorkerPool() {
+    const target = {
+      name: "Checkout Service",
+      entityType: "service",
+      observations: ["Takes payments for the shopping cart"],
+    };
+    const candidates = [
+      {
+        name: "Checkout Service Client",
+        entityType: "service",
+        observations: ["Calls the checkout service for payments"],
+      },
+      {
+        name: "Cart Service",
+        entityType: "service",
+        observations: ["Keeps the shopping cart"],
+      },
+      { name: "Logo", entityType: "asset", observations: ["SVG file"] },
+    ];
+    const describe = (results) =>
+      JSON.stringify(
+        results.map((r) => [r.entity.name, r.similarity, r.confidence])
+      );
+
+    const inline = await new ModernSimilarityEngine().detectSimilarEntities(
+      target,
+      candidates
+    );
+    const pool = new SimilarityWorkerPool(2);
+    const engine = new ModernSimilarityEngine();
+    engine.useWorkerPool(pool);
+    try {
+      const pooled = await Promise.all(
+        [1, 2, 3].map(() => engine.detectSimilarEntities(target, candidates))
+      );
+      this.assertTrue(inline.length > 0, "The pair is detected at all");
+      for (const results of pooled) {
+        this.assertEqual(
+          describe(results),
+          describe(inline),
+          "Workers score exactly like the main thread"
+        );
+      }
+    } finally {
+      await pool.shutdown();
+    }
+  }
+
+  async testCreateTimeStatedRelations() {
+    const branch = "create_stated_" + Date.now();
+    await this.memoryManager.createBranch(branch, "Create-time relations");
+    await this.memoryManager.createEntities(
+      [
+        {
+          name: "PaymentGateway",
+          entityType: "Gateway",
+          observations: ["Charges cards"],
+        },
+        {
+          name: "CheckoutFlow",
+          entityType: "Flow",
+          observations: ["Renders the basket"],
+        },
+        { name: "Redis", entityType: "Cache", observations: ["Keeps keys"] },
+      ],
+      branch
+    );
+
+    const handlers = new EntityHandlers(
+      this.memoryManager,
+      new ModernSimilarityEngine()
+    );
+    const response = await handlers.handleCreateEntities({
+      entities: [
+        {
+          name: "OrderService",
+          entityType: "Service",
+          observations: [
+            "Calls PaymentGateway",
+            "Does not use Redis anymore",
+            "CheckoutFlow calls PaymentGateway",
+          ],
+        },
+      ],
+      branch_name: branch,
+    });
+    const { auto_relations_job } = JSON.parse(response.content[0].text);
+    let job;
+    for (let attempt = 0; attempt < 100; attempt++) {
+      job = JSON.parse(
+        (
+          await handlers.handleGetRelationshipJob({
+            job_id: auto_relations_job.job_id,
+          })
+        ).content[0].text
+      );
+      if (job.status !== "running") break;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    this.assertEqual(job.status, "completed");
+
+    const stated = job.auto_relations_results
+      .filter((result) => result.evidence)
+      .map((r) => `${r.from} ${r.relationType} ${r.to} ${r.auto_created}`);
+    this.assertEqual(
+      JSON.stringify(stated),
+      JSON.stringify([
+        "OrderService calls PaymentGateway true",
+        "CheckoutFlow calls PaymentGateway false",
+      ]),
+      "Only stated relations involving the new entity are created"
+    );
+    const graph = await this.memoryManager.exportBranch(branch);
+    this.assertEqual(
+      JSON.stringify(
+        graph.relations.map((r) => `${r.from} ${r.relationType} ${r.to}`)
+      ),
+      JSON.stringify(["OrderService calls PaymentGateway"])
+    );
+  }
+
+  async testRelationshipJobs() {
+    const jobs = new RelationshipJobs();
+    let finish;
+    const job = jobs.start(
+      "main",
+      ["A"],
+      () => new Promise((resolve) => (finish = resolve))
+    );
+    this.assertEqual(job.status, "running", "Jobs start out running");
+    this.assertEqual(jobs.get(job.id).status, "running", "Jobs can be polled");
+
+    finish([{ from: "A", to: "B" }]);
+    const done = await jobs.wait(job.id);
+    this.assertEqual(done.status, "completed", "Finished jobs complete");
+    this.assertEqual(done.results[0].to, "B", "Results are kept");
+    this.assertTrue(!!done.finishedAt, "The finish time is recorded");
+
+    const failed = await jobs.wait(
+      jobs.start("main", ["A"], async () => {
+        throw new Error("boom");
+      }).id
+    );
+    this.assertEqual(failed.status, "failed", "Errors fail the job");
+    this.assertEqual(failed.error, "boom", "The error is reported");
+    this.assertEqual(jobs.get("relations_missing"), undefined);
+  }
+
+  async testRelationCandidates() {
+    const branchName = "candidates_" + Date.now();
+    await this.memoryManager.createBranch(branchName, "Candidates");
+    await this.memoryManager.createEntities(
+      [
+        {
+          name: "PaymentGateway",
+          entityType: "Service",
+          observations: ["Charges cards through Stripe webhooks"],
+        },
+        {
+          name: "RefundWorker",
+          entityType: "Worker",
+          observations: ["Replays Stripe webhooks to issue refunds"],
+        },
+        {
+          name: "PaymentLedger",
+          entityType: "Database",
+          observations: ["Double-entry bookkeeping tables"],
+        },
+        {
+          name: "OldPaymentGateway",
+          entityType: "Service",
+          observations: ["Charged cards through Stripe webhooks"],
+          status: "archived",
+        },
+        {
+          name: "FontLoader",
+          entityType: "Component",
+          observations: ["Preloads typefaces"],
+        },
+      ],
+      branchName
+    );
+
+    const candidates = this.memoryManager.findRelationCandidates(
+      "PaymentGateway",
+      branchName,
+      ["active", "draft"],
+      2
+    );
+    this.assertArrayLength(candidates, 2, "The limit is respected");
+    this.assertContains(
+      candidates,
+      "RefundWorker",
+      "Entities sharing rare content keywords are candidates"
+    );
+    this.assertContains(
+      candidates,
+      "PaymentLedger",
+      "Entities sharing name words are candidates"
+    );
+    this.assertFalse(
+      this.memoryManager
+        .findRelationCandidates("PaymentGateway", branchName, ["active"], 10)
+        .includes("OldPaymentGateway"),
+      "Entities outside the indexed statuses are not candidates"
+    );
+  }
+
+  async testSimilarityCalibration() {
+    const branchName = "calibration_" + Date.now();
+    await this.memoryManager.createBranch(branchName, "Calibration");
+    const targets = Array.from({ length: 20 }, (_, i) => `Target${i}`);
+    await this.memoryManager.createEntities(
+      ["Hub", ...targets].map((name) => ({
+        name,
+        entityType: "Component",
+        observations: [`${name} observation`],
+      })),
+      branchName
+    );
+    this.assertEqual(
+      this.memoryManager.getSimilarityCalibration().model.kind,
+      "weighted",
+      "The default weights apply before there is feedback"
+    );
+
+    // Reviewers accept pairs with similar names and content, reject the rest
+    const features = (i) => {
+      const good = i % 2 === 0;
+      const jitter = (i % 5) * 0.02;
+      return {
+        name: (good ? 0.85 : 0.2) + jitter,
+        type: 1,
+        content: (good ? 0.6 : 0.25) - jitter,
+        pattern: good ? 0.5 : 0,
+        structural: 0.7,
+      };
+    };
+    this.memoryManager.recordRelationSuggestions(
+      "Hub",
+      branchName,
+      targets.map((to, i) => ({
+        to,
+        relationType: "related_to",
+        confidence: 0.8,
+        features: features(i),
+      }))
+    );
+    const { suggestions } = this.memoryManager.listRelationSuggestions({
+      branchName,
+      sortBy: "created",
+    });
+    this.assertArrayLength(suggestions, 20, "Every pair is suggested");
+    for (const suggestion of [...suggestions].sort((a, b) => a.id - b.id)) {
+      if (Number(suggestion.to.slice("Target".length)) % 2 === 0) {
+        await this.memoryManager.acceptRelationSuggestion(suggestion.id);
+      } else {
+        this.memoryManager.rejectRelationSuggestion(suggestion.id);
+      }
+    }
+
+    const calibration = this.memoryManager.getSimilarityCalibration();
+    this.assertEqual(calibration.model.kind, "logistic", "A model is fitted");
+    this.assertEqual(calibration.feedback.accepted, 10, "Acceptances counted");
+    this.assertEqual(calibration.feedback.rejected, 10, "Rejections counted");
+    this.assertEqual(calibration.feedback.heldOut, 4, "A fifth is held out");
+    this.assertTrue(
+      calibration.model.weights.name > calibration.model.weights.structural,
+      "The name weighs more than a feature every pair shares"
+    );
+    this.assertEqual(
+      calibration.heldOut.precision,
+      1,
+      "Held-out precision is measured"
+    );
+    this.assertEqual(calibration.heldOut.recall, 1, "Held-out recall too");
+    this.assertEqual(
+      this.memoryManager.getSimilarityModel().kind,
+      "logistic",
+      "Similarity detection uses the fitted model"
+    );
+  }
+
+  async testRelationsStatedBeforeCreation() {
+    const branch = "stated_before_" + Date.now();
+    await this.memoryManager.createBranch(branch, "Stated before creation");
+    await this.memoryManager.createEntities(
+      [
+        {
+          name: "OrderService",
+          entityType: "Service",
+          observations: ["Calls PaymentGateway", "Reads from the Ledger"],
+        },
+        {
+          name: "LedgerStore",
+          entityType: "Database",
+          observations: ["Holds the ledger"],
+        },
+      ],
+      branch
+    );
+    const handlers = new EntityHandlers(
+      this.memoryManager,
+      new ModernSimilarityEngine()
+    );
+    const response = await handlers.handleCreateEntities({
+      entities: [
+        {
+          name: "PaymentGateway",
+          entityType: "Gateway",
+          observations: ["Charges cards"],
+        },
+      ],
+      branch_name: branch,
+    });
+    const { auto_relations_job } = JSON.parse(response.content[0].text);
+    let job;
+    for (let attempt = 0; attempt < 100; attempt++) {
+      job = JSON.parse(
+        (
+          await handlers.handleGetRelationshipJob({
+            job_id: auto_relations_job.job_id,
+          })
+        ).content[0].text
+      );
+      if (job.status !== "running") break;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    this.assertEqual(
+      JSON.stringify(
+        job.auto_relations_results
+          .filter((result) => result.evidence)
+          .map((r) => `${r.from} ${r.relationType} ${r.to} ${r.auto_created}`)
+      ),
+      JSON.stringify(["OrderService calls PaymentGateway true"]),
+      "Relations stated before the entity existed are created with it"
+    );
+
+    // Renaming an entity to the name observations use relates it too
+    const renamed = JSON.parse(
+      (
+        await handlers.handleRenameEntity({
+          entity_name: "LedgerStore",
+          new_name: "Ledger",
+          branch_name: branch,
+        })
+      ).content[0].text
+    );
+    this.assertEqual(
+      renamed.stated_relations
+        .map((r) => `${r.from} ${r.relationType} ${r.to} ${r.auto_created}`)
+        .join(","),
+      "OrderService depends_on Ledger true"
+    );
+    const graph = await this.memoryManager.exportBranch(branch);
+    this.assertEqual(
+      graph.relations
+        .map((r) => `${r.from} ${r.relationType} ${r.to}`)
+        .sort()
+        .join(","),
+      "OrderService calls PaymentGateway,OrderService depends_on Ledger"
+    );
+  }
+
+  async testAutoRelationFeedback() {
+    const branch = "auto_feedback_" + Date.now();
+    await this.memoryManager.createBranch(branch, "Auto relation feedback");
+    await this.memoryManager.createEntities(
+      [
+        {
+          name: "PaymentGateway",
+          entityType: "Gateway",
+          observations: ["Charges cards"],
+        },
+        { name: "Redis", entityType: "Cache", observations: ["Keeps keys"] },
+      ],
+      branch
+    );
+    const handlers = new EntityHandlers(
+      this.memoryManager,
+      new ModernSimilarityEngine()
+    );
+    const createOrderService = async () => {
+      const response = await handlers.handleCreateEntities({
+        entities: [
+          {
+            name: "OrderService",
+            entityType: "Service",
+            observations: ["Calls PaymentGateway", "Uses Redis"],
+          },
+        ],
+        branch_name: branch,
+      });
+      const { auto_relations_job } = JSON.parse(response.content[0].text);
+      for (let attempt = 0; attempt < 100; attempt++) {
+        const job = JSON.parse(
+          (
+            await handlers.handleGetRelationshipJob({
+              job_id: auto_relations_job.job_id,
+            })
+          ).content[0].text
+        );
+        if (job.status !== "running") return job.auto_relations_results;
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }
+      throw new Error("Relationship detection did not finish");
+    };
+
+    await createOrderService();
+    const accepted = this.memoryManager.listRelationSuggestions({
+      branchName: branch,
+      status: "accepted",
+    }).suggestions;
+    this.assertEqual(
+      accepted
+        .map((s) => s.to)
+        .sort()
+        .join(","),
+      "PaymentGateway,Redis",
+      "Relations made on creation are kept as accepted suggestions"
+    );
+
+    const usesRedis = accepted.find((s) => s.to === "Redis");
+    await this.memoryManager.deleteRelations(
+      [
+        {
+          from: "OrderService",
+          to: "Redis",
+          relationType: usesRedis.relationType,
+        },
+      ],
+      branch
+    );
+    this.assertEqual(
+      this.memoryManager
+        .listRelationSuggestions({ branchName: branch, status: "rejected" })
+        .suggestions.map((s) => s.to)
+        .join(","),
+      "Redis",
+      "Deleting an auto-created relation rejects it"
+    );
+
+    // Created again, the entity is not related to the rejected pair
+    await this.memoryManager.deleteEntities(["OrderService"], branch);
+    const results = await createOrderService();
+    const redis = results.find((r) => r.to === "Redis");
+    this.assertFalse(redis.auto_created, "Rejected pairs are not auto-created");
+    this.assertEqual(redis.note, "Rejected in review before - not created");
+    const graph = await this.memoryManager.exportBranch(branch);
+    this.assertEqual(
+      JSON.stringify(
+        graph.relations.map((r) => `${r.from} ${r.relationType} ${r.to}`)
+      ),
+      JSON.stringify(["OrderService calls PaymentGateway"])
+    );
+
+    // Their similarity features train the calibration like reviews do
+    const before = this.memoryManager.getSimilarityCalibration().feedback;
+    const features = {
+      name: 0.8,
+      type: 1,
+      content: 0.6,
+      pattern: 0.5,
+      structural: 0.7,
+    };
+    await this.memoryManager.createRelations(
+      [{ from: "PaymentGateway", to: "Redis", relationType: "related_to" }],
+      branch
+    );
+    this.memoryManager.recordAutoCreatedRelations(branch, [
+      {
+        from: "PaymentGateway",
+        to: "Redis",
+        relationType: "related_to",
+        confidence: 0.8,
+        features,
+      },
+    ]);
+    const afterCreate = this.memoryManager.getSimilarityCalibration().feedback;
+    this.assertEqual(afterCreate.accepted, before.accepted + 1);
+    await this.memoryManager.deleteRelations(
+      [{ from: "PaymentGateway", to: "Redis", relationType: "related_to" }],
+      branch
+    );
+    const afterDelete = this.memoryManager.getSimilarityCalibration().feedback;
+    this.assertEqual(afterDelete.accepted, before.accepted);
+    this.assertEqual(afterDelete.rejected, before.rejected + 1);
+  }
+
+  async testRelationSuggestionReview() {
+    const branchName = "suggestions_" + Date.now();
+    await this.memoryManager.createBranch(branchName, "Suggestion review");
+    await this.memoryManager.createEntities(
+      [
+        { name: "OrderApi", entityType: "Service", observations: ["a"] },
+        { name: "OrderStore", entityType: "Database", observations: ["b"] },
+        { name: "OrderQueue", entityType: "Queue", observations: ["c"] },
+        { name: "OrderDocs", entityType: "Doc", observations: ["d"] },
+      ],
+      branchName
+    );
+    await this.memoryManager.createRelations(
+      [{ from: "OrderApi", to: "OrderDocs", relationType: "documented_by" }],
+      branchName
+    );
+    this.assertContains(
+      this.memoryManager.entitiesToIndex(branchName),
+      "OrderApi",
+      "New entities are waiting to be indexed"
+    );
+
+    const recorded = this.memoryManager.recordRelationSuggestions(
+      "OrderApi",
+      branchName,
+      [
+        { to: "OrderStore", relationType: "uses", confidence: 0.9 },
+        { to: "OrderQueue", relationType: "relates_to", confidence: 0.8 },
+        { to: "OrderDocs", relationType: "relates_to", confidence: 0.85 },
+      ]
+    );
+    this.assertEqual(recorded, 2, "Already related pairs are not suggested");
+    this.assertFalse(
+      this.memoryManager.entitiesToIndex(branchName).includes("OrderApi"),
+      "Indexed entities are not indexed again until they change"
+    );
+
+    const pending = this.memoryManager.listRelationSuggestions({ branchName });
+    this.assertEqual(pending.total, 2, "Both suggestions are pending");
+    this.assertEqual(
+      pending.suggestions[0].to,
+      "OrderStore",
+      "Most confident suggestion comes first"
+    );
+    const [store, queue] = pending.suggestions;
+
+    const accepted = await this.memoryManager.acceptRelationSuggestion(
+      store.id,
+      "writes_to"
+    );
+    this.assertEqual(accepted.status, "accepted", "Suggestion is accepted");
+    const graph = await this.memoryManager.readGraph(branchName);
+    this.assertTrue(
+      graph.relations.some(
+        (r) =>
+          r.from === "OrderApi" &&
+          r.to === "OrderStore" &&
+          r.relationType === "writes_to"
+      ),
+      "Accepting creates the relation with the chosen type"
+    );
+
+    this.memoryManager.rejectRelationSuggestion(queue.id);
+    await this.assertThrowsAsync(
+      async () => this.memoryManager.rejectRelationSuggestion(queue.id),
+      "already rejected",
+      "A reviewed suggestion cannot be reviewed again"
+    );
+
+    // Indexing the other end again must not bring the rejected pair back
+    const again = this.memoryManager.recordRelationSuggestions(
+      "OrderQueue",
+      branchName,
+      [{ to: "OrderApi", relationType: "relates_to", confidence: 0.95 }]
+    );
+    this.assertEqual(again, 0, "Rejected pairs are never suggested again");
+    this.assertEqual(
+      this.memoryManager.listRelationSuggestions({ branchName }).total,
+      0,
+      "Nothing is left to review"
+    );
+    this.assertEqual(
+      this.memoryManager.listRelationSuggestions({
+        branchName,
+        status: "rejected",
+        entityName: "OrderApi",
+      }).suggestions[0].to,
+      "OrderQueue",
+      "Rejections are kept"
+    );
+  }
+
   async runAllTests() {
     await this.runTest("Create Cross Reference", () =>
       this.testCreateCrossReference()
@@ -460,6 +1705,51 @@ export class RelationshipTests extends BaseTest {
     await this.runTest("Bidirectional Relationships", () =>
       this.testBidirectionalRelationships()
     );
+    await this.runTest("Create and Delete Relations", () =>
+      this.testCreateAndDeleteRelations()
+    );
+    await this.runTest("Cross Context Resolution", () =>
+      this.testCrossContextResolution()
+    );
+    await this.runTest("Rename and Move Entities", () =>
+      this.testRenameAndMoveEntities()
+    );
+    await this.runTest("Move Only a Relation Target", () =>
+      this.testMoveRelationTarget()
+    );
+    await this.runTest("Create Relations Through Aliases", () =>
+      this.testCreateRelationsThroughAliases()
+    );
+    await this.runTest("Find and Merge Duplicates", () =>
+      this.testFindAndMergeDuplicates()
+    );
+    await this.runTest("Entity Name Completion and Resources", () =>
+      this.testEntityNameCompletion()
+    );
+    await this.runTest("Relation Suggestion Review", () =>
+      this.testRelationSuggestionReview()
+    );
+    await this.runTest("Similarity Calibration", () =>
+      this.testSimilarityCalibration()
+    );
+    await this.runTest("Relation Candidates From Keywords", () =>
+      this.testRelationCandidates()
+    );
+    await this.runTest("Similarity Worker Pool", () =>
+      this.testSimilarityWorkerPool()
+    );
+    await this.runTest("Relationship Jobs", () => this.testRelationshipJobs());
+    await this.runTest("Create-Time Stated Relations", () =>
+      this.testCreateTimeStatedRelations()
+    );
+    await this.runTest("Stated Relations", () => this.testStatedRelations());
+    await this.runTest("Relations Stated Before Creation", () =>
+      this.testRelationsStatedBeforeCreation()
+    );
+    // After the calibration test, whose feedback counts it would change
+    await this.runTest("Auto Relation Feedback", () =>
+      this.testAutoRelationFeedback()
+    );
 
     return this.getResults();
   }
@@ -448,6 +448,856 @@ export class SearchTests extends BaseTest {
     }
   }
 
+  async testContextDepthExpansion() {
+    const branch = `graph_${Date.now()}`;
+    await this.memoryManager.createBranch(branch, "Graph expansion test");
+    await this.memoryManager.createEntities(
+      ["ChainA", "ChainB", "ChainC", "ChainD"].map((name) => ({
+        name,
+        entityType: "Component",
+        observations: [`${name} link in the chain`],
+      })),
+      branch
+    );
+    await this.memoryManager.createRelations(
+      [
+        { from: "ChainA", to: "ChainB", relationType: "calls" },
+        { from: "ChainB", to: "ChainC", relationType: "depends_on" },
+        { from: "ChainC", to: "ChainD", relationType: "uses" },
+        { from: "ChainC", to: "ChainA", relationType: "calls" },
+      ],
+      branch
+    );
+
+    const oneHop = await this.memoryManager.expandContext(["ChainA"], branch, {
+      depth: 1,
+    });
+    const oneHopNames = oneHop.nodes.map((n) => n.name).sort();
+    this.assertEqual(
+      JSON.stringify(oneHopNames),
+      JSON.stringify(["ChainB", "ChainC"]),
+      "Depth 1 should reach direct neighbors in both directions"
+    );
+
+    const twoHops = await this.memoryManager.expandContext(["ChainA"], branch, {
+      depth: 2,
+    });
+    const chainD = twoHops.nodes.find((n) => n.name === "ChainD");
+    this.assertExists(chainD, "Depth 2 should reach ChainD");
+    this.assertEqual(chainD.hop, 2, "ChainD should be two hops away");
+    this.assertEqual(chainD.via.entity, "ChainC", "ChainD is reached via C");
+    this.assertFalse(
+      twoHops.nodes.some((n) => n.name === "ChainA"),
+      "Cycles should not bring the seed back"
+    );
+    this.assertEqual(
+      twoHops.entities.length,
+      twoHops.nodes.length,
+      "Every node should come with its entity"
+    );
+    this.assertTrue(
+      twoHops.relations.some((r) => r.from === "ChainC" && r.to === "ChainD"),
+      "Relations between expanded entities should be included"
+    );
+  }
+
+  async testSearchFollowsObservationChanges() {
+    const branch = `fts_sync_${Date.now()}`;
+    await this.memoryManager.createBranch(branch, "Search index sync test");
+    await this.memoryManager.createEntities(
+      [
+        {
+          name: "LedgerService",
+          entityType: "Service",
+          observations: ["Settles invoices through the quillbrook gateway"],
+        },
+      ],
+      branch
+    );
+
+    const names = async (query) =>
+      (await this.memoryManager.searchEntities(query, branch)).entities.map(
+        (e) => e.name
+      );
+
+    this.assertContains(await names("quillbrook"), "LedgerService");
+
+    await this.memoryManager.deleteObservations(
+      [
+        {
+          entityName: "LedgerService",
+          observations: ["Settles invoices through the quillbrook gateway"],
+        },
+      ],
+      branch
+    );
+    await this.memoryManager.addObservations(
+      [
+        {
+          entityName: "LedgerService",
+          contents: ["Settles invoices through the marrowfen gateway"],
+        },
+      ],
+      branch
+    );
+
+    this.assertArrayLength(
+      await names("quillbrook"),
+      0,
+      "Deleted observations should no longer match"
+    );
+    this.assertContains(await names("marrowfen"), "LedgerService");
+
+    await this.memoryManager.updateEntity(
+      {
+        name: "LedgerService",
+        entityType: "Service",
+        observations: ["Posts journal entries to the tarnwick ledger"],
+      },
+      branch
+    );
+    this.assertArrayLength(
+      await names("marrowfen"),
+      0,
+      "Replaced observations should no longer match"
+    );
+    this.assertContains(await names("tarnwick"), "LedgerService");
+  }
+
+  async testRankingExplain() {
+    const branch = `ranking_${Date.now()}`;
+    await this.memoryManager.createBranch(branch, "Ranking test");
+    await this.memoryManager.createEntities(
+      [
+        {
+          name: "ThrottleService",
+          entityType: "Service",
+          observations: ["Throttle inbound traffic per tenant"],
+        },
+        {
+          name: "TokenBucket",
+          entityType: "Algorithm",
+          observations: ["Refills tokens at a fixed rate", "Used to throttle"],
+        },
+        {
+          name: "OldThrottle",
+          entityType: "Service",
+          observations: ["Throttle inbound traffic per tenant"],
+          status: "deprecated",
+        },
+      ],
+      branch
+    );
+
+    const results = await this.memoryManager.searchEntities(
+      "throttle",
+      branch,
+      ["active", "deprecated"],
+      { explain: true }
+    );
+    const names = results.entities.map((e) => e.name);
+    this.assertEqual(names[0], "ThrottleService", "Name hits rank first");
+    this.assertEqual(
+      JSON.stringify(results.scores.map((s) => s.entity)),
+      JSON.stringify(names),
+      "Scores should follow the result order"
+    );
+    for (const score of results.scores) {
+      const expected = (score.bm25 + score.nameMatch) * score.recency;
+      this.assertTrue(
+        Math.abs(score.score - expected * score.status) < 0.01,
+        `Score of ${score.entity} should be the product of its components`
+      );
+    }
+
+    const old = results.scores.find((s) => s.entity === "OldThrottle");
+    const current = results.scores.find((s) => s.entity === "ThrottleService");
+    this.assertEqual(old.status, 0.5, "Deprecated entities are damped");
+    this.assertTrue(old.score < current.score, "Same text, lower status");
+    this.assertTrue(
+      current.columns.name > 0 && current.columns.observations > 0,
+      "Per-column scores should show where the term matched"
+    );
+
+    const plain = await this.memoryManager.searchEntities("throttle", branch);
+    this.assertTrue(
+      plain.scores === undefined,
+      "Scores are only returned on request"
+    );
+
+    await this.memoryManager.createEntities(
+      Array.from({ length: 55 }, (_, i) => ({
+        name: `Relay${i}`,
+        entityType: "Node",
+        observations: ["Relay in the mesh"],
+      })),
+      branch
+    );
+    const relays = await this.memoryManager.searchEntities("relay", branch);
+    this.assertArrayLength(
+      relays.entities,
+      55,
+      "Results should not be cut at a fixed count"
+    );
+  }
+
+  async testStructuredQueries() {
+    const branch = `query_lang_${Date.now()}`;
+    await this.memoryManager.createBranch(branch, "Query language test");
+    await this.memoryManager.createEntities(
+      [
+        {
+          name: "RateLimiter",
+          entityType: "Service",
+          observations: ["Applies a rate limit per API key"],
+        },
+        {
+          name: "LegacyRateLimiter",
+          entityType: "Service",
+          observations: ["Old rate limit implementation"],
+          status: "deprecated",
+        },
+        {
+          name: "QuotaStore",
+          entityType: "Database",
+          observations: ["Keeps rate counters"],
+        },
+      ],
+      branch
+    );
+
+    const names = async (query, statuses, branchName = branch) =>
+      (
+        await this.memoryManager.searchEntities(query, branchName, statuses)
+      ).entities
+        .map((e) => e.name)
+        .sort();
+
+    this.assertEqual(
+      JSON.stringify(await names('type:Service "rate limit"')),
+      JSON.stringify(["RateLimiter"]),
+      "Field filter and phrase, active only by default"
+    );
+    this.assertEqual(
+      JSON.stringify(
+        await names('type:service status:deprecated "rate limit"')
+      ),
+      JSON.stringify(["LegacyRateLimiter"]),
+      "A status filter replaces the active-only default"
+    );
+    this.assertEqual(
+      JSON.stringify(
+        await names('"rate limit" -legacy', ["active", "deprecated"])
+      ),
+      JSON.stringify(["RateLimiter"]),
+      "Negated terms exclude entities"
+    );
+    this.assertEqual(
+      JSON.stringify(await names("(quota OR limiter) AND type:Database")),
+      JSON.stringify(["QuotaStore"]),
+      "OR groups combine with AND"
+    );
+    this.assertEqual(
+      JSON.stringify(await names(`branch:${branch} quota`, undefined, "*")),
+      JSON.stringify(["QuotaStore"]),
+      "branch: narrows a search across all branches"
+    );
+    this.assertArrayLength(await names("rate updated:>2999-01-01"), 0);
+    this.assertEqual(
+      JSON.stringify(
+        await names("type:Database updated:2000-01-01..2999-12-31")
+      ),
+      JSON.stringify(["QuotaStore"]),
+      "Date ranges include both ends"
+    );
+
+    const invalid = [
+      ['"rate limit', "unterminated quote"],
+      ["typ:Service", 'unknown field "typ"'],
+      ["status:old", 'unknown status "old"'],
+      ["updated:>2026-13-01", 'invalid date "2026-13-01"'],
+      ["(rate limit", "unclosed parenthesis"],
+      ["rate OR", "OR needs a term after it"],
+      ["rate)", "unmatched closing parenthesis"],
+    ];
+    for (const [query, error] of invalid) {
+      await this.assertThrowsAsync(
+        () => this.memoryManager.searchEntities(query, branch),
+        error,
+        `Query ${query} should be rejected`
+      );
+    }
+  }
+
+  async testNaturalLanguageQuery() {
+    const branch = `natural_${Date.now()}`;
+    await this.memoryManager.createBranch(branch, "Natural language test");
+    await this.memoryManager.createEntities(
+      [
+        {
+          name: "SessionRefresher",
+          entityType: "Job",
+          observations: ["Refreshes auth tokens before they expire"],
+        },
+        {
+          name: "AuthGateway",
+          entityType: "Service",
+          observations: ["Checks auth headers on every request"],
+        },
+        {
+          name: "InvoiceMailer",
+          entityType: "Job",
+          observations: ["Sends invoices at month end"],
+        },
+      ],
+      branch
+    );
+
+    const result = await this.memoryManager.searchEntities(
+      "how does auth refresh tokens",
+      branch,
+      undefined,
+      { explain: true }
+    );
+    this.assertEqual(
+      result.entities.map((e) => e.name).join(),
+      "SessionRefresher,AuthGateway",
+      "Any word may match, and more matching words rank first"
+    );
+    this.assertEqual(result.scores[0].matchedTerms, 3);
+    this.assertEqual(result.scores[1].matchedTerms, 1);
+
+    const required = await this.memoryManager.searchEntities(
+      "auth AND refresh",
+      branch
+    );
+    this.assertEqual(
+      required.entities.map((e) => e.name).join(),
+      "SessionRefresher",
+      "Explicit AND requires every term"
+    );
+    const filtered = await this.memoryManager.searchEntities(
+      "type:Service auth tokens",
+      branch
+    );
+    this.assertEqual(
+      filtered.entities.map((e) => e.name).join(),
+      "AuthGateway",
+      "Filters still have to match"
+    );
+  }
+
+  async testSearchPaging() {
+    const branch = `paging_${Date.now()}`;
+    await this.memoryManager.createBranch(branch, "Search paging test");
+    const names = ["Quern", "Alder", "Mossgate", "Birchwell", "Fernholt"];
+    for (const name of names) {
+      // Created one by one so creation order differs from name order
+      await this.memoryManager.createEntities(
+        [
+          {
+            name,
+            entityType: "Garden",
+            observations: [`${name} grows heather`],
+          },
+        ],
+        branch
+      );
+    }
+
+    const first = await this.memoryManager.searchEntities(
+      "heather",
+      branch,
+      undefined,
+      { limit: 2, sortBy: "name" }
+    );
+    this.assertEqual(first.total, 5, "Total counts every hit");
+    this.assertEqual(
+      first.entities.map((e) => e.name).join(","),
+      "Alder,Birchwell",
+      "First page in name order"
+    );
+    const last = await this.memoryManager.searchEntities(
+      "heather",
+      branch,
+      undefined,
+      { limit: 2, offset: 4, sortBy: "name" }
+    );
+    this.assertEqual(
+      last.entities.map((e) => e.name).join(","),
+      "Quern",
+      "Last page holds the remainder"
+    );
+    this.assertEqual(
+      JSON.stringify(last.entities[0].observations),
+      '["Quern grows heather"]',
+      "Entities on the page carry their observations"
+    );
+
+    const all = await this.memoryManager.searchEntities(
+      "heather",
+      branch,
+      undefined,
+      { sortBy: "created" }
+    );
+    this.assertArrayLength(all.entities, 5, "No limit returns every hit");
+    this.assertEqual(
+      all.entities[0].name,
+      "Fernholt",
+      "created sorts newest first"
+    );
+  }
+
+  async testContextPacking() {
+    const branch = `packing_${Date.now()}`;
+    await this.memoryManager.createBranch(branch, "Context packing test");
+    await this.memoryManager.createEntities(
+      [
+        {
+          name: "Wrenfield",
+          entityType: "Service",
+          observations: [
+            "Listens on port 7070",
+            "Signs vellum receipts for every order",
+            "Deployed twice a week from the release train",
+          ],
+        },
+        {
+          name: "Inkwell",
+          entityType: "Database",
+          observations: ["Keeps archived receipts for seven years"],
+        },
+      ],
+      branch
+    );
+    await this.memoryManager.createRelations(
+      [{ from: "Wrenfield", to: "Inkwell", relationType: "stores_in" }],
+      branch
+    );
+
+    const roomy = await this.memoryManager.getContext({
+      query: "vellum",
+      branchName: branch,
+      maxTokens: 1000,
+    });
+    this.assertEqual(
+      roomy.entities.join(","),
+      "Wrenfield,Inkwell",
+      "Hits come first, then their neighbors"
+    );
+    this.assertEqual(roomy.omittedObservations, 0, "Everything fits");
+    this.assertContains(
+      roomy.content,
+      "## Wrenfield (Service)\n- Signs vellum receipts for every order",
+      "Observations matching the query lead"
+    );
+    this.assertContains(
+      roomy.content,
+      "- Wrenfield --stores_in--> Inkwell",
+      "Relations are included"
+    );
+
+    const tight = await this.memoryManager.getContext({
+      query: "vellum",
+      branchName: branch,
+      maxTokens: roomy.tokensUsed - 5,
+    });
+    this.assertTrue(
+      tight.tokensUsed <= roomy.tokensUsed - 5,
+      "The bundle stays within the budget"
+    );
+    this.assertTrue(tight.omittedObservations > 0, "Something was trimmed");
+    this.assertContains(
+      tight.content,
+      "vellum receipts",
+      "The best observation survives trimming"
+    );
+    this.assertFalse(
+      tight.content.includes("release train"),
+      "The lowest-ranked observation goes first"
+    );
+
+    const json = await this.memoryManager.getContext({
+      entityNames: ["Inkwell"],
+      branchName: branch,
+      maxTokens: 1000,
+      format: "json",
+    });
+    const bundle = JSON.parse(json.content);
+    this.assertEqual(bundle.entities[0].name, "Inkwell", "Named entity first");
+    this.assertEqual(bundle.relations[0].type, "stores_in", "JSON relations");
+  }
+
+  async testSemanticSearch() {
+    const branch = `semantic_${Date.now()}`;
+    await this.memoryManager.createBranch(branch, "Semantic search test");
+    await this.memoryManager.createEntities(
+      [
+        {
+          name: "Authenticator",
+          entityType: "Service",
+          observations: ["Verifies user credentials and issues sessions"],
+        },
+        {
+          name: "PaymentGateway",
+          entityType: "Service",
+          observations: ["Charges credit cards"],
+        },
+        {
+          name: "AuthenticationGuide",
+          entityType: "Document",
+          observations: ["Explains authentication for new services"],
+          status: "deprecated",
+        },
+      ],
+      branch
+    );
+
+    const keyword = await this.memoryManager.searchEntities(
+      "authentication",
+      branch
+    );
+    this.assertArrayLength(
+      keyword.entities,
+      0,
+      "Keyword search needs the word itself among active entities"
+    );
+
+    const semantic = await this.memoryManager.searchEntities(
+      "authentication",
+      branch,
+      undefined,
+      { mode: "semantic", explain: true }
+    );
+    this.assertEqual(
+      semantic.entities.map((e) => e.name).join(","),
+      "Authenticator",
+      "Related word forms match semantically"
+    );
+    this.assertTrue(
+      semantic.scores[0].similarity > 0,
+      "Scores report the similarity"
+    );
+
+    const filtered = await this.memoryManager.searchEntities(
+      "authentication -credentials",
+      branch,
+      undefined,
+      { mode: "semantic" }
+    );
+    this.assertArrayLength(filtered.entities, 0, "Negated words still exclude");
+
+    const hybrid = await this.memoryManager.searchEntities(
+      "authentication",
+      branch,
+      ["active", "deprecated"],
+      { mode: "hybrid", explain: true }
+    );
+    this.assertEqual(
+      hybrid.entities[0].name,
+      "AuthenticationGuide",
+      "A hit in both rankings fuses highest"
+    );
+    this.assertEqual(
+      JSON.stringify(hybrid.scores[0].ranks),
+      JSON.stringify({ keyword: 1, semantic: 1 }),
+      "Fused ranks are reported"
+    );
+    this.assertContains(
+      hybrid.entities.map((e) => e.name),
+      "Authenticator",
+      "Semantic-only hits are kept"
+    );
+
+    // Changing the content replaces the stored vector
+    await this.memoryManager.deleteObservations(
+      [
+        {
+          entityName: "Authenticator",
+          observations: ["Verifies user credentials and issues sessions"],
+        },
+      ],
+      branch
+    );
+    const afterChange = await this.memoryManager.searchEntities(
+      "credentials",
+      branch,
+      undefined,
+      { mode: "semantic" }
+    );
+    this.assertArrayLength(
+      afterChange.entities,
+      0,
+      "Vectors follow observation changes"
+    );
+  }
+
+  async testMatchDetails() {
+    const branch = `matches_${Date.now()}`;
+    await this.memoryManager.createBranch(branch, "Match details test");
+    await this.memoryManager.createEntities(
+      [
+        {
+          name: "Harbormaster",
+          entityType: "Scheduler",
+          observations: [
+            "Assigns berths to ships",
+            "Listens on port 9090\nbehind the gateway",
+            "Logs every berth change",
+          ],
+        },
+      ],
+      branch
+    );
+
+    const result = await this.memoryManager.searchEntities(
+      "berth",
+      branch,
+      undefined,
+      { matches: true }
+    );
+    const [match] = result.matches;
+    this.assertEqual(match.entity, "Harbormaster", "One match per hit");
+    this.assertEqual(
+      JSON.stringify(match.matchFields),
+      JSON.stringify(["observations"]),
+      "Only the observations hold the term"
+    );
+    this.assertEqual(
+      JSON.stringify(match.observations),
+      JSON.stringify([
+        "Assigns **berths** to ships",
+        "Logs every **berth** change",
+      ]),
+      "Matching observations come back marked, multi-line ones left out"
+    );
+    this.assertContains(match.snippet, "**berth", "Snippets are marked");
+
+    const byName = await this.memoryManager.searchEntities(
+      "master",
+      branch,
+      undefined,
+      { matches: true }
+    );
+    this.assertEqual(
+      JSON.stringify(byName.matches[0].matchFields),
+      JSON.stringify(["name"]),
+      "Matches inside the name are reported"
+    );
+
+    const plain = await this.memoryManager.searchEntities("berth", branch);
+    this.assertFalse("matches" in plain, "Match details are opt-in");
+  }
+
+  async testSynonymExpansion() {
+    const branch = `synonyms_${Date.now()}`;
+    await this.memoryManager.createBranch(branch, "Synonym test");
+    await this.memoryManager.createEntities(
+      [
+        {
+          name: "ClusterRunbook",
+          entityType: "Doc",
+          observations: ["How we upgrade kubernetes nodes"],
+        },
+        {
+          name: "NodePool",
+          entityType: "Infra",
+          observations: ["Sized for k8s workloads"],
+        },
+      ],
+      branch
+    );
+
+    const groups = this.memoryManager.updateSynonyms([["K8s", "kubernetes"]]);
+    try {
+      this.assertTrue(
+        groups.some((group) => group.join() === "k8s,kubernetes"),
+        "Groups are stored lowercased"
+      );
+      const result = await this.memoryManager.searchEntities("k8s", branch);
+      this.assertEqual(
+        result.entities.map((e) => e.name).join(),
+        "NodePool,ClusterRunbook",
+        "Synonym matches are found and rank below the typed term"
+      );
+      this.assertEqual(
+        JSON.stringify(result.expansions),
+        JSON.stringify([{ term: "k8s", synonyms: ["kubernetes"] }]),
+        "Applied expansions are reported"
+      );
+
+      const negated = await this.memoryManager.searchEntities(
+        "nodes -k8s",
+        branch
+      );
+      this.assertArrayLength(
+        negated.entities,
+        0,
+        "Negating a term also excludes its synonyms"
+      );
+    } finally {
+      this.memoryManager.updateSynonyms([], ["k8s", "kubernetes"]);
+    }
+
+    const plain = await this.memoryManager.searchEntities("k8s", branch);
+    this.assertArrayLength(
+      plain.entities,
+      1,
+      "Removed synonyms no longer apply"
+    );
+    this.assertFalse("expansions" in plain, "No expansions, no section");
+  }
+
+  async testSearchFacets() {
+    const branch = `facets_${Date.now()}`;
+    await this.memoryManager.createBranch(branch, "Facet test");
+    const entity = (name, entityType) => ({
+      name,
+      entityType,
+      observations: ["Handles quillon traffic"],
+    });
+    await this.memoryManager.createEntities(
+      [
+        entity("QuillonGate", "Service"),
+        entity("QuillonRouter", "Service"),
+        entity("QuillonCache", "Service"),
+        entity("QuillonGuide", "Doc"),
+        entity("QuillonFaq", "Doc"),
+      ],
+      branch
+    );
+    await this.memoryManager.createRelations(
+      [{ from: "QuillonGate", to: "QuillonRouter", relationType: "calls" }],
+      branch
+    );
+    await this.memoryManager.updateEntityStatus(
+      "QuillonFaq",
+      "deprecated",
+      "Superseded by the guide",
+      branch
+    );
+
+    const result = await this.memoryManager.searchEntities(
+      "quillon",
+      branch,
+      ["active", "deprecated"],
+      { facets: true, limit: 2 }
+    );
+    const facet = (counts) =>
+      counts.map(({ value, count }) => `${value}=${count}`).join();
+    this.assertArrayLength(result.entities, 2, "Only the page is returned");
+    this.assertEqual(
+      facet(result.facets.entityType),
+      "Service=3,Doc=2",
+      "Types are counted over every match, most common first"
+    );
+    this.assertEqual(
+      facet(result.facets.status),
+      "active=4,deprecated=1",
+      "Statuses are counted"
+    );
+    this.assertEqual(
+      facet(result.facets.branch),
+      `${branch}=5`,
+      "Branches are counted"
+    );
+    this.assertEqual(
+      facet(result.facets.relationType),
+      "calls=2",
+      "Relation types count the hits on either end"
+    );
+    this.assertEqual(
+      facet(result.facets.updated),
+      "last_day=5,last_week=0,last_month=0,last_year=0,older=0",
+      "Every updated bucket is listed"
+    );
+
+    const narrowed = await this.memoryManager.searchEntities(
+      "quillon type:Doc",
+      branch,
+      undefined,
+      { facets: true }
+    );
+    this.assertEqual(
+      facet(narrowed.facets.entityType),
+      "Doc=1",
+      "Facets follow the query filters and statuses"
+    );
+
+    const plain = await this.memoryManager.searchEntities("quillon", branch);
+    this.assertFalse("facets" in plain, "Facets are opt-in");
+  }
+
+  async testTypoTolerance() {
+    const branch = `typos_${Date.now()}`;
+    await this.memoryManager.createBranch(branch, "Typo test");
+    await this.memoryManager.createEntities(
+      [
+        {
+          name: "TokenIssuer",
+          entityType: "Service",
+          observations: ["Handles authentication for the kubernetes cluster"],
+        },
+        {
+          name: "ClusterDocs",
+          entityType: "Doc",
+          observations: ["Explains kubernetes upgrades"],
+        },
+      ],
+      branch
+    );
+
+    const result = await this.memoryManager.searchEntities(
+      "authetication kubernets",
+      branch
+    );
+    this.assertEqual(
+      JSON.stringify(result.didYouMean),
+      JSON.stringify(["authentication kubernetes"]),
+      "Each misspelled word is corrected"
+    );
+    this.assertEqual(
+      result.entities.map((e) => e.name).join(),
+      "TokenIssuer,ClusterDocs",
+      "Results of the corrected query are returned, both words first"
+    );
+
+    const kept = await this.memoryManager.searchEntities(
+      "type:Doc kubernets",
+      branch
+    );
+    this.assertEqual(
+      JSON.stringify(kept.didYouMean),
+      JSON.stringify(["type:Doc kubernetes"]),
+      "Filters are kept as typed"
+    );
+    this.assertEqual(kept.entities[0].name, "ClusterDocs", "Filters apply");
+
+    const exact = await this.memoryManager.searchEntities("kubernetes", branch);
+    this.assertFalse(
+      "didYouMean" in exact,
+      "Matching queries are not corrected"
+    );
+
+    const strict = await this.memoryManager.searchEntities(
+      "kubernets",
+      branch,
+      undefined,
+      { fuzzy: false }
+    );
+    this.assertArrayLength(
+      strict.entities,
+      0,
+      "fuzzy: false searches as typed"
+    );
+
+    const unknown = await this.memoryManager.searchEntities("zyxwvut", branch);
+    this.assertFalse(
+      "didYouMean" in unknown,
+      "Words without a close indexed word get no suggestion"
+    );
+  }
+
   async testSearchPerformance() {
     await this.setupSearchTestData();
 
@@ -500,6 +1350,26 @@ export class SearchTests extends BaseTest {
     await this.runTest("Context Depth Search", () =>
       this.testContextDepthSearch()
     );
+    await this.runTest("Context Depth Expansion", () =>
+      this.testContextDepthExpansion()
+    );
+    await this.runTest("Search Follows Observation Changes", () =>
+      this.testSearchFollowsObservationChanges()
+    );
+    await this.runTest("Ranking Explain", () => this.testRankingExplain());
+    await this.runTest("Structured Queries", () =>
+      this.testStructuredQueries()
+    );
+    await this.runTest("Natural Language Query", () =>
+      this.testNaturalLanguageQuery()
+    );
+    await this.runTest("Search Paging", () => this.testSearchPaging());
+    await this.runTest("Context Packing", () => this.testContextPacking());
+    await this.runTest("Semantic Search", () => this.testSemanticSearch());
+    await this.runTest("Match Details", () => this.testMatchDetails());
+    await this.runTest("Synonym Expansion", () => this.testSynonymExpansion());
+    await this.runTest("Search Facets", () => this.testSearchFacets());
+    await this.runTest("Typo Tolerance", () => this.testTypoTolerance());
     await this.runTest("Search Performance", () =>
       this.testSearchPerformance()
     );